@@ -8,7 +8,8 @@ import {
     YamlConverter,
     XmlConverter,
     CsvConverter,
-    Encryptor
+    Encryptor,
+    KeyRing
 } from './index.js';
 
 // Polyfill DOMParser for Node.js environments (required for XML conversion)
@@ -52,9 +53,16 @@ Options:
   --async               Use asynchronous converters
   -m, --mode <mode>     Conversion mode (no_encryption, middleware, ingestion, export)
   -k, --key <key>       Encryption key
-  -a, --algo <algo>     Encryption algorithm (aes-256-gcm, xor, base64)
+  -p, --passphrase <passphrase>
+                        Derive the AES-256-GCM key from a passphrase
+  --kdf <kdf>           Key derivation function for --passphrase (scrypt, pbkdf2)
+  --envelope            Write encrypted output as a versioned toon-enc:v1 envelope
+  --key-id <id>         Key id recorded in envelopes
+  --aad <value>         Additional authenticated data binding ciphertexts to a context
+  --keyring <file>      Key ring JSON file: encrypt with its active key, decrypt with the key data names
+  -a, --algo <algo>     Encryption algorithm (aes-256-gcm, chacha20-poly1305, aes-256-cbc-hmac-sha256, xor, base64)
   --no-parse            Return raw strings for applicable conversions
-  --validate <format>   Validate the given format
+  --validate <format>   Validate the given format and list every diagnostic
   -h, --help            Show this help message
 
 Examples:
@@ -73,6 +81,12 @@ function parseArgs(args) {
         isAsync: false,
         mode: 'no_encryption',
         key: null,
+        passphrase: null,
+        kdf: 'scrypt',
+        envelope: false,
+        keyId: null,
+        aad: null,
+        keyring: null,
         algo: 'aes-256-gcm',
         noParse: false,
         validate: null
@@ -106,6 +120,25 @@ function parseArgs(args) {
             case '--key':
                 config.key = args[++i];
                 break;
+            case '-p':
+            case '--passphrase':
+                config.passphrase = args[++i];
+                break;
+            case '--kdf':
+                config.kdf = args[++i];
+                break;
+            case '--envelope':
+                config.envelope = true;
+                break;
+            case '--key-id':
+                config.keyId = args[++i];
+                break;
+            case '--aad':
+                config.aad = args[++i];
+                break;
+            case '--keyring':
+                config.keyring = args[++i];
+                break;
             case '-a':
             case '--algo':
                 config.algo = args[++i];
@@ -163,9 +196,32 @@ async function run() {
     }
 
     let encryptor = null;
-    if (config.key || config.algo === 'base64') {
+    const outputOptions = { format: config.envelope ? 'envelope' : 'legacy', keyId: config.keyId };
+    if (config.keyring) {
+        if (config.key || config.passphrase) {
+            console.error("Error: --keyring cannot be combined with --key or --passphrase");
+            process.exit(1);
+        }
+        try {
+            encryptor = KeyRing.fromJSON(fs.readFileSync(path.resolve(config.keyring), 'utf8'));
+        } catch (err) {
+            console.error(`Error loading key ring: ${err.message}`);
+            process.exit(1);
+        }
+    } else if (config.passphrase) {
+        if (config.key || config.algo !== 'aes-256-gcm') {
+            console.error("Error: --passphrase derives an AES-256-GCM key and cannot be combined with --key or another --algo");
+            process.exit(1);
+        }
+        try {
+            encryptor = Encryptor.fromPassphrase(config.passphrase, { kdf: config.kdf, ...outputOptions });
+        } catch (err) {
+            console.error(`Error initializing encryptor: ${err.message}`);
+            process.exit(1);
+        }
+    } else if (config.key || config.algo === 'base64') {
         try {
-            encryptor = new Encryptor(config.key, config.algo);
+            encryptor = new Encryptor(config.key, config.algo, outputOptions);
         } catch (err) {
             console.error(`Error initializing encryptor: ${err.message}`);
             process.exit(1);
@@ -175,7 +231,7 @@ async function run() {
     try {
         let result;
         if (config.validate) {
-            result = ToonConverter.validate(inputData);
+            result = ToonConverter.validate(inputData, { collectAll: true });
             if (config.output) {
                 fs.writeFileSync(path.resolve(config.output), JSON.stringify(result, null, 2));
             } else {
@@ -215,7 +271,7 @@ async function run() {
 }
 
 async function handleConversion(config, data, encryptor) {
-    const { from, to, isAsync, mode, noParse } = config;
+    const { from, to, isAsync, mode, noParse, aad } = config;
 
     // Use instance if encryption is involved
     const toonConv = new ToonConverter(encryptor);
@@ -224,7 +280,7 @@ async function handleConversion(config, data, encryptor) {
     const xmlConv = new XmlConverter(encryptor);
     const csvConv = new CsvConverter(encryptor);
 
-    const options = { conversionMode: mode, returnJson: !noParse };
+    const options = { conversionMode: mode, aad, returnJson: !noParse };
 
     if (from === 'toon') {
         if (to === 'json') return isAsync ? toonConv.toJsonAsync(data, options) : toonConv.toJson(data, options);
@@ -4,14 +4,15 @@
 
 import Papa from 'papaparse';
 import { jsonToToonSync, toonToJsonSync } from './json.js';
-import { extractCsvFromString, flattenObject } from './utils.js';
+import { extractCsvFromString, flattenObject, replaceValues, reviveValues } from './utils.js';
 
 /**
  * Internal core function to convert pure CSV string to TOON (Sync)
  * @param {string} csvString 
+ * @param {Object} [options={}] - See csvToToonSync
  * @returns {string}
  */
-function parseCsvToToonSync(csvString) {
+function parseCsvToToonSync(csvString, options = {}) {
     const results = Papa.parse(csvString, {
         header: true,
         dynamicTyping: true,
@@ -28,15 +29,16 @@ function parseCsvToToonSync(csvString) {
         throw new Error("CSV parsing failed — cannot convert.");
     }
 
-    return jsonToToonSync(jsonObject);
+    return jsonToToonSync(reviveValues(jsonObject, options.reviver), options);
 }
 
 /**
  * Converts CSV (or mixed text with CSV) to TOON format (Sync)
  * @param {string} csvString - CSV formatted string or mixed text
+ * @param {Object} [options={}] - TOON encoder options, plus `reviver(key, value, path)` applied to the parsed CSV data
  * @returns {string} TOON formatted string
  */
-export function csvToToonSync(csvString) {
+export function csvToToonSync(csvString, options = {}) {
     if (!csvString || typeof csvString !== 'string') {
         throw new Error('Input must be a non-empty string');
     }
@@ -50,7 +52,7 @@ export function csvToToonSync(csvString) {
         if (!csvBlock) break;
 
         try {
-            const toonString = parseCsvToToonSync(csvBlock);
+            const toonString = parseCsvToToonSync(csvBlock, options);
             const toonOutput = toonString.trim();
             convertedText = convertedText.replace(csvBlock, toonOutput);
             iterationCount++;
@@ -65,23 +67,25 @@ export function csvToToonSync(csvString) {
 /**
  * Converts CSV (or mixed text with CSV) to TOON format (Async)
  * @param {string} csvString - CSV formatted string or mixed text
+ * @param {Object} [options={}] - See csvToToonSync
  * @returns {Promise<string>} TOON formatted string
  */
-export async function csvToToon(csvString) {
-    return csvToToonSync(csvString);
+export async function csvToToon(csvString, options = {}) {
+    return csvToToonSync(csvString, options);
 }
 
 /**
  * Converts TOON to CSV format (Sync)
  * @param {string} toonString - TOON formatted string
+ * @param {Object} [options={}] - TOON decoder options (including `reviver`; `returnJson` is ignored), plus `replacer(key, value, path)` applied before writing CSV
  * @returns {string} CSV formatted string
  */
-export function toonToCsvSync(toonString) {
+export function toonToCsvSync(toonString, options = {}) {
     if (!toonString || typeof toonString !== 'string') {
         throw new Error('Input must be a non-empty string');
     }
 
-    const jsonObject = toonToJsonSync(toonString);
+    const jsonObject = replaceValues(toonToJsonSync(toonString, { ...options, returnJson: false }), options.replacer);
 
     // Flatten the object for CSV
     const dataToUnparse = Array.isArray(jsonObject)
@@ -96,8 +100,9 @@ export function toonToCsvSync(toonString) {
 /**
  * Converts TOON to CSV format (Async)
  * @param {string} toonString - TOON formatted string
+ * @param {Object} [options={}] - See toonToCsvSync
  * @returns {Promise<string>} CSV formatted string
  */
-export async function toonToCsv(toonString) {
-    return toonToCsvSync(toonString);
+export async function toonToCsv(toonString, options = {}) {
+    return toonToCsvSync(toonString, options);
 }
@@ -12,7 +12,7 @@ import { dataManager, dataManagerAsync, extractJsonFromString, extractXmlFromStr
 export class CsvConverter {
     /**
      * Creates a CsvConverter instance
-     * @param {Object} [encryptor=null] - Optional Encryptor instance for encryption support
+     * @param {Encryptor|KeyRing|null} [encryptor=null] - Optional Encryptor (or KeyRing) for encryption support
      */
     constructor(encryptor = null) {
         this.encryptor = encryptor;
@@ -28,22 +28,22 @@ export class CsvConverter {
      * @param {string} mode - Conversion mode: 'no_encryption', 'middleware', 'ingestion', 'export'
      * @returns {*} Converted (and possibly encrypted) data
      */
-    _convertWithEncryption(fn, data, mode) {
+    _convertWithEncryption(fn, data, mode, cryptoOptions = {}) {
         if (!this.encryptor || mode === 'no_encryption') {
             return fn(data);
         }
 
         switch (mode) {
             case 'middleware': // Decrypt -> Convert -> Encrypt
-                const decrypted = this.encryptor.decrypt(data);
+                const decrypted = this.encryptor.decrypt(data, cryptoOptions);
                 const result = fn(decrypted);
-                return this.encryptor.encrypt(result);
+                return this.encryptor.encrypt(result, cryptoOptions);
             case 'ingestion': // Decrypt -> Convert
-                const dec = this.encryptor.decrypt(data);
+                const dec = this.encryptor.decrypt(data, cryptoOptions);
                 return fn(dec);
             case 'export': // Convert -> Encrypt
                 const res = fn(data);
-                return this.encryptor.encrypt(res);
+                return this.encryptor.encrypt(res, cryptoOptions);
             default:
                 return fn(data);
         }
@@ -57,22 +57,22 @@ export class CsvConverter {
      * @param {string} mode - Conversion mode: 'no_encryption', 'middleware', 'ingestion', 'export'
      * @returns {Promise<*>} Converted (and possibly encrypted) data
      */
-    async _convertWithEncryptionAsync(fn, data, mode) {
+    async _convertWithEncryptionAsync(fn, data, mode, cryptoOptions = {}) {
         if (!this.encryptor || mode === 'no_encryption') {
             return await fn(data);
         }
 
         switch (mode) {
             case 'middleware':
-                const decrypted = this.encryptor.decrypt(data);
+                const decrypted = this.encryptor.decrypt(data, cryptoOptions);
                 const result = await fn(decrypted);
-                return this.encryptor.encrypt(result);
+                return this.encryptor.encrypt(result, cryptoOptions);
             case 'ingestion':
-                const dec = this.encryptor.decrypt(data);
+                const dec = this.encryptor.decrypt(data, cryptoOptions);
                 return await fn(dec);
             case 'export':
                 const res = await fn(data);
-                return this.encryptor.encrypt(res);
+                return this.encryptor.encrypt(res, cryptoOptions);
             default:
                 return await fn(data);
         }
@@ -85,14 +85,18 @@ export class CsvConverter {
      * @param {string} toonString - TOON formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {string} CSV formatted string
      */
     fromToon(toonString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         return this._convertWithEncryption(
-            (data) => toonToCsvSync(data),
+            (data) => toonToCsvSync(data, conversionOptions),
             toonString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -101,14 +105,18 @@ export class CsvConverter {
      * @param {string} toonString - TOON formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {Promise<string>} CSV formatted string
      */
     async fromToonAsync(toonString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         return this._convertWithEncryptionAsync(
-            async (data) => toonToCsv(data),
+            async (data) => toonToCsv(data, conversionOptions),
             toonString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -117,15 +125,19 @@ export class CsvConverter {
      * @param {string} csvString - CSV formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {string} TOON formatted string
      */
     toToon(csvString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(csvToToonSync, extractCsvFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             csvString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -134,15 +146,19 @@ export class CsvConverter {
      * @param {string} csvString - CSV formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {Promise<string>} TOON formatted string
      */
     async toToonAsync(csvString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(csvToToon, extractCsvFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             csvString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -153,15 +169,18 @@ export class CsvConverter {
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {string} CSV formatted string
      */
     fromJson(jsonData, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(jsonToCsvSync, extractJsonFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             jsonData,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -170,15 +189,18 @@ export class CsvConverter {
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {Promise<string>} CSV formatted string
      */
     async fromJsonAsync(jsonData, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(jsonToCsv, extractJsonFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             jsonData,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -187,15 +209,18 @@ export class CsvConverter {
      * @param {string} csvString - CSV formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
      * @returns {Array|string} JSON result
      */
     toJson(csvString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(csvToJsonSync, extractCsvFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             csvString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -204,15 +229,18 @@ export class CsvConverter {
      * @param {string} csvString - CSV formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
      * @returns {Promise<Array|string>} JSON result
      */
     async toJsonAsync(csvString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(csvToJson, extractCsvFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             csvString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -223,23 +251,28 @@ export class CsvConverter {
      * @param {string} yamlString - YAML formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {string} CSV formatted string
      */
     fromYaml(yamlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         return this._convertWithEncryption(
-            (data) => yamlToCsvSync(data),
+            (data) => yamlToCsvSync(data, conversionOptions),
             yamlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
     async fromYamlAsync(yamlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         return this._convertWithEncryptionAsync(
-            async (data) => yamlToCsv(data),
+            async (data) => yamlToCsv(data, conversionOptions),
             yamlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -248,25 +281,30 @@ export class CsvConverter {
      * @param {string} csvString - CSV formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {string} YAML formatted string
      */
     toYaml(csvString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(csvToYamlSync, extractCsvFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             csvString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
     async toYamlAsync(csvString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(csvToYaml, extractCsvFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             csvString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -277,25 +315,30 @@ export class CsvConverter {
      * @param {string} xmlString - XML formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {string} CSV formatted string
      */
     fromXml(xmlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(xmlToCsvSync, extractXmlFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             xmlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
     async fromXmlAsync(xmlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(xmlToCsv, extractXmlFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             xmlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -304,25 +347,30 @@ export class CsvConverter {
      * @param {string} csvString - CSV formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {string} XML formatted string
      */
     toXml(csvString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(csvToXmlSync, extractCsvFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             csvString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
     async toXmlAsync(csvString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(csvToXml, extractCsvFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             csvString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -348,157 +396,201 @@ export class CsvConverter {
     /**
      * Convert TOON string to CSV (Sync)
      * @param {string} toonString - TOON formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {string} CSV formatted string
      */
-    static fromToon(toonString) {
-        return toonToCsvSync(toonString);
+    static fromToon(toonString, options = {}) {
+        return toonToCsvSync(toonString, options);
     }
 
     /**
      * Convert TOON string to CSV (Async)
      * @param {string} toonString - TOON formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {Promise<string>} CSV formatted string
      */
-    static async fromToonAsync(toonString) {
-        return toonToCsv(toonString);
+    static async fromToonAsync(toonString, options = {}) {
+        return toonToCsv(toonString, options);
     }
 
     /**
      * Convert CSV to TOON string (Sync)
      * @param {string} csvString - CSV formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {string} TOON formatted string
      */
-    static toToon(csvString) {
+    static toToon(csvString, options = {}) {
         const optimizedConverterFn = dataManager(csvToToonSync, extractCsvFromString);
-        return optimizedConverterFn(csvString);
+        return optimizedConverterFn(csvString, options);
     }
 
     /**
      * Convert CSV to TOON string (Async)
      * @param {string} csvString - CSV formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {Promise<string>} TOON formatted string
      */
-    static async toToonAsync(csvString) {
+    static async toToonAsync(csvString, options = {}) {
         const optimizedConverterFn = dataManagerAsync(csvToToon, extractCsvFromString);
-        return optimizedConverterFn(csvString);
+        return optimizedConverterFn(csvString, options);
     }
 
     /**
      * Convert JSON to CSV string (Sync)
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {string} CSV formatted string
      */
-    static fromJson(jsonData) {
+    static fromJson(jsonData, options = {}) {
         const optimizedConverterFn = dataManager(jsonToCsvSync, extractJsonFromString);
-        return optimizedConverterFn(jsonData);
+        return optimizedConverterFn(jsonData, options);
     }
 
     /**
      * Convert JSON to CSV string (Async)
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {Promise<string>} CSV formatted string
      */
-    static async fromJsonAsync(jsonData) {
+    static async fromJsonAsync(jsonData, options = {}) {
         const optimizedConverterFn = dataManagerAsync(jsonToCsv, extractJsonFromString);
-        return optimizedConverterFn(jsonData);
+        return optimizedConverterFn(jsonData, options);
     }
 
     /**
      * Convert CSV to JSON (Sync)
      * @param {string} csvString - CSV formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
      * @returns {Array|string} JSON result
      */
-    static toJson(csvString) {
+    static toJson(csvString, options = {}) {
         const optimizedConverterFn = dataManager(csvToJsonSync, extractCsvFromString);
-        return optimizedConverterFn(csvString);
+        return optimizedConverterFn(csvString, options);
     }
 
     /**
      * Convert CSV to JSON (Async)
      * @param {string} csvString - CSV formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
      * @returns {Promise<Array|string>} JSON result
      */
-    static async toJsonAsync(csvString) {
+    static async toJsonAsync(csvString, options = {}) {
         const optimizedConverterFn = dataManagerAsync(csvToJson, extractCsvFromString);
-        return optimizedConverterFn(csvString);
+        return optimizedConverterFn(csvString, options);
     }
 
     /**
      * Convert YAML to CSV string (Sync)
      * @param {string} yamlString - YAML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {string} CSV formatted string
      */
-    static fromYaml(yamlString) {
-        return yamlToCsvSync(yamlString);
+    static fromYaml(yamlString, options = {}) {
+        return yamlToCsvSync(yamlString, options);
     }
 
     /**
      * Convert YAML to CSV string (Async)
      * @param {string} yamlString - YAML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {Promise<string>} CSV formatted string
      */
-    static async fromYamlAsync(yamlString) {
-        return yamlToCsv(yamlString);
+    static async fromYamlAsync(yamlString, options = {}) {
+        return yamlToCsv(yamlString, options);
     }
 
     /**
      * Convert CSV to YAML string (Sync)
      * @param {string} csvString - CSV formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {string} YAML formatted string
      */
-    static toYaml(csvString) {
+    static toYaml(csvString, options = {}) {
         const optimizedConverterFn = dataManager(csvToYamlSync, extractCsvFromString);
-        return optimizedConverterFn(csvString);
+        return optimizedConverterFn(csvString, options);
     }
 
     /**
      * Convert CSV to YAML string (Async)
      * @param {string} csvString - CSV formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {Promise<string>} YAML formatted string
      */
-    static async toYamlAsync(csvString) {
+    static async toYamlAsync(csvString, options = {}) {
         const optimizedConverterFn = dataManagerAsync(csvToYaml, extractCsvFromString);
-        return optimizedConverterFn(csvString);
+        return optimizedConverterFn(csvString, options);
     }
 
     /**
      * Convert XML to CSV string (Sync)
      * @param {string} xmlString - XML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {string} CSV formatted string
      */
-    static fromXml(xmlString) {
+    static fromXml(xmlString, options = {}) {
         const optimizedConverterFn = dataManager(xmlToCsvSync, extractXmlFromString);
-        return optimizedConverterFn(xmlString);
+        return optimizedConverterFn(xmlString, options);
     }
 
     /**
      * Convert XML to CSV string (Async)
      * @param {string} xmlString - XML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {Promise<string>} CSV formatted string
      */
-    static async fromXmlAsync(xmlString) {
+    static async fromXmlAsync(xmlString, options = {}) {
         const optimizedConverterFn = dataManagerAsync(xmlToCsv, extractXmlFromString);
-        return optimizedConverterFn(xmlString);
+        return optimizedConverterFn(xmlString, options);
     }
 
     /**
      * Convert CSV to XML string (Sync)
      * @param {string} csvString - CSV formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {string} XML formatted string
      */
-    static toXml(csvString) {
+    static toXml(csvString, options = {}) {
         const optimizedConverterFn = dataManager(csvToXmlSync, extractCsvFromString);
-        return optimizedConverterFn(csvString);
+        return optimizedConverterFn(csvString, options);
     }
 
     /**
      * Convert CSV to XML string (Async)
      * @param {string} csvString - CSV formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {Promise<string>} XML formatted string
      */
-    static async toXmlAsync(csvString) {
+    static async toXmlAsync(csvString, options = {}) {
         const optimizedConverterFn = dataManagerAsync(csvToXml, extractCsvFromString);
-        return optimizedConverterFn(csvString);
+        return optimizedConverterFn(csvString, options);
     }
 
     /**
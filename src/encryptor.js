@@ -5,89 +5,275 @@
  * 
  * Supported Algorithms:
  * - 'aes-256-gcm': Symmetric encryption (Node.js crypto). High security, authenticated encryption.
+ * - 'chacha20-poly1305': Authenticated encryption like AES-256-GCM, faster on CPUs without AES instructions.
+ * - 'aes-256-cbc-hmac-sha256': AES-256-CBC with an HMAC-SHA256 over the ciphertext (encrypt-then-MAC),
+ *   for systems that cannot use GCM. Takes a 64-byte key: the AES key followed by the HMAC key.
  * - 'xor': Simple XOR cipher. Low security, good for obfuscation only.
  * - 'base64': Base64 encoding. No security, just encoding.
+ *
+ * AES-256-GCM keys can also be derived from a passphrase (scrypt or PBKDF2),
+ * see Encryptor.fromPassphrase.
+ *
+ * Output is either the legacy format of each algorithm or a self-describing
+ * envelope naming the algorithm and key id (see the `format` option);
+ * decrypt accepts both.
+ *
+ * Ciphertexts of the authenticated algorithms can be bound to a context (tenant
+ * id, record id...) with additional authenticated data, see the `aad` option of encrypt.
  */
 
 import crypto from 'crypto';
 
+// Default and allowed parameters of each key derivation function
+const KDFS = {
+    scrypt: {
+        defaults: { N: 32768, r: 8, p: 1 },
+        limits: { N: [1024, 1048576], r: [1, 32], p: [1, 16] }
+    },
+    pbkdf2: {
+        defaults: { iterations: 600000, digest: 'sha256' },
+        limits: { iterations: [10000, 10000000] },
+        digests: ['sha256', 'sha512']
+    }
+};
+
+// Most memory an scrypt derivation may use (128 * N * r bytes)
+const MAX_SCRYPT_MEMORY = 256 * 1024 * 1024;
+
+// Minimum salt length, as recommended by NIST SP 800-132
+const MIN_SALT_BYTES = 16;
+
+// Output formats: the original per-algorithm format, or the versioned envelope
+const VALID_FORMATS = ['legacy', 'envelope'];
+
+// Envelope: toon-enc:v1:<algorithm>:<key id>:<kdf>:<payload> (payload in base64url)
+const ENVELOPE_PREFIX = 'toon-enc:';
+const ENVELOPE_VERSION = 'v1';
+
+// Key ids are written into envelopes as they are
+const KEY_ID = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Name (for messages) and key length in bytes of the authenticated algorithms
+const CIPHERS = {
+    'aes-256-gcm': { name: 'AES-256-GCM', keyLength: 32 },
+    'chacha20-poly1305': { name: 'ChaCha20-Poly1305', keyLength: 32 },
+    'aes-256-cbc-hmac-sha256': { name: 'AES-256-CBC-HMAC-SHA256', keyLength: 64 }
+};
+
+// Byte lengths of the fixed-size parts before the data in an envelope payload (e.g. IV and auth tag)
+const ENVELOPE_PARTS = {
+    'aes-256-gcm': [12, 16],
+    'chacha20-poly1305': [12, 16],
+    'aes-256-cbc-hmac-sha256': [16, 32]
+};
+
+// Algorithms that authenticate additional data
+const AAD_ALGORITHMS = Object.keys(CIPHERS);
+
+// Header of passphrase-encrypted data: $kdf$params$salt$ (params as name=value pairs, salt in hex)
+const KDF_HEADER = /^\$(scrypt|pbkdf2)\$([^$]*)\$([0-9a-f]+)\$/;
+
 export class Encryptor {
     /**
      * Creates an Encryptor instance
-     * @param {string|Buffer|null} key - Encryption key (required for AES-256-GCM and XOR)
-     * @param {string} algorithm - Algorithm to use: 'aes-256-gcm', 'xor', or 'base64'
+     * @param {string|Buffer|null} key - Encryption key (required for all algorithms but Base64): 32 bytes for
+     * AES-256-GCM and ChaCha20-Poly1305, 64 bytes (AES key, then HMAC key) for AES-256-CBC-HMAC-SHA256
+     * @param {string} algorithm - Algorithm to use: 'aes-256-gcm', 'chacha20-poly1305', 'aes-256-cbc-hmac-sha256',
+     * 'xor', or 'base64'
+     * @param {Object} [options={}] - Output options
+     * @param {string} [options.format='legacy'] - 'legacy' (e.g. `iv:authTag:data` in hex) or
+     * 'envelope' (`toon-enc:v1:<algorithm>:<keyId>:<kdf>:<payload>`)
+     * @param {string|null} [options.keyId=null] - Key id written into envelopes (letters, digits, `.`, `_`, `-`)
      * @throws {Error} If key is missing for algorithms that require it
      * @throws {Error} If key is invalid for the selected algorithm
+     * @throws {Error} If the format or key id is invalid
      */
-    constructor(key = null, algorithm = 'aes-256-gcm') {
+    constructor(key = null, algorithm = 'aes-256-gcm', options = {}) {
+        const { format = 'legacy', keyId = null } = options;
         this.key = key;
         this.algorithm = algorithm.toLowerCase();
 
+        if (!VALID_FORMATS.includes(format)) {
+            throw new Error(`Unsupported format: ${format}. Valid options: ${VALID_FORMATS.join(', ')}`);
+        }
+        if (keyId !== null && (typeof keyId !== 'string' || !KEY_ID.test(keyId))) {
+            throw new Error(`Invalid key id: ${keyId}. Use 1 to 64 letters, digits, ".", "_" or "-".`);
+        }
+        this.format = format;
+        this.keyId = keyId;
+
         // Validate algorithm
-        const validAlgorithms = ['aes-256-gcm', 'xor', 'base64'];
+        const validAlgorithms = ['aes-256-gcm', 'chacha20-poly1305', 'aes-256-cbc-hmac-sha256', 'xor', 'base64'];
         if (!validAlgorithms.includes(this.algorithm)) {
             throw new Error(`Unsupported algorithm: ${this.algorithm}. Valid options: ${validAlgorithms.join(', ')}`);
         }
 
-        // Validate key for AES-256-GCM
-        if (this.algorithm === 'aes-256-gcm') {
+        // Validate key for the authenticated algorithms
+        if (CIPHERS[this.algorithm]) {
             if (!this.key) {
-                throw new Error('Key is required for AES-256-GCM encryption.');
+                throw new Error(`Key is required for ${CIPHERS[this.algorithm].name} encryption.`);
             }
-            this._validateAesKey();
+            this._validateKeyLength();
         }
     }
 
     /**
-     * Generates a random 32-byte (256-bit) key suitable for AES-256-GCM
-     * @returns {Buffer} 32-byte random key
+     * Generates a random key for an algorithm: 32 bytes (256 bits), or 64 bytes
+     * for AES-256-CBC-HMAC-SHA256
+     * @param {string} [algorithm='aes-256-gcm'] - Algorithm the key is for
+     * @returns {Buffer} Random key
      * @example
      * const key = Encryptor.generateKey();
      * console.log(key.length); // 32
+     * console.log(Encryptor.generateKey('aes-256-cbc-hmac-sha256').length); // 64
      */
-    static generateKey() {
-        return crypto.randomBytes(32);
+    static generateKey(algorithm = 'aes-256-gcm') {
+        const cipher = CIPHERS[String(algorithm).toLowerCase()];
+        return crypto.randomBytes(cipher ? cipher.keyLength : 32);
+    }
+
+    /**
+     * Creates an AES-256-GCM Encryptor whose key is derived from a passphrase.
+     *
+     * The KDF, its parameters and the salt are written in front of every
+     * ciphertext (`$scrypt$N=32768,r=8,p=1$<salt>$iv:authTag:data`), so decrypt
+     * re-derives the right key for data encrypted with any salt or parameters,
+     * as long as the passphrase is the same.
+     * @param {string|Buffer} passphrase - Passphrase (e.g. from a secrets vault)
+     * @param {Object} [options={}] - Key derivation options
+     * @param {string} [options.kdf='scrypt'] - Key derivation function: 'scrypt' or 'pbkdf2'
+     * @param {string|Buffer} [options.salt] - Salt of at least 16 bytes (default: 16 random bytes)
+     * @param {Object} [options.params] - KDF parameters: `{N, r, p}` for scrypt (default `{N: 32768, r: 8, p: 1}`),
+     * `{iterations, digest}` for PBKDF2 (default `{iterations: 600000, digest: 'sha256'}`)
+     * @param {Object} [options.maxKdfParams] - Highest KDF parameters decrypt accepts from a ciphertext header,
+     * e.g. `{N: 65536}` or `{iterations: 1000000}` (default: `params` for this KDF, the defaults for the other)
+     * @param {string} [options.format='legacy'] - Output format (see the constructor)
+     * @param {string|null} [options.keyId=null] - Key id written into envelopes
+     * @returns {Encryptor} AES-256-GCM Encryptor
+     * @throws {Error} If the passphrase, KDF, salt or parameters are invalid
+     * @example
+     * const encryptor = Encryptor.fromPassphrase(process.env.TOON_PASSPHRASE);
+     * const decrypted = Encryptor.fromPassphrase(process.env.TOON_PASSPHRASE).decrypt(encryptor.encrypt('data'));
+     */
+    static fromPassphrase(passphrase, options = {}) {
+        const { kdf = 'scrypt', salt = crypto.randomBytes(MIN_SALT_BYTES), params = {}, maxKdfParams = {}, format, keyId } = options;
+        if ((typeof passphrase !== 'string' && !Buffer.isBuffer(passphrase)) || passphrase.length === 0) {
+            throw new Error('Passphrase must be a non-empty string or Buffer.');
+        }
+
+        const saltBuffer = Buffer.isBuffer(salt) ? salt : Buffer.from(String(salt), 'utf-8');
+        if (saltBuffer.length < MIN_SALT_BYTES) {
+            throw new Error(`Salt must be at least ${MIN_SALT_BYTES} bytes. Provided salt is ${saltBuffer.length} bytes.`);
+        }
+
+        const resolved = Encryptor._resolveKdfParams(kdf, params);
+        const ceilings = Encryptor._resolveKdfCeilings(kdf, resolved, maxKdfParams);
+        const encryptor = new Encryptor(Encryptor._deriveKey(passphrase, kdf, resolved, saltBuffer), 'aes-256-gcm', { format, keyId });
+        encryptor._passphrase = passphrase;
+        encryptor._kdfCeilings = ceilings;
+        encryptor._kdfHeader = Encryptor._formatKdfHeader(kdf, resolved, saltBuffer);
+        encryptor._derivedKeys = new Map([[encryptor._kdfHeader, encryptor.key]]);
+        return encryptor;
+    }
+
+    /**
+     * Reads the fields of an envelope without decrypting it, e.g. to pick the
+     * key named by `keyId`
+     * @param {string} data - Encrypted data
+     * @returns {{version: string, algorithm: string, keyId: string|null, kdf: string|null, payload: Buffer}|null}
+     * Envelope fields (`kdf` being the key derivation header of passphrase keys), or null for legacy data
+     * @throws {Error} If the data starts like an envelope but is malformed or of an unsupported version
+     * @example
+     * const { keyId } = Encryptor.parseEnvelope(payload);
+     */
+    static parseEnvelope(data) {
+        if (typeof data !== 'string' || !data.trim().startsWith(ENVELOPE_PREFIX)) return null;
+
+        const parts = data.trim().slice(ENVELOPE_PREFIX.length).split(':');
+        if (parts[0] !== ENVELOPE_VERSION) {
+            throw new Error(`Unsupported envelope version: ${parts[0]}. Supported versions: ${ENVELOPE_VERSION}`);
+        }
+        if (parts.length !== 5 || !/^[A-Za-z0-9_-]*$/.test(parts[4])) {
+            throw new Error('Invalid envelope format. Expected format: toon-enc:v1:<algorithm>:<keyId>:<kdf>:<payload>');
+        }
+
+        const [version, algorithm, keyId, kdf, payload] = parts;
+        return {
+            version,
+            algorithm,
+            keyId: keyId || null,
+            kdf: kdf || null,
+            payload: Buffer.from(payload, 'base64url')
+        };
     }
 
     /**
      * Encrypts the provided string data
      * @param {string} data - Data to encrypt (must be a string)
-     * @returns {string} Encrypted data
+     * @param {Object} [options={}] - Encryption options
+     * @param {string|Buffer} [options.aad] - Additional authenticated data (authenticated algorithms only):
+     * not stored in the ciphertext, but decrypt fails unless it is given the same value
+     * @returns {string} Encrypted data, as an envelope when the Encryptor was created with `format: 'envelope'`
      * @throws {Error} If data is not a string
+     * @throws {Error} If `aad` is invalid or the algorithm does not support it
      * @throws {Error} If encryption fails
+     * @example
+     * const encrypted = encryptor.encrypt(toon, { aad: `tenant:${tenantId}` });
      */
-    encrypt(data) {
+    encrypt(data, options = {}) {
         if (typeof data !== 'string') {
             throw new Error('Data to encrypt must be a string.');
         }
+        const aad = this._resolveAad(options.aad);
 
+        let encrypted;
         switch (this.algorithm) {
             case 'aes-256-gcm':
-                return this._aesEncrypt(data);
+            case 'chacha20-poly1305':
+                encrypted = this._aeadEncrypt(data, aad);
+                break;
+            case 'aes-256-cbc-hmac-sha256':
+                encrypted = this._cbcHmacEncrypt(data, aad);
+                break;
             case 'xor':
-                return this._xorEncrypt(data);
+                encrypted = this._xorEncrypt(data);
+                break;
             case 'base64':
-                return Buffer.from(data, 'utf-8').toString('base64');
+                encrypted = Buffer.from(data, 'utf-8').toString('base64');
+                break;
             default:
                 throw new Error(`Unsupported algorithm: ${this.algorithm}`);
         }
+        return this.format === 'envelope' ? this._toEnvelope(encrypted) : encrypted;
     }
 
     /**
      * Decrypts the provided encrypted string data
      * @param {string} encryptedData - Data to decrypt (must be a string)
+     * @param {Object} [options={}] - Decryption options
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the data was encrypted with
      * @returns {string} Decrypted data
      * @throws {Error} If encryptedData is not a string
-     * @throws {Error} If decryption fails
+     * @throws {Error} If `aad` is invalid or the algorithm does not support it
+     * @throws {Error} If decryption fails (including when `aad` does not match)
      */
-    decrypt(encryptedData) {
+    decrypt(encryptedData, options = {}) {
         if (typeof encryptedData !== 'string') {
             throw new Error('Data to decrypt must be a string.');
         }
+        const aad = this._resolveAad(options.aad);
+
+        const envelope = Encryptor.parseEnvelope(encryptedData);
+        if (envelope) {
+            encryptedData = this._fromEnvelope(envelope);
+        }
 
         switch (this.algorithm) {
             case 'aes-256-gcm':
-                return this._aesDecrypt(encryptedData);
+            case 'chacha20-poly1305':
+                return this._aeadDecrypt(encryptedData, aad);
+            case 'aes-256-cbc-hmac-sha256':
+                return this._cbcHmacDecrypt(encryptedData, aad);
             case 'xor':
                 return this._xorDecrypt(encryptedData);
             case 'base64':
@@ -102,83 +288,414 @@ export class Encryptor {
     }
 
     /**
-     * Validates the AES key length (must be 32 bytes for AES-256)
+     * Checks the additional authenticated data given to encrypt or decrypt
      * @private
-     * @throws {Error} If key is not 32 bytes
+     * @param {string|Buffer|undefined|null} aad
+     * @returns {Buffer|null} AAD as bytes (strings in UTF-8), or null if none was given
+     * @throws {Error} If aad is not a string or Buffer, or the algorithm does not authenticate it
      */
-    _validateAesKey() {
+    _resolveAad(aad) {
+        if (aad === undefined || aad === null) return null;
+        if (typeof aad !== 'string' && !Buffer.isBuffer(aad)) {
+            throw new Error('AAD must be a string or Buffer.');
+        }
+        // Ignoring it would leave the caller believing the ciphertext is bound to a context
+        if (!AAD_ALGORITHMS.includes(this.algorithm)) {
+            throw new Error(`AAD is not supported by ${this.algorithm}. Algorithms supporting AAD: ${AAD_ALGORITHMS.join(', ')}`);
+        }
+        return Buffer.isBuffer(aad) ? aad : Buffer.from(aad, 'utf-8');
+    }
+
+    /**
+     * Creates a copy of this Encryptor with other output options, sharing its
+     * key (and, for passphrase keys, the passphrase and derived keys)
+     * @private
+     * @param {Object} options - `format` and `keyId` (see the constructor)
+     * @returns {Encryptor}
+     */
+    _withOutput(options) {
+        const { format = this.format, keyId = this.keyId } = options;
+        const copy = new Encryptor(this.key, this.algorithm, { format, keyId });
+        if (this._passphrase) {
+            copy._passphrase = this._passphrase;
+            copy._kdfCeilings = this._kdfCeilings;
+            copy._kdfHeader = this._kdfHeader;
+            copy._derivedKeys = this._derivedKeys;
+        }
+        return copy;
+    }
+
+    /**
+     * Wraps data in the legacy format of this Encryptor's algorithm into an envelope
+     * @private
+     * @param {string} encrypted - Output of the algorithm in its legacy format
+     * @returns {string} `toon-enc:v1:<algorithm>:<keyId>:<kdf>:<payload>`
+     */
+    _toEnvelope(encrypted) {
+        let kdf = '';
+        let payload;
+        const header = encrypted.match(KDF_HEADER);
+        if (header) {
+            kdf = header[0].slice(1, -1);
+            encrypted = encrypted.slice(header[0].length);
+        }
+
+        if (ENVELOPE_PARTS[this.algorithm]) {
+            payload = Buffer.concat(encrypted.split(':').map(part => Buffer.from(part, 'hex')));
+        } else if (this.algorithm === 'xor') {
+            payload = Buffer.from(encrypted, 'hex');
+        } else {
+            payload = Buffer.from(encrypted, 'base64');
+        }
+        return `${ENVELOPE_PREFIX}${ENVELOPE_VERSION}:${this.algorithm}:${this.keyId || ''}:${kdf}:${payload.toString('base64url')}`;
+    }
+
+    /**
+     * Unwraps an envelope into the legacy format of its algorithm, after
+     * checking that it was made for this Encryptor's algorithm and key
+     * @private
+     * @param {Object} envelope - Fields returned by parseEnvelope
+     * @returns {string} Data in the legacy format
+     * @throws {Error} If the envelope names another algorithm or key id
+     */
+    _fromEnvelope(envelope) {
+        const { algorithm, keyId, kdf, payload } = envelope;
+        // Never let the data pick the algorithm: that would allow downgrades to xor or base64
+        if (algorithm !== this.algorithm) {
+            throw new Error(`Envelope was encrypted with ${algorithm}, but this Encryptor uses ${this.algorithm}.`);
+        }
+        if (keyId !== null && this.keyId !== null && keyId !== this.keyId) {
+            throw new Error(`Envelope was encrypted with key "${keyId}", but this Encryptor has key "${this.keyId}".`);
+        }
+
+        const parts = ENVELOPE_PARTS[algorithm];
+        if (parts) {
+            const fixed = parts.reduce((sum, length) => sum + length, 0);
+            if (payload.length < fixed) {
+                throw new Error('Invalid envelope payload: too short.');
+            }
+            let offset = 0;
+            const fields = parts.map(length => payload.subarray(offset, offset += length).toString('hex'));
+            return `${kdf ? `$${kdf}$` : ''}${[...fields, payload.subarray(offset).toString('hex')].join(':')}`;
+        }
+        return algorithm === 'xor' ? payload.toString('hex') : payload.toString('base64');
+    }
+
+    /**
+     * Validates the key length of an authenticated algorithm
+     * @private
+     * @throws {Error} If the key is not 32 bytes (64 bytes for AES-256-CBC-HMAC-SHA256)
+     */
+    _validateKeyLength() {
+        const { name, keyLength } = CIPHERS[this.algorithm];
         const keyBuffer = Buffer.isBuffer(this.key) ? this.key : Buffer.from(this.key);
-        if (keyBuffer.length !== 32) {
-            throw new Error(`AES-256-GCM requires a 32-byte (256-bit) key. Provided key is ${keyBuffer.length} bytes.`);
+        if (keyBuffer.length !== keyLength) {
+            const layout = this.algorithm === 'aes-256-cbc-hmac-sha256' ? ': a 32-byte AES key followed by a 32-byte HMAC key' : '';
+            const hint = this.algorithm === 'aes-256-gcm'
+                ? 'Use Encryptor.fromPassphrase to derive a key from a passphrase.'
+                : `Use Encryptor.generateKey('${this.algorithm}') to create one.`;
+            throw new Error(`${name} requires a ${keyLength}-byte (${keyLength * 8}-bit) key${layout}. Provided key is ${keyBuffer.length} bytes. ${hint}`);
+        }
+    }
+
+    /**
+     * Fills in and checks the parameters of a key derivation function.
+     * Limits also apply to parameters read from a ciphertext header, so
+     * crafted data cannot make decrypt run an arbitrarily expensive derivation.
+     * @private
+     * @param {string} kdf - 'scrypt' or 'pbkdf2'
+     * @param {Object} params - Parameters given (missing ones take their default)
+     * @returns {Object} Complete parameters
+     * @throws {Error} If the KDF is unknown or a parameter is out of range
+     */
+    static _resolveKdfParams(kdf, params) {
+        const spec = Object.prototype.hasOwnProperty.call(KDFS, kdf) ? KDFS[kdf] : null;
+        if (!spec) {
+            throw new Error(`Unsupported KDF: ${kdf}. Valid options: ${Object.keys(KDFS).join(', ')}`);
+        }
+
+        const resolved = { ...spec.defaults };
+        for (const [name, value] of Object.entries(params || {})) {
+            if (!(name in spec.defaults)) {
+                throw new Error(`Unknown ${kdf} parameter: ${name}. Valid parameters: ${Object.keys(spec.defaults).join(', ')}`);
+            }
+            resolved[name] = value;
+        }
+
+        for (const [name, [min, max]] of Object.entries(spec.limits)) {
+            const value = resolved[name];
+            if (!Number.isInteger(value) || value < min || value > max) {
+                throw new Error(`Invalid ${kdf} parameter ${name}: ${value}. Expected an integer from ${min} to ${max}.`);
+            }
+        }
+        if (kdf === 'scrypt' && (resolved.N & (resolved.N - 1)) !== 0) {
+            throw new Error(`Invalid scrypt parameter N: ${resolved.N}. Expected a power of two.`);
+        }
+        if (kdf === 'scrypt' && 128 * resolved.N * resolved.r > MAX_SCRYPT_MEMORY) {
+            throw new Error(`Invalid scrypt parameters: N=${resolved.N}, r=${resolved.r} would use more than ${MAX_SCRYPT_MEMORY / 1048576} MiB of memory.`);
+        }
+        if (spec.digests && !spec.digests.includes(resolved.digest)) {
+            throw new Error(`Unsupported ${kdf} digest: ${resolved.digest}. Valid options: ${spec.digests.join(', ')}`);
         }
+        return resolved;
     }
 
     /**
-     * Encrypts text using AES-256-GCM
+     * Works out the highest parameters of each KDF that decrypt accepts from a
+     * ciphertext header: the Encryptor's own parameters for its KDF and the
+     * defaults for the other, each overridden by `maxKdfParams`.
+     * @private
+     * @param {string} kdf - KDF of the Encryptor
+     * @param {Object} params - Its complete parameters
+     * @param {Object} maxKdfParams - Ceilings by parameter name (`N`, `r`, `p`, `iterations`)
+     * @returns {Object<string, Object<string, number>>} Ceilings by KDF and parameter name
+     * @throws {Error} If a ceiling is not a positive integer or names an unknown parameter
+     */
+    static _resolveKdfCeilings(kdf, params, maxKdfParams) {
+        if (maxKdfParams === null || typeof maxKdfParams !== 'object' || Array.isArray(maxKdfParams)) {
+            throw new Error('Invalid maxKdfParams: expected an object such as { N: 65536 } or { iterations: 1000000 }.');
+        }
+        const names = Object.values(KDFS).flatMap(spec => Object.keys(spec.limits));
+        for (const [name, value] of Object.entries(maxKdfParams)) {
+            if (!names.includes(name)) {
+                throw new Error(`Unknown maxKdfParams parameter: ${name}. Valid parameters: ${names.join(', ')}`);
+            }
+            if (!Number.isInteger(value) || value < 1) {
+                throw new Error(`Invalid maxKdfParams parameter ${name}: ${value}. Expected a positive integer.`);
+            }
+        }
+
+        const ceilings = {};
+        for (const [name, spec] of Object.entries(KDFS)) {
+            const base = name === kdf ? params : spec.defaults;
+            ceilings[name] = {};
+            for (const param of Object.keys(spec.limits)) {
+                ceilings[name][param] = maxKdfParams[param] ?? base[param];
+            }
+        }
+        return ceilings;
+    }
+
+    /**
+     * Derives a 32-byte key from a passphrase
+     * @private
+     * @param {string|Buffer} passphrase
+     * @param {string} kdf - 'scrypt' or 'pbkdf2'
+     * @param {Object} params - Complete KDF parameters (see _resolveKdfParams)
+     * @param {Buffer} salt
+     * @returns {Buffer} 32-byte key
+     */
+    static _deriveKey(passphrase, kdf, params, salt) {
+        if (kdf === 'scrypt') {
+            const { N, r, p } = params;
+            return crypto.scryptSync(passphrase, salt, 32, { N, r, p, maxmem: 256 * N * r });
+        }
+        return crypto.pbkdf2Sync(passphrase, salt, params.iterations, 32, params.digest);
+    }
+
+    /**
+     * Formats the header written in front of passphrase-encrypted data
+     * @private
+     * @param {string} kdf
+     * @param {Object} params - Complete KDF parameters
+     * @param {Buffer} salt
+     * @returns {string} Header, e.g. `$scrypt$N=32768,r=8,p=1$<salt hex>$`
+     */
+    static _formatKdfHeader(kdf, params, salt) {
+        const list = Object.entries(params).map(([name, value]) => `${name}=${value}`).join(',');
+        return `$${kdf}$${list}$${salt.toString('hex')}$`;
+    }
+
+    /**
+     * Finds the key for encrypted data, re-deriving it from the passphrase when the
+     * data was encrypted with another salt or other KDF parameters
+     * @private
+     * @param {string} encryptedText - Encrypted text, with or without a KDF header
+     * @returns {{key: Buffer|string, payload: string}} Key to use and the data without its header
+     * @throws {Error} If the header is invalid or the data needs a passphrase this Encryptor does not have
+     */
+    _resolveKey(encryptedText) {
+        const match = encryptedText.match(KDF_HEADER);
+        if (!match) {
+            if (encryptedText.startsWith('$')) {
+                throw new Error('Invalid key derivation header.');
+            }
+            return { key: this.key, payload: encryptedText };
+        }
+
+        const [header, kdf, list, saltHex] = match;
+        const payload = encryptedText.slice(header.length);
+        if (!this._passphrase) {
+            throw new Error('Data was encrypted with a passphrase. Use Encryptor.fromPassphrase to decrypt it.');
+        }
+        if (!this._derivedKeys.has(header)) {
+            const params = {};
+            for (const pair of list.split(',').filter(Boolean)) {
+                const [name, value] = pair.split('=');
+                params[name] = /^\d+$/.test(value) ? Number(value) : value;
+            }
+            const salt = Buffer.from(saltHex, 'hex');
+            if (salt.length < MIN_SALT_BYTES) {
+                throw new Error('Invalid key derivation header: salt is too short.');
+            }
+            const resolved = Encryptor._resolveKdfParams(kdf, params);
+            // The header is untrusted: never derive with more work than this Encryptor was set up to accept
+            for (const [name, ceiling] of Object.entries(this._kdfCeilings[kdf])) {
+                if (resolved[name] > ceiling) {
+                    throw new Error(`Key derivation header asks for ${kdf} ${name}=${resolved[name]}, above the allowed ${ceiling}. Pass maxKdfParams to Encryptor.fromPassphrase to accept it.`);
+                }
+            }
+            this._derivedKeys.set(header, Encryptor._deriveKey(this._passphrase, kdf, resolved, salt));
+        }
+        return { key: this._derivedKeys.get(header), payload };
+    }
+
+    /**
+     * Encrypts text using AES-256-GCM or ChaCha20-Poly1305
      * @private
      * @param {string} text - Text to encrypt
+     * @param {Buffer|null} [aad=null] - Additional authenticated data
      * @returns {string} Encrypted text in format: iv:authTag:encryptedData (all hex)
      * @throws {Error} If encryption fails
      */
-    _aesEncrypt(text) {
+    _aeadEncrypt(text, aad = null) {
         try {
-            // Generate random 12-byte IV (96 bits, recommended for GCM)
+            // Generate random 12-byte IV (96 bits, the nonce size of both ciphers)
             const iv = crypto.randomBytes(12);
 
             // Ensure key is a Buffer
             const keyBuffer = Buffer.isBuffer(this.key) ? this.key : Buffer.from(this.key);
 
             // Create cipher
-            const cipher = crypto.createCipheriv('aes-256-gcm', keyBuffer, iv);
+            const cipher = crypto.createCipheriv(this.algorithm, keyBuffer, iv, { authTagLength: 16 });
+            if (aad) cipher.setAAD(aad);
 
             // Encrypt
             let encrypted = cipher.update(text, 'utf-8', 'hex');
             encrypted += cipher.final('hex');
 
-            // Get authentication tag (16 bytes for GCM)
+            // Get authentication tag (16 bytes)
             const authTag = cipher.getAuthTag();
 
-            // Return format: iv:authTag:encryptedData (all in hex)
-            return `${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
+            // Return format: iv:authTag:encryptedData (all in hex), after the KDF header for passphrase keys
+            return `${this._kdfHeader || ''}${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
         } catch (error) {
-            throw new Error(`AES-256-GCM encryption failed: ${error.message}`);
+            throw new Error(`${CIPHERS[this.algorithm].name} encryption failed: ${error.message}`);
         }
     }
 
     /**
-     * Decrypts text using AES-256-GCM
+     * Decrypts text using AES-256-GCM or ChaCha20-Poly1305
      * @private
      * @param {string} encryptedText - Encrypted text in format: iv:authTag:encryptedData
+     * (optionally after a KDF header, see fromPassphrase)
+     * @param {Buffer|null} [aad=null] - Additional authenticated data
      * @returns {string} Decrypted text
      * @throws {Error} If decryption fails or authentication fails
      */
-    _aesDecrypt(encryptedText) {
+    _aeadDecrypt(encryptedText, aad = null) {
         try {
-            // Split the encrypted text
-            const parts = encryptedText.split(':');
-            if (parts.length !== 3) {
-                throw new Error('Invalid encrypted data format. Expected format: iv:authTag:encryptedData');
-            }
-
-            const iv = Buffer.from(parts[0], 'hex');
-            const authTag = Buffer.from(parts[1], 'hex');
-            const encrypted = parts[2];
-
-            // Ensure key is a Buffer
-            const keyBuffer = Buffer.isBuffer(this.key) ? this.key : Buffer.from(this.key);
+            const { key, iv, tag, encrypted } = this._splitCiphertext(encryptedText);
 
             // Create decipher
-            const decipher = crypto.createDecipheriv('aes-256-gcm', keyBuffer, iv);
-            decipher.setAuthTag(authTag);
+            const decipher = crypto.createDecipheriv(this.algorithm, key, iv, { authTagLength: 16 });
+            decipher.setAuthTag(tag);
+            if (aad) decipher.setAAD(aad);
 
             // Decrypt
-            let decrypted = decipher.update(encrypted, 'hex', 'utf-8');
+            let decrypted = decipher.update(encrypted, undefined, 'utf-8');
             decrypted += decipher.final('utf-8');
 
             return decrypted;
         } catch (error) {
-            throw new Error(`AES-256-GCM decryption failed: ${error.message}`);
+            throw new Error(`${CIPHERS[this.algorithm].name} decryption failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Encrypts text using AES-256-CBC, then authenticates the result with HMAC-SHA256
+     * @private
+     * @param {string} text - Text to encrypt
+     * @param {Buffer|null} [aad=null] - Additional authenticated data
+     * @returns {string} Encrypted text in format: iv:mac:encryptedData (all hex)
+     * @throws {Error} If encryption fails
+     */
+    _cbcHmacEncrypt(text, aad = null) {
+        try {
+            const keyBuffer = Buffer.isBuffer(this.key) ? this.key : Buffer.from(this.key);
+            const iv = crypto.randomBytes(16);
+
+            // PKCS#7 padding (PKCS5Padding in Java)
+            const cipher = crypto.createCipheriv('aes-256-cbc', keyBuffer.subarray(0, 32), iv);
+            const encrypted = Buffer.concat([cipher.update(text, 'utf-8'), cipher.final()]);
+            const mac = Encryptor._cbcHmacTag(keyBuffer.subarray(32), iv, encrypted, aad);
+
+            return `${this._kdfHeader || ''}${iv.toString('hex')}:${mac.toString('hex')}:${encrypted.toString('hex')}`;
+        } catch (error) {
+            throw new Error(`AES-256-CBC-HMAC-SHA256 encryption failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Checks the HMAC of AES-256-CBC data, then decrypts it
+     * @private
+     * @param {string} encryptedText - Encrypted text in format: iv:mac:encryptedData
+     * @param {Buffer|null} [aad=null] - Additional authenticated data
+     * @returns {string} Decrypted text
+     * @throws {Error} If the MAC does not match (wrong key, wrong AAD or tampered data) or decryption fails
+     */
+    _cbcHmacDecrypt(encryptedText, aad = null) {
+        try {
+            const { key, iv, tag, encrypted } = this._splitCiphertext(encryptedText);
+
+            // Verify before decrypting, so altered data never reaches the padding check
+            const expected = Encryptor._cbcHmacTag(key.subarray(32), iv, encrypted, aad);
+            if (tag.length !== expected.length || !crypto.timingSafeEqual(tag, expected)) {
+                throw new Error('unable to authenticate data');
+            }
+
+            const decipher = crypto.createDecipheriv('aes-256-cbc', key.subarray(0, 32), iv);
+            return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf-8');
+        } catch (error) {
+            throw new Error(`AES-256-CBC-HMAC-SHA256 decryption failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Computes the 32-byte HMAC-SHA256 tag of AES-256-CBC data, keyed with the
+     * second half of the key: HMAC(aad || iv || ciphertext || bit length of aad as 64-bit big-endian)
+     * @private
+     * @param {Buffer} macKey - 32-byte HMAC key
+     * @param {Buffer} iv
+     * @param {Buffer} encrypted - Ciphertext
+     * @param {Buffer|null} aad
+     * @returns {Buffer} 32-byte tag
+     */
+    static _cbcHmacTag(macKey, iv, encrypted, aad) {
+        const aadBuffer = aad || Buffer.alloc(0);
+        const aadBits = Buffer.alloc(8);
+        aadBits.writeBigUInt64BE(BigInt(aadBuffer.length) * 8n);
+        return crypto.createHmac('sha256', macKey).update(aadBuffer).update(iv).update(encrypted).update(aadBits).digest();
+    }
+
+    /**
+     * Splits data of the authenticated algorithms into its parts
+     * @private
+     * @param {string} encryptedText - `iv:tag:encryptedData` in hex (optionally after a KDF header)
+     * @returns {{key: Buffer, iv: Buffer, tag: Buffer, encrypted: Buffer}}
+     * @throws {Error} If the data is not in that format
+     */
+    _splitCiphertext(encryptedText) {
+        // Surrounding whitespace (e.g. the newline of piped input) is not part of the data
+        const { key, payload } = this._resolveKey(encryptedText.trim());
+
+        const parts = payload.split(':');
+        if (parts.length !== 3) {
+            throw new Error('Invalid encrypted data format. Expected format: iv:authTag:encryptedData');
         }
+
+        const [iv, tag, encrypted] = parts.map(part => Buffer.from(part, 'hex'));
+        return { key: Buffer.isBuffer(key) ? key : Buffer.from(key), iv, tag, encrypted };
     }
 
     /**
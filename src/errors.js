@@ -0,0 +1,155 @@
+/**
+ * TOON Error Types
+ */
+
+/**
+ * Machine-readable codes carried by ToonSyntaxError
+ */
+export const TOON_ERROR_CODES = Object.freeze({
+    INVALID_INPUT: 'INVALID_INPUT',
+    ARRAY_SIZE_MISMATCH: 'ARRAY_SIZE_MISMATCH',
+    MISSING_ARRAY_ITEMS: 'MISSING_ARRAY_ITEMS',
+    BAD_INDENT: 'BAD_INDENT',
+    TABULAR_ROW_COLON: 'TABULAR_ROW_COLON',
+    LIST_ITEM_OUTSIDE_ARRAY: 'LIST_ITEM_OUTSIDE_ARRAY',
+    INVALID_KEY_VALUE: 'INVALID_KEY_VALUE',
+    UNRECOGNIZED_SYNTAX: 'UNRECOGNIZED_SYNTAX',
+    PATH_EXPANSION_CONFLICT: 'PATH_EXPANSION_CONFLICT'
+});
+
+/**
+ * Codes for validator warnings: documents that parse but look suspicious
+ */
+export const TOON_WARNING_CODES = Object.freeze({
+    INCONSISTENT_INDENT: 'INCONSISTENT_INDENT',
+    TRAILING_DELIMITER: 'TRAILING_DELIMITER',
+    ROW_WIDTH_MISMATCH: 'ROW_WIDTH_MISMATCH'
+});
+
+/**
+ * Error raised when a TOON document is syntactically or structurally invalid.
+ *
+ * The message keeps the legacy `Invalid TOON: L12: ...` form, while the
+ * location and cause are also exposed as fields for programmatic use.
+ *
+ * @example
+ * try {
+ *     toonToJsonSync('items[3]: 1, 2');
+ * } catch (err) {
+ *     if (err instanceof ToonSyntaxError) {
+ *         console.log(err.code, err.line, err.column); // ARRAY_SIZE_MISMATCH 1 6
+ *         console.log(err.snippet);
+ *     }
+ * }
+ */
+export class ToonSyntaxError extends Error {
+    /**
+     * Creates a ToonSyntaxError
+     * @param {string} reason - Description of the problem (as reported by the validator)
+     * @param {Object} [details={}] - Error location and classification
+     * @param {string} [details.code='UNRECOGNIZED_SYNTAX'] - One of TOON_ERROR_CODES
+     * @param {number|null} [details.line=null] - 1-based line number
+     * @param {number|null} [details.column=null] - 1-based column number
+     * @param {string|null} [details.sourceLine=null] - The offending source line
+     */
+    constructor(reason, details = {}) {
+        super(`Invalid TOON: ${reason}`);
+        const {
+            code = TOON_ERROR_CODES.UNRECOGNIZED_SYNTAX,
+            line = null,
+            column = null,
+            sourceLine = null
+        } = details;
+
+        this.name = 'ToonSyntaxError';
+        this.reason = reason;
+        this.code = code;
+        this.line = line;
+        this.column = line !== null && column === null ? 1 : column;
+        this.sourceLine = sourceLine;
+        this.snippet = ToonSyntaxError._buildSnippet(this.line, this.column, sourceLine);
+    }
+
+    /**
+     * Builds a two-line snippet with a caret under the offending column
+     * @private
+     * @param {number|null} line
+     * @param {number|null} column
+     * @param {string|null} sourceLine
+     * @returns {string|null} Snippet, or null if the location is unknown
+     */
+    static _buildSnippet(line, column, sourceLine) {
+        if (line === null || sourceLine === null) return null;
+
+        const gutter = String(line);
+        const caretPad = ' '.repeat(Math.max(column - 1, 0));
+        return `${gutter} | ${sourceLine}\n${' '.repeat(gutter.length)} | ${caretPad}^`;
+    }
+
+    /**
+     * Serializable representation (used by JSON.stringify)
+     * @returns {Object} Plain object with all error fields
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            message: this.message,
+            reason: this.reason,
+            code: this.code,
+            line: this.line,
+            column: this.column,
+            sourceLine: this.sourceLine,
+            snippet: this.snippet
+        };
+    }
+}
+
+/**
+ * Formats a value path as a JSON Pointer (`/users/0/zip`, '' for the root)
+ * @param {Array<string|number>} path
+ * @returns {string}
+ */
+function toPointer(path) {
+    return path.map(seg => '/' + String(seg).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
+
+/**
+ * Error raised when decoded data does not match the JSON Schema it was read with.
+ *
+ * Every violation is listed in `errors` with the path of the offending value,
+ * so all problems in an LLM response can be reported at once.
+ *
+ * @example
+ * try {
+ *     toonToJsonSync('user:\n  age: old', { schema });
+ * } catch (err) {
+ *     if (err instanceof ToonSchemaError) {
+ *         console.log(err.errors); // [{ path: ['user', 'age'], pointer: '/user/age', keyword: 'type', message: 'expected integer, got string' }]
+ *     }
+ * }
+ */
+export class ToonSchemaError extends Error {
+    /**
+     * Creates a ToonSchemaError
+     * @param {Array<{path: Array<string|number>, keyword: string, message: string}>} errors - Violations found
+     */
+    constructor(errors) {
+        const list = errors.map(e => ({ ...e, pointer: toPointer(e.path) }));
+        const [first] = list;
+        const more = list.length > 1 ? ` (and ${list.length - 1} more)` : '';
+        super(`Schema validation failed: ${first.pointer || '(root)'}: ${first.message}${more}`);
+
+        this.name = 'ToonSchemaError';
+        this.errors = list;
+    }
+
+    /**
+     * Serializable representation (used by JSON.stringify)
+     * @returns {Object} Plain object with all error fields
+     */
+    toJSON() {
+        return { name: this.name, message: this.message, errors: this.errors };
+    }
+}
+
+export default ToonSyntaxError;
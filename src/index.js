@@ -9,16 +9,26 @@
  * @module toon-formatter
  */
 
-import { jsonToToonSync, jsonToToon, toonToJsonSync, toonToJson } from './json.js';
+import {
+    jsonToToonSync, jsonToToon, jsonToToonStream, toonToJsonSync, toonToJson,
+    ToonStreamParser, parseToonStream, parsePartialToonSync, parsePartialToon,
+    repairToonSync, repairToon, canonicalizeToonSync, canonicalizeToon
+} from './json.js';
 import { yamlToToonSync, yamlToToon, toonToYamlSync, toonToYaml } from './yaml.js';
 import { xmlToToonSync, xmlToToon, toonToXmlSync, toonToXml } from './xml.js';
 import { csvToToonSync, csvToToon, toonToCsvSync, toonToCsv } from './csv.js';
 import { validateToonString, validateToonStringSync } from './validator.js';
+import { ToonSyntaxError, ToonSchemaError, TOON_ERROR_CODES, TOON_WARNING_CODES } from './errors.js';
+import { repairToonText, TOON_FIX_CODES } from './repair.js';
+import { estimateTokens, compareFormats, optimizeFormat } from './tokens.js';
+import { schemaToToonTemplate, parseToonReply } from './prompt.js';
 import {
     encodeXmlReservedChars,
     splitByDelimiter,
     parseValue,
     formatValue,
+    resolveDelimiter,
+    isSafeUnquoted,
     extractJsonFromString,
     extractXmlFromString,
     extractCsvFromString,
@@ -26,6 +36,7 @@ import {
     dataManagerAsync
 } from './utils.js';
 import { Encryptor } from './encryptor.js';
+import { KeyRing } from './keyring.js';
 import { JsonConverter } from './json_formatter/index.js';
 import { YamlConverter } from './yaml_formatter/index.js';
 import { XmlConverter } from './xml_formatter/index.js';
@@ -33,14 +44,22 @@ import { CsvConverter } from './csv_formatter/index.js';
 
 // Exports
 export {
-    jsonToToonSync, jsonToToon, toonToJsonSync, toonToJson,
+    jsonToToonSync, jsonToToon, jsonToToonStream, toonToJsonSync, toonToJson,
+    ToonStreamParser, parseToonStream, parsePartialToonSync, parsePartialToon,
     yamlToToonSync, yamlToToon, toonToYamlSync, toonToYaml,
     xmlToToonSync, xmlToToon, toonToXmlSync, toonToXml,
     csvToToonSync, csvToToon, toonToCsvSync, toonToCsv,
     validateToonString, validateToonStringSync,
+    ToonSyntaxError, ToonSchemaError, TOON_ERROR_CODES, TOON_WARNING_CODES,
+    repairToonSync, repairToon, repairToonText, TOON_FIX_CODES,
+    canonicalizeToonSync, canonicalizeToon,
+    estimateTokens, compareFormats, optimizeFormat,
+    schemaToToonTemplate, parseToonReply,
     encodeXmlReservedChars, splitByDelimiter, parseValue, formatValue,
+    resolveDelimiter, isSafeUnquoted,
     extractJsonFromString, extractXmlFromString, extractCsvFromString,
     Encryptor,
+    KeyRing,
     JsonConverter,
     YamlConverter,
     XmlConverter,
@@ -66,7 +85,7 @@ export {
 export class ToonConverter {
     /**
      * Creates a ToonConverter instance
-     * @param {Encryptor|null} [encryptor=null] - Optional Encryptor instance for encryption support
+     * @param {Encryptor|KeyRing|null} [encryptor=null] - Optional Encryptor (or KeyRing) for encryption support
      * @example
      * // Without encryption
      * const converter = new ToonConverter();
@@ -91,9 +110,10 @@ export class ToonConverter {
      * @param {Function} converterFn - The converter function to call
      * @param {*} data - Data to convert
      * @param {string} mode - Conversion mode: 'no_encryption', 'middleware', 'ingestion', 'export'
+     * @param {Object} [cryptoOptions={}] - Options passed to encrypt and decrypt (`aad`)
      * @returns {*} Converted (and possibly encrypted) data
      */
-    _convertWithEncryption(converterFn, data, mode) {
+    _convertWithEncryption(converterFn, data, mode, cryptoOptions = {}) {
         // If no encryptor or mode is 'no_encryption', just convert normally
         if (!this.encryptor || mode === 'no_encryption') {
             return converterFn(data);
@@ -102,19 +122,19 @@ export class ToonConverter {
         switch (mode) {
             case 'middleware':
                 // Encrypted → Encrypted (Decrypt → Convert → Re-encrypt)
-                const decrypted = this.encryptor.decrypt(data);
+                const decrypted = this.encryptor.decrypt(data, cryptoOptions);
                 const converted = converterFn(decrypted);
-                return this.encryptor.encrypt(converted);
+                return this.encryptor.encrypt(converted, cryptoOptions);
 
             case 'ingestion':
                 // Encrypted → Plain (Decrypt → Convert)
-                const decryptedData = this.encryptor.decrypt(data);
+                const decryptedData = this.encryptor.decrypt(data, cryptoOptions);
                 return converterFn(decryptedData);
 
             case 'export':
                 // Plain → Encrypted (Convert → Encrypt)
                 const plainConverted = converterFn(data);
-                return this.encryptor.encrypt(plainConverted);
+                return this.encryptor.encrypt(plainConverted, cryptoOptions);
 
             default:
                 return converterFn(data);
@@ -127,9 +147,10 @@ export class ToonConverter {
      * @param {Function} converterFn - The async converter function to call
      * @param {*} data - Data to convert
      * @param {string} mode - Conversion mode: 'no_encryption', 'middleware', 'ingestion', 'export'
+     * @param {Object} [cryptoOptions={}] - Options passed to encrypt and decrypt (`aad`)
      * @returns {Promise<*>} Converted (and possibly encrypted) data
      */
-    async _convertWithEncryptionAsync(converterFn, data, mode) {
+    async _convertWithEncryptionAsync(converterFn, data, mode, cryptoOptions = {}) {
         // If no encryptor or mode is 'no_encryption', just convert normally
         if (!this.encryptor || mode === 'no_encryption') {
             return await converterFn(data);
@@ -138,19 +159,19 @@ export class ToonConverter {
         switch (mode) {
             case 'middleware':
                 // Encrypted → Encrypted (Decrypt → Convert → Re-encrypt)
-                const decrypted = this.encryptor.decrypt(data);
+                const decrypted = this.encryptor.decrypt(data, cryptoOptions);
                 const converted = await converterFn(decrypted);
-                return this.encryptor.encrypt(converted);
+                return this.encryptor.encrypt(converted, cryptoOptions);
 
             case 'ingestion':
                 // Encrypted → Plain (Decrypt → Convert)
-                const decryptedData = this.encryptor.decrypt(data);
+                const decryptedData = this.encryptor.decrypt(data, cryptoOptions);
                 return await converterFn(decryptedData);
 
             case 'export':
                 // Plain → Encrypted (Convert → Encrypt)
                 const plainConverted = await converterFn(data);
-                return this.encryptor.encrypt(plainConverted);
+                return this.encryptor.encrypt(plainConverted, cryptoOptions);
 
             default:
                 return await converterFn(data);
@@ -166,25 +187,45 @@ export class ToonConverter {
      * @param {*} jsonData - JSON data (object, array, or primitive)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode: 'no_encryption', 'middleware', 'ingestion', 'export'
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {number} [options.indent=2] - Spaces per indentation level
+     * @param {string} [options.delimiter=','] - Array delimiter: ',', '\t' or '|'
+     * @param {string} [options.quoting='always'] - String quoting policy: 'always' or 'minimal'
+     * @param {boolean} [options.typed=false] - Write BigInt, Date, NaN, ±Infinity and -0 as typed literals
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, called like the JSON.stringify replacer
+     * @param {Object} [options.schema] - JSON Schema: object keys and tabular columns follow its property order
+     * @param {Object} [options.comments] - `# comments` to write, keyed by path (`'user.email'`)
      * @returns {string} TOON formatted string (possibly encrypted)
      */
     fromJson(jsonData, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...encodeOptions } = options;
         const optimizedConverterFn = dataManager(jsonToToonSync, extractJsonFromString);
-        return this._convertWithEncryption(optimizedConverterFn, jsonData, conversionMode);
+        return this._convertWithEncryption(
+            (data) => optimizedConverterFn(data, encodeOptions),
+            jsonData,
+            conversionMode,
+            { aad }
+        );
     }
 
     /**
      * Convert JSON to TOON (Async, Instance Method)
      * @param {*} jsonData - JSON data
-     * @param {Object} [options={}] - Conversion options
+     * @param {Object} [options={}] - Conversion options (encoder options as in fromJson)
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {Promise<string>} TOON formatted string (possibly encrypted)
      */
     async fromJsonAsync(jsonData, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...encodeOptions } = options;
         const optimizedConverterFn = dataManagerAsync(jsonToToon, extractJsonFromString);
-        return this._convertWithEncryptionAsync(optimizedConverterFn, jsonData, conversionMode);
+        return this._convertWithEncryptionAsync(
+            (data) => optimizedConverterFn(data, encodeOptions),
+            jsonData,
+            conversionMode,
+            { aad }
+        );
     }
 
     /**
@@ -192,15 +233,23 @@ export class ToonConverter {
      * @param {string} toonString - TOON formatted string (possibly encrypted)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
      * @param {boolean} [options.returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {boolean} [options.expandPaths=false] - Expand dotted keys into nested objects
+     * @param {boolean} [options.typed=false] - Decode typed literals (`123n`, `date("...")`, `NaN`, `Infinity`)
+     * @param {string} [options.largeIntegers='number'] - Integers beyond Number.MAX_SAFE_INTEGER: 'number', 'bigint' or 'string'
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, called like the JSON.parse reviver
+     * @param {Object} [options.schema] - JSON Schema: values are read as the types it declares and validated against it
      * @returns {*} Parsed JSON data (object or string)
+     * @throws {ToonSchemaError} If the decoded data does not match the schema
      */
     toJson(toonString, options = {}) {
-        const { conversionMode = 'no_encryption', returnJson = false } = options;
+        const { conversionMode = 'no_encryption', aad, ...decodeOptions } = options;
         return this._convertWithEncryption(
-            (data) => toonToJsonSync(data, returnJson),
+            (data) => toonToJsonSync(data, decodeOptions),
             toonString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -209,15 +258,18 @@ export class ToonConverter {
      * @param {string} toonString - TOON formatted string (possibly encrypted)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
      * @param {boolean} [options.returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
      * @returns {Promise<*>} Parsed JSON data (object or string)
      */
     async toJsonAsync(toonString, options = {}) {
-        const { conversionMode = 'no_encryption', returnJson = false } = options;
+        const { conversionMode = 'no_encryption', aad, ...decodeOptions } = options;
         return this._convertWithEncryptionAsync(
-            (data) => toonToJson(data, returnJson),
+            (data) => toonToJson(data, decodeOptions),
             toonString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -226,11 +278,20 @@ export class ToonConverter {
      * @param {string} yamlString - YAML formatted string (possibly encrypted)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
+     * @param {boolean} [options.keepComments=false] - Carry YAML comments over as TOON comments
      * @returns {string} TOON formatted string (possibly encrypted)
      */
     fromYaml(yamlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
-        return this._convertWithEncryption(yamlToToonSync, yamlString, conversionMode);
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
+        return this._convertWithEncryption(
+            (data) => yamlToToonSync(data, conversionOptions),
+            yamlString,
+            conversionMode,
+            { aad }
+        );
     }
 
     /**
@@ -238,11 +299,20 @@ export class ToonConverter {
      * @param {string} yamlString - YAML formatted string (possibly encrypted)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
+     * @param {boolean} [options.keepComments=false] - Carry YAML comments over as TOON comments
      * @returns {Promise<string>} TOON formatted string (possibly encrypted)
      */
     async fromYamlAsync(yamlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
-        return this._convertWithEncryptionAsync(yamlToToon, yamlString, conversionMode);
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
+        return this._convertWithEncryptionAsync(
+            (data) => yamlToToon(data, conversionOptions),
+            yamlString,
+            conversionMode,
+            { aad }
+        );
     }
 
     /**
@@ -250,11 +320,19 @@ export class ToonConverter {
      * @param {string} toonString - TOON formatted string (possibly encrypted)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {string} YAML formatted string
      */
     toYaml(toonString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
-        return this._convertWithEncryption(toonToYamlSync, toonString, conversionMode);
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
+        return this._convertWithEncryption(
+            (data) => toonToYamlSync(data, conversionOptions),
+            toonString,
+            conversionMode,
+            { aad }
+        );
     }
 
     /**
@@ -262,11 +340,19 @@ export class ToonConverter {
      * @param {string} toonString - TOON formatted string (possibly encrypted)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {Promise<string>} YAML formatted string
      */
     async toYamlAsync(toonString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
-        return this._convertWithEncryptionAsync(toonToYaml, toonString, conversionMode);
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
+        return this._convertWithEncryptionAsync(
+            (data) => toonToYaml(data, conversionOptions),
+            toonString,
+            conversionMode,
+            { aad }
+        );
     }
 
     /**
@@ -274,12 +360,20 @@ export class ToonConverter {
      * @param {string} xmlString - XML formatted string (possibly encrypted)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {string} TOON formatted string (possibly encrypted)
      */
     fromXml(xmlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(xmlToToonSync, extractXmlFromString);
-        return this._convertWithEncryption(optimizedConverterFn, xmlString, conversionMode);
+        return this._convertWithEncryption(
+            (data) => optimizedConverterFn(data, conversionOptions),
+            xmlString,
+            conversionMode,
+            { aad }
+        );
     }
 
     /**
@@ -287,12 +381,20 @@ export class ToonConverter {
      * @param {string} xmlString - XML formatted string (possibly encrypted)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {Promise<string>} TOON formatted string (possibly encrypted)
      */
     async fromXmlAsync(xmlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(xmlToToon, extractXmlFromString);
-        return this._convertWithEncryptionAsync(optimizedConverterFn, xmlString, conversionMode);
+        return this._convertWithEncryptionAsync(
+            (data) => optimizedConverterFn(data, conversionOptions),
+            xmlString,
+            conversionMode,
+            { aad }
+        );
     }
 
     /**
@@ -300,11 +402,19 @@ export class ToonConverter {
      * @param {string} toonString - TOON formatted string (possibly encrypted)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {string} XML formatted string
      */
     toXml(toonString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
-        return this._convertWithEncryption(toonToXmlSync, toonString, conversionMode);
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
+        return this._convertWithEncryption(
+            (data) => toonToXmlSync(data, conversionOptions),
+            toonString,
+            conversionMode,
+            { aad }
+        );
     }
 
     /**
@@ -312,11 +422,19 @@ export class ToonConverter {
      * @param {string} toonString - TOON formatted string (possibly encrypted)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {Promise<string>} XML formatted string
      */
     async toXmlAsync(toonString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
-        return this._convertWithEncryptionAsync(toonToXml, toonString, conversionMode);
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
+        return this._convertWithEncryptionAsync(
+            (data) => toonToXml(data, conversionOptions),
+            toonString,
+            conversionMode,
+            { aad }
+        );
     }
 
     /**
@@ -324,12 +442,20 @@ export class ToonConverter {
      * @param {string} csvString - CSV formatted string (possibly encrypted)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {string} TOON formatted string (possibly encrypted)
      */
     fromCsv(csvString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(csvToToonSync, extractCsvFromString);
-        return this._convertWithEncryption(optimizedConverterFn, csvString, conversionMode);
+        return this._convertWithEncryption(
+            (data) => optimizedConverterFn(data, conversionOptions),
+            csvString,
+            conversionMode,
+            { aad }
+        );
     }
 
     /**
@@ -337,12 +463,20 @@ export class ToonConverter {
      * @param {string} csvString - CSV formatted string (possibly encrypted)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {Promise<string>} TOON formatted string (possibly encrypted)
      */
     async fromCsvAsync(csvString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(csvToToon, extractCsvFromString);
-        return this._convertWithEncryptionAsync(optimizedConverterFn, csvString, conversionMode);
+        return this._convertWithEncryptionAsync(
+            (data) => optimizedConverterFn(data, conversionOptions),
+            csvString,
+            conversionMode,
+            { aad }
+        );
     }
 
     /**
@@ -350,11 +484,19 @@ export class ToonConverter {
      * @param {string} toonString - TOON formatted string (possibly encrypted)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {string} CSV formatted string
      */
     toCsv(toonString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
-        return this._convertWithEncryption(toonToCsvSync, toonString, conversionMode);
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
+        return this._convertWithEncryption(
+            (data) => toonToCsvSync(data, conversionOptions),
+            toonString,
+            conversionMode,
+            { aad }
+        );
     }
 
     /**
@@ -362,31 +504,106 @@ export class ToonConverter {
      * @param {string} toonString - TOON formatted string (possibly encrypted)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {Promise<string>} CSV formatted string
      */
     async toCsvAsync(toonString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
-        return this._convertWithEncryptionAsync(toonToCsv, toonString, conversionMode);
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
+        return this._convertWithEncryptionAsync(
+            (data) => toonToCsv(data, conversionOptions),
+            toonString,
+            conversionMode,
+            { aad }
+        );
     }
 
     /**
      * Validate a TOON string (Instance Method)
      * Note: Validation does not support encryption modes
      * @param {string} toonString - TOON formatted string to validate
-     * @returns {{isValid: boolean, error: string|null}} Validation result
+     * @param {Object} [options={}] - Validation options
+     * @param {boolean} [options.collectAll=false] - Report every problem as `diagnostics`
+     * @returns {{isValid: boolean, error: string|null, syntaxError?: ToonSyntaxError, diagnostics?: Array<Object>}} Validation result
      */
-    validate(toonString) {
-        return validateToonStringSync(toonString);
+    validate(toonString, options = {}) {
+        return validateToonStringSync(toonString, options);
     }
 
     /**
      * Validate a TOON string (Async, Instance Method)
      * Note: Validation does not support encryption modes
      * @param {string} toonString - TOON formatted string to validate
+     * @param {Object} [options={}] - Validation options (see validate)
      * @returns {Promise<{isValid: boolean, error: string|null}>} Validation result
      */
-    async validateAsync(toonString) {
-        return validateToonString(toonString);
+    async validateAsync(toonString, options = {}) {
+        return validateToonString(toonString, options);
+    }
+
+    /**
+     * Repair and parse TOON emitted by an LLM (Instance Method)
+     * Note: Repair does not support encryption modes
+     * @param {string} toonString - TOON formatted string, possibly malformed
+     * @param {Object} [options={}] - Decoder options (`returnJson`, `expandPaths`)
+     * @returns {{data: Object|string, toon: string, fixes: Array<Object>}} Parsed data, repaired TOON and fixes applied
+     */
+    repair(toonString, options = {}) {
+        return repairToonSync(toonString, options);
+    }
+
+    /**
+     * Repair and parse TOON emitted by an LLM (Async, Instance Method)
+     * Note: Repair does not support encryption modes
+     * @param {string} toonString - TOON formatted string, possibly malformed
+     * @param {Object} [options={}] - Decoder options (`returnJson`, `expandPaths`)
+     * @returns {Promise<{data: Object|string, toon: string, fixes: Array<Object>}>} Parsed data, repaired TOON and fixes applied
+     */
+    async repairAsync(toonString, options = {}) {
+        return repairToon(toonString, options);
+    }
+
+    /**
+     * Re-emit TOON in canonical (byte-stable) form (Instance Method)
+     * Note: Canonicalization does not support encryption modes
+     * @param {string} toonString - TOON formatted string
+     * @param {Object} [options={}] - Decoder options and `sortKeys` (see canonicalizeToonSync)
+     * @returns {string} Canonical TOON
+     */
+    canonicalize(toonString, options = {}) {
+        return canonicalizeToonSync(toonString, options);
+    }
+
+    /**
+     * Re-emit TOON in canonical (byte-stable) form (Async, Instance Method)
+     * Note: Canonicalization does not support encryption modes
+     * @param {string} toonString - TOON formatted string
+     * @param {Object} [options={}] - Decoder options and `sortKeys` (see canonicalizeToonSync)
+     * @returns {Promise<string>} Canonical TOON
+     */
+    async canonicalizeAsync(toonString, options = {}) {
+        return canonicalizeToon(toonString, options);
+    }
+
+    /**
+     * Compare token counts of the same data in every format (Instance Method)
+     * @param {*} data - JSON data
+     * @param {Object} [options={}] - `tokenizer` (see estimateTokens) and TOON encoder options
+     * @returns {{formats: Object, cheapest: string, savings: {json: number, jsonPretty: number}}} Token report
+     */
+    compare(data, options = {}) {
+        return compareFormats(data, options);
+    }
+
+    /**
+     * Serialize data in the format that costs the fewest tokens (Instance Method)
+     * @param {*} data - JSON data
+     * @param {Object} [options={}] - `candidates`, `tokenizer`, `requireRoundTrip` (see optimizeFormat)
+     * @returns {{format: string, output: string, tokens: number, roundTrip: boolean, candidates: Array}} Chosen format and output
+     */
+    optimize(data, options = {}) {
+        return optimizeFormat(data, options);
     }
 
     // ========================================
@@ -396,171 +613,296 @@ export class ToonConverter {
     /**
      * Convert JSON to TOON (Sync)
      * @param {*} jsonData - JSON data (object, array, or primitive)
+     * @param {Object} [options={}] - Encoder options: indent, delimiter, quoting, schema, comments
      * @returns {string} TOON formatted string
      */
-    static fromJson(jsonData) {
+    static fromJson(jsonData, options = {}) {
         const optimizedConverterFn = dataManager(jsonToToonSync, extractJsonFromString);
-        return optimizedConverterFn(jsonData);
+        return optimizedConverterFn(jsonData, options);
     }
 
     /**
      * Convert JSON to TOON (Async)
      * @param {*} jsonData - JSON data
+     * @param {Object} [options={}] - Encoder options: indent, delimiter, quoting, schema, comments
      * @returns {Promise<string>} TOON formatted string
      */
-    static async fromJsonAsync(jsonData) {
+    static async fromJsonAsync(jsonData, options = {}) {
         const optimizedConverterFn = dataManagerAsync(jsonToToon, extractJsonFromString);
-        return optimizedConverterFn(jsonData);
+        return optimizedConverterFn(jsonData, options);
     }
 
     /**
      * Convert TOON to JSON (Sync, Static Method)
      * @param {string} toonString - TOON formatted string
-     * @param {boolean} [returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {boolean|Object} [options={}] - Decoder options (returnJson, expandPaths, strict, typed, largeIntegers, reviver, schema), or the legacy returnJson flag
      * @returns {*} Parsed JSON data (object or string)
      */
-    static toJson(toonString, returnJson = false) {
-        return toonToJsonSync(toonString, returnJson);
+    static toJson(toonString, options = {}) {
+        return toonToJsonSync(toonString, options);
     }
 
     /**
      * Convert TOON to JSON (Async, Static Method)
      * @param {string} toonString - TOON formatted string
-     * @param {boolean} [returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {boolean|Object} [options={}] - Decoder options (returnJson, expandPaths, strict, typed, largeIntegers, reviver, schema), or the legacy returnJson flag
      * @returns {Promise<*>} Parsed JSON data (object or string)
      */
-    static async toJsonAsync(toonString, returnJson = false) {
-        return toonToJson(toonString, returnJson);
+    static async toJsonAsync(toonString, options = {}) {
+        return toonToJson(toonString, options);
     }
 
     /**
      * Convert YAML to TOON (Sync)
      * @param {string} yamlString - YAML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
+     * @param {boolean} [options.keepComments=false] - Carry YAML comments over as TOON comments
      * @returns {string} TOON formatted string
      */
-    static fromYaml(yamlString) {
-        return yamlToToonSync(yamlString);
+    static fromYaml(yamlString, options = {}) {
+        return yamlToToonSync(yamlString, options);
     }
 
     /**
      * Convert YAML to TOON (Async)
      * @param {string} yamlString - YAML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
+     * @param {boolean} [options.keepComments=false] - Carry YAML comments over as TOON comments
      * @returns {Promise<string>} TOON formatted string
      */
-    static async fromYamlAsync(yamlString) {
-        return yamlToToon(yamlString);
+    static async fromYamlAsync(yamlString, options = {}) {
+        return yamlToToon(yamlString, options);
     }
 
     /**
      * Convert TOON to YAML (Sync)
      * @param {string} toonString - TOON formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {string} YAML formatted string
      */
-    static toYaml(toonString) {
-        return toonToYamlSync(toonString);
+    static toYaml(toonString, options = {}) {
+        return toonToYamlSync(toonString, options);
     }
 
     /**
      * Convert TOON to YAML (Async)
      * @param {string} toonString - TOON formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {Promise<string>} YAML formatted string
      */
-    static async toYamlAsync(toonString) {
-        return toonToYaml(toonString);
+    static async toYamlAsync(toonString, options = {}) {
+        return toonToYaml(toonString, options);
     }
 
     /**
      * Convert XML to TOON (Sync)
      * @param {string} xmlString - XML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {string} TOON formatted string
      */
-    static fromXml(xmlString) {
+    static fromXml(xmlString, options = {}) {
         const optimizedConverterFn = dataManager(xmlToToonSync, extractXmlFromString);
-        return optimizedConverterFn(xmlString);
+        return optimizedConverterFn(xmlString, options);
     }
 
     /**
      * Convert XML to TOON (Async)
      * @param {string} xmlString - XML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {Promise<string>} TOON formatted string
      */
-    static async fromXmlAsync(xmlString) {
+    static async fromXmlAsync(xmlString, options = {}) {
         const optimizedConverterFn = dataManagerAsync(xmlToToon, extractXmlFromString);
-        return optimizedConverterFn(xmlString);
+        return optimizedConverterFn(xmlString, options);
     }
 
     /**
      * Convert TOON to XML (Sync)
      * @param {string} toonString - TOON formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {string} XML formatted string
      */
-    static toXml(toonString) {
-        return toonToXmlSync(toonString);
+    static toXml(toonString, options = {}) {
+        return toonToXmlSync(toonString, options);
     }
 
     /**
      * Convert TOON to XML (Async)
      * @param {string} toonString - TOON formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {Promise<string>} XML formatted string
      */
-    static async toXmlAsync(toonString) {
-        return toonToXml(toonString);
+    static async toXmlAsync(toonString, options = {}) {
+        return toonToXml(toonString, options);
     }
 
     /**
      * Convert CSV to TOON (Async)
      * @param {string} csvString - CSV formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {Promise<string>} TOON formatted string
      */
-    static async fromCsvAsync(csvString) {
+    static async fromCsvAsync(csvString, options = {}) {
         const optimizedConverterFn = dataManagerAsync(csvToToon, extractCsvFromString);
-        return optimizedConverterFn(csvString);
+        return optimizedConverterFn(csvString, options);
     }
 
     /**
      * Convert CSV to TOON (Sync)
      * @param {string} csvString - CSV formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {string} TOON formatted string
      */
-    static fromCsv(csvString) {
+    static fromCsv(csvString, options = {}) {
         const optimizedConverterFn = dataManager(csvToToonSync, extractCsvFromString);
-        return optimizedConverterFn(csvString);
+        return optimizedConverterFn(csvString, options);
     }
 
     /**
      * Convert TOON to CSV (Sync)
      * @param {string} toonString - TOON formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {string} CSV formatted string
      */
-    static toCsv(toonString) {
-        return toonToCsvSync(toonString);
+    static toCsv(toonString, options = {}) {
+        return toonToCsvSync(toonString, options);
     }
 
     /**
      * Convert TOON to CSV (Async)
      * @param {string} toonString - TOON formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {Promise<string>} CSV formatted string
      */
-    static async toCsvAsync(toonString) {
-        return toonToCsv(toonString);
+    static async toCsvAsync(toonString, options = {}) {
+        return toonToCsv(toonString, options);
     }
 
     /**
      * Validate a TOON string
      * @param {string} toonString - TOON formatted string
-     * @returns {{isValid: boolean, error: string|null}} Validation result
+     * @param {Object} [options={}] - Validation options
+     * @param {boolean} [options.collectAll=false] - Report every problem as `diagnostics`
+     * @returns {{isValid: boolean, error: string|null, syntaxError?: ToonSyntaxError, diagnostics?: Array<Object>}} Validation result
      */
-    static validate(toonString) {
-        return validateToonStringSync(toonString);
+    static validate(toonString, options = {}) {
+        return validateToonStringSync(toonString, options);
     }
 
     /**
      * Validate a TOON string (Async)
      * @param {string} toonString - TOON formatted string
-     * @returns {{isValid: boolean, error: string|null}} Validation result
+     * @param {Object} [options={}] - Validation options (see validate)
+     * @returns {{isValid: boolean, error: string|null, syntaxError?: ToonSyntaxError}} Validation result
+     */
+    static async validateAsync(toonString, options = {}) {
+        return validateToonString(toonString, options);
+    }
+
+    /**
+     * Repair and parse TOON emitted by an LLM
+     * @param {string} toonString - TOON formatted string, possibly malformed
+     * @param {Object} [options={}] - Decoder options (`returnJson`, `expandPaths`)
+     * @returns {{data: Object|string, toon: string, fixes: Array<Object>}} Parsed data, repaired TOON and fixes applied
+     */
+    static repair(toonString, options = {}) {
+        return repairToonSync(toonString, options);
+    }
+
+    /**
+     * Repair and parse TOON emitted by an LLM (Async)
+     * @param {string} toonString - TOON formatted string, possibly malformed
+     * @param {Object} [options={}] - Decoder options (`returnJson`, `expandPaths`)
+     * @returns {Promise<{data: Object|string, toon: string, fixes: Array<Object>}>} Parsed data, repaired TOON and fixes applied
+     */
+    static async repairAsync(toonString, options = {}) {
+        return repairToon(toonString, options);
+    }
+
+    /**
+     * Re-emit TOON in canonical (byte-stable) form: sorted keys, fixed layout and quoting, normalized numbers
+     * @param {string} toonString - TOON formatted string
+     * @param {Object} [options={}] - Decoder options and `sortKeys` (see canonicalizeToonSync)
+     * @returns {string} Canonical TOON
+     */
+    static canonicalize(toonString, options = {}) {
+        return canonicalizeToonSync(toonString, options);
+    }
+
+    /**
+     * Re-emit TOON in canonical (byte-stable) form (Async)
+     * @param {string} toonString - TOON formatted string
+     * @param {Object} [options={}] - Decoder options and `sortKeys` (see canonicalizeToonSync)
+     * @returns {Promise<string>} Canonical TOON
+     */
+    static async canonicalizeAsync(toonString, options = {}) {
+        return canonicalizeToon(toonString, options);
+    }
+
+    /**
+     * Compare token counts of the same data in every format
+     * @param {*} data - JSON data
+     * @param {Object} [options={}] - `tokenizer` (see estimateTokens) and TOON encoder options
+     * @returns {{formats: Object, cheapest: string, savings: {json: number, jsonPretty: number}}} Token report
+     */
+    static compare(data, options = {}) {
+        return compareFormats(data, options);
+    }
+
+    /**
+     * Serialize data in the format that costs the fewest tokens
+     * @param {*} data - JSON data
+     * @param {Object} [options={}] - `candidates`, `tokenizer`, `requireRoundTrip` (see optimizeFormat)
+     * @returns {{format: string, output: string, tokens: number, roundTrip: boolean, candidates: Array}} Chosen format and output
+     */
+    static optimize(data, options = {}) {
+        return optimizeFormat(data, options);
+    }
+
+    /**
+     * Build a TOON template and format instructions for an LLM prompt from a JSON Schema
+     * @param {Object} schema - JSON Schema of the expected answer
+     * @param {Object} [options={}] - Encoder options: indent, delimiter, quoting
+     * @returns {{template: string, instructions: string}} Skeleton TOON document and system prompt text
+     */
+    static template(schema, options = {}) {
+        return schemaToToonTemplate(schema, options);
+    }
+
+    /**
+     * Parse an LLM reply and validate it against the schema its prompt was built from
+     * @param {string} reply - Model output
+     * @param {Object} schema - JSON Schema passed to template
+     * @param {Object} [options={}] - Decoder options (see toonToJsonSync)
+     * @returns {*} Parsed data
+     * @throws {ToonSchemaError} If the data does not match the schema
      */
-    static async validateAsync(toonString) {
-        return validateToonString(toonString);
+    static parseReply(reply, schema, options = {}) {
+        return parseToonReply(reply, schema, options);
     }
 }
 
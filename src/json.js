@@ -2,26 +2,643 @@
  * JSON ↔ TOON Converter
  */
 
-import { formatValue, parseValue, splitByDelimiter, extractJsonFromString } from './utils.js';
+import { formatValue, formatKey, parseValue, splitByDelimiter, extractJsonFromString, resolveDelimiter, escapeString, unescapeString, maskQuoted, stripComment, reviveValues } from './utils.js';
 import { validateToonStringSync } from './validator.js';
+import { ToonSyntaxError, ToonSchemaError, TOON_ERROR_CODES } from './errors.js';
+import { repairToonText } from './repair.js';
+import { resolveSchema, schemaAt, schemaKeys, coerceScalar, validateSchema } from './schema.js';
+import { EventEmitter } from 'events';
+
+const VALID_DELIMITERS = [',', '\t', '|'];
+const VALID_QUOTING = ['always', 'minimal'];
+const VALID_MISSING_CELLS = ['omit', 'null'];
+const VALID_LARGE_INTEGERS = ['number', 'bigint', 'string'];
+
+// Layout options fixed by canonical mode
+const CANONICAL_LAYOUT = { indent: 2, delimiter: ',', quoting: 'always', missingCells: 'omit', keyFolding: false, arrayCells: false };
+
+// Array index keys, which JavaScript objects always list first, in numeric order
+const INDEX_KEY = /^(?:0|[1-9]\d*)$/;
+
+// Key segments that can be folded into (and expanded from) dotted paths
+const PATH_SEGMENT = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Segments that would reach Object.prototype if a dotted key were expanded through them
+const UNSAFE_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+// Objects created by path expansion, which a plain value may not replace
+const EXPANDED_OBJECTS = new WeakSet();
+
+// Line shapes, matched with quoted strings masked (see matchLine)
+const ROOT_ARRAY_LINE = /^\[(\d+)(.*?)\](?:\{(.*?)\})?:\s*(.*)$/d;
+const ARRAY_HEADER_LINE = /^(.+?)\[(\d+)(.*?)\](?:\{(.*?)\})?:\s*(.*)$/d;
+const KEY_VALUE_LINE = /^(.+?):\s*(.*)$/d;
+const PARTIAL_INLINE_LINE = /^(\s*(?:-\s*)?[^:\[]*\[\d+(\\t|[\t|])?\]:[ \t]*)(.*)$/d;
+
+/**
+ * Default key order of sortKeys: array index keys in numeric order, then
+ * the other keys by UTF-16 code units. This is the order a JavaScript
+ * object keeps its keys in when they are inserted sorted.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareKeys(a, b) {
+    const aIndex = INDEX_KEY.test(a);
+    const bIndex = INDEX_KEY.test(b);
+    if (aIndex !== bIndex) return aIndex ? -1 : 1;
+    if (aIndex) return Number(a) - Number(b);
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Normalizes and validates encoder options.
+ * @param {Object} [options={}]
+ * @returns {{indent: number, delimiter: string, quoting: string, missingCells: string, keyFolding: boolean, arrayCells: boolean, typed: boolean, replacer: Function|null, schema: Object|null, columnOrder: WeakMap|null, comments: Object|null, attachedComments: WeakMap|null, canonical: boolean, sortKeys: Function|null}}
+ * @throws {Error} If an option has an unsupported value
+ */
+function resolveEncodeOptions(options = {}) {
+    const { canonical = false } = options;
+    if (canonical) {
+        const conflict = Object.keys(CANONICAL_LAYOUT).find(k => options[k] !== undefined && options[k] !== CANONICAL_LAYOUT[k]);
+        if (conflict) {
+            throw new Error(`The ${conflict} option cannot be changed in canonical mode (canonical output uses ${JSON.stringify(CANONICAL_LAYOUT[conflict])}).`);
+        }
+        if (options.sortKeys === false) {
+            throw new Error('Keys are always sorted in canonical mode; pass a comparator as sortKeys to change the order.');
+        }
+    }
+
+    const {
+        indent = 2, delimiter = ',', quoting = 'always', missingCells = 'omit',
+        keyFolding = false, arrayCells = false, typed = false, replacer = null, schema = null, comments = null,
+        sortKeys = !!canonical
+    } = options;
+
+    if (!Number.isInteger(indent) || indent < 1) {
+        throw new Error(`Invalid indent: ${indent}. Expected a positive integer.`);
+    }
+    if (!VALID_DELIMITERS.includes(delimiter)) {
+        throw new Error(`Unsupported delimiter: ${JSON.stringify(delimiter)}. Valid options: ",", "\\t", "|"`);
+    }
+    if (!VALID_QUOTING.includes(quoting)) {
+        throw new Error(`Unsupported quoting policy: ${quoting}. Valid options: ${VALID_QUOTING.join(', ')}`);
+    }
+    if (!VALID_MISSING_CELLS.includes(missingCells)) {
+        throw new Error(`Unsupported missingCells policy: ${missingCells}. Valid options: ${VALID_MISSING_CELLS.join(', ')}`);
+    }
+    if (replacer !== null && typeof replacer !== 'function') {
+        throw new Error('Invalid replacer: expected a function.');
+    }
+    if (comments !== null && (typeof comments !== 'object' || Array.isArray(comments))) {
+        throw new Error('Invalid comments: expected an object mapping paths to comments.');
+    }
+    if (typeof sortKeys !== 'boolean' && typeof sortKeys !== 'function') {
+        throw new Error('Invalid sortKeys: expected a boolean or a comparator function.');
+    }
+
+    const resolvedSchema = resolveSchema(schema);
+    return {
+        indent, delimiter, quoting, missingCells, keyFolding: !!keyFolding, arrayCells: !!arrayCells, typed: !!typed, replacer,
+        schema: resolvedSchema,
+        // Schema property order of the items of each prepared array (see getTabularFields)
+        columnOrder: resolvedSchema !== null ? new WeakMap() : null,
+        comments,
+        // Comments of the entries of each prepared object or array, by key (see attachComments)
+        attachedComments: comments !== null ? new WeakMap() : null,
+        canonical: !!canonical,
+        sortKeys: sortKeys === true ? compareKeys : (sortKeys || null)
+    };
+}
+
+/**
+ * Checks for a value written as a single TOON literal rather than a block
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPrimitive(value) {
+    return value === null || typeof value !== 'object' || value instanceof Date;
+}
+
+/**
+ * Checks whether a BigInt has an exactly equal Number
+ * @param {bigint} value
+ * @returns {boolean}
+ */
+function isExactNumber(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && BigInt(number) === value;
+}
+
+/**
+ * Checks for an array whose items are all primitives (written inline)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPrimitiveArray(value) {
+    return Array.isArray(value) && value.every(isPrimitive);
+}
+
+/**
+ * Prepares a value for encoding the way JSON.stringify does: calls toJSON()
+ * and the replacer, drops undefined, function and symbol properties (null in
+ * arrays) and turns NaN and ±Infinity into null. In typed mode, Dates and
+ * non-finite numbers are kept so they can be written as typed literals.
+ * With a schema, object keys are reordered to follow the schema's properties.
+ * Comments for the entries of objects and arrays are looked up as they are prepared.
+ * @param {Object|Array} holder - Object or array containing the value
+ * @param {string} key - Key of the value in its holder ('' for the root)
+ * @param {*} value
+ * @param {Array<string|number>} path - Keys and indexes leading to the value
+ * @param {Object} options - Resolved encoder options
+ * @returns {*} The value to encode (undefined when it should be left out)
+ */
+function prepareValue(holder, key, value, path, options) {
+    if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function' &&
+        !(options.typed && value instanceof Date)) {
+        value = value.toJSON(key);
+    }
+    if (options.replacer) {
+        value = options.replacer.call(holder, key, value, path);
+    }
+
+    if (value === undefined || typeof value === 'function' || typeof value === 'symbol') {
+        return undefined;
+    }
+    if (typeof value === 'number' && !Number.isFinite(value) && !options.typed) {
+        return null;
+    }
+    if (typeof value === 'bigint' && options.canonical && !options.typed && isExactNumber(value)) {
+        // Written like the equal number, so `10n ** 21n` and `1e21` give the same text
+        return Number(value);
+    }
+    if (isPrimitive(value)) {
+        return value;
+    }
+    if (Array.isArray(value)) {
+        const result = value.map((item, i) => {
+            const prepared = prepareValue(value, String(i), item, [...path, i], options);
+            return prepared === undefined ? null : prepared;
+        });
+        if (options.schema !== null) {
+            options.columnOrder.set(result, schemaKeys(schemaAt(options.schema, [...path, 0]), options.schema));
+        }
+        attachComments(result, path, options);
+        return result;
+    }
+
+    const result = {};
+    for (const k of orderKeys(Object.keys(value), path, options)) {
+        const prepared = prepareValue(value, k, value[k], [...path, k], options);
+        if (prepared !== undefined) result[k] = prepared;
+    }
+    attachComments(result, path, options);
+    return result;
+}
+
+/**
+ * Records the comments given for the entries of a prepared object or array.
+ * Paths in the `comments` option are keys and indexes joined with dots
+ * (`users.0.email`).
+ * @param {Object|Array} container - Prepared object or array
+ * @param {Array<string|number>} path - Path of the container
+ * @param {Object} options - Resolved encoder options
+ */
+function attachComments(container, path, options) {
+    if (options.comments === null) return;
+
+    const found = {};
+    for (const key of Object.keys(container)) {
+        const target = [...path, key].join('.');
+        if (Object.prototype.hasOwnProperty.call(options.comments, target)) {
+            found[key] = options.comments[target];
+        }
+    }
+    if (Object.keys(found).length > 0) options.attachedComments.set(container, found);
+}
+
+/**
+ * Returns the comment recorded for an entry of a prepared object or array
+ * @param {Object|Array} container
+ * @param {string|number} key
+ * @param {Object} options - Resolved encoder options
+ * @returns {string|undefined}
+ */
+function commentFor(container, key, options) {
+    const found = options.attachedComments && options.attachedComments.get(container);
+    return found ? found[key] : undefined;
+}
+
+/**
+ * Formats a comment as `#` lines, one per line of text
+ * @param {*} comment
+ * @param {number} depth
+ * @param {Object} options - Resolved encoder options
+ * @returns {string}
+ */
+function formatComment(comment, depth, options) {
+    const indent = ' '.repeat(options.indent * depth);
+    return String(comment).split(/\r?\n/).map(text => `${indent}# ${text}`.trimEnd()).join('\n');
+}
+
+/**
+ * Orders object keys: sorted when `sortKeys` is set, otherwise with the
+ * properties declared by the schema first, in schema order. Without either
+ * option the keys are returned unchanged.
+ * @param {string[]} keys
+ * @param {Array<string|number>} path - Path of the object
+ * @param {Object} options - Resolved encoder options
+ * @returns {string[]}
+ */
+function orderKeys(keys, path, options) {
+    if (options.sortKeys !== null) return [...keys].sort(options.sortKeys);
+    if (options.schema === null) return keys;
+    const declared = schemaKeys(schemaAt(options.schema, path), options.schema).filter(k => keys.includes(k));
+    return [...declared, ...keys.filter(k => !declared.includes(k))];
+}
+
+/**
+ * Encodes a whole document after preparing it (see prepareValue)
+ * @param {*} data
+ * @param {Object} options - Resolved encoder options
+ * @returns {string}
+ */
+function encodeDocument(data, options) {
+    const value = prepareValue({ '': data }, '', data, [], options);
+    const toon = jsonToToonParser(value === undefined ? null : value, '', 0, options);
+    const comment = options.comments !== null ? options.comments[''] : undefined;
+    return comment === undefined ? toon : `${formatComment(comment, 0, options)}\n${toon}`;
+}
+
+/**
+ * Computes the tabular header for an array of objects.
+ * Fields are the union of keys across all rows, in first-seen order, sorted
+ * with `sortKeys`, or in schema order when the encoder was given a schema. Cells hold primitives,
+ * or arrays of primitives when `arrayCells` is enabled.
+ * @param {Array} rows
+ * @param {Object} options - Resolved encoder options
+ * @returns {string[]|null} Header fields, or null if the rows cannot be tabular
+ */
+function getTabularFields(rows, options) {
+    const fields = [];
+
+    for (const row of rows) {
+        if (typeof row !== 'object' || row === null || Array.isArray(row)) {
+            return null;
+        }
+
+        let presentCount = 0;
+        for (const k of Object.keys(row)) {
+            const val = row[k];
+            if (!isPrimitive(val) && !(options.arrayCells && isPrimitiveArray(val))) {
+                return null;
+            }
+            if (val === undefined) continue;
+
+            presentCount++;
+            if (!fields.includes(k)) fields.push(k);
+        }
+
+        // A row with no cells would encode to a blank line and be lost
+        if (presentCount === 0 && options.missingCells === 'omit') {
+            return null;
+        }
+    }
+
+    if (fields.length === 0) return null;
+    if (options.sortKeys !== null) return fields.sort(options.sortKeys);
+
+    const order = options.columnOrder && options.columnOrder.get(rows);
+    if (order && order.length > 0) {
+        const rank = (f) => order.includes(f) ? order.indexOf(f) : order.length;
+        fields.sort((a, b) => rank(a) - rank(b));
+    }
+    return fields;
+}
+
+/**
+ * Formats a tabular cell. Arrays are written in brackets (`[1,2]`), with
+ * strings containing brackets quoted so the cell can be split back.
+ * @param {*} value
+ * @param {Object} options - Resolved encoder options
+ * @returns {string}
+ */
+function formatCell(value, options) {
+    if (!Array.isArray(value)) {
+        return formatValue(value, options);
+    }
+    const items = value.map(item => typeof item === 'string' && /[\[\]]/.test(item)
+        ? formatValue(item, { ...options, quoting: 'always' })
+        : formatValue(item, options));
+    return `[${items.join(options.delimiter)}]`;
+}
+
+/**
+ * Formats a single tabular row. Missing keys become empty cells (or null).
+ * @param {Object} row
+ * @param {string[]} fields
+ * @param {Object} options - Resolved encoder options
+ * @returns {string}
+ */
+function formatTabularRow(row, fields, options) {
+    const missing = options.missingCells === 'null' ? 'null' : '';
+    return fields
+        .map(f => row[f] === undefined ? missing : formatCell(row[f], options))
+        .join(options.delimiter);
+}
+
+/**
+ * Normalizes decoder options. A boolean is accepted as the legacy `returnJson` flag.
+ * @param {boolean|Object} [options={}]
+ * @returns {{returnJson: boolean, expandPaths: boolean, strict: boolean, typed: boolean, largeIntegers: string, reviver: Function|null, schema: Object|null}}
+ * @throws {Error} If an option has an unsupported value
+ */
+function resolveDecodeOptions(options = {}) {
+    if (typeof options === 'boolean') {
+        options = { returnJson: options };
+    }
+    const {
+        returnJson = false, expandPaths = false, strict = true,
+        typed = false, largeIntegers = 'number', reviver = null, schema = null
+    } = options || {};
+
+    if (!VALID_LARGE_INTEGERS.includes(largeIntegers)) {
+        throw new Error(`Unsupported largeIntegers policy: ${largeIntegers}. Valid options: ${VALID_LARGE_INTEGERS.join(', ')}`);
+    }
+    if (reviver !== null && typeof reviver !== 'function') {
+        throw new Error('Invalid reviver: expected a function.');
+    }
+
+    return {
+        returnJson: !!returnJson, expandPaths: !!expandPaths, strict: strict !== false,
+        typed: !!typed, largeIntegers, reviver, schema: resolveSchema(schema)
+    };
+}
+
+/**
+ * Checks for a plain (non-array, non-null) object.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    return !isPrimitive(value) && !Array.isArray(value);
+}
+
+/**
+ * JSON.stringify that writes BigInt values as raw digits instead of throwing,
+ * so integers decoded with `largeIntegers: 'bigint'` or `typed` keep their precision.
+ * @param {*} value
+ * @returns {string|undefined}
+ */
+function stringifyJson(value) {
+    if (typeof value === 'bigint') return value.toString();
+    if (isPrimitive(value) || typeof value.toJSON === 'function') return JSON.stringify(value);
+    if (Array.isArray(value)) {
+        return `[${Array.from(value, (item) => stringifyJson(item) ?? 'null').join(',')}]`;
+    }
+    const members = [];
+    for (const [key, item] of Object.entries(value)) {
+        const json = stringifyJson(item);
+        if (json !== undefined) members.push(`${JSON.stringify(key)}:${json}`);
+    }
+    return `{${members.join(',')}}`;
+}
+
+/**
+ * Formats an array header line (`key[N]:`, `key[N|]{a,b}:` ...).
+ * @param {string} key
+ * @param {number} length
+ * @param {string[]|null} fields - Tabular fields, or null
+ * @param {number} depth
+ * @param {Object} options - Resolved encoder options
+ * @returns {string}
+ */
+function formatArrayHeader(key, length, fields, depth, options) {
+    // Comma is the default, so it is not declared in headers
+    const delimMarker = options.delimiter === ',' ? '' : options.delimiter;
+    const header = fields ? `{${fields.map(formatKey).join(',')}}` : '';
+    return `${' '.repeat(options.indent * depth)}${key}[${length}${delimMarker}]${header}:`;
+}
+
+/**
+ * Separator between the values of an inline primitive array
+ * @param {Object} options - Resolved encoder options
+ * @returns {string}
+ */
+function inlineSeparator(options) {
+    return options.delimiter === ',' ? ', ' : options.delimiter;
+}
+
+/**
+ * Encodes one item of a YAML-style (non-tabular) array. Objects are a `-`
+ * marker followed by their fields indented one level deeper; primitives
+ * and arrays go on the marker line (`- "a"`, `- [2]: 1, 2`), with the
+ * items of a nested block array one level deeper.
+ * @param {*} item
+ * @param {number} depth - Depth of the `-` marker
+ * @param {Object} options - Resolved encoder options
+ * @returns {string}
+ */
+function encodeListItem(item, depth, options) {
+    const marker = `${' '.repeat(options.indent * depth)}-`;
+
+    if (isPlainObject(item)) {
+        const lines = [marker];
+        for (const f in item) {
+            lines.push(encodeEntry(f, item[f], depth + 1, options, commentFor(item, f, options)));
+        }
+        return lines.join('\n');
+    }
+    if (Array.isArray(item)) {
+        // The nested header is written at the marker's depth, then moved onto the marker line
+        return `${marker} ${jsonToToonParser(item, '', depth, options).trimStart()}`;
+    }
+    return `${marker} ${formatValue(item, options)}`;
+}
+
+/**
+ * Encodes one object entry, folding single-key object chains into a dotted
+ * path (`a.b.c: 1`) when key folding is enabled. Keys with a comment are
+ * not folded into, so every comment keeps a line of its own.
+ * @param {string} key
+ * @param {*} value
+ * @param {number} depth
+ * @param {Object} options - Resolved encoder options
+ * @param {string} [comment] - Comment written on the line before the entry
+ * @returns {string}
+ */
+function encodeEntry(key, value, depth, options, comment) {
+    const prefix = comment === undefined ? '' : `${formatComment(comment, depth, options)}\n`;
+
+    if (!options.keyFolding) {
+        return prefix + jsonToToonParser(value, formatKey(key), depth, options);
+    }
+
+    // Literal dotted keys are quoted so path expansion leaves them alone
+    if (!PATH_SEGMENT.test(key)) {
+        return prefix + jsonToToonParser(value, key.includes('.') ? `"${escapeString(key)}"` : formatKey(key), depth, options);
+    }
+
+    let path = key;
+    let current = value;
+    while (isPlainObject(current)) {
+        const childKeys = Object.keys(current);
+        if (childKeys.length !== 1 || !PATH_SEGMENT.test(childKeys[0])) break;
+        if (commentFor(current, childKeys[0], options) !== undefined) break;
+        path += `.${childKeys[0]}`;
+        current = current[childKeys[0]];
+    }
+
+    return prefix + jsonToToonParser(current, path, depth, options);
+}
+
+/**
+ * Splits a raw key into its name and whether it was quoted.
+ * @param {string} rawKey
+ * @returns {{key: string, quoted: boolean}}
+ */
+function parseKey(rawKey) {
+    const trimmed = rawKey.trim();
+    if (trimmed.length >= 2 && trimmed.startsWith('"') && trimmed.endsWith('"')) {
+        return { key: unescapeString(trimmed.slice(1, -1)), quoted: true };
+    }
+    return { key: trimmed, quoted: false };
+}
+
+/**
+ * Decodes the field list of a tabular header (`{id,"a,b"}` without braces)
+ * @param {string|undefined} text
+ * @returns {string[]|null} Field names, or null for a non-tabular header
+ */
+function parseFields(text) {
+    return text ? splitByDelimiter(text, ',').map(f => parseKey(f).key) : null;
+}
+
+/**
+ * Matches a line against one of the line shapes with its quoted strings
+ * masked, so quoted keys and values are never mistaken for structure.
+ * Groups are returned from the original text.
+ * @param {string} text
+ * @param {RegExp} pattern - Pattern with the `d` flag
+ * @returns {Array<string|undefined>|null}
+ */
+function matchLine(text, pattern) {
+    const match = pattern.exec(maskQuoted(text));
+    if (!match) return null;
+    return match.indices.map(span => span && text.slice(span[0], span[1]));
+}
+
+/**
+ * Path segments a raw key decodes to: its dotted segments when path
+ * expansion applies, otherwise just the key.
+ * @param {string} rawKey
+ * @param {Object} options - Resolved decoder options
+ * @returns {string[]}
+ */
+function keySegments(rawKey, options) {
+    const { key, quoted } = parseKey(rawKey);
+    const segments = key.split('.');
+
+    if (quoted || !options.expandPaths || segments.length < 2 ||
+        !segments.every(seg => PATH_SEGMENT.test(seg) && !UNSAFE_SEGMENTS.includes(seg))) {
+        return [key];
+    }
+    return segments;
+}
+
+/**
+ * Stores a value as an own property, so keys such as `__proto__` are data
+ * and never change the object's prototype
+ * @param {Object} obj
+ * @param {string} key
+ * @param {*} value
+ */
+function setOwn(obj, key, value) {
+    if (key === '__proto__') {
+        Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+    } else {
+        obj[key] = value;
+    }
+}
+
+/**
+ * Creates the error thrown when a dotted key and a plain value claim the same path
+ * @param {string} key - Dotted key
+ * @param {string} seg - Segment that collides
+ * @param {{line: number, sourceLine: string}} location
+ * @param {string} [reason='is not an object']
+ * @returns {ToonSyntaxError}
+ */
+function pathConflict(key, seg, location, reason = 'is not an object') {
+    return new ToonSyntaxError(`Path expansion conflict at "${key}": "${seg}" ${reason}.`, {
+        code: TOON_ERROR_CODES.PATH_EXPANSION_CONFLICT,
+        line: location.line ?? null,
+        column: location.sourceLine ? location.sourceLine.indexOf(key) + 1 || null : null,
+        sourceLine: location.sourceLine ?? null
+    });
+}
+
+/**
+ * Assigns a decoded value to its parent, expanding unquoted dotted keys into
+ * nested objects when path expansion is enabled.
+ * @param {Object} parent
+ * @param {string} rawKey
+ * @param {*} value
+ * @param {Object} options - Resolved decoder options
+ * @param {{line: number, sourceLine: string}} [location] - Source position, for error reporting
+ * @returns {*} The value now stored (an existing object when paths merge)
+ * @throws {ToonSyntaxError} If a path segment collides with a non-object value
+ */
+function assignKey(parent, rawKey, value, options, location = {}) {
+    const segments = keySegments(rawKey, options);
+    const key = segments.join('.');
+
+    let target = parent;
+    for (const seg of segments.slice(0, -1)) {
+        if (!Object.prototype.hasOwnProperty.call(target, seg)) {
+            target[seg] = {};
+            EXPANDED_OBJECTS.add(target[seg]);
+        } else if (!isPlainObject(target[seg])) {
+            throw pathConflict(key, seg, location);
+        }
+        target = target[seg];
+    }
+
+    const last = segments[segments.length - 1];
+    const existing = Object.prototype.hasOwnProperty.call(target, last) ? target[last] : undefined;
+    // Objects only merge along expanded paths; a repeated plain key replaces its value
+    const expanded = segments.length > 1 || EXPANDED_OBJECTS.has(existing);
+    if (expanded && isPlainObject(existing) && isPlainObject(value)) {
+        for (const k of Object.keys(value)) setOwn(existing, k, value[k]);
+        return existing;
+    }
+    // Same outcome as a dotted key meeting an existing plain value (`a: 1` then `a.b: 2`)
+    if (EXPANDED_OBJECTS.has(existing)) {
+        throw pathConflict(key, last, location, 'already holds an expanded path');
+    }
+    setOwn(target, last, value);
+    return value;
+}
 
 /**
  * Internal core parser for JSON to TOON conversion.
  * @param {*} data 
  * @param {string} key 
  * @param {number} depth 
+ * @param {Object} options - Resolved encoder options
  * @returns {string}
  */
-function jsonToToonParser(data, key = '', depth = 0) {
-    const indent = '  '.repeat(depth);
-    const nextIndent = '  '.repeat(depth + 1);
+function jsonToToonParser(data, key = '', depth = 0, options = resolveEncodeOptions()) {
+    const indent = ' '.repeat(options.indent * depth);
+    const nextIndent = ' '.repeat(options.indent * (depth + 1));
+    const format = (v) => formatValue(v, options);
 
     // ---- Primitive ----
-    if (data === null || typeof data !== 'object') {
+    if (isPrimitive(data)) {
         if (key) {
-            return `${indent}${key}: ${formatValue(data)}`;
+            return `${indent}${key}: ${format(data)}`;
         }
-        return `${indent}${formatValue(data)}`;
+        return `${indent}${format(data)}`;
     }
 
     // ---- Array ----
@@ -34,79 +651,36 @@ function jsonToToonParser(data, key = '', depth = 0) {
         }
 
         // Array of primitives
-        if (typeof data[0] !== 'object' || data[0] === null) {
-            const values = data.map(v => formatValue(v)).join(', ');
-            return `${indent}${key}[${length}]: ${values}`;
+        if (isPrimitiveArray(data)) {
+            const values = data.map(format).join(inlineSeparator(options));
+            return `${formatArrayHeader(key, length, null, depth, options)} ${values}`;
         }
 
         // ---- Array of objects ----
-        const firstItem = data[0];
-        if (typeof firstItem === 'object' && firstItem !== null && !Array.isArray(firstItem)) {
-            const fields = Object.keys(firstItem);
-
-            // Collect all potential fields from ALL rows to be sure, or just from first row
-            // To match Python, we check fields from first row
-            let isTabular = true;
-            for (const row of data) {
-                if (typeof row !== 'object' || row === null || Array.isArray(row)) {
-                    isTabular = false;
-                    break;
-                }
+        const fields = getTabularFields(data, options);
 
-                // If this row has more keys than the first row, it might not be tabular 
-                // but let's stick to Python logic: check if all values of 'fields' in this row are primitive
-                for (const f of fields) {
-                    const val = row[f];
-                    if (val !== null && typeof val === 'object') {
-                        isTabular = false;
-                        break;
-                    }
-                }
+        // ---- TABULAR ARRAY (structured array) ----
+        if (fields) {
+            const lines = [];
+            lines.push(formatArrayHeader(key, length, fields, depth, options));
 
-                // AND we should probably check if this row contains any extra non-primitive keys
-                if (isTabular) {
-                    for (const k in row) {
-                        if (!fields.includes(k) && typeof row[k] === 'object' && row[k] !== null) {
-                            isTabular = false;
-                            break;
-                        }
-                    }
-                }
-
-                if (!isTabular) break;
-            }
+            data.forEach((row, i) => {
+                const comment = commentFor(data, i, options);
+                if (comment !== undefined) lines.push(formatComment(comment, depth + 1, options));
+                lines.push(`${nextIndent}${formatTabularRow(row, fields, options)}`);
+            });
 
-            // ---- TABULAR ARRAY (structured array) ----
-            if (isTabular) {
-                const header = fields.join(',');
-                const lines = [];
-                lines.push(`${indent}${key}[${length}]{${header}}:`);
-
-                data.forEach(row => {
-                    const rowVals = fields.map(f => formatValue(row[f]));
-                    lines.push(`${nextIndent}${rowVals.join(',')}`);
-                });
-
-                return lines.join('\n');
-            }
+            return lines.join('\n');
         }
 
         // ---- YAML-STYLE ARRAY (nested objects or mixed types) ----
         const lines = [];
-        lines.push(`${indent}${key}[${length}]:`);
+        lines.push(formatArrayHeader(key, length, null, depth, options));
 
-        data.forEach(row => {
-            lines.push(`${nextIndent}-`); // item marker
-            if (typeof row === 'object' && row !== null && !Array.isArray(row)) {
-                for (const f in row) {
-                    lines.push(jsonToToonParser(row[f], f, depth + 2));
-                }
-            } else if (Array.isArray(row)) {
-                lines.push(jsonToToonParser(row, '', depth + 2));
-            } else {
-                // Primitive in array
-                lines.push(`${'  '.repeat(depth + 2)}${formatValue(row)}`);
-            }
+        data.forEach((row, i) => {
+            const comment = commentFor(data, i, options);
+            if (comment !== undefined) lines.push(formatComment(comment, depth + 1, options));
+            lines.push(encodeListItem(row, depth + 1, options));
         });
 
         return lines.join('\n');
@@ -120,7 +694,7 @@ function jsonToToonParser(data, key = '', depth = 0) {
 
     const childDepth = key ? depth + 1 : depth;
     Object.keys(data).forEach(k => {
-        lines.push(jsonToToonParser(data[k], k, childDepth));
+        lines.push(encodeEntry(k, data[k], childDepth, options, commentFor(data, k, options)));
     });
 
     return lines.join('\n');
@@ -129,9 +703,29 @@ function jsonToToonParser(data, key = '', depth = 0) {
 /**
  * Converts JSON to TOON format (Sync)
  * @param {*} data - JSON data to convert
+ * @param {Object} [options={}] - Encoder options
+ * @param {number} [options.indent=2] - Spaces per indentation level
+ * @param {string} [options.delimiter=','] - Array delimiter: ',', '\t' or '|'
+ * @param {string} [options.quoting='always'] - 'always' quotes every string, 'minimal' only when ambiguous
+ * @param {string} [options.missingCells='omit'] - Cells for keys a tabular row lacks: 'omit' leaves them empty, 'null' writes null
+ * @param {boolean} [options.keyFolding=false] - Fold single-key object chains into dotted keys (`a.b.c: 1`)
+ * @param {boolean} [options.arrayCells=false] - Allow arrays of primitives as bracketed tabular cells (`1,[2,3]`)
+ * @param {boolean|Function} [options.sortKeys=false] - Sort object keys and tabular columns, with the default
+ * order (index keys numerically, then by UTF-16 code units) or a `(a, b) => number` comparator
+ * @param {boolean} [options.canonical=false] - Byte-stable output: sorted keys, 2-space indent, comma
+ * delimiter, quoted strings, and integers written in the same form whether they are numbers or BigInts
+ * @param {boolean} [options.typed=false] - Write BigInt, Date, NaN, ±Infinity and -0 as typed literals
+ * (`123n`, `date("...")`, `NaN`, `Infinity`, `-0`) instead of their JSON forms
+ * @param {Function} [options.replacer] - `(key, value, path) => value`, called like the JSON.stringify replacer
+ * @param {Object} [options.schema] - JSON Schema: object keys and tabular columns follow its property order
+ * @param {Object} [options.comments] - Comments to write, keyed by path (`'user.email'`, `'items.0'`,
+ * `''` for the top of the document); each is written as `# ...` lines before the entry
  * @returns {string} TOON formatted string
+ * @throws {Error} If an option has an unsupported value
  */
-export function jsonToToonSync(data) {
+export function jsonToToonSync(data, options = {}) {
+    const encodeOptions = resolveEncodeOptions(options);
+
     // Handle String Input (Potential JSON string or Mixed Text)
     if (typeof data === 'string') {
         let convertedText = data;
@@ -146,7 +740,7 @@ export function jsonToToonSync(data) {
             foundAnyJson = true;
             try {
                 const jsonObject = JSON.parse(jsonString);
-                const toonString = jsonToToonParser(jsonObject);
+                const toonString = encodeDocument(jsonObject, encodeOptions);
                 const toonOutput = toonString.trim();
                 convertedText = convertedText.replace(jsonString, toonOutput);
                 iterationCount++;
@@ -156,234 +750,810 @@ export function jsonToToonSync(data) {
         }
 
         if (!foundAnyJson) {
-            return jsonToToonParser(data);
+            return encodeDocument(data, encodeOptions);
         }
 
         return convertedText;
     }
 
-    return jsonToToonParser(data);
+    return encodeDocument(data, encodeOptions);
 }
 
 /**
  * Converts JSON to TOON format (Async)
  * @param {*} data - JSON data to convert
+ * @param {Object} [options={}] - Encoder options (see jsonToToonSync)
  * @returns {Promise<string>} TOON formatted string
  */
-export async function jsonToToon(data) {
-    return jsonToToonSync(data);
+export async function jsonToToon(data, options = {}) {
+    return jsonToToonSync(data, options);
 }
 
 /**
- * Converts TOON to JSON format (Synchronous)
- * @param {string} toonString - TOON formatted string
- * @param {boolean} [returnJson=false] - If true, returns JSON string; if false, returns object
- * @returns {Object|string} JSON object or JSON string
- * @throws {Error} If TOON string is invalid
+ * Picks how an array of rows is written, as the batch encoder does:
+ * primitives inline, flat objects as a tabular array (with the union of
+ * their keys as fields) and anything else as a YAML-style list.
+ * @param {Array} rows - Prepared rows (all of them, or just the first when streaming)
+ * @param {string[]|null} fields - Declared tabular fields
+ * @param {Object} options - Resolved encoder options
+ * @returns {{layout: string, fields: string[]|null}}
  */
-export function toonToJsonSync(toonString, returnJson = false) {
-    // Validate TOON string before conversion
-    const validationStatus = validateToonStringSync(toonString);
-    if (!validationStatus.isValid) {
-        throw new Error(`Invalid TOON: ${validationStatus.error}`);
+function chooseStreamLayout(rows, fields, options) {
+    if (fields) return { layout: 'tabular', fields };
+    if (isPrimitiveArray(rows)) return { layout: 'inline', fields: null };
+
+    if (options.schema !== null) {
+        options.columnOrder.set(rows, schemaKeys(schemaAt(options.schema, [0]), options.schema));
     }
+    const tabular = getTabularFields(rows, options);
+    return tabular ? { layout: 'tabular', fields: tabular } : { layout: 'list', fields: null };
+}
 
-    const lines = toonString.split('\n');
-    let root = {};
-    let stack = [];
+/**
+ * Encodes an array incrementally (Streaming).
+ *
+ * Yields the array header and then one chunk per row, so a large export
+ * never has to be held in memory as a single string.
+ *
+ * Without a `count` the rows are buffered anyway, so the layout is chosen
+ * from all of them and the chunks concatenate to exactly what
+ * `jsonToToonSync` returns for the same array. With a `count` the layout
+ * is chosen from the first row: primitives are written inline, flat objects
+ * as a tabular array and anything else as a YAML-style list. Tabular fields
+ * then come from `fields` or the keys of the first row, and a later row
+ * that does not fit the layout (a field missing from the header, an object
+ * after inline primitives) throws.
+ *
+ * @example
+ * import { Readable } from 'stream';
+ * Readable.from(jsonToToonStream(cursor, { key: 'users', count: total })).pipe(file);
+ *
+ * @param {Iterable|AsyncIterable} rows - Array items, e.g. a database cursor
+ * @param {Object} [options={}] - Stream options, plus any encoder option (see jsonToToonSync)
+ * @param {string} [options.key=''] - Key of the array; empty for a root array
+ * @param {number|Promise<number>|Function} [options.count] - Number of rows, or a promise / function
+ * resolving to it. If omitted the rows are buffered to count them before anything is emitted.
+ * @param {string[]} [options.fields] - Tabular header fields (defaults to the keys of the first row)
+ * @returns {AsyncGenerator<string>} TOON chunks
+ * @throws {Error} If the rows do not match the declared count or tabular fields
+ */
+export async function* jsonToToonStream(rows, options = {}) {
+    const { key: rawKey = '', count, fields: declaredFields = null, ...encoderOptions } = options;
+    const encodeOptions = resolveEncodeOptions(encoderOptions);
+    const key = rawKey === '' ? '' : formatKey(rawKey);
+    const rowIndent = ' '.repeat(encodeOptions.indent);
 
-    // Pre-process: Check for Root Array or Root Primitive
-    const firstLine = lines.find(l => l.trim() !== '');
-    if (!firstLine) return returnJson ? '{}' : {}; // Empty document
+    // Each row is prepared like an array item of the batch encoder
+    const prepare = (item, index) => {
+        const prepared = prepareValue(rows, String(index), item, [index], encodeOptions);
+        return prepared === undefined ? null : prepared;
+    };
 
-    // Root Array detection
-    if (firstLine.trim().startsWith('[')) {
-        root = [];
-        stack.push({ obj: root, indent: 0, isRootArray: true });
+    let source = rows;
+    let length;
+    let layout = null;
+    let fields = declaredFields;
+    const buffered = count === undefined;
+    if (buffered) {
+        source = [];
+        for await (const item of rows) source.push(prepare(item, source.length));
+        length = source.length;
+        if (length > 0) ({ layout, fields } = chooseStreamLayout(source, fields, encodeOptions));
     } else {
-        stack.push({ obj: root, indent: -1 }); // Root object container
+        length = await (typeof count === 'function' ? count() : count);
+    }
+    if (!Number.isInteger(length) || length < 0) {
+        throw new Error(`Invalid count: ${length}. Expected a non-negative integer.`);
     }
 
-    // State for tabular arrays
-    let tabularHeaders = null;
-    let tabularTarget = null;
-    let tabularIndent = -1;
-    let tabularDelimiter = ',';
+    let emitted = 0;
 
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        if (line.trim() === '') continue;
+    for await (const item of source) {
+        if (emitted === length) {
+            throw new Error(`Stream produced more than the declared ${length} rows.`);
+        }
+        const row = buffered ? item : prepare(item, emitted);
 
-        const indentMatch = line.match(/^(\s*)/);
-        const indent = indentMatch ? indentMatch[1].length : 0;
+        if (emitted === 0) {
+            if (layout === null) ({ layout, fields } = chooseStreamLayout([row], fields, encodeOptions));
+
+            let header = formatArrayHeader(key, length, layout === 'tabular' ? fields : null, 0, encodeOptions);
+            if (encodeOptions.comments !== null && encodeOptions.comments[''] !== undefined) {
+                header = `${formatComment(encodeOptions.comments[''], 0, encodeOptions)}\n${header}`;
+            }
+            if (layout === 'inline') {
+                yield `${header} ${formatValue(row, encodeOptions)}`;
+                emitted++;
+                continue;
+            }
+            yield header;
+        }
+
+        const comment = encodeOptions.comments !== null && layout !== 'inline' ? encodeOptions.comments[String(emitted)] : undefined;
+        if (comment !== undefined) {
+            yield `\n${formatComment(comment, 1, encodeOptions)}`;
+        }
+
+        if (layout === 'inline') {
+            if (!isPrimitive(row)) {
+                throw new Error(`Row ${emitted + 1} is not a primitive; it cannot follow inline values. Omit count to let the rows be buffered and written as a list.`);
+            }
+            yield `${inlineSeparator(encodeOptions)}${formatValue(row, encodeOptions)}`;
+        } else if (layout === 'tabular') {
+            const rowFields = getTabularFields([row], encodeOptions);
+            const extra = rowFields && rowFields.find(f => !fields.includes(f));
+            if (!rowFields || extra) {
+                const reason = extra ? `has field "${extra}" missing from the header` : 'is not a flat object';
+                throw new Error(`Row ${emitted + 1} ${reason}; it cannot be streamed as a tabular row. Pass fields, or omit count to let the rows be buffered.`);
+            }
+            yield `\n${rowIndent}${formatTabularRow(row, fields, encodeOptions)}`;
+        } else {
+            yield `\n${encodeListItem(row, 1, encodeOptions)}`;
+        }
+        emitted++;
+    }
+
+    if (emitted === 0 && length === 0) {
+        yield jsonToToonParser([], key, 0, encodeOptions);
+    } else if (emitted !== length) {
+        throw new Error(`Stream produced ${emitted} rows but ${length} were declared.`);
+    }
+}
+
+/**
+ * Decodes the values of an inline array. Empty (unquoted) items, such as
+ * the one after a trailing delimiter, are skipped as the validator does.
+ * @param {string} text
+ * @param {string} delimiter
+ * @param {Function} parse - `(item, index) => value`, decodes one item
+ * @returns {Array}
+ */
+function splitInlineValues(text, delimiter, parse) {
+    return splitByDelimiter(text, delimiter)
+        .filter(item => item.trim() !== '')
+        .map(parse);
+}
+
+/**
+ * Line-driven TOON decoder shared by the batch, streaming and partial parsers.
+ *
+ * Lines are fed one at a time with pushLine(); containers are tracked on a
+ * stack of frames keyed by indentation, and finish() closes whatever is
+ * still open and returns the decoded root.
+ * @private
+ */
+class ToonDecoder {
+    /**
+     * @param {Object} options - Resolved decoder options
+     * @param {boolean} [options.checkCounts=false] - Throw when an array closes with a count other than declared
+     * @param {Function|null} [onEvent=null] - Receives `{type, path, ...}` for each structural event
+     */
+    constructor(options, onEvent = null) {
+        this.options = options;
+        this.onEvent = onEvent;
+        this.root = undefined;
+        // Frames: { obj, indent, path, kind: 'object'|'array', meta?, isRootArray? }
+        this.stack = [];
+        // Open tabular array: { headers, meta, indent, delimiter }
+        this.tabular = null;
+        this.lineNumber = 0;
+        // Metadata of every array opened so far
+        this.arrays = [];
+    }
+
+    top() {
+        return this.stack[this.stack.length - 1];
+    }
+
+    emit(type, payload) {
+        if (this.onEvent) this.onEvent({ type, ...payload });
+    }
+
+    /**
+     * Registers a newly created array and emits arrayStart
+     * @returns {Object} Array metadata: { array, path, declared, fields, line, sourceLine }
+     */
+    openArray(array, path, declared, fields, location) {
+        const meta = { array, path, declared, fields, line: location.line, sourceLine: location.sourceLine };
+        this.arrays.push(meta);
+        this.emit('arrayStart', { path, length: declared, fields });
+        return meta;
+    }
+
+    closeArray(meta) {
+        // A root tabular array is closed both as a table and as the root frame
+        if (meta.closed) return;
+        meta.closed = true;
+
+        const count = meta.array.length;
+        this.emit('arrayEnd', { path: meta.path, length: meta.declared, count });
+
+        if (this.options.checkCounts && count !== meta.declared) {
+            throw new ToonSyntaxError(`Array size mismatch. Declared ${meta.declared}, found ${count} items.`, {
+                code: TOON_ERROR_CODES.ARRAY_SIZE_MISMATCH,
+                line: meta.line,
+                column: meta.sourceLine.indexOf('[') + 1 || null,
+                sourceLine: meta.sourceLine
+            });
+        }
+    }
+
+    closeFrame(frame) {
+        if (frame.kind === 'object') {
+            this.emit('objectEnd', { path: frame.path });
+        } else if (frame.meta) {
+            this.closeArray(frame.meta);
+        }
+    }
+
+    closeTabular() {
+        if (!this.tabular) return;
+        const { meta } = this.tabular;
+        this.tabular = null;
+        this.closeArray(meta);
+    }
+
+    /**
+     * Fills a new array from its header: tabular rows follow, inline values
+     * are added now, and block items get their own frame.
+     */
+    startArray(newArray, meta, delimiter, rest, frameIndent) {
+        if (meta.fields) {
+            this.tabular = { headers: meta.fields, meta, indent: -1, delimiter };
+        } else if (rest && rest.trim() !== '') {
+            const values = splitInlineValues(rest, delimiter, (item, i) => this.parseScalar(item, [...meta.path, i]));
+            values.forEach(value => {
+                this.emit('value', { path: [...meta.path, newArray.length], value });
+                newArray.push(value);
+            });
+            this.closeArray(meta);
+        } else {
+            this.stack.push({ obj: newArray, indent: frameIndent, path: meta.path, kind: 'array', meta });
+        }
+    }
+
+    /**
+     * Decodes a scalar token, as the schema declares it if there is one
+     * @param {string} text - Token text
+     * @param {Array<string|number>} path - Path the value will be stored at
+     * @returns {*}
+     */
+    parseScalar(text, path) {
+        const value = parseValue(text, this.options);
+        if (this.options.schema === null) return value;
+        return coerceScalar(text, value, schemaAt(this.options.schema, path), this.options);
+    }
+
+    /**
+     * Decodes a tabular cell: a bracketed cell (`[1,2]`) is an array of
+     * scalars split on the row delimiter, anything else a single scalar
+     * @param {string} text - Cell text
+     * @param {string} delimiter - Row delimiter
+     * @param {Array<string|number>} path - Path the value will be stored at
+     * @returns {*}
+     */
+    parseCell(text, delimiter, path) {
+        const cell = text.trim();
+        if (!cell.startsWith('[') || !cell.endsWith(']')) return this.parseScalar(text, path);
+
+        const inner = cell.slice(1, -1);
+        if (inner.trim() === '') return [];
+        return splitByDelimiter(inner, delimiter).map((item, i) => this.parseScalar(item, [...path, i]));
+    }
+
+    /**
+     * Assigns a key of the current object and emits the key event
+     * @returns {{stored: *, path: Array<string|number>}} The stored value (see assignKey) and its path
+     */
+    assign(frame, rawKey, value, location) {
+        const path = [...frame.path, ...keySegments(rawKey, this.options)];
+        this.emit('key', { path: frame.path, key: parseKey(rawKey).key });
+        const stored = assignKey(frame.obj, rawKey, value, this.options, location);
+        return { stored, path };
+    }
+
+    /**
+     * Whether a line that may have been cut off mid-value is whole: quotes
+     * are balanced, tabular rows have every cell, neither a row nor inline
+     * array values end in a bare delimiter and other lines have a key or
+     * list marker.
+     * @param {string} line
+     * @returns {boolean}
+     */
+    isCompleteLine(line) {
+        line = stripComment(line);
+        const trimmed = line.trim();
+        if (trimmed === '') return true;
+        if (maskQuoted(line).replace(/"_*"/g, '').includes('"')) return false;
+        // With quotes balanced, a trailing delimiter is never inside a string
+        const endsWithDelimiter = (text, delimiter) => text.replace(/ +$/, '').endsWith(delimiter);
+
+        if (this.tabular) {
+            const indent = line.match(this.tabular.delimiter === '\t' ? /^( *)/ : /^(\s*)/)[1].length;
+            const isRow = this.tabular.indent === -1 ? indent > this.top().indent : indent === this.tabular.indent;
+            if (isRow) {
+                const row = line.slice(indent);
+                return !endsWithDelimiter(row, this.tabular.delimiter) &&
+                    splitByDelimiter(row.trimEnd(), this.tabular.delimiter).length >= this.tabular.headers.length;
+            }
+        }
+
+        const inline = matchLine(line, PARTIAL_INLINE_LINE);
+        if (inline && endsWithDelimiter(inline[3], resolveDelimiter(inline[2]))) return false;
+
+        return trimmed.startsWith('-') || trimmed.includes(':');
+    }
+
+    /**
+     * Decodes one line of TOON. `#` comments are ignored.
+     * @param {string} sourceLine
+     */
+    pushLine(sourceLine) {
+        this.lineNumber++;
+        const line = stripComment(sourceLine);
+        if (line.trim() === '') return;
+        const location = { line: this.lineNumber, sourceLine };
         const trimmed = line.trim();
 
+        // Root Array detection
+        if (this.root === undefined) {
+            if (trimmed.startsWith('[')) {
+                this.root = [];
+                this.stack.push({ obj: this.root, indent: 0, path: [], kind: 'array', isRootArray: true });
+            } else {
+                this.root = {};
+                this.stack.push({ obj: this.root, indent: -1, path: [], kind: 'object' }); // Root object container
+                this.emit('objectStart', { path: [] });
+            }
+        }
+
+        // In tab-delimited tables a leading tab is an empty first cell, not indentation
+        const indentMatch = this.tabular && this.tabular.delimiter === '\t' ? line.match(/^( *)/) : line.match(/^(\s*)/);
+        const indent = indentMatch ? indentMatch[1].length : 0;
+
         // --- Tabular Data Handling ---
-        if (tabularTarget) {
-            if (tabularIndent === -1) {
-                if (indent > stack[stack.length - 1].indent) {
-                    tabularIndent = indent;
+        if (this.tabular) {
+            if (this.tabular.indent === -1) {
+                if (indent > this.top().indent) {
+                    this.tabular.indent = indent;
                 } else {
-                    tabularTarget = null;
-                    tabularHeaders = null;
+                    this.closeTabular();
                 }
             }
 
-            if (tabularTarget && indent === tabularIndent) {
-                const values = splitByDelimiter(trimmed, tabularDelimiter).map(parseValue);
+            if (this.tabular && indent === this.tabular.indent) {
+                const cells = splitByDelimiter(line.slice(indent).trimEnd(), this.tabular.delimiter);
+                const { array, path } = this.tabular.meta;
                 const rowObj = {};
-                tabularHeaders.forEach((h, idx) => {
-                    rowObj[h] = values[idx];
+                this.tabular.headers.forEach((h, idx) => {
+                    // Empty (or absent trailing) cells mark keys the row does not have
+                    if (cells[idx] === undefined || cells[idx].trim() === '') return;
+                    setOwn(rowObj, h, this.parseCell(cells[idx], this.tabular.delimiter, [...path, array.length, h]));
                 });
-                tabularTarget.push(rowObj);
-                continue;
-            } else if (tabularTarget && indent < tabularIndent) {
-                tabularTarget = null;
-                tabularHeaders = null;
-                tabularIndent = -1;
+                this.emit('row', { path, index: array.length, row: rowObj });
+                array.push(rowObj);
+                return;
+            } else if (this.tabular && indent < this.tabular.indent) {
+                this.closeTabular();
             }
         }
 
         // Adjust stack based on indentation
-        while (stack.length > 1 && stack[stack.length - 1].indent >= indent) {
-            stack.pop();
+        while (this.stack.length > 1 && this.top().indent >= indent) {
+            this.closeFrame(this.stack.pop());
         }
 
-        let parent = stack[stack.length - 1].obj;
+        const frame = this.top();
+        const parent = frame.obj;
 
         // Root Array Header check
-        if (stack.length === 1 && stack[0].isRootArray && trimmed.startsWith('[')) {
-            const rootHeaderMatch = trimmed.match(/^\[(\d+)(.*?)\](?:\{(.*?)\})?:\s*(.*)$/);
-            if (rootHeaderMatch) {
-                const delimChar = rootHeaderMatch[2];
-                const fieldsStr = rootHeaderMatch[3];
-
-                let delimiter = ',';
-                if (delimChar === '\\t') delimiter = '\t';
-                else if (delimChar === '|') delimiter = '|';
-
-                if (fieldsStr) {
-                    tabularHeaders = fieldsStr.split(',').map(s => s.trim());
-                    tabularTarget = root;
-                    tabularIndent = -1;
-                    tabularDelimiter = delimiter;
+        if (this.stack.length === 1 && frame.isRootArray && trimmed.startsWith('[')) {
+            const rootHeaderMatch = matchLine(trimmed, ROOT_ARRAY_LINE);
+            if (rootHeaderMatch && !frame.meta) {
+                const delimiter = resolveDelimiter(rootHeaderMatch[2]);
+                const fields = parseFields(rootHeaderMatch[3]);
+                frame.meta = this.openArray(this.root, [], parseInt(rootHeaderMatch[1], 10), fields, location);
+
+                if (fields) {
+                    this.tabular = { headers: fields, meta: frame.meta, indent: -1, delimiter };
+                } else if (rootHeaderMatch[4].trim() !== '') {
+                    const values = splitInlineValues(rootHeaderMatch[4], delimiter, (item, i) => this.parseScalar(item, [i]));
+                    values.forEach(value => {
+                        this.emit('value', { path: [this.root.length], value });
+                        this.root.push(value);
+                    });
                 }
             }
-            continue;
+            return;
         }
 
         // --- List Item Handling (-) ---
         if (trimmed.startsWith('-')) {
             const content = trimmed.slice(1).trim();
+            const itemPath = [...frame.path, parent.length];
 
             if (content === '') {
                 const newObj = {};
                 parent.push(newObj);
-                stack.push({ obj: newObj, indent: indent });
-                continue;
-            } else {
-                const kvMatch = content.match(/^(.+?):\s*(.*)$/);
-                const arrayMatch = content.match(/^\[(\d+)(.*?)\](?:\{(.*?)\})?:\s*(.*)$/);
-
-                if (arrayMatch) {
-                    const delimChar = arrayMatch[2] || ',';
-                    const delimiter = delimChar === '\\t' ? '\t' : (delimChar === '|' ? '|' : ',');
-                    const fieldsStr = arrayMatch[3];
-                    const rest = arrayMatch[4];
-
-                    const newArray = [];
-                    parent.push(newArray);
-
-                    if (fieldsStr) {
-                        tabularHeaders = fieldsStr.split(',').map(s => s.trim());
-                        tabularTarget = newArray;
-                        tabularIndent = -1;
-                        tabularDelimiter = delimiter;
-                    } else if (rest) {
-                        const values = splitByDelimiter(rest, delimiter).map(parseValue);
-                        newArray.push(...values);
-                    } else {
-                        stack.push({ obj: newArray, indent: indent + 1 });
-                    }
-                    continue;
-                }
+                this.emit('objectStart', { path: itemPath });
+                this.stack.push({ obj: newObj, indent: indent, path: itemPath, kind: 'object' });
+                return;
+            }
 
-                if (kvMatch) {
-                    const key = kvMatch[1].trim();
-                    const valStr = kvMatch[2].trim();
-                    const newObj = {};
-
-                    if (valStr === '') {
-                        newObj[key] = {};
-                        parent.push(newObj);
-                        stack.push({ obj: newObj[key], indent: indent + 1 });
-                    } else {
-                        newObj[key] = parseValue(valStr);
-                        parent.push(newObj);
-                        stack.push({ obj: newObj, indent: indent });
-                    }
-                    continue;
-                }
+            const kvMatch = matchLine(content, KEY_VALUE_LINE);
+            const arrayMatch = matchLine(content, ROOT_ARRAY_LINE);
 
-                parent.push(parseValue(content));
-                continue;
+            if (arrayMatch) {
+                const delimiter = resolveDelimiter(arrayMatch[2]);
+                const fields = parseFields(arrayMatch[3]);
+
+                const newArray = [];
+                parent.push(newArray);
+                const meta = this.openArray(newArray, itemPath, parseInt(arrayMatch[1], 10), fields, location);
+                this.startArray(newArray, meta, delimiter, arrayMatch[4], indent + 1);
+                return;
             }
+
+            if (kvMatch) {
+                const valStr = kvMatch[2].trim();
+                const newObj = {};
+                parent.push(newObj);
+                this.emit('objectStart', { path: itemPath });
+                const itemFrame = { obj: newObj, indent: indent, path: itemPath, kind: 'object' };
+                this.stack.push(itemFrame);
+
+                if (valStr === '') {
+                    const { stored, path } = this.assign(itemFrame, kvMatch[1], {}, location);
+                    this.emit('objectStart', { path });
+                    this.stack.push({ obj: stored, indent: indent + 1, path, kind: 'object' });
+                } else {
+                    const value = this.parseScalar(valStr, [...itemPath, ...keySegments(kvMatch[1], this.options)]);
+                    const { path } = this.assign(itemFrame, kvMatch[1], value, location);
+                    this.emit('value', { path, value });
+                }
+                return;
+            }
+
+            const value = this.parseScalar(content, itemPath);
+            parent.push(value);
+            this.emit('value', { path: itemPath, value });
+            return;
         }
 
         // --- Key-Value or Array Header Handling ---
-        const arrayHeaderMatch = trimmed.match(/^(.+?)\[(\d+)(.*?)\](?:\{(.*?)\})?:\s*(.*)$/);
+        const arrayHeaderMatch = matchLine(trimmed, ARRAY_HEADER_LINE);
         if (arrayHeaderMatch) {
-            const key = arrayHeaderMatch[1].trim();
-            const delimChar = arrayHeaderMatch[3];
-            const fieldsStr = arrayHeaderMatch[4];
-            const valueStr = arrayHeaderMatch[5];
-
-            let delimiter = ',';
-            if (delimChar === '\\t') delimiter = '\t';
-            else if (delimChar === '|') delimiter = '|';
+            const delimiter = resolveDelimiter(arrayHeaderMatch[3]);
+            const fields = parseFields(arrayHeaderMatch[4]);
 
             const newArray = [];
-            parent[key] = newArray;
-
-            if (fieldsStr) {
-                tabularHeaders = fieldsStr.split(',').map(s => s.trim());
-                tabularTarget = newArray;
-                tabularIndent = -1;
-                tabularDelimiter = delimiter;
-            } else if (valueStr && valueStr.trim() !== '') {
-                const values = splitByDelimiter(valueStr, delimiter).map(parseValue);
-                newArray.push(...values);
-            } else {
-                stack.push({ obj: newArray, indent: indent + 1 });
-            }
-            continue;
+            const { path } = this.assign(frame, arrayHeaderMatch[1], newArray, location);
+            const meta = this.openArray(newArray, path, parseInt(arrayHeaderMatch[2], 10), fields, location);
+            this.startArray(newArray, meta, delimiter, arrayHeaderMatch[5], indent + 1);
+            return;
         }
 
-        const kvMatch = trimmed.match(/^(.+?):\s*(.*)$/);
+        const kvMatch = matchLine(trimmed, KEY_VALUE_LINE);
         if (kvMatch) {
-            const key = kvMatch[1].trim();
             const valStr = kvMatch[2].trim();
 
             if (valStr === '') {
-                const newObj = {};
-                parent[key] = newObj;
-                stack.push({ obj: newObj, indent: indent + 1 });
+                const { stored, path } = this.assign(frame, kvMatch[1], {}, location);
+                this.emit('objectStart', { path });
+                this.stack.push({ obj: stored, indent: indent + 1, path, kind: 'object' });
             } else {
-                parent[key] = parseValue(valStr);
+                const value = this.parseScalar(valStr, [...frame.path, ...keySegments(kvMatch[1], this.options)]);
+                const { path } = this.assign(frame, kvMatch[1], value, location);
+                this.emit('value', { path, value });
             }
-            continue;
         }
     }
 
-    return returnJson ? JSON.stringify(root) : root;
+    /**
+     * Closes every open container
+     * @returns {Object|Array} The decoded root ({} for an empty document)
+     */
+    finish() {
+        this.closeTabular();
+        while (this.stack.length > 0) {
+            this.closeFrame(this.stack.pop());
+        }
+        return this.root === undefined ? {} : this.root;
+    }
+}
+
+/**
+ * Converts TOON to JSON format (Synchronous)
+ * @param {string} toonString - TOON formatted string
+ * @param {boolean|Object} [options={}] - Decoder options, or the legacy `returnJson` flag
+ * @param {boolean} [options.returnJson=false] - If true, returns JSON string; if false, returns object
+ * @param {boolean} [options.expandPaths=false] - Expand unquoted dotted keys (`a.b.c: 1`) into nested objects
+ * @param {boolean} [options.strict=true] - If false, repair common LLM mistakes before parsing (see repairToonSync)
+ * @param {boolean} [options.typed=false] - Decode typed literals (`123n`, `date("...")`, `NaN`, `Infinity`)
+ * @param {string} [options.largeIntegers='number'] - Integers beyond Number.MAX_SAFE_INTEGER:
+ * 'number' (rounded, as JSON.parse does), 'bigint' or 'string'
+ * @param {Function} [options.reviver] - `(key, value, path) => value`, called like the JSON.parse reviver
+ * @param {Object} [options.schema] - JSON Schema: values are read as the types it declares and the
+ * result is validated against it (before the reviver runs)
+ * @returns {Object|string} JSON object or JSON string
+ * @throws {ToonSyntaxError} If TOON string is invalid
+ * @throws {ToonSchemaError} If the decoded data does not match the schema
+ */
+export function toonToJsonSync(toonString, options = {}) {
+    const decodeOptions = resolveDecodeOptions(options);
+    const { returnJson } = decodeOptions;
+
+    if (!decodeOptions.strict) {
+        toonString = repairToonText(toonString).toon;
+    }
+
+    // Validate TOON string before conversion
+    const validationStatus = validateToonStringSync(toonString);
+    if (!validationStatus.isValid) {
+        throw validationStatus.syntaxError;
+    }
+
+    const decoder = new ToonDecoder(decodeOptions);
+    for (const line of toonString.split('\n')) {
+        decoder.pushLine(line);
+    }
+    let root = decoder.finish();
+    if (decodeOptions.schema !== null) {
+        const errors = validateSchema(root, decodeOptions.schema, decodeOptions);
+        if (errors.length > 0) throw new ToonSchemaError(errors);
+    }
+    if (decodeOptions.reviver) {
+        root = reviveValues(root, decodeOptions.reviver);
+    }
+
+    return returnJson ? stringifyJson(root) : root;
 }
 
 /**
  * Converts TOON to JSON format (Async)
  * @param {string} toonString - TOON formatted string
- * @param {boolean} [returnJson=false] - If true, returns JSON string; if false, returns object
+ * @param {boolean|Object} [options={}] - Decoder options (see toonToJsonSync), or the legacy `returnJson` flag
  * @returns {Promise<Object|string>} JSON object or JSON string
  */
-export async function toonToJson(toonString, returnJson = false) {
-    return toonToJsonSync(toonString, returnJson);
+export async function toonToJson(toonString, options = {}) {
+    return toonToJsonSync(toonString, options);
+}
+
+/**
+ * Parses as much of a truncated TOON document as possible (Synchronous).
+ *
+ * Meant for LLM responses cut off by a token limit: instead of failing, the
+ * object built so far is returned together with the arrays that received
+ * fewer items than their `[N]` declared. If the text does not end with a
+ * newline, a final line that is visibly cut off (unbalanced quotes, missing
+ * tabular cells, a trailing delimiter, no key) is left out and returned as `pendingLine`.
+ * No other validation is performed.
+ *
+ * @param {string} toonString - Possibly truncated TOON string
+ * @param {Object} [options={}] - Decoder options (`expandPaths`, `typed`, `largeIntegers`, `reviver`, `schema`).
+ * A schema only steers how values are read; partial data is not validated against it
+ * @returns {{data: Object|Array, complete: boolean, incomplete: Array<{path: Array<string|number>, declared: number, received: number, line: number}>, stoppedAt: {line: number, column: number}, pendingLine: string|null}}
+ * `stoppedAt` is the 1-based position just after the last decoded character
+ * @throws {ToonSyntaxError} If the input is not a string
+ */
+export function parsePartialToonSync(toonString, options = {}) {
+    if (typeof toonString !== 'string') {
+        throw new ToonSyntaxError('Input must be a string.', { code: TOON_ERROR_CODES.INVALID_INPUT });
+    }
+
+    const decodeOptions = resolveDecodeOptions(options);
+    const decoder = new ToonDecoder(decodeOptions);
+    const lines = toonString.split('\n');
+    const last = lines.pop();
+    let stoppedAt = { line: 1, column: 1 };
+
+    const decode = (line, lineNumber) => {
+        decoder.pushLine(line);
+        if (line.trim() !== '') {
+            stoppedAt = { line: lineNumber, column: line.replace(/\r$/, '').length + 1 };
+        }
+    };
+
+    lines.forEach((line, i) => decode(line, i + 1));
+
+    let pendingLine = null;
+    if (decoder.isCompleteLine(last)) {
+        decode(last, lines.length + 1);
+    } else {
+        pendingLine = last;
+
+        // Keep the whole items of an inline array that was cut off mid-value
+        const inline = matchLine(last, PARTIAL_INLINE_LINE);
+        if (inline) {
+            const delimiter = resolveDelimiter(inline[2]);
+            const items = splitByDelimiter(inline[3], delimiter).slice(0, -1);
+            decode(inline[1] + items.join(delimiter), lines.length + 1);
+        }
+    }
+
+    let data = decoder.finish();
+    const incomplete = decoder.arrays
+        .filter(meta => meta.array.length < meta.declared)
+        .map(meta => ({ path: meta.path, declared: meta.declared, received: meta.array.length, line: meta.line }));
+    if (decodeOptions.reviver) {
+        data = reviveValues(data, decodeOptions.reviver);
+    }
+
+    return {
+        data,
+        complete: incomplete.length === 0 && pendingLine === null,
+        incomplete,
+        stoppedAt,
+        pendingLine
+    };
+}
+
+/**
+ * Parses as much of a truncated TOON document as possible (Async)
+ * @param {string} toonString - Possibly truncated TOON string
+ * @param {Object} [options={}] - Decoder options (see parsePartialToonSync)
+ * @returns {Promise<Object>} See parsePartialToonSync
+ */
+export async function parsePartialToon(toonString, options = {}) {
+    return parsePartialToonSync(toonString, options);
+}
+
+/**
+ * Incremental TOON parser (Streaming).
+ *
+ * Accepts the document in arbitrary chunks and emits events as soon as each
+ * complete line is decoded, so rows can be rendered while a model is still
+ * generating. Every event carries a `path` of keys and indices:
+ *
+ * - `objectStart` / `objectEnd` - `{ path }`
+ * - `key` - `{ path, key }` (path of the object receiving the key)
+ * - `value` - `{ path, value }` for primitives
+ * - `arrayStart` - `{ path, length, fields }` (`fields` is null unless tabular)
+ * - `row` - `{ path, index, row }` for each completed tabular row
+ * - `arrayEnd` - `{ path, length, count }`
+ * - `end` - the decoded root, once `end()` is called
+ *
+ * Declared `[N]` counts are checked as each array closes; a mismatch throws
+ * a ToonSyntaxError from `write()` or `end()`. Other syntax errors are not
+ * detected while streaming, use validateToonStringSync on the full text.
+ *
+ * @example
+ * const parser = new ToonStreamParser();
+ * parser.on('row', ({ path, row }) => table.append(row));
+ * for await (const chunk of llmStream) parser.write(chunk);
+ * const data = parser.end();
+ */
+export class ToonStreamParser extends EventEmitter {
+    /**
+     * Creates a streaming parser
+     * @param {Object} [options={}] - Decoder options
+     * @param {boolean} [options.expandPaths=false] - Expand unquoted dotted keys into nested objects
+     */
+    constructor(options = {}) {
+        super();
+        const decodeOptions = { ...resolveDecodeOptions(options), checkCounts: true };
+        this._decoder = new ToonDecoder(decodeOptions, (event) => this.emit(event.type, event));
+        this._buffer = '';
+        this._ended = false;
+    }
+
+    /**
+     * Feeds a chunk of TOON text. Complete lines are decoded immediately,
+     * a trailing partial line is kept until the rest arrives.
+     * @param {string} chunk
+     * @returns {ToonStreamParser} this
+     * @throws {ToonSyntaxError} If an array closes with the wrong count
+     */
+    write(chunk) {
+        if (this._ended) {
+            throw new Error('Cannot write to a ToonStreamParser after end().');
+        }
+
+        const lines = (this._buffer + chunk).split('\n');
+        this._buffer = lines.pop();
+        for (const line of lines) {
+            this._decoder.pushLine(line);
+        }
+        return this;
+    }
+
+    /**
+     * Decodes any remaining text and closes all open containers
+     * @param {string} [chunk] - Final chunk
+     * @returns {Object|Array} The decoded document
+     * @throws {ToonSyntaxError} If an array closes with the wrong count
+     */
+    end(chunk) {
+        if (chunk !== undefined) this.write(chunk);
+        this._ended = true;
+
+        this._decoder.pushLine(this._buffer);
+        this._buffer = '';
+        const result = this._decoder.finish();
+        this.emit('end', result);
+        return result;
+    }
+}
+
+/**
+ * Parses TOON from an (async) iterable of chunks, yielding events as they
+ * are decoded (see ToonStreamParser for the event shapes). The last event
+ * is `{ type: 'end', value }` with the complete document.
+ * @example
+ * for await (const event of parseToonStream(llmStream)) {
+ *     if (event.type === 'row') render(event.row);
+ * }
+ * @param {Iterable<string>|AsyncIterable<string>} chunks
+ * @param {Object} [options={}] - Decoder options (see ToonStreamParser)
+ * @returns {AsyncGenerator<Object>} Parser events
+ * @throws {ToonSyntaxError} If an array closes with the wrong count
+ */
+export async function* parseToonStream(chunks, options = {}) {
+    const parser = new ToonStreamParser(options);
+    const queue = [];
+    const types = ['objectStart', 'objectEnd', 'key', 'value', 'arrayStart', 'row', 'arrayEnd'];
+    types.forEach(type => parser.on(type, (event) => queue.push(event)));
+
+    for await (const chunk of chunks) {
+        parser.write(chunk);
+        yield* queue.splice(0);
+    }
+
+    const value = parser.end();
+    yield* queue.splice(0);
+    yield { type: 'end', value };
+}
+
+/**
+ * Repairs and parses TOON emitted by an LLM (Synchronous).
+ * Wrong `[N]` counts, mixed indentation, trailing delimiters and surrounding
+ * commentary are fixed before the document is parsed strictly.
+ * @param {string} toonString - TOON formatted string
+ * @param {Object} [options={}] - Decoder options (`returnJson`, `expandPaths`)
+ * @returns {{data: Object|string, toon: string, fixes: Array<{code: string, line: number, message: string}>}}
+ * The parsed data, the repaired TOON and the fixes applied (empty if the input was already valid)
+ * @throws {ToonSyntaxError} If the TOON string is still invalid after repair
+ */
+export function repairToonSync(toonString, options = {}) {
+    const { toon, fixes } = repairToonText(toonString);
+    const data = toonToJsonSync(toon, { ...resolveDecodeOptions(options), strict: true });
+    return { data, toon, fixes };
+}
+
+/**
+ * Repairs and parses TOON emitted by an LLM (Async)
+ * @param {string} toonString - TOON formatted string
+ * @param {Object} [options={}] - Decoder options (see repairToonSync)
+ * @returns {Promise<{data: Object|string, toon: string, fixes: Array<Object>}>}
+ */
+export async function repairToon(toonString, options = {}) {
+    return repairToonSync(toonString, options);
+}
+
+/**
+ * Re-emits a TOON document in canonical form (Synchronous).
+ * Documents holding the same data canonicalize to the same bytes, whatever
+ * their key order, indentation, delimiter, quoting or number formatting
+ * (`1e21`, `1E+21` and `1000000000000000000000` are all written `1e+21`).
+ * Integers too large for a Number to hold exactly are kept in full.
+ * @param {string} toonString - TOON formatted string
+ * @param {Object} [options={}] - Decoder options (`strict`, `expandPaths`, `typed`, `schema`, `reviver`)
+ * and `sortKeys` (a comparator replacing the default key order)
+ * @returns {string} Canonical TOON
+ * @throws {ToonSyntaxError} If the TOON string is invalid
+ */
+export function canonicalizeToonSync(toonString, options = {}) {
+    const { sortKeys = true, typed = false, ...decodeOptions } = options;
+    const data = toonToJsonSync(toonString, { ...decodeOptions, typed, largeIntegers: 'bigint', returnJson: false });
+    return jsonToToonSync(data, { canonical: true, sortKeys, typed });
+}
+
+/**
+ * Re-emits a TOON document in canonical form (Async)
+ * @param {string} toonString - TOON formatted string
+ * @param {Object} [options={}] - Options (see canonicalizeToonSync)
+ * @returns {Promise<string>} Canonical TOON
+ */
+export async function canonicalizeToon(toonString, options = {}) {
+    return canonicalizeToonSync(toonString, options);
 }
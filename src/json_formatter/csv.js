@@ -3,18 +3,26 @@
  */
 
 import Papa from 'papaparse';
-import { extractCsvFromString, extractJsonFromString, flattenObject, unflattenObject } from '../utils.js';
+import { extractCsvFromString, extractJsonFromString, flattenObject, unflattenObject, replaceValues, reviveValues } from '../utils.js';
 
 /**
  * Convert CSV string to JSON object (Array of rows) (Sync)
  * @param {string} csvString 
+ * @param {Object} [options={}]
+ * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed rows
  * @returns {Array<Object>|string} JSON object or mixed text
  */
-export function csvToJsonSync(csvString) {
+export function csvToJsonSync(csvString, options = {}) {
     if (!csvString || typeof csvString !== 'string') {
         throw new Error('Input must be a non-empty string');
     }
 
+    const parse = (text) => {
+        const json = parseCsvDirectly(text);
+        const rows = Array.isArray(json) ? json.map(row => unflattenObject(row)) : unflattenObject(json);
+        return reviveValues(rows, options.reviver);
+    };
+
     let convertedText = csvString;
     let iterationCount = 0;
     const maxIterations = 100;
@@ -23,8 +31,7 @@ export function csvToJsonSync(csvString) {
     // Check if pure CSV first
     const firstExtract = extractCsvFromString(csvString);
     if (firstExtract === csvString.trim()) {
-        const json = parseCsvDirectly(csvString);
-        return Array.isArray(json) ? json.map(row => unflattenObject(row)) : unflattenObject(json);
+        return parse(csvString);
     }
 
     while (iterationCount < maxIterations) {
@@ -32,9 +39,7 @@ export function csvToJsonSync(csvString) {
         if (!csvBlock) break;
 
         try {
-            const jsonObject = parseCsvDirectly(csvBlock);
-            const processedJson = Array.isArray(jsonObject) ? jsonObject.map(row => unflattenObject(row)) : unflattenObject(jsonObject);
-            const jsonOutput = JSON.stringify(processedJson);
+            const jsonOutput = JSON.stringify(parse(csvBlock));
             convertedText = convertedText.replace(csvBlock, jsonOutput);
             wasModified = true;
             iterationCount++;
@@ -46,8 +51,7 @@ export function csvToJsonSync(csvString) {
     if (wasModified) return convertedText;
 
     try {
-        const json = parseCsvDirectly(csvString);
-        return Array.isArray(json) ? json.map(row => unflattenObject(row)) : unflattenObject(json);
+        return parse(csvString);
     } catch (e) {
         return csvString;
     }
@@ -74,10 +78,11 @@ function parseCsvDirectly(csvString) {
 /**
  * Convert CSV string to JSON object (Array of rows) (Async)
  * @param {string} csvString 
+ * @param {Object} [options={}] - See csvToJsonSync
  * @returns {Promise<Array<Object>>} JSON object
  */
-export async function csvToJson(csvString) {
-    const res = csvToJsonSync(csvString);
+export async function csvToJson(csvString, options = {}) {
+    const res = csvToJsonSync(csvString, options);
     if (typeof res === 'string' && res.trim().startsWith('[') || res.trim().startsWith('{')) {
         try {
             return JSON.parse(res);
@@ -89,9 +94,17 @@ export async function csvToJson(csvString) {
 /**
  * Convert JSON object to CSV string (Sync)
  * @param {Array<Object>|Object|string} data 
+ * @param {Object} [options={}]
+ * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before flattening
  * @returns {string} CSV string
  */
-export function jsonToCsvSync(data) {
+export function jsonToCsvSync(data, options = {}) {
+    const unparse = (obj) => {
+        const value = replaceValues(obj, options.replacer);
+        const flatData = Array.isArray(value) ? value.map(row => flattenObject(row)) : [flattenObject(value)];
+        return Papa.unparse(flatData, { header: true });
+    };
+
     if (typeof data === 'string') {
         let convertedText = data;
         let iterationCount = 0;
@@ -101,9 +114,7 @@ export function jsonToCsvSync(data) {
         const firstExtract = extractJsonFromString(data);
         if (firstExtract && firstExtract === data.trim()) {
             try {
-                const obj = JSON.parse(firstExtract);
-                const flatData = Array.isArray(obj) ? obj.map(row => flattenObject(row)) : [flattenObject(obj)];
-                return Papa.unparse(flatData, { header: true });
+                return unparse(JSON.parse(firstExtract));
             } catch (e) { }
         }
 
@@ -111,9 +122,7 @@ export function jsonToCsvSync(data) {
             const jsonString = extractJsonFromString(convertedText);
             if (!jsonString) break;
             try {
-                const jsonObject = JSON.parse(jsonString);
-                const flatData = Array.isArray(jsonObject) ? jsonObject.map(row => flattenObject(row)) : [flattenObject(jsonObject)];
-                const csvOutput = Papa.unparse(flatData, { header: true });
+                const csvOutput = unparse(JSON.parse(jsonString));
                 convertedText = convertedText.replace(jsonString, csvOutput);
                 wasModified = true;
                 iterationCount++;
@@ -123,23 +132,19 @@ export function jsonToCsvSync(data) {
         if (wasModified) return convertedText;
 
         try {
-            const obj = JSON.parse(data);
-            const flatData = Array.isArray(obj) ? obj.map(row => flattenObject(row)) : [flattenObject(obj)];
-            return Papa.unparse(flatData, { header: true });
+            return unparse(JSON.parse(data));
         } catch (e) { return data; }
     }
 
-    const flatData = Array.isArray(data) ? data.map(row => flattenObject(row)) : [flattenObject(data)];
-    return Papa.unparse(flatData, {
-        header: true,
-    });
+    return unparse(data);
 }
 
 /**
  * Convert JSON object (Array) to CSV string (Async)
  * @param {Array<Object>} jsonObject 
+ * @param {Object} [options={}] - See jsonToCsvSync
  * @returns {Promise<string>} CSV string
  */
-export async function jsonToCsv(jsonObject) {
-    return jsonToCsvSync(jsonObject);
+export async function jsonToCsv(jsonObject, options = {}) {
+    return jsonToCsvSync(jsonObject, options);
 }
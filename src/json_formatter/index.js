@@ -12,7 +12,7 @@ import { dataManager, dataManagerAsync, extractJsonFromString, extractXmlFromStr
 export class JsonConverter {
     /**
      * Creates a JsonConverter instance
-     * @param {Object} [encryptor=null] - Optional Encryptor instance for encryption support
+     * @param {Encryptor|KeyRing|null} [encryptor=null] - Optional Encryptor (or KeyRing) for encryption support
      */
     constructor(encryptor = null) {
         this.encryptor = encryptor;
@@ -20,7 +20,7 @@ export class JsonConverter {
 
     // --- Helper Methods for Encryption ---
 
-    _convertWithEncryption(fn, data, mode) {
+    _convertWithEncryption(fn, data, mode, cryptoOptions = {}) {
         if (!this.encryptor || mode === 'no_encryption') {
             return fn(data);
         }
@@ -28,38 +28,38 @@ export class JsonConverter {
         switch (mode) {
             case 'middleware': // Decrypt -> Convert -> Encrypt
                 // Input is encrypted
-                const decrypted = this.encryptor.decrypt(data);
+                const decrypted = this.encryptor.decrypt(data, cryptoOptions);
                 const result = fn(decrypted);
-                return this.encryptor.encrypt(result);
+                return this.encryptor.encrypt(result, cryptoOptions);
             case 'ingestion': // Decrypt -> Convert
                 // Input is encrypted
-                const dec = this.encryptor.decrypt(data);
+                const dec = this.encryptor.decrypt(data, cryptoOptions);
                 return fn(dec);
             case 'export': // Convert -> Encrypt
                 // Input is plain
                 const res = fn(data);
-                return this.encryptor.encrypt(res);
+                return this.encryptor.encrypt(res, cryptoOptions);
             default:
                 return fn(data);
         }
     }
 
-    async _convertWithEncryptionAsync(fn, data, mode) {
+    async _convertWithEncryptionAsync(fn, data, mode, cryptoOptions = {}) {
         if (!this.encryptor || mode === 'no_encryption') {
             return await fn(data);
         }
 
         switch (mode) {
             case 'middleware':
-                const decrypted = this.encryptor.decrypt(data);
+                const decrypted = this.encryptor.decrypt(data, cryptoOptions);
                 const result = await fn(decrypted);
-                return this.encryptor.encrypt(result);
+                return this.encryptor.encrypt(result, cryptoOptions);
             case 'ingestion':
-                const dec = this.encryptor.decrypt(data);
+                const dec = this.encryptor.decrypt(data, cryptoOptions);
                 return await fn(dec);
             case 'export':
                 const res = await fn(data);
-                return this.encryptor.encrypt(res);
+                return this.encryptor.encrypt(res, cryptoOptions);
             default:
                 return await fn(data);
         }
@@ -73,15 +73,19 @@ export class JsonConverter {
      * @param {string} toonString - TOON formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode: 'no_encryption', 'middleware', 'ingestion', 'export'
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
      * @param {boolean} [options.returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {boolean} [options.expandPaths=false] - Expand dotted keys into nested objects
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
      * @returns {Object|string} JSON object or string
      */
     fromToon(toonString, options = {}) {
-        const { conversionMode = 'no_encryption', returnJson = false } = options;
+        const { conversionMode = 'no_encryption', aad, ...decodeOptions } = options;
         return this._convertWithEncryption(
-            (data) => toonToJsonSync(data, returnJson),
+            (data) => toonToJsonSync(data, decodeOptions),
             toonString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -90,15 +94,18 @@ export class JsonConverter {
      * @param {string} toonString - TOON formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
      * @param {boolean} [options.returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
      * @returns {Promise<Object|string>} JSON object or string
      */
     async fromToonAsync(toonString, options = {}) {
-        const { conversionMode = 'no_encryption', returnJson = false } = options;
+        const { conversionMode = 'no_encryption', aad, ...decodeOptions } = options;
         return this._convertWithEncryptionAsync(
-            async (data) => toonToJson(data, returnJson),
+            async (data) => toonToJson(data, decodeOptions),
             toonString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -107,32 +114,41 @@ export class JsonConverter {
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {number} [options.indent=2] - Spaces per indentation level
+     * @param {string} [options.delimiter=','] - Array delimiter: ',', '\t' or '|'
+     * @param {string} [options.quoting='always'] - String quoting policy: 'always' or 'minimal'
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {string} TOON formatted string
      */
     toToon(jsonData, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...encodeOptions } = options;
         const optimizedConverterFn = dataManager(jsonToToonSync, extractJsonFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, encodeOptions),
             jsonData,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
     /**
      * Convert JSON to TOON string (Async)
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
-     * @param {Object} [options={}] - Conversion options
+     * @param {Object} [options={}] - Conversion options (encoder options as in toToon)
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {Promise<string>} TOON formatted string
      */
     async toToonAsync(jsonData, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...encodeOptions } = options;
         const optimizedConverterFn = dataManagerAsync(jsonToToon, extractJsonFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, encodeOptions),
             jsonData,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -143,15 +159,21 @@ export class JsonConverter {
      * @param {string} yamlString - YAML formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
      * @param {boolean} [options.returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
      * @returns {Object|string} JSON result
      */
     fromYaml(yamlString, options = {}) {
-        const { conversionMode = 'no_encryption', returnJson = false } = options;
+        const { conversionMode = 'no_encryption', aad, returnJson = false, ...conversionOptions } = options;
         return this._convertWithEncryption(
-            (data) => yamlToJsonSync(data, returnJson),
+            (data) => {
+                const res = yamlToJsonSync(data, conversionOptions);
+                return returnJson ? JSON.stringify(res) : res;
+            },
             yamlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -160,15 +182,21 @@ export class JsonConverter {
      * @param {string} yamlString - YAML formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
      * @param {boolean} [options.returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
      * @returns {Promise<Object|string>} JSON result
      */
     async fromYamlAsync(yamlString, options = {}) {
-        const { conversionMode = 'no_encryption', returnJson = false } = options;
+        const { conversionMode = 'no_encryption', aad, returnJson = false, ...conversionOptions } = options;
         return this._convertWithEncryptionAsync(
-            async (data) => yamlToJson(data, returnJson),
+            async (data) => {
+                const res = await yamlToJson(data, conversionOptions);
+                return returnJson ? JSON.stringify(res) : res;
+            },
             yamlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -177,15 +205,18 @@ export class JsonConverter {
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {string} YAML formatted string
      */
     toYaml(jsonData, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(jsonToYamlSync, extractJsonFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             jsonData,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -194,15 +225,18 @@ export class JsonConverter {
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {Promise<string>} YAML formatted string
      */
     async toYamlAsync(jsonData, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(jsonToYaml, extractJsonFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             jsonData,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -213,15 +247,18 @@ export class JsonConverter {
      * @param {string} xmlString - XML formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
      * @returns {Object|string} JSON result
      */
     fromXml(xmlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(xmlToJsonSync, extractXmlFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             xmlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -230,15 +267,18 @@ export class JsonConverter {
      * @param {string} xmlString - XML formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
      * @returns {Promise<Object|string>} JSON result
      */
     async fromXmlAsync(xmlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(xmlToJson, extractXmlFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             xmlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -247,15 +287,18 @@ export class JsonConverter {
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {string} XML formatted string
      */
     toXml(jsonData, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(jsonToXmlSync, extractJsonFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             jsonData,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -264,15 +307,18 @@ export class JsonConverter {
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {Promise<string>} XML formatted string
      */
     async toXmlAsync(jsonData, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(jsonToXml, extractJsonFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             jsonData,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -283,15 +329,18 @@ export class JsonConverter {
      * @param {string} csvString - CSV formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
      * @returns {Array<Object>|string} JSON result
      */
     fromCsv(csvString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(csvToJsonSync, extractCsvFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             csvString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -300,15 +349,18 @@ export class JsonConverter {
      * @param {string} csvString - CSV formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
      * @returns {Promise<Array<Object>|string>} JSON result
      */
     async fromCsvAsync(csvString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(csvToJson, extractCsvFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             csvString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -317,15 +369,18 @@ export class JsonConverter {
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {string} CSV formatted string
      */
     toCsv(jsonData, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(jsonToCsvSync, extractJsonFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             jsonData,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -334,15 +389,18 @@ export class JsonConverter {
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {Promise<string>} CSV formatted string
      */
     async toCsvAsync(jsonData, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(jsonToCsv, extractJsonFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             jsonData,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -373,161 +431,191 @@ export class JsonConverter {
     /**
      * Convert TOON string to JSON (Sync)
      * @param {string} toonString - TOON formatted string
-     * @param {boolean} [returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {boolean|Object} [options={}] - Decoder options (returnJson, expandPaths), or the legacy returnJson flag
      * @returns {Object|string} JSON object or string
      */
-    static fromToon(toonString, returnJson = false) {
-        return toonToJsonSync(toonString, returnJson);
+    static fromToon(toonString, options = {}) {
+        return toonToJsonSync(toonString, options);
     }
 
     /**
      * Convert TOON string to JSON (Async)
      * @param {string} toonString - TOON formatted string
-     * @param {boolean} [returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {boolean|Object} [options={}] - Decoder options (returnJson, expandPaths), or the legacy returnJson flag
      * @returns {Promise<Object|string>} JSON object or string
      */
-    static async fromToonAsync(toonString, returnJson = false) {
-        return toonToJson(toonString, returnJson);
+    static async fromToonAsync(toonString, options = {}) {
+        return toonToJson(toonString, options);
     }
 
     /**
      * Convert JSON to TOON string (Sync)
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
+     * @param {Object} [options={}] - Encoder options: indent, delimiter, quoting
      * @returns {string} TOON formatted string
      */
-    static toToon(jsonData) {
+    static toToon(jsonData, options = {}) {
         const optimizedConverterFn = dataManager(jsonToToonSync, extractJsonFromString);
-        return optimizedConverterFn(jsonData);
+        return optimizedConverterFn(jsonData, options);
     }
 
     /**
      * Convert JSON to TOON string (Async)
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
+     * @param {Object} [options={}] - Encoder options: indent, delimiter, quoting
      * @returns {Promise<string>} TOON formatted string
      */
-    static async toToonAsync(jsonData) {
+    static async toToonAsync(jsonData, options = {}) {
         const optimizedConverterFn = dataManagerAsync(jsonToToon, extractJsonFromString);
-        return optimizedConverterFn(jsonData);
+        return optimizedConverterFn(jsonData, options);
     }
 
     /**
      * Convert YAML string to JSON (Sync)
      * @param {string} yamlString - YAML formatted string
-     * @param {boolean} [returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {boolean|Object} [options={}] - Conversion options, or the legacy returnJson flag
+     * @param {boolean} [options.returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
      * @returns {Object|string} JSON object or string
      */
-    static fromYaml(yamlString, returnJson = false) {
-        return yamlToJsonSync(yamlString, returnJson);
+    static fromYaml(yamlString, options = {}) {
+        const { returnJson = false, ...conversionOptions } = typeof options === 'boolean' ? { returnJson: options } : options;
+        const res = yamlToJsonSync(yamlString, conversionOptions);
+        return returnJson ? JSON.stringify(res) : res;
     }
 
     /**
      * Convert YAML string to JSON (Async)
      * @param {string} yamlString - YAML formatted string
-     * @param {boolean} [returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {boolean|Object} [options={}] - Conversion options, or the legacy returnJson flag
+     * @param {boolean} [options.returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
      * @returns {Promise<Object|string>} JSON object or string
      */
-    static async fromYamlAsync(yamlString, returnJson = false) {
-        return yamlToJson(yamlString, returnJson);
+    static async fromYamlAsync(yamlString, options = {}) {
+        const { returnJson = false, ...conversionOptions } = typeof options === 'boolean' ? { returnJson: options } : options;
+        const res = await yamlToJson(yamlString, conversionOptions);
+        return returnJson ? JSON.stringify(res) : res;
     }
 
     /**
      * Convert JSON to YAML string (Sync)
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {string} YAML formatted string
      */
-    static toYaml(jsonData) {
+    static toYaml(jsonData, options = {}) {
         const optimizedConverterFn = dataManager(jsonToYamlSync, extractJsonFromString);
-        return optimizedConverterFn(jsonData);
+        return optimizedConverterFn(jsonData, options);
     }
 
     /**
      * Convert JSON to YAML string (Async)
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {Promise<string>} YAML formatted string
      */
-    static async toYamlAsync(jsonData) {
+    static async toYamlAsync(jsonData, options = {}) {
         const optimizedConverterFn = dataManagerAsync(jsonToYaml, extractJsonFromString);
-        return optimizedConverterFn(jsonData);
+        return optimizedConverterFn(jsonData, options);
     }
 
     /**
      * Convert XML string to JSON (Sync)
      * @param {string} xmlString - XML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
      * @returns {Object|string} JSON object or string
      */
-    static fromXml(xmlString) {
+    static fromXml(xmlString, options = {}) {
         const optimizedConverterFn = dataManager(xmlToJsonSync, extractXmlFromString);
-        return optimizedConverterFn(xmlString);
+        return optimizedConverterFn(xmlString, options);
     }
 
     /**
      * Convert XML string to JSON (Async)
      * @param {string} xmlString - XML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
      * @returns {Promise<Object|string>} JSON object or string
      */
-    static async fromXmlAsync(xmlString) {
+    static async fromXmlAsync(xmlString, options = {}) {
         const optimizedConverterFn = dataManagerAsync(xmlToJson, extractXmlFromString);
-        return optimizedConverterFn(xmlString);
+        return optimizedConverterFn(xmlString, options);
     }
 
     /**
      * Convert JSON to XML string (Sync)
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {string} XML formatted string
      */
-    static toXml(jsonData) {
+    static toXml(jsonData, options = {}) {
         const optimizedConverterFn = dataManager(jsonToXmlSync, extractJsonFromString);
-        return optimizedConverterFn(jsonData);
+        return optimizedConverterFn(jsonData, options);
     }
 
     /**
      * Convert JSON to XML string (Async)
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {Promise<string>} XML formatted string
      */
-    static async toXmlAsync(jsonData) {
+    static async toXmlAsync(jsonData, options = {}) {
         const optimizedConverterFn = dataManagerAsync(jsonToXml, extractJsonFromString);
-        return optimizedConverterFn(jsonData);
+        return optimizedConverterFn(jsonData, options);
     }
 
     /**
      * Convert CSV string to JSON (Sync)
      * @param {string} csvString - CSV formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
      * @returns {Array<Object>|string} JSON object or string
      */
-    static fromCsv(csvString) {
+    static fromCsv(csvString, options = {}) {
         const optimizedConverterFn = dataManager(csvToJsonSync, extractCsvFromString);
-        return optimizedConverterFn(csvString);
+        return optimizedConverterFn(csvString, options);
     }
 
     /**
      * Convert CSV string to JSON (Async)
      * @param {string} csvString - CSV formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
      * @returns {Promise<Array<Object>|string>} JSON object or string
      */
-    static async fromCsvAsync(csvString) {
+    static async fromCsvAsync(csvString, options = {}) {
         const optimizedConverterFn = dataManagerAsync(csvToJson, extractCsvFromString);
-        return optimizedConverterFn(csvString);
+        return optimizedConverterFn(csvString, options);
     }
 
     /**
      * Convert JSON to CSV string (Sync)
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {string} CSV formatted string
      */
-    static toCsv(jsonData) {
+    static toCsv(jsonData, options = {}) {
         const optimizedConverterFn = dataManager(jsonToCsvSync, extractJsonFromString);
-        return optimizedConverterFn(jsonData);
+        return optimizedConverterFn(jsonData, options);
     }
 
     /**
      * Convert JSON to CSV string (Async)
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {Promise<string>} CSV formatted string
      */
-    static async toCsvAsync(jsonData) {
+    static async toCsvAsync(jsonData, options = {}) {
         const optimizedConverterFn = dataManagerAsync(jsonToCsv, extractJsonFromString);
-        return await optimizedConverterFn(jsonData);
+        return await optimizedConverterFn(jsonData, options);
     }
 
     /**
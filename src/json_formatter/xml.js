@@ -2,7 +2,7 @@
  * XML <-> JSON Converter (for JsonConverter)
  */
 
-import { encodeXmlReservedChars, extractJsonFromString, extractXmlFromString, buildTag } from '../utils.js';
+import { encodeXmlReservedChars, extractJsonFromString, extractXmlFromString, buildTag, replaceValues, reviveValues } from '../utils.js';
 
 // --- Internal Helper Logic ---
 
@@ -61,13 +61,17 @@ function xmlDomToJson(xml) {
 /**
  * Convert XML string to JSON object (Sync)
  * @param {string} xmlString 
+ * @param {Object} [options={}]
+ * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed data
  * @returns {Object} JSON object
  */
-export function xmlToJsonSync(xmlString) {
+export function xmlToJsonSync(xmlString, options = {}) {
     if (!xmlString || typeof xmlString !== 'string') {
         throw new Error('Input must be a non-empty string');
     }
 
+    const parse = (text) => reviveValues(parseXmlStringDirectly(text), options.reviver);
+
     let convertedText = xmlString;
     let iterationCount = 0;
     const maxIterations = 100;
@@ -75,7 +79,7 @@ export function xmlToJsonSync(xmlString) {
 
     const firstExtract = extractXmlFromString(xmlString);
     if (firstExtract === xmlString.trim()) {
-        return parseXmlStringDirectly(xmlString);
+        return parse(xmlString);
     }
 
     while (iterationCount < maxIterations) {
@@ -83,8 +87,7 @@ export function xmlToJsonSync(xmlString) {
         if (!xmlBlock) break;
 
         try {
-            const jsonObject = parseXmlStringDirectly(xmlBlock);
-            const jsonOutput = JSON.stringify(jsonObject);
+            const jsonOutput = JSON.stringify(parse(xmlBlock));
             convertedText = convertedText.replace(xmlBlock, jsonOutput);
             wasModified = true;
             iterationCount++;
@@ -96,7 +99,7 @@ export function xmlToJsonSync(xmlString) {
     if (wasModified) return convertedText;
 
     try {
-        return parseXmlStringDirectly(xmlString);
+        return parse(xmlString);
     } catch (e) {
         return xmlString;
     }
@@ -133,24 +136,34 @@ function parseXmlStringDirectly(xmlString) {
 /**
  * Convert XML string to JSON object (Async)
  * @param {string} xmlString 
+ * @param {Object} [options={}] - See xmlToJsonSync
  * @returns {Promise<Object>} JSON object
  */
-export async function xmlToJson(xmlString) {
+export async function xmlToJson(xmlString, options = {}) {
     if (typeof DOMParser === 'undefined') {
         try {
             const { DOMParser: NodeDOMParser } = await import('xmldom');
             global.DOMParser = NodeDOMParser;
         } catch (e) { }
     }
-    return xmlToJsonSync(xmlString);
+    return xmlToJsonSync(xmlString, options);
 }
 
 /**
  * Convert JSON object to XML string (Sync)
  * @param {Object|string} data - JSON data or mixed text
+ * @param {Object} [options={}]
+ * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before building tags
  * @returns {string} XML string
  */
-export function jsonToXmlSync(data) {
+export function jsonToXmlSync(data, options = {}) {
+    const build = (obj) => {
+        const value = replaceValues(obj, options.replacer);
+        let xml = "";
+        for (const k in value) xml += buildTag(k, value[k]);
+        return xml;
+    };
+
     if (typeof data === 'string') {
         let convertedText = data;
         let iterationCount = 0;
@@ -160,10 +173,7 @@ export function jsonToXmlSync(data) {
         const firstExtract = extractJsonFromString(data);
         if (firstExtract && firstExtract === data.trim()) {
             try {
-                const obj = JSON.parse(firstExtract);
-                let xml = "";
-                for (const k in obj) xml += buildTag(k, obj[k]);
-                return xml;
+                return build(JSON.parse(firstExtract));
             } catch (e) { }
         }
 
@@ -172,9 +182,7 @@ export function jsonToXmlSync(data) {
             if (!jsonString) break;
 
             try {
-                const jsonObject = JSON.parse(jsonString);
-                let xmlOutput = "";
-                for (const k in jsonObject) xmlOutput += buildTag(k, jsonObject[k]);
+                const xmlOutput = build(JSON.parse(jsonString));
                 convertedText = convertedText.replace(jsonString, xmlOutput);
                 wasModified = true;
                 iterationCount++;
@@ -184,23 +192,19 @@ export function jsonToXmlSync(data) {
         if (wasModified) return convertedText;
 
         try {
-            const obj = JSON.parse(data);
-            let xml = "";
-            for (const k in obj) xml += buildTag(k, obj[k]);
-            return xml;
+            return build(JSON.parse(data));
         } catch (e) { return data; }
     }
 
-    let xml = "";
-    for (const k in data) xml += buildTag(k, data[k]);
-    return xml;
+    return build(data);
 }
 
 /**
  * Convert JSON object to XML string (Async)
  * @param {Object|string} jsonObject 
+ * @param {Object} [options={}] - See jsonToXmlSync
  * @returns {Promise<string>} XML string
  */
-export async function jsonToXml(jsonObject) {
-    return jsonToXmlSync(jsonObject);
+export async function jsonToXml(jsonObject, options = {}) {
+    return jsonToXmlSync(jsonObject, options);
 }
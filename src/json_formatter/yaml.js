@@ -3,38 +3,45 @@
  */
 
 import yaml from 'js-yaml';
-import { extractJsonFromString } from '../utils.js';
+import { extractJsonFromString, replaceValues, reviveValues } from '../utils.js';
 
 /**
  * Convert YAML string to JSON object (Sync)
  * @param {string} yamlString 
+ * @param {Object} [options={}]
+ * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed data
  * @returns {Object} JSON object
  */
-export function yamlToJsonSync(yamlString) {
+export function yamlToJsonSync(yamlString, options = {}) {
     if (!yamlString || typeof yamlString !== 'string') {
         throw new Error('Input must be a non-empty string');
     }
     const result = yaml.load(yamlString);
     if (result === undefined) return null;
-    return result;
+    return reviveValues(result, options.reviver);
 }
 
 /**
  * Convert YAML string to JSON object (Async)
  * @param {string} yamlString 
+ * @param {Object} [options={}] - See yamlToJsonSync
  * @returns {Promise<Object>} JSON object
  */
-export async function yamlToJson(yamlString) {
-    return yamlToJsonSync(yamlString);
+export async function yamlToJson(yamlString, options = {}) {
+    return yamlToJsonSync(yamlString, options);
 }
 
 
 /**
  * Convert JSON object to YAML string (Sync)
  * @param {Object} jsonObject 
+ * @param {Object} [options={}]
+ * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before dumping
  * @returns {string} YAML string
  */
-export function jsonToYamlSync(data) {
+export function jsonToYamlSync(data, options = {}) {
+    const dump = (obj) => yaml.dump(replaceValues(obj, options.replacer));
+
     if (typeof data === 'string') {
         let convertedText = data;
         let iterationCount = 0;
@@ -45,7 +52,7 @@ export function jsonToYamlSync(data) {
         if (firstExtract && firstExtract === data.trim()) {
             try {
                 const obj = JSON.parse(firstExtract);
-                return yaml.dump(obj);
+                return dump(obj);
             } catch (e) { }
         }
 
@@ -54,7 +61,7 @@ export function jsonToYamlSync(data) {
             if (!jsonString) break;
             try {
                 const jsonObject = JSON.parse(jsonString);
-                const yamlOutput = yaml.dump(jsonObject).trim();
+                const yamlOutput = dump(jsonObject).trim();
                 convertedText = convertedText.replace(jsonString, yamlOutput);
                 wasModified = true;
                 iterationCount++;
@@ -65,17 +72,18 @@ export function jsonToYamlSync(data) {
 
         try {
             const obj = JSON.parse(data);
-            return yaml.dump(obj);
+            return dump(obj);
         } catch (e) { return data; }
     }
-    return yaml.dump(data);
+    return dump(data);
 }
 
 /**
  * Convert JSON object to YAML string (Async)
  * @param {Object} jsonObject 
+ * @param {Object} [options={}] - See jsonToYamlSync
  * @returns {Promise<string>} YAML string
  */
-export async function jsonToYaml(jsonObject) {
-    return jsonToYamlSync(jsonObject);
+export async function jsonToYaml(jsonObject, options = {}) {
+    return jsonToYamlSync(jsonObject, options);
 }
@@ -0,0 +1,246 @@
+/**
+ * Key Ring
+ *
+ * Holds several keys under ids so keys can be rotated: data is encrypted with
+ * the active key as a `toon-enc` envelope naming that key, and decrypted with
+ * whichever key the envelope names. A KeyRing can be passed to ToonConverter
+ * and the unified converters anywhere an Encryptor is accepted.
+ */
+
+import { Encryptor } from './encryptor.js';
+
+// Algorithms that reject a wrong key, so data naming no key can safely be tried against them
+const AUTHENTICATED_ALGORITHMS = ['aes-256-gcm', 'chacha20-poly1305', 'aes-256-cbc-hmac-sha256'];
+
+// Encodings of raw keys in a key ring configuration
+const KEY_ENCODINGS = ['utf8', 'base64', 'hex'];
+
+export class KeyRing {
+    /**
+     * Creates a KeyRing
+     * @param {Array<Object>} [keys=[]] - Keys to add, as `{ keyId, key, algorithm, active }` (see add).
+     * The first key is active unless another is marked `active`.
+     * @throws {Error} If a key is invalid or a key id is used twice
+     * @example
+     * const ring = new KeyRing([
+     *     { keyId: '2025', key: oldKey },
+     *     { keyId: '2026', key: newKey, active: true }
+     * ]);
+     */
+    constructor(keys = []) {
+        this._encryptors = new Map();
+        this._activeKeyId = null;
+        for (const { keyId, key, ...options } of keys) {
+            this.add(keyId, key, options);
+        }
+    }
+
+    /**
+     * Creates a KeyRing from a configuration object (or its JSON text), e.g. a
+     * key ring file:
+     * `{ "active": "2026", "keys": [{ "keyId": "2026", "key": "<base64>", "encoding": "base64" }] }`.
+     * Each key has a `key` (with an `encoding` of 'utf8', the default, 'base64'
+     * or 'hex') or a `passphrase` (with optional `kdf`, `params` and `maxKdfParams`, see
+     * Encryptor.fromPassphrase), and optionally an `algorithm`.
+     * @param {Object|string} config - Configuration, or its JSON text
+     * @returns {KeyRing}
+     * @throws {Error} If the configuration is invalid
+     */
+    static fromJSON(config) {
+        if (typeof config === 'string') {
+            try {
+                config = JSON.parse(config);
+            } catch (error) {
+                throw new Error(`Invalid key ring JSON: ${error.message}`);
+            }
+        }
+        if (!config || typeof config !== 'object' || !Array.isArray(config.keys)) {
+            throw new Error('Invalid key ring: expected an object with a "keys" array.');
+        }
+
+        const ring = new KeyRing();
+        for (const entry of config.keys) {
+            const { keyId, key, encoding = 'utf8', passphrase, kdf, params, maxKdfParams, algorithm } = entry || {};
+            if (passphrase !== undefined) {
+                ring.add(keyId, Encryptor.fromPassphrase(passphrase, { kdf, params, maxKdfParams }));
+                continue;
+            }
+            if (!KEY_ENCODINGS.includes(encoding)) {
+                throw new Error(`Unsupported key encoding: ${encoding}. Valid options: ${KEY_ENCODINGS.join(', ')}`);
+            }
+            ring.add(keyId, typeof key === 'string' ? Buffer.from(key, encoding) : key ?? null, { algorithm });
+        }
+        if (config.active !== undefined) {
+            ring.activate(config.active);
+        }
+        return ring;
+    }
+
+    /**
+     * Id of the key new data is encrypted with
+     * @returns {string|null}
+     */
+    get activeKeyId() {
+        return this._activeKeyId;
+    }
+
+    /**
+     * Ids of all keys, in the order they were added
+     * @returns {string[]}
+     */
+    get keyIds() {
+        return [...this._encryptors.keys()];
+    }
+
+    /**
+     * Adds a key. The first key added becomes the active key.
+     * @param {string} keyId - Key id written into envelopes (letters, digits, `.`, `_`, `-`)
+     * @param {string|Buffer|Encryptor|null} key - Raw key, or an Encryptor (e.g. from Encryptor.fromPassphrase)
+     * @param {Object} [options={}]
+     * @param {string} [options.algorithm='aes-256-gcm'] - Algorithm of a raw key
+     * @param {boolean} [options.active=false] - Make this the active key
+     * @returns {KeyRing} The key ring, for chaining
+     * @throws {Error} If the key id is invalid or already used, or the key is invalid for the algorithm
+     */
+    add(keyId, key, options = {}) {
+        const { algorithm = 'aes-256-gcm', active = false } = options;
+        if (typeof keyId !== 'string') {
+            throw new Error('Key id must be a string.');
+        }
+        if (this._encryptors.has(keyId)) {
+            throw new Error(`Key id "${keyId}" is already in the key ring.`);
+        }
+
+        let encryptor;
+        if (key instanceof Encryptor) {
+            if (key.keyId !== null && key.keyId !== keyId) {
+                throw new Error(`Encryptor has key id "${key.keyId}" but was added as "${keyId}".`);
+            }
+            encryptor = key._withOutput({ format: 'envelope', keyId });
+        } else {
+            encryptor = new Encryptor(key, algorithm, { format: 'envelope', keyId });
+        }
+
+        this._encryptors.set(keyId, encryptor);
+        if (active || this._activeKeyId === null) {
+            this._activeKeyId = keyId;
+        }
+        return this;
+    }
+
+    /**
+     * Makes a key the one new data is encrypted with
+     * @param {string} keyId
+     * @returns {KeyRing} The key ring, for chaining
+     * @throws {Error} If the key id is unknown
+     */
+    activate(keyId) {
+        this._get(keyId);
+        this._activeKeyId = keyId;
+        return this;
+    }
+
+    /**
+     * Removes a key that is no longer needed (after its data was re-encrypted)
+     * @param {string} keyId
+     * @returns {KeyRing} The key ring, for chaining
+     * @throws {Error} If the key id is unknown or is the active key
+     */
+    remove(keyId) {
+        this._get(keyId);
+        if (keyId === this._activeKeyId) {
+            throw new Error(`Cannot remove the active key "${keyId}". Activate another key first.`);
+        }
+        this._encryptors.delete(keyId);
+        return this;
+    }
+
+    /**
+     * Checks whether the key ring has a key
+     * @param {string} keyId
+     * @returns {boolean}
+     */
+    has(keyId) {
+        return this._encryptors.has(keyId);
+    }
+
+    /**
+     * Encrypts data with the active key, as an envelope naming that key
+     * @param {string} data - Data to encrypt (must be a string)
+     * @param {Object} [options={}] - Encryption options (`aad`, see Encryptor#encrypt)
+     * @returns {string} `toon-enc:v1:...` envelope
+     * @throws {Error} If the key ring is empty or encryption fails
+     */
+    encrypt(data, options = {}) {
+        if (this._activeKeyId === null) {
+            throw new Error('The key ring has no keys.');
+        }
+        return this._get(this._activeKeyId).encrypt(data, options);
+    }
+
+    /**
+     * Decrypts data with the key its envelope names. Data that names no key
+     * (legacy formats, envelopes without a key id) is tried with every key
+     * whose algorithm detects a wrong key (AES-256-GCM, ChaCha20-Poly1305,
+     * AES-256-CBC-HMAC-SHA256), the active key first.
+     * @param {string} encryptedData - Data to decrypt (must be a string)
+     * @param {Object} [options={}] - Decryption options (`aad`, see Encryptor#decrypt)
+     * @returns {string} Decrypted data
+     * @throws {Error} If the named key is not in the key ring or decryption fails
+     */
+    decrypt(encryptedData, options = {}) {
+        if (typeof encryptedData !== 'string') {
+            throw new Error('Data to decrypt must be a string.');
+        }
+
+        const envelope = Encryptor.parseEnvelope(encryptedData);
+        if (envelope && envelope.keyId !== null) {
+            return this._get(envelope.keyId).decrypt(encryptedData, options);
+        }
+
+        const candidates = [this._activeKeyId, ...this.keyIds.filter(id => id !== this._activeKeyId)]
+            .map(id => this._encryptors.get(id))
+            .filter(encryptor => encryptor && AUTHENTICATED_ALGORITHMS.includes(encryptor.algorithm) &&
+                (!envelope || envelope.algorithm === encryptor.algorithm));
+        if (candidates.length === 0) {
+            throw new Error('Data names no key id, and the key ring has no key that can be tried safely.');
+        }
+
+        for (const encryptor of candidates) {
+            try {
+                return encryptor.decrypt(encryptedData, options);
+            } catch {
+                // Wrong key: try the next one
+            }
+        }
+        throw new Error('No key in the key ring could decrypt the data.');
+    }
+
+    /**
+     * Re-encrypts data with the active key, to migrate it off a retired key
+     * @param {string} encryptedData - Data encrypted with any key of the key ring
+     * @param {Object} [options={}] - Options used to decrypt and re-encrypt (`aad`)
+     * @returns {string} Envelope encrypted with the active key
+     * @throws {Error} If the data cannot be decrypted
+     */
+    reencrypt(encryptedData, options = {}) {
+        return this.encrypt(this.decrypt(encryptedData, options), options);
+    }
+
+    /**
+     * Returns the Encryptor of a key
+     * @private
+     * @param {string} keyId
+     * @returns {Encryptor}
+     * @throws {Error} If the key id is unknown
+     */
+    _get(keyId) {
+        const encryptor = this._encryptors.get(keyId);
+        if (!encryptor) {
+            throw new Error(`Unknown key id: "${keyId}". Known key ids: ${this.keyIds.join(', ') || '(none)'}`);
+        }
+        return encryptor;
+    }
+}
+
+export default KeyRing;
@@ -0,0 +1,206 @@
+/**
+ * Prompt Templates
+ *
+ * Turns a JSON Schema into the TOON skeleton and format instructions given
+ * to an LLM, and parses the reply against the same schema.
+ */
+
+import { jsonToToonSync, toonToJsonSync } from './json.js';
+import { resolveSchema, deref } from './schema.js';
+import { formatValue, maskQuoted } from './utils.js';
+
+// Stand-in for a placeholder while the sample document is encoded
+const SLOT = /"?\uE000(\d+)\uE001"?/g;
+
+// Array header of a sample array (which always has one item)
+const SAMPLE_HEADER = /\[1([\t|]?)\](?=[{:])/;
+
+const DELIMITER_NAMES = { ',': 'commas', '\t': 'tabs', '|': 'pipes (|)' };
+
+/**
+ * Combines an `allOf` into a single schema (properties and required merged)
+ * @param {Object|boolean|undefined} schema
+ * @param {Object} root
+ * @returns {Object|boolean|undefined}
+ */
+function flatten(schema, root) {
+    schema = deref(schema, root);
+    if (!schema || typeof schema !== 'object' || !schema.allOf) return schema;
+
+    const { allOf, ...rest } = schema;
+    return allOf.map(sub => flatten(sub, root)).reduce((merged, sub) => {
+        if (!sub || typeof sub !== 'object') return merged;
+        return {
+            ...sub,
+            ...merged,
+            properties: { ...sub.properties, ...merged.properties },
+            required: [...(merged.required || []), ...(sub.required || [])]
+        };
+    }, rest);
+}
+
+/**
+ * Picks the schema describing the structure of a value: the first object or
+ * array branch of an `anyOf` / `oneOf` or of a type list, if there is one
+ * @param {Object} schema
+ * @param {Object} root
+ * @returns {Object|null} Structural schema, or null for a scalar
+ */
+function structureOf(schema, root) {
+    const branches = (schema.anyOf || schema.oneOf || []).map(sub => flatten(sub, root));
+    const structural = branches.find(sub => sub && typeof sub === 'object' && structureOf(sub, root));
+    if (structural) return structureOf(structural, root);
+
+    const types = [].concat(schema.type || []);
+    if (types.includes('object') || (types.length === 0 && schema.properties)) return { ...schema, type: 'object' };
+    if (types.includes('array') || (types.length === 0 && (schema.items || schema.prefixItems))) return { ...schema, type: 'array' };
+    return null;
+}
+
+/**
+ * Describes the value a scalar schema allows, as written in the template
+ * @param {Object|boolean|undefined} schema
+ * @param {Object} root
+ * @param {Object} options - Encoder options (`quoting`, `delimiter`)
+ * @returns {string} A literal (`const`, single `enum`) or a `<placeholder>`
+ */
+function placeholder(schema, root, options) {
+    if (!schema || typeof schema !== 'object') return '<value>';
+    if ('const' in schema) return formatValue(schema.const, options);
+    if (schema.enum) {
+        const values = schema.enum.map(v => formatValue(v, options));
+        return values.length === 1 ? values[0] : `<${values.join(' | ')}>`;
+    }
+
+    const branches = (schema.anyOf || schema.oneOf || []).map(sub => flatten(sub, root));
+    if (branches.length > 0) {
+        const alternatives = [...new Set(branches.map(sub => placeholder(sub, root, options)))];
+        return alternatives.length === 1 ? alternatives[0] : `<${alternatives.map(a => a.replace(/^"?<(.*)>"?$/, '$1')).join(' | ')}>`;
+    }
+
+    const types = [].concat(schema.type || []);
+    if (types.length === 0) return '<value>';
+    if (types.length === 1 && types[0] === 'string' && (options.quoting || 'always') === 'always') return '"<string>"';
+    return `<${types.join(' | ')}>`;
+}
+
+/**
+ * Builds a sample document for a schema: objects with every declared
+ * property, arrays with a single item and slots in place of scalars.
+ * @param {Object|boolean|undefined} schema
+ * @param {Array<string>} path - Path of the value, for the required field list
+ * @param {Object} state - `{ root, options, slots, required }` (slots and required are filled in)
+ * @returns {*}
+ */
+function buildSample(schema, path, state) {
+    schema = flatten(schema, state.root);
+    const structure = schema && typeof schema === 'object' ? structureOf(schema, state.root) : null;
+
+    if (structure && structure.type === 'object') {
+        const sample = {};
+        const required = structure.required || [];
+        const properties = structure.properties || {};
+        for (const key of Object.keys(properties)) {
+            if (required.includes(key)) state.required.push([...path, key].join('.'));
+            sample[key] = buildSample(properties[key], [...path, key], state);
+        }
+        if (Object.keys(properties).length === 0 && structure.additionalProperties && typeof structure.additionalProperties === 'object') {
+            sample['<key>'] = buildSample(structure.additionalProperties, [...path, '<key>'], state);
+        }
+        return sample;
+    }
+
+    if (structure && structure.type === 'array') {
+        const itemsPath = [...path.slice(0, -1), `${path.length > 0 ? path[path.length - 1] : ''}[]`];
+        if (structure.prefixItems) {
+            return structure.prefixItems.map(sub => buildSample(sub, itemsPath, state));
+        }
+        return [buildSample(structure.items, itemsPath, state)];
+    }
+
+    state.slots.push(placeholder(schema, state.root, state.options));
+    return `\uE000${state.slots.length - 1}\uE001`;
+}
+
+/**
+ * Builds TOON prompt material from a JSON Schema.
+ *
+ * The template is the document the schema describes, with `<type>`
+ * placeholders for values and `[N]` in array headers, e.g.
+ * `items[N]{id,name,price}:` followed by `<integer>,"<string>",<number>`.
+ * The instructions explain the format and include the template, ready to be
+ * used as (part of) a system prompt. Parse the reply with parseToonReply.
+ *
+ * @param {Object} schema - JSON Schema of the expected answer
+ * @param {Object} [options={}] - Encoder options the template is written with (`indent`, `delimiter`, `quoting`)
+ * @returns {{template: string, instructions: string}}
+ * @throws {Error} If the schema or an option is invalid
+ */
+export function schemaToToonTemplate(schema, options = {}) {
+    const root = resolveSchema(schema);
+    if (root === null) {
+        throw new Error('Invalid schema: expected a JSON Schema object.');
+    }
+
+    const state = { root, options, slots: [], required: [] };
+    const sample = buildSample(root, [], state);
+    const template = jsonToToonSync(sample, options)
+        .split('\n')
+        .map(line => {
+            const match = maskQuoted(line).match(SAMPLE_HEADER);
+            return match ? line.slice(0, match.index) + `[N${match[1]}]` + line.slice(match.index + match[0].length) : line;
+        })
+        .join('\n')
+        .replace(SLOT, (_, i) => state.slots[i]);
+
+    const { indent = 2, delimiter = ',', quoting = 'always' } = options;
+    const masked = maskQuoted(template);
+    const rules = [`Indent nested fields by ${indent} spaces.`];
+    if (masked.includes('[N')) {
+        rules.push('In array headers such as `key[N]:`, replace N with the number of items in the array.');
+    }
+    if (/\]\{/.test(masked)) {
+        rules.push(`Arrays with a \`{field,...}\` header have one line per item, with the values in header order separated by ${DELIMITER_NAMES[delimiter]}.`);
+    }
+    if (/^\s*-(?: |$)/m.test(masked)) {
+        rules.push('Other arrays list one item per line, each starting with `- `.');
+    }
+    rules.push(quoting === 'always'
+        ? 'Put every string in double quotes, escaping `"` and `\\` with a backslash.'
+        : 'Put strings in double quotes when they contain a delimiter, `:` or `"`, or would otherwise read as a number, true, false or null.');
+    if (state.required.length > 0) {
+        rules.push(`Required fields: ${state.required.join(', ')}. Leave out optional fields that have no value.`);
+    }
+
+    const instructions = [
+        'Respond in TOON (Token-Oriented Object Notation) only, without code fences or commentary.',
+        'Use this template, replacing each <placeholder> with a value of that type:',
+        '',
+        template,
+        '',
+        'Rules:',
+        ...rules.map(rule => `- ${rule}`)
+    ].join('\n');
+
+    return { template, instructions };
+}
+
+/**
+ * Parses an LLM reply written from a schemaToToonTemplate prompt.
+ *
+ * The reply is repaired first (code fences, commentary, wrong `[N]`
+ * counts), then decoded and validated against the schema.
+ *
+ * @param {string} reply - Model output
+ * @param {Object} schema - The schema the prompt was built from
+ * @param {Object} [options={}] - Decoder options (see toonToJsonSync); pass `strict: true` to reject malformed replies
+ * @returns {*} Parsed data
+ * @throws {ToonSyntaxError} If the reply is not valid TOON
+ * @throws {ToonSchemaError} If the data does not match the schema
+ */
+export function parseToonReply(reply, schema, options = {}) {
+    if (resolveSchema(schema) === null) {
+        throw new Error('Invalid schema: expected a JSON Schema object.');
+    }
+    return toonToJsonSync(reply, { strict: false, ...options, schema });
+}
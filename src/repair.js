@@ -0,0 +1,330 @@
+/**
+ * Lenient TOON Repair
+ *
+ * Rewrites the mistakes LLMs commonly make when emitting TOON (wrong `[N]`
+ * counts, mixed indentation, surrounding commentary) into a document the
+ * strict parser accepts, recording every change that was made.
+ */
+
+import { splitByDelimiter, resolveDelimiter, maskQuoted, stripComment } from './utils.js';
+
+/**
+ * Codes describing the fixes applied by repairToonText
+ */
+export const TOON_FIX_CODES = Object.freeze({
+    EXTRACTED_CODE_BLOCK: 'EXTRACTED_CODE_BLOCK',
+    REMOVED_COMMENTARY: 'REMOVED_COMMENTARY',
+    NORMALIZED_INDENT: 'NORMALIZED_INDENT',
+    SPLIT_LIST_ITEM: 'SPLIT_LIST_ITEM',
+    ARRAY_LENGTH: 'ARRAY_LENGTH',
+    TRAILING_DELIMITER: 'TRAILING_DELIMITER',
+    QUOTED_CELL: 'QUOTED_CELL'
+});
+
+// Array header, optionally as a list item: captures prefix, N, delimiter, fields, inline content
+const ARRAY_HEADER = /^((?:-\s*)?[^:\[]*)\[(\d+)((?:\\t|[\t|])?)\](\{[^}]*\})?:[ \t]*(.*)$/;
+
+// Unquoted key with no value and nothing that makes it an array header
+const BARE_KEY_LINE = /^([^":\[\]{}]+):$/;
+
+// Keys that read as a sentence: containing spaces or ending in punctuation
+const PROSE_KEY = /\s|[.!?)]$/;
+
+/**
+ * Checks whether the first line of a document introduces the data ("Here is
+ * the data:") rather than being a key: it reads as prose, has no value and
+ * the next line is a sibling instead of an indented block.
+ * @param {string} content - Line without indentation or comment
+ * @param {string} text - Full line
+ * @param {{text: string}|undefined} next - Next non-blank, non-comment line
+ * @returns {boolean}
+ */
+function isPreamble(content, text, next) {
+    const match = content.trim().match(BARE_KEY_LINE);
+    if (!next || !match || !PROSE_KEY.test(match[1].trim())) return false;
+    const indent = (line) => line.match(/^[ \t]*/)[0].length;
+    return indent(next.text) <= indent(text);
+}
+
+/**
+ * Checks whether a line opens an indented block (`key:`, `-`, `- key:`, `[N]:` ...)
+ * @param {string} content - Line without indentation
+ * @returns {boolean}
+ */
+function opensBlock(content) {
+    return content.startsWith('-') || /:\s*$/.test(maskQuoted(content));
+}
+
+/**
+ * Returns the delimiter of a tabular array header, or null for other lines
+ * @param {string|undefined} content
+ * @returns {string|null}
+ */
+function tabularDelimiter(content) {
+    const match = content && content.match(ARRAY_HEADER);
+    return match && match[4] && match[5] === '' ? resolveDelimiter(match[3]) : null;
+}
+
+/**
+ * Keeps only the contents of the first fenced code block, if there is one
+ * @param {Array<{text: string, line: number}>} lines
+ * @param {Function} fix
+ */
+function extractCodeBlock(lines, fix) {
+    const start = lines.findIndex(l => /^\s*```/.test(l.text));
+    if (start === -1) return lines;
+
+    let end = lines.findIndex((l, i) => i > start && /^\s*```/.test(l.text));
+    if (end === -1) end = lines.length;
+
+    fix(TOON_FIX_CODES.EXTRACTED_CODE_BLOCK, lines[start].line, 'Extracted TOON from a fenced code block.');
+    return lines.slice(start + 1, end);
+}
+
+/**
+ * Assigns a nesting depth to every line, dropping lines that are not TOON.
+ * @param {Array<{text: string, line: number}>} lines
+ * @param {Function} fix
+ * @returns {{entries: Array<Object>, unit: number|null}} Entries are `{content, comment, depth, line}`
+ * (`comment` being the trailing comment, if any), or `{raw, line}` for blank and comment lines
+ */
+function resolveDepths(lines, fix) {
+    const entries = [];
+    // Open levels: raw indentation and depth of every enclosing block
+    let stack = [{ indent: 0, depth: 0 }];
+    // Last line seen at each depth, used to find a line's parent
+    const lastAtDepth = [];
+    let prev = null;
+    let unit = null;
+    // Raw indentation of an open tab-delimited table, where a leading tab is an empty cell
+    let tabTableIndent = null;
+
+    const isCode = (text) => text.trim() !== '' && stripComment(text.trim()) !== '';
+
+    for (const [index, { text, line }] of lines.entries()) {
+        const trimmed = text.trim();
+        if (trimmed === '' || stripComment(trimmed) === '') {
+            entries.push({ raw: text, line });
+            continue;
+        }
+
+        const spaces = text.match(/^ */)[0];
+        if (tabTableIndent !== null && spaces.length <= tabTableIndent) tabTableIndent = null;
+        const inTabTable = tabTableIndent !== null;
+
+        const ws = inTabTable ? spaces : text.match(/^[ \t]*/)[0];
+        const width = [...ws].reduce((n, c) => n + (c === '\t' ? (unit || 2) : 1), 0);
+        const withComment = inTabTable ? text.slice(ws.length).replace(/ +$/, '') : text.slice(ws.length).trimEnd();
+        const content = stripComment(withComment);
+        const comment = withComment.slice(content.length);
+        const issues = ws.includes('\t') ? ['tab indentation'] : [];
+
+        const saved = stack.slice();
+        let top = stack[stack.length - 1];
+        let depth;
+
+        if (!prev) {
+            stack = [{ indent: width, depth: 0 }];
+            depth = 0;
+        } else if (width > top.indent) {
+            if (opensBlock(prev.content)) {
+                const step = width - top.indent;
+                if (unit === null) unit = step;
+                else if (step !== unit) issues.push(`indentation step of ${step} instead of ${unit}`);
+                stack.push({ indent: width, depth: top.depth + 1 });
+                depth = top.depth + 1;
+            } else {
+                issues.push('unexpected indentation');
+                depth = top.depth;
+            }
+        } else if (width < top.indent) {
+            let popped = null;
+            while (stack.length > 1 && stack[stack.length - 1].indent > width) {
+                popped = stack.pop();
+            }
+            top = stack[stack.length - 1];
+            if (top.indent === width) {
+                depth = top.depth;
+            } else if (top.indent < width && popped) {
+                // Between two levels: keep it with the deeper block it was dedented from
+                stack.push(popped);
+                issues.push('indentation between levels');
+                depth = popped.depth;
+            } else {
+                issues.push('indentation below the document root');
+                depth = top.depth;
+            }
+        } else {
+            depth = top.depth;
+        }
+
+        const parent = depth > 0 ? lastAtDepth[depth - 1] : undefined;
+        const isRow = tabularDelimiter(parent) !== null;
+        const looksLikeToon = isRow || content.startsWith('-') || content.startsWith('"') ||
+            maskQuoted(content).includes(':');
+        const preamble = !prev && isPreamble(content, text, lines.slice(index + 1).find(l => isCode(l.text)));
+
+        if (!looksLikeToon || preamble) {
+            stack = saved;
+            fix(TOON_FIX_CODES.REMOVED_COMMENTARY, line, `Removed non-TOON text: ${JSON.stringify(content)}.`);
+            continue;
+        }
+
+        if (issues.length > 0) {
+            fix(TOON_FIX_CODES.NORMALIZED_INDENT, line, `Normalized indentation (${issues.join(', ')}).`);
+        }
+
+        prev = { content, comment, depth, line };
+        entries.push(prev);
+        lastAtDepth[depth] = content;
+        lastAtDepth.length = depth + 1;
+
+        if (tabularDelimiter(content) === '\t') tabTableIndent = spaces.length;
+    }
+
+    return { entries, unit };
+}
+
+/**
+ * Splits `- key: value` list items that have nested lines into `-` followed
+ * by the entry, which is the form the strict parser expects.
+ * @param {Array<Object>} entries
+ * @param {Function} fix
+ * @returns {Array<Object>}
+ */
+function splitListItems(entries, fix) {
+    const result = [];
+    entries.forEach((entry, i) => {
+        let next = null;
+        for (let j = i + 1; j < entries.length && !next; j++) {
+            if (entries[j].content !== undefined) next = entries[j];
+        }
+        const isInlineEntry = entry.content !== undefined &&
+            /^-\s*\S/.test(entry.content) &&
+            !ARRAY_HEADER.test(entry.content) &&
+            !opensBlock(entry.content.slice(1).trim()) &&
+            maskQuoted(entry.content).includes(':');
+
+        if (isInlineEntry && next && next.depth > entry.depth) {
+            fix(TOON_FIX_CODES.SPLIT_LIST_ITEM, entry.line, 'Moved list item fields onto their own lines.');
+            result.push({ content: '-', depth: entry.depth, line: entry.line });
+            result.push({ content: entry.content.slice(1).trim(), comment: entry.comment, depth: entry.depth + 1, line: entry.line });
+            return;
+        }
+        result.push(entry);
+    });
+    return result;
+}
+
+/**
+ * Cleans up the cells of a tabular row
+ * @param {Object} entry - Row entry (mutated)
+ * @param {string} delimiter
+ * @param {number} fields - Number of header fields
+ * @param {Function} fix
+ */
+function repairRow(entry, delimiter, fields, fix) {
+    let cells = splitByDelimiter(entry.content, delimiter);
+
+    if (cells.length > fields && cells[cells.length - 1].trim() === '') {
+        cells = cells.slice(0, -1);
+        fix(TOON_FIX_CODES.TRAILING_DELIMITER, entry.line, 'Removed a trailing delimiter from a tabular row.');
+    }
+
+    cells = cells.map(cell => {
+        const value = cell.trim();
+        if (value.includes(':') && !value.includes('"')) {
+            fix(TOON_FIX_CODES.QUOTED_CELL, entry.line, `Quoted cell containing a colon: ${value}.`);
+            return `"${value}"`;
+        }
+        return cell;
+    });
+
+    entry.content = cells.join(delimiter);
+}
+
+/**
+ * Rewrites `[N]` in array headers to the number of items actually present
+ * @param {Array<Object>} entries - Entries (mutated)
+ * @param {Function} fix
+ */
+function fixArrayHeaders(entries, fix) {
+    entries.forEach((entry, i) => {
+        const match = entry.content !== undefined && entry.content.match(ARRAY_HEADER);
+        if (!match) return;
+
+        const declared = parseInt(match[2], 10);
+        const delimiter = resolveDelimiter(match[3]);
+        let count;
+
+        if (match[5] !== '') {
+            let items = splitByDelimiter(match[5], delimiter);
+            if (items.length > 1 && items[items.length - 1].trim() === '') {
+                items = items.slice(0, -1);
+                entry.content = entry.content.slice(0, entry.content.length - match[5].length) + items.join(delimiter);
+                fix(TOON_FIX_CODES.TRAILING_DELIMITER, entry.line, 'Removed a trailing delimiter from an inline array.');
+            }
+            count = items.filter(item => item.trim() !== '').length;
+        } else {
+            const isTabular = !!match[4];
+            const fields = isTabular ? match[4].slice(1, -1).split(',').length : 0;
+            count = 0;
+
+            for (let j = i + 1; j < entries.length; j++) {
+                const child = entries[j];
+                if (child.content === undefined) continue;
+                if (child.depth <= entry.depth) break;
+                if (child.depth !== entry.depth + 1) continue;
+
+                if (isTabular) {
+                    repairRow(child, delimiter, fields, fix);
+                    count++;
+                } else if (child.content.startsWith('-')) {
+                    count++;
+                }
+            }
+        }
+
+        if (count !== declared) {
+            entry.content = entry.content.replace(/\[\d+/, `[${count}`);
+            fix(TOON_FIX_CODES.ARRAY_LENGTH, entry.line, `Corrected array length from ${declared} to ${count}.`);
+        }
+    });
+}
+
+/**
+ * Repairs a TOON document without parsing it.
+ *
+ * Extracts a fenced code block if present, drops non-TOON commentary lines,
+ * re-indents every line consistently, moves the fields of `- key: value`
+ * list items onto their own lines, removes trailing delimiters, quotes
+ * tabular cells containing colons and corrects `[N]` array lengths.
+ *
+ * Each fix is reported as `{ code, line, message }`, where `line` is the
+ * 1-based line in the original input. Well-formed documents are returned
+ * unchanged with an empty fix list.
+ *
+ * @param {string} toonString - TOON string, possibly wrapped in LLM commentary
+ * @returns {{toon: string, fixes: Array<{code: string, line: number, message: string}>}}
+ */
+export function repairToonText(toonString) {
+    if (!toonString || typeof toonString !== 'string') {
+        return { toon: toonString, fixes: [] };
+    }
+
+    const fixes = [];
+    const fix = (code, line, message) => fixes.push({ code, line, message });
+
+    const lines = toonString.split('\n').map((text, i) => ({ text: text.replace(/\r$/, ''), line: i + 1 }));
+    const { entries: resolved, unit } = resolveDepths(extractCodeBlock(lines, fix), fix);
+    const entries = splitListItems(resolved, fix);
+    fixArrayHeaders(entries, fix);
+
+    const pad = ' '.repeat(unit || 2);
+    const toon = entries
+        .map(e => e.content === undefined ? e.raw : pad.repeat(e.depth) + e.content + (e.comment || ''))
+        .join('\n');
+
+    fixes.sort((a, b) => a.line - b.line);
+    return { toon: fixes.length > 0 ? toon : toonString, fixes };
+}
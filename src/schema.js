@@ -0,0 +1,253 @@
+/**
+ * JSON Schema Support
+ *
+ * Lets the decoder read values as the types a schema declares instead of
+ * guessing (`zip: 02134` stays a string, `"42"` becomes an integer), checks
+ * decoded data against the schema, and gives the encoder a column order.
+ *
+ * Supported keywords: `type`, `enum`, `const`, `properties`, `required`,
+ * `additionalProperties`, `items`, `prefixItems`, `allOf`, `anyOf`, `oneOf`
+ * and local `$ref`s (`#/$defs/...`, `#/definitions/...`). Other keywords are ignored.
+ */
+
+import { isDeepStrictEqual } from 'util';
+import { unescapeString } from './utils.js';
+
+// Plain decimal number, as JSON writes it (no hex, no Infinity)
+const DECIMAL = /^-?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+
+/**
+ * Checks that a schema option is usable
+ * @param {*} schema
+ * @returns {Object|boolean|null} The schema, or null if none was given
+ * @throws {Error} If the schema is not an object or boolean
+ */
+export function resolveSchema(schema) {
+    if (schema === undefined || schema === null) return null;
+    if (typeof schema !== 'boolean' && (typeof schema !== 'object' || Array.isArray(schema))) {
+        throw new Error('Invalid schema: expected a JSON Schema object.');
+    }
+    return schema;
+}
+
+/**
+ * Follows `$ref`s to the schema they point at
+ * @param {Object|boolean|undefined} schema
+ * @param {Object} root - Root schema the references are resolved against
+ * @returns {Object|boolean|undefined}
+ * @throws {Error} If a reference is not local or cannot be found
+ */
+export function deref(schema, root) {
+    const seen = new Set();
+    while (schema && typeof schema === 'object' && typeof schema.$ref === 'string') {
+        const ref = schema.$ref;
+        if (seen.has(ref)) throw new Error(`Circular schema reference: ${ref}`);
+        seen.add(ref);
+
+        if (ref !== '#' && !ref.startsWith('#/')) {
+            throw new Error(`Unsupported schema reference: ${ref}. Only local references are supported.`);
+        }
+        let target = root;
+        for (const part of ref.slice(2).split('/').filter(Boolean)) {
+            target = target && target[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+        }
+        if (target === undefined) throw new Error(`Schema reference not found: ${ref}`);
+        schema = target;
+    }
+    return schema;
+}
+
+/**
+ * Finds the schema of the value at a path
+ * @param {Object|boolean} root - Root schema
+ * @param {Array<string|number>} path - Keys and indexes leading to the value
+ * @returns {Object|boolean|undefined} Sub-schema, or undefined if the schema says nothing about the path
+ */
+export function schemaAt(root, path) {
+    let schema = deref(root, root);
+    for (const seg of path) {
+        if (!schema || typeof schema !== 'object') return undefined;
+        if (typeof seg === 'number') {
+            schema = (schema.prefixItems && schema.prefixItems[seg]) ?? schema.items;
+        } else if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, seg)) {
+            schema = schema.properties[seg];
+        } else {
+            schema = typeof schema.additionalProperties === 'object' ? schema.additionalProperties : undefined;
+        }
+        schema = deref(schema, root);
+    }
+    return schema;
+}
+
+/**
+ * Property names an object schema declares, in schema order
+ * @param {Object|boolean|undefined} schema
+ * @param {Object} root
+ * @returns {string[]}
+ */
+export function schemaKeys(schema, root) {
+    schema = deref(schema, root);
+    return schema && typeof schema === 'object' && schema.properties ? Object.keys(schema.properties) : [];
+}
+
+/**
+ * Types a schema allows, or null if it does not restrict the type
+ * @param {Object|boolean|undefined} schema
+ * @returns {string[]|null}
+ */
+function allowedTypes(schema) {
+    if (!schema || typeof schema !== 'object' || schema.type === undefined) return null;
+    return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+/**
+ * Checks a value against a single JSON Schema type
+ * @param {*} value
+ * @param {string} type
+ * @param {Object} options - Decoder options (`largeIntegers`)
+ * @returns {boolean}
+ */
+function matchesType(value, type, options = {}) {
+    switch (type) {
+        case 'null': return value === null;
+        case 'boolean': return typeof value === 'boolean';
+        case 'integer':
+            return typeof value === 'bigint' || Number.isInteger(value) ||
+                (options.largeIntegers === 'string' && typeof value === 'string' && /^-?\d+$/.test(value) &&
+                    !Number.isSafeInteger(Number(value)));
+        case 'number': return typeof value === 'number' || typeof value === 'bigint';
+        case 'string': return typeof value === 'string' || value instanceof Date;
+        case 'array': return Array.isArray(value);
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+        default: return true;
+    }
+}
+
+/**
+ * Describes the type of a value for error messages
+ * @param {*} value
+ * @returns {string}
+ */
+function describeType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Reads a scalar token as the type its schema declares.
+ *
+ * Values that already have an allowed type are kept. Otherwise an unquoted
+ * token is re-read from its source text, so `02134` or `1.10` declared as
+ * strings are returned exactly as written, and quoted numbers or booleans
+ * declared as such are converted. Values that cannot be converted are
+ * returned unchanged and reported by validateSchema.
+ * @param {string} text - Source text of the token
+ * @param {*} value - Value inferred by parseValue
+ * @param {Object|boolean|undefined} schema - Schema of the value
+ * @param {Object} [options={}] - Decoder options (`largeIntegers`)
+ * @returns {*}
+ */
+export function coerceScalar(text, value, schema, options = {}) {
+    const types = allowedTypes(schema);
+    if (!types || types.some(type => matchesType(value, type, options))) return value;
+
+    const token = text.trim();
+    const quoted = token.length >= 2 && token.startsWith('"') && token.endsWith('"');
+    const source = quoted ? unescapeString(token.slice(1, -1)) : token;
+
+    for (const type of types) {
+        if (type === 'string' && value !== null) {
+            return source;
+        }
+        if (type === 'integer' && /^-?\d+$/.test(source)) {
+            const number = Number(source);
+            if (Number.isSafeInteger(number) || options.largeIntegers === 'number') return number;
+            return options.largeIntegers === 'bigint' ? BigInt(source) : source;
+        }
+        if (type === 'number' && DECIMAL.test(source)) {
+            return Number(source);
+        }
+        if (type === 'boolean' && (source === 'true' || source === 'false')) {
+            return source === 'true';
+        }
+        if (type === 'null' && source === 'null') {
+            return null;
+        }
+    }
+    return value;
+}
+
+/**
+ * Checks data against a JSON Schema
+ * @param {*} data
+ * @param {Object|boolean} schema
+ * @param {Object} [options={}] - Decoder options (`largeIntegers`)
+ * @returns {Array<{path: Array<string|number>, keyword: string, message: string}>} Violations (empty when valid)
+ */
+export function validateSchema(data, schema, options = {}) {
+    const errors = [];
+    const root = schema;
+
+    const visit = (value, schema, path, errors) => {
+        schema = deref(schema, root);
+        if (schema === undefined || schema === true) return;
+        if (schema === false) {
+            errors.push({ path, keyword: 'false', message: 'no value is allowed here' });
+            return;
+        }
+
+        const types = allowedTypes(schema);
+        if (types && !types.some(type => matchesType(value, type, options))) {
+            errors.push({ path, keyword: 'type', message: `expected ${types.join(' or ')}, got ${describeType(value)}` });
+            return;
+        }
+        if (schema.enum && !schema.enum.some(option => isDeepStrictEqual(option, value))) {
+            errors.push({ path, keyword: 'enum', message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+        }
+        if ('const' in schema && !isDeepStrictEqual(schema.const, value)) {
+            errors.push({ path, keyword: 'const', message: `must be ${JSON.stringify(schema.const)}` });
+        }
+
+        (schema.allOf || []).forEach(sub => visit(value, sub, path, errors));
+        for (const keyword of ['anyOf', 'oneOf']) {
+            if (!schema[keyword]) continue;
+            const passing = schema[keyword].filter(sub => {
+                const scratch = [];
+                visit(value, sub, path, scratch);
+                return scratch.length === 0;
+            }).length;
+            if (passing === 0 || (keyword === 'oneOf' && passing > 1)) {
+                const expected = keyword === 'oneOf' ? 'exactly one' : 'at least one';
+                errors.push({ path, keyword, message: `must match ${expected} of the ${keyword} schemas (matched ${passing})` });
+            }
+        }
+
+        if (matchesType(value, 'object')) {
+            const properties = schema.properties || {};
+            for (const key of schema.required || []) {
+                if (!(key in value)) {
+                    errors.push({ path: [...path, key], keyword: 'required', message: 'required property is missing' });
+                }
+            }
+            for (const key of Object.keys(value)) {
+                if (Object.prototype.hasOwnProperty.call(properties, key)) {
+                    visit(value[key], properties[key], [...path, key], errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: [...path, key], keyword: 'additionalProperties', message: 'property is not allowed' });
+                } else if (typeof schema.additionalProperties === 'object') {
+                    visit(value[key], schema.additionalProperties, [...path, key], errors);
+                }
+            }
+        } else if (Array.isArray(value)) {
+            value.forEach((item, i) => {
+                const itemSchema = (schema.prefixItems && schema.prefixItems[i]) ?? schema.items;
+                visit(item, itemSchema, [...path, i], errors);
+            });
+        }
+    };
+
+    visit(data, schema, [], errors);
+    return errors;
+}
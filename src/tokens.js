@@ -0,0 +1,243 @@
+/**
+ * Token Estimation
+ *
+ * Measures how many LLM tokens a payload costs, with a built-in offline
+ * approximation and a hook for exact tokenizers (tiktoken, gpt-tokenizer...).
+ */
+
+import { isDeepStrictEqual } from 'util';
+import { jsonToToonSync, toonToJsonSync } from './json.js';
+import { jsonToYamlSync, yamlToJsonSync } from './json_formatter/yaml.js';
+import { jsonToXmlSync } from './json_formatter/xml.js';
+import { jsonToCsvSync, csvToJsonSync } from './json_formatter/csv.js';
+
+// Pre-tokenization pattern modelled on GPT-style BPE tokenizers
+const PIECE_PATTERN = /'(?:s|t|re|ve|m|ll|d)| ?\p{L}+| ?\p{N}{1,3}| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu;
+
+// Scripts where a single character is usually a whole token
+const DENSE_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+/**
+ * Offline approximation of a BPE tokenizer. Text is split the way GPT-style
+ * tokenizers pre-tokenize it; each piece is then costed by its length.
+ * Typically within 10-20% of cl100k/o200k counts for English and JSON-like data.
+ * @param {string} text
+ * @returns {number} Approximate token count
+ */
+export function approximateTokenCount(text) {
+    let count = 0;
+
+    for (const [piece] of text.matchAll(PIECE_PATTERN)) {
+        const core = piece.trimStart();
+
+        if (core === '') {
+            // A run of whitespace (indentation, newlines) is usually one token
+            count++;
+        } else if (DENSE_SCRIPT.test(core)) {
+            count += [...core].length;
+        } else if (/^\p{L}/u.test(core)) {
+            count += Math.ceil(core.length / 6);
+        } else if (/^\p{N}/u.test(core)) {
+            count++;
+        } else {
+            count += Math.ceil(core.length / 2);
+        }
+    }
+
+    return count;
+}
+
+/**
+ * Estimates the number of tokens in a text
+ * @param {string} text - Text to measure
+ * @param {Object} [options={}]
+ * @param {Function|Object|string} [options.tokenizer='approximate'] - 'approximate' for the built-in
+ * estimate, a function `(text) => number | tokens[]`, or an object with an `encode(text)` method
+ * returning the tokens (e.g. a tiktoken encoder)
+ * @returns {number} Token count
+ * @throws {Error} If the text is not a string or the tokenizer is not supported
+ */
+export function estimateTokens(text, options = {}) {
+    const { tokenizer = 'approximate' } = options;
+
+    if (typeof text !== 'string') {
+        throw new Error('Text must be a string.');
+    }
+
+    if (tokenizer === 'approximate') {
+        return approximateTokenCount(text);
+    }
+
+    let result;
+    if (typeof tokenizer === 'function') {
+        result = tokenizer(text);
+    } else if (tokenizer && typeof tokenizer.encode === 'function') {
+        result = tokenizer.encode(text);
+    } else {
+        throw new Error(`Unsupported tokenizer: ${tokenizer}. Use 'approximate', a function or an object with encode().`);
+    }
+
+    return typeof result === 'number' ? result : result.length;
+}
+
+/**
+ * Serializes data in every supported format and counts the tokens of each.
+ * @param {*} data - JSON data (or a JSON string)
+ * @param {Object} [options={}]
+ * @param {Function|Object|string} [options.tokenizer] - See estimateTokens
+ * @returns {{formats: Object<string, {tokens: number, characters: number}>, cheapest: string, savings: {json: number, jsonPretty: number}}}
+ * Counts for `json` (minified), `jsonPretty`, `yaml`, `xml`, `csv` and `toon`, the
+ * label of the cheapest format (CSV only for flat arrays of objects, and never a
+ * format whose output is empty), and the fraction of tokens TOON saves over JSON
+ * (negative when TOON is larger). Any other option is passed to the TOON encoder.
+ * @throws {Error} If a JSON string cannot be parsed
+ */
+export function compareFormats(data, options = {}) {
+    const { tokenizer, ...encodeOptions } = options;
+    const value = typeof data === 'string' ? JSON.parse(data) : data;
+
+    const outputs = {
+        json: JSON.stringify(value),
+        jsonPretty: JSON.stringify(value, null, 2),
+        yaml: jsonToYamlSync(value),
+        xml: jsonToXmlSync(value),
+        csv: jsonToCsvSync(value),
+        toon: jsonToToonSync(value, encodeOptions)
+    };
+
+    const formats = {};
+    for (const [label, text] of Object.entries(outputs)) {
+        formats[label] = { tokens: estimateTokens(text, { tokenizer }), characters: text.length };
+    }
+
+    // CSV only counts for flat tables (it flattens anything else), and an empty output holds no data
+    const cheapest = Object.keys(formats)
+        .filter(label => outputs[label] !== '' && (label !== 'csv' || isFlatTable(value)))
+        .reduce((best, label) => formats[label].tokens < formats[best].tokens ? label : best);
+    const saving = (label) => formats[label].tokens === 0
+        ? 0
+        : Number((1 - formats.toon.tokens / formats[label].tokens).toFixed(4));
+
+    return {
+        formats,
+        cheapest,
+        savings: { json: saving('json'), jsonPretty: saving('jsonPretty') }
+    };
+}
+
+/**
+ * Checks for a non-empty array of objects whose values are all primitives
+ * @param {*} data
+ * @returns {boolean}
+ */
+function isFlatTable(data) {
+    return Array.isArray(data) && data.length > 0 && data.every(row =>
+        typeof row === 'object' && row !== null && !Array.isArray(row) &&
+        Object.values(row).every(v => v === null || typeof v !== 'object')
+    );
+}
+
+/**
+ * Decoder options that read back what the TOON encoder wrote with the given options
+ * @param {Object} options - TOON encoder options
+ * @returns {{expandPaths: boolean, typed: boolean}}
+ */
+function toonDecodeOptions(options) {
+    return { expandPaths: !!options.keyFolding, typed: !!options.typed };
+}
+
+// Representations tried by optimizeFormat, in order of preference on ties
+const CANDIDATES = {
+    'toon': {
+        encode: (data, options) => jsonToToonSync(data, { ...options, delimiter: ',' }),
+        decode: (text, options) => toonToJsonSync(text, toonDecodeOptions(options))
+    },
+    'toon-tab': {
+        encode: (data, options) => jsonToToonSync(data, { ...options, delimiter: '\t' }),
+        decode: (text, options) => toonToJsonSync(text, toonDecodeOptions(options))
+    },
+    'toon-pipe': {
+        encode: (data, options) => jsonToToonSync(data, { ...options, delimiter: '|' }),
+        decode: (text, options) => toonToJsonSync(text, toonDecodeOptions(options))
+    },
+    'json': {
+        encode: (data) => JSON.stringify(data),
+        decode: (text) => JSON.parse(text)
+    },
+    'csv': {
+        appliesTo: isFlatTable,
+        encode: (data) => jsonToCsvSync(data),
+        decode: (text) => csvToJsonSync(text)
+    },
+    'yaml': {
+        encode: (data) => jsonToYamlSync(data),
+        decode: (text) => yamlToJsonSync(text)
+    }
+};
+
+/**
+ * Serializes data in every candidate representation and picks the one with
+ * the fewest tokens that decodes back to the same data.
+ *
+ * Candidates: `toon`, `toon-tab`, `toon-pipe` (TOON with each delimiter),
+ * `json` (compact), `csv` (only for flat arrays of objects) and `yaml`.
+ * TOON candidates are decoded with the options matching the encoder's
+ * (`expandPaths` for `keyFolding`, and `typed`). A candidate that cannot
+ * encode the data (e.g. `json` with BigInt values) is left out.
+ *
+ * @param {*} data - JSON data (or a JSON string)
+ * @param {Object} [options={}]
+ * @param {string[]} [options.candidates] - Formats to consider (default: all)
+ * @param {Function|Object|string} [options.tokenizer] - See estimateTokens
+ * @param {boolean} [options.requireRoundTrip=true] - Only pick formats that decode back to the input
+ * (falls back to the smallest if none do)
+ * @returns {{format: string, output: string, tokens: number, roundTrip: boolean, candidates: Array<{format: string, tokens: number, characters: number, roundTrip: boolean}>}}
+ * The chosen format and its output, plus every candidate sorted by token count.
+ * Any other option is passed to the TOON encoder.
+ * @throws {Error} If a candidate is unknown or none applies to (or can encode) the data
+ */
+export function optimizeFormat(data, options = {}) {
+    const { candidates = Object.keys(CANDIDATES), tokenizer, requireRoundTrip = true, ...encodeOptions } = options;
+    const value = typeof data === 'string' ? JSON.parse(data) : data;
+
+    const unknown = candidates.find(c => !CANDIDATES[c]);
+    if (unknown) {
+        throw new Error(`Unknown format candidate: ${unknown}. Valid options: ${Object.keys(CANDIDATES).join(', ')}`);
+    }
+
+    const results = [];
+    for (const format of candidates) {
+        const { appliesTo, encode, decode } = CANDIDATES[format];
+        if (appliesTo && !appliesTo(value)) continue;
+
+        let output;
+        try {
+            output = encode(value, encodeOptions);
+        } catch (e) {
+            continue;
+        }
+        let roundTrip;
+        try {
+            roundTrip = isDeepStrictEqual(decode(output, encodeOptions), value);
+        } catch (e) {
+            roundTrip = false;
+        }
+
+        results.push({ format, output, tokens: estimateTokens(output, { tokenizer }), roundTrip });
+    }
+
+    if (results.length === 0) {
+        throw new Error(`None of the candidate formats applies to or can encode the data: ${candidates.join(', ')}`);
+    }
+
+    const ranked = [...results].sort((a, b) => a.tokens - b.tokens);
+    const best = (requireRoundTrip && ranked.find(r => r.roundTrip)) || ranked[0];
+
+    return {
+        format: best.format,
+        output: best.output,
+        tokens: best.tokens,
+        roundTrip: best.roundTrip,
+        candidates: ranked.map(({ format, output, tokens, roundTrip }) => ({ format, tokens, characters: output.length, roundTrip }))
+    };
+}
@@ -37,8 +37,65 @@ export function sanitizeTagName(name) {
     return sanitized.replace(/[^a-zA-Z0-9_.]/g, '_');
 }
 
+// Characters with a short escape form inside quoted TOON strings
+const ESCAPES = { '"': '"', '\\': '\\', n: '\n', r: '\r', t: '\t' };
+const SHORT_ESCAPES = { '"': '\\"', '\\': '\\\\', '\n': '\\n', '\r': '\\r', '\t': '\\t' };
+
 /**
- * Splits a string by delimiter while respecting quoted strings
+ * Escapes a string for use between double quotes. Quotes, backslashes,
+ * newlines, carriage returns and tabs get short escapes; other control
+ * characters are written as `\uXXXX`.
+ * @param {string} str - Raw string
+ * @returns {string} Escaped string (without surrounding quotes)
+ */
+export function escapeString(str) {
+    return str.replace(/["\\\u0000-\u001f\u007f\u2028\u2029]/g, (char) =>
+        SHORT_ESCAPES[char] || `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`
+    );
+}
+
+/**
+ * Reverses escapeString. Unknown escape sequences are kept as written.
+ * @param {string} str - Contents of a quoted string (without surrounding quotes)
+ * @returns {string} Unescaped string
+ */
+export function unescapeString(str) {
+    return str.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, seq) => {
+        if (seq.length === 5) return String.fromCharCode(parseInt(seq.slice(1), 16));
+        return seq in ESCAPES ? ESCAPES[seq] : match;
+    });
+}
+
+/**
+ * Replaces the contents of quoted strings with underscores (keeping the
+ * quotes and the length), so structural characters can be searched for
+ * outside of them.
+ * @param {string} text
+ * @returns {string} Masked text, index-aligned with the input
+ */
+export function maskQuoted(text) {
+    return text.replace(/"(?:[^"\\]|\\.)*"/g, (m) => `"${'_'.repeat(m.length - 2)}"`);
+}
+
+/**
+ * Removes a `#` comment from a line. Any line starting with `#` after the
+ * indentation is a comment, except `#text` keys, which earlier releases
+ * wrote unquoted for XML text nodes. A trailing comment is only recognized
+ * where it cannot be part of an unquoted value: after a closing quote, or
+ * as `# ...` after the colon of a key or array header with no inline value.
+ * @param {string} line - Line of TOON
+ * @returns {string} The line without its comment and the whitespace before it
+ */
+export function stripComment(line) {
+    if (/^[ \t]*#(?!text[:\[])/.test(line)) return '';
+
+    const match = maskQuoted(line).match(/"[ \t]+#|:[ \t]+#(?=[ \t]|$)/);
+    return match ? line.slice(0, match.index + 1) : line;
+}
+
+/**
+ * Splits a string by delimiter while respecting quoted strings and
+ * bracketed arrays (`[1,2]`) that start an item
  * @param {string} text - Text to split
  * @param {string} delimiter - Delimiter character
  * @returns {string[]} Array of split values
@@ -47,12 +104,22 @@ export function splitByDelimiter(text, delimiter) {
     const result = [];
     let current = '';
     let inQuote = false;
+    let escaped = false;
+    let brackets = 0;
     for (let i = 0; i < text.length; i++) {
         const char = text[i];
-        if (char === '"' && (i === 0 || text[i - 1] !== '\\')) {
+        if (escaped) {
+            escaped = false;
+        } else if (char === '\\' && inQuote) {
+            escaped = true;
+        } else if (char === '"') {
             inQuote = !inQuote;
+        } else if (char === '[' && !inQuote && (brackets > 0 || current.trim() === '')) {
+            brackets++;
+        } else if (char === ']' && !inQuote && brackets > 0) {
+            brackets--;
         }
-        if (char === delimiter && !inQuote) {
+        if (char === delimiter && !inQuote && brackets === 0) {
             result.push(current);
             current = '';
         } else {
@@ -63,18 +130,35 @@ export function splitByDelimiter(text, delimiter) {
     return result;
 }
 
+// Literals only produced and recognized in typed mode
+const TYPED_BIGINT = /^-?\d+n$/;
+const TYPED_DATE = /^date\("((?:[^"\\]|\\.)*)"\)$/;
+const TYPED_NUMBERS = { 'NaN': NaN, 'Infinity': Infinity, '-Infinity': -Infinity };
+
 /**
  * Parses a value string into its correct JavaScript type
  * @param {string} val - Value string to parse
- * @returns {*} Parsed value (string, number, boolean, or null)
+ * @param {Object} [options={}] - Parsing options
+ * @param {boolean} [options.typed=false] - Recognize typed literals (`123n`, `NaN`, `Infinity`, `date("...")`)
+ * @param {string} [options.largeIntegers='number'] - Integers beyond Number.MAX_SAFE_INTEGER:
+ * 'number' (rounded), 'bigint' or 'string' (exact)
+ * @returns {*} Parsed value (string, number, boolean, null, or in typed mode BigInt or Date)
  */
-export function parseValue(val) {
+export function parseValue(val, options = {}) {
+    const { typed = false, largeIntegers = 'number' } = options;
     val = val.trim();
     if (val === 'true') return true;
     if (val === 'false') return false;
     if (val === 'null') return null;
     if (val === '') return ""; // Empty string
 
+    if (typed) {
+        if (val in TYPED_NUMBERS) return TYPED_NUMBERS[val];
+        if (TYPED_BIGINT.test(val)) return BigInt(val.slice(0, -1));
+        const date = val.match(TYPED_DATE);
+        if (date) return new Date(unescapeString(date[1]));
+    }
+
     // Number check
     if (val === '0') return 0;
 
@@ -83,30 +167,166 @@ export function parseValue(val) {
         // String
     } else {
         const num = Number(val);
-        if (!isNaN(num) && val !== '') return num;
+        if (!isNaN(num) && val !== '') {
+            if (largeIntegers !== 'number' && !Number.isSafeInteger(num) && /^-?\d+$/.test(val)) {
+                return largeIntegers === 'bigint' ? BigInt(val) : val;
+            }
+            return num;
+        }
     }
 
     // String unquoting
     if (val.startsWith('"') && val.endsWith('"')) {
-        // Remove surrounding quotes and unescape internal quotes
-        return val.slice(1, -1).replace(/\\"/g, '"').replace(/\\\\/g, '\\');
+        return unescapeString(val.slice(1, -1));
     }
     return val;
 }
 
+/**
+ * Resolves the delimiter declared inside an array header (e.g. `[3|]`).
+ * Accepts a literal tab, the escaped `\t` form and `|`; anything else means comma.
+ * @param {string} [delimChar] - Delimiter marker captured from the header
+ * @returns {string} Delimiter character
+ */
+export function resolveDelimiter(delimChar) {
+    if (delimChar === '\t' || delimChar === '\\t') return '\t';
+    if (delimChar === '|') return '|';
+    return ',';
+}
+
+/**
+ * Checks whether a string can be written without quotes and still be read back
+ * as the same string by parseValue.
+ * @param {string} str - String to check
+ * @param {string} [delimiter=','] - Active delimiter of the surrounding array
+ * @param {Object} [options={}] - Parsing options the string will be read back with (see parseValue)
+ * @returns {boolean} True if the string is safe to leave unquoted
+ */
+export function isSafeUnquoted(str, delimiter = ',', options = {}) {
+    if (str === '' || str !== str.trim()) return false;
+    // Booleans, null, numbers and typed literals would change type on the way back
+    if (parseValue(str, options) !== str) return false;
+    if (/^[-#\[{]/.test(str)) return false;
+    if (/[:"\\\n\r\t]/.test(str) || str.includes(' #')) return false;
+    return !str.includes(delimiter);
+}
+
+/**
+ * Checks whether an object key can be written without quotes: it must not
+ * be empty, padded, start with `-` or `#` (read as a list item or comment),
+ * or contain characters that delimit keys, array headers or field lists.
+ * @param {string} key - Object key
+ * @returns {boolean} True if the key is safe to leave unquoted
+ */
+export function isSafeKey(key) {
+    if (key === '' || key !== key.trim()) return false;
+    if (key.startsWith('-') || key.startsWith('#')) return false;
+    return !/[:\[\]{},"\\\u0000-\u001f\u007f]/.test(key);
+}
+
+/**
+ * Formats an object key, quoting and escaping it when needed
+ * @param {string} key - Object key
+ * @returns {string} Formatted key
+ */
+export function formatKey(key) {
+    return isSafeKey(key) ? key : `"${escapeString(key)}"`;
+}
+
 /**
  * Formats a value according to TOON rules
  * @param {*} v - Value to format
+ * @param {Object} [options={}] - Formatting options
+ * @param {string} [options.delimiter=','] - Active delimiter (only relevant for minimal quoting)
+ * @param {string} [options.quoting='always'] - 'always' quotes every string, 'minimal' only ambiguous ones
+ * @param {boolean} [options.typed=false] - Write BigInt, Date, NaN, ±Infinity and -0 as typed literals
  * @returns {string} Formatted value
  */
-export function formatValue(v) {
+export function formatValue(v, options = {}) {
+    const { delimiter = ',', quoting = 'always', typed = false } = options;
     if (v === null) return "null";
     if (v === true) return "true";
     if (v === false) return "false";
-    if (typeof v === "string") return `"${v.replace(/"/g, '\\"')}"`;
+    if (typeof v === "string") {
+        if (quoting === 'minimal' && isSafeUnquoted(v, delimiter, { typed })) return v;
+        return `"${escapeString(v)}"`;
+    }
+    if (v instanceof Date) {
+        if (!typed) return formatValue(v.toJSON(), options);
+        return `date("${isNaN(v.getTime()) ? 'invalid' : v.toISOString()}")`;
+    }
+    if (typed) {
+        if (typeof v === 'bigint') return `${v}n`;
+        if (Object.is(v, -0)) return '-0';
+    }
     return String(v);
 }
 
+/**
+ * Runs a replacer over a value top-down, the way JSON.stringify does: the
+ * replacer sees a container before its children and can replace it whole.
+ * Returning undefined drops an object property (or leaves null in an array).
+ * @param {*} value - Value to transform
+ * @param {Function} [replacer] - `(key, value, path) => value`; `this` is the containing object
+ * and `path` the keys and indexes leading to the value ([] for the root)
+ * @returns {*} Transformed copy (the value itself if there is no replacer)
+ */
+export function replaceValues(value, replacer) {
+    if (!replacer) return value;
+
+    const visit = (holder, key, current, path) => {
+        current = replacer.call(holder, key, current, path);
+        if (current === null || typeof current !== 'object' || current instanceof Date) {
+            return current;
+        }
+        if (Array.isArray(current)) {
+            return current.map((item, i) => {
+                const replaced = visit(current, String(i), item, [...path, i]);
+                return replaced === undefined ? null : replaced;
+            });
+        }
+        const result = {};
+        for (const k of Object.keys(current)) {
+            const replaced = visit(current, k, current[k], [...path, k]);
+            if (replaced !== undefined) result[k] = replaced;
+        }
+        return result;
+    };
+
+    return visit({ '': value }, '', value, []);
+}
+
+/**
+ * Runs a reviver over a value bottom-up, the way JSON.parse does: children
+ * are revived before their container. Returning undefined deletes the
+ * property. The value is modified in place.
+ * @param {*} value - Value to transform
+ * @param {Function} [reviver] - `(key, value, path) => value`; `this` is the containing object
+ * and `path` the keys and indexes leading to the value ([] for the root)
+ * @returns {*} Revived value (the value itself if there is no reviver)
+ */
+export function reviveValues(value, reviver) {
+    if (!reviver) return value;
+
+    const visit = (holder, key, path) => {
+        const current = holder[key];
+        if (current !== null && typeof current === 'object' && !(current instanceof Date)) {
+            const isArray = Array.isArray(current);
+            for (const k of Object.keys(current)) {
+                const revived = visit(current, k, [...path, isArray ? Number(k) : k]);
+                if (revived === undefined) {
+                    delete current[k];
+                } else {
+                    current[k] = revived;
+                }
+            }
+        }
+        return reviver.call(holder, key, current, path);
+    };
+
+    return visit({ '': value }, '', []);
+}
+
 /**
  * Extracts JSON from mixed text
  * @param {string} text - Text containing JSON
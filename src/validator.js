@@ -2,35 +2,129 @@
  * TOON String Validator (Enhanced)
  */
 
-import { splitByDelimiter } from './utils.js';
+import { splitByDelimiter, resolveDelimiter, maskQuoted, stripComment } from './utils.js';
+import { ToonSyntaxError, TOON_ERROR_CODES, TOON_WARNING_CODES } from './errors.js';
+
+/**
+ * @typedef {Object} ToonDiagnostic
+ * @property {'error'|'warning'} severity - Errors make the document invalid, warnings do not
+ * @property {string} code - One of TOON_ERROR_CODES or TOON_WARNING_CODES
+ * @property {number|null} line - 1-based line number
+ * @property {number|null} column - 1-based column number
+ * @property {string} message - Human-readable description
+ */
 
 /**
  * Validates a TOON string for syntax and structural correctness (Synchronous)
  * @param {string} toonString - TOON string to validate
- * @returns {{isValid: boolean, error: string|null}} Validation result
+ * @param {Object} [options={}] - Validation options
+ * @param {boolean} [options.collectAll=false] - Keep validating after recoverable errors and
+ * return every problem found (plus warnings) in a `diagnostics` array
+ * @returns {{isValid: boolean, error: string|null, syntaxError?: ToonSyntaxError, diagnostics?: ToonDiagnostic[]}} Validation result.
+ * Invalid results also carry a `syntaxError` with the code, line and column of the (first) problem.
  */
-export function validateToonStringSync(toonString) {
+export function validateToonStringSync(toonString, options = {}) {
+    const { collectAll = false } = options;
+
     if (!toonString || typeof toonString !== 'string') {
-        return { isValid: false, error: 'Input must be a non-empty string.' };
+        const syntaxError = new ToonSyntaxError('Input must be a non-empty string.', { code: TOON_ERROR_CODES.INVALID_INPUT });
+        const result = { isValid: false, error: syntaxError.reason, syntaxError };
+        if (collectAll) {
+            result.diagnostics = [{ severity: 'error', code: syntaxError.code, line: null, column: null, message: syntaxError.reason }];
+        }
+        return result;
     }
 
     const lines = toonString.split('\n');
-    // Stack of contexts: { indent, type: 'root'|'object'|'array', expected?, count?, isTabular? }
+    // Lines without their `#` comments (comment-only lines become blank)
+    const code = lines.map(stripComment);
+    // Stack of contexts: { indent, type: 'root'|'object'|'array', expected?, count?, isTabular?, line? }
     const contextStack = [{ indent: 0, type: 'root', count: 0 }];
     let lineNumber = 0;
+    // Last non-blank line before the current one (without its comment) and its number
+    let prevCode = '';
+    let prevNumber = 0;
+
+    const diagnostics = [];
+    let firstError = null;
+    // Width of the first indentation step, used to flag inconsistent widths
+    let indentUnit = null;
+
+    /**
+     * Records an error. Returns true when validation should stop here,
+     * i.e. unless every problem is being collected.
+     * @param {string} code - One of TOON_ERROR_CODES
+     * @param {string} reason - Error message
+     * @param {number|null} line - 1-based line of the problem
+     * @param {number|null} [column=null] - 1-based column of the problem
+     * @returns {boolean}
+     */
+    function fail(code, reason, line, column = null) {
+        const sourceLine = line ? lines[line - 1].replace(/\r$/, '') : null;
+        const syntaxError = new ToonSyntaxError(reason, { code, line, column, sourceLine });
+        if (!firstError) firstError = syntaxError;
+        diagnostics.push({ severity: 'error', code, line, column: syntaxError.column, message: reason });
+        return !collectAll;
+    }
+
+    /**
+     * Records a warning (only reported in collectAll mode)
+     * @param {string} code - One of TOON_WARNING_CODES
+     * @param {string} message - Warning message
+     * @param {number} line - 1-based line
+     * @param {number} column - 1-based column
+     */
+    function warn(code, message, line, column) {
+        diagnostics.push({ severity: 'warning', code, line, column, message });
+    }
+
+    /**
+     * Builds the validation result from the recorded diagnostics
+     */
+    function finish() {
+        const result = firstError
+            ? { isValid: false, error: firstError.reason, syntaxError: firstError }
+            : { isValid: true, error: null };
+        if (collectAll) {
+            result.diagnostics = diagnostics.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+        }
+        return result;
+    }
+
+    /**
+     * Warns when an indentation step differs from the first one seen
+     * @param {number} step - Indentation increase in spaces
+     * @param {number} indent - Absolute indentation of the line
+     */
+    function checkIndentStep(step, indent) {
+        if (indentUnit === null) {
+            indentUnit = step;
+        } else if (step !== indentUnit) {
+            warn(TOON_WARNING_CODES.INCONSISTENT_INDENT, `L${lineNumber}: Indentation step of ${step} differs from the ${indentUnit} used earlier.`, lineNumber, indent + 1);
+        }
+    }
+
+    /**
+     * 1-based column of the array header bracket on a line
+     * @param {number|null} line
+     */
+    function bracketColumn(line) {
+        return line ? maskQuoted(lines[line - 1]).indexOf('[') + 1 || null : null;
+    }
 
     // Regex Definitions (based on TOON Rules)
     const REGEX = {
         mapKey: /^[^:\[]+:\s*$/,
-        arrayKey: /^[^:\[]+\[(\d+)([\t|])?\](?:\{[^}]+\})?:\s*(.*)$/, // Capture N, delimiter, content
-        rootArray: /^\[(\d+)([\t|])?\](?:\{[^}]+\})?:\s*(.*)$/,    // Capture N, delimiter, content
+        arrayKey: /^[^:\[]+\[(\d+)(\\t|[\t|])?\](?:\{[^}]+\})?:\s*(.*)$/, // Capture N, delimiter, content
+        rootArray: /^\[(\d+)(\\t|[\t|])?\](?:\{[^}]+\})?:\s*(.*)$/,    // Capture N, delimiter, content
         listItem: /^\-.*/,
         listItemEmpty: /^\-\s*$/,
         keyValue: /^[^:\[]+:\s*(?:".*?"|[^"].*)$/,
         tabularRow: /^\s*[^:]+\s*$/,
     };
 
-    let isInsideTabularArray = false;
+    // Open tabular array: { indent, isRoot, line, context: { expected, count } }
+    let tabular = null;
 
     function opensNewBlock(trimmedLine) {
         return trimmedLine.match(REGEX.mapKey) ||
@@ -44,15 +138,20 @@ export function validateToonStringSync(toonString) {
         return isArray && trimmedLine.includes('{') && trimmedLine.includes('}');
     }
 
-    for (const rawLine of lines) {
+    for (const rawLine of code) {
         lineNumber++;
         const line = rawLine.trimEnd();
 
-        if (line.trim() === '' || line.trim().startsWith('#')) {
+        if (line.trim() === '') {
             continue;
         }
+        const prevLineRaw = prevCode;
+        const prevLineNumber = prevNumber;
+        prevCode = rawLine;
+        prevNumber = lineNumber;
 
-        const trimmedLine = line.trim();
+        // Quoted keys and values are masked so their contents are not read as structure
+        const trimmedLine = maskQuoted(line.trim());
         const currentIndent = rawLine.search(/\S|$/);
         let currentContext = contextStack[contextStack.length - 1];
         const requiredIndent = currentContext.indent;
@@ -61,9 +160,8 @@ export function validateToonStringSync(toonString) {
         // If the previous line opened a block (like an array) but we didn't indent,
         // and it wasn't an inline array, then it's an empty block.
         // If the array expects items (size > 0), this is an error.
-        if (lineNumber > 1) {
-            const prevLineRaw = lines[lineNumber - 2];
-            const prevLineTrimmed = prevLineRaw.trim();
+        if (prevLineRaw !== '') {
+            const prevLineTrimmed = maskQuoted(prevLineRaw.trim());
             const arrMatch = prevLineTrimmed.match(REGEX.arrayKey) || prevLineTrimmed.match(REGEX.rootArray);
 
             if (arrMatch && currentIndent <= requiredIndent) {
@@ -73,7 +171,7 @@ export function validateToonStringSync(toonString) {
 
                 // If no inline content and size > 0, it's a missing block.
                 if ((!content || content.trim() === '') && size > 0) {
-                    return { isValid: false, error: `L${lineNumber - 1}: Array declared with size ${size} but has no items (expected indented block).` };
+                    if (fail(TOON_ERROR_CODES.MISSING_ARRAY_ITEMS, `L${prevLineNumber}: Array declared with size ${size} but has no items (expected indented block).`, prevLineNumber, bracketColumn(prevLineNumber))) return finish();
                 }
             }
         }
@@ -87,15 +185,16 @@ export function validateToonStringSync(toonString) {
 
             if (content && content.trim() !== '') {
                 // Inline Array: Validate immediately
-                let delimiter = ',';
-                if (delimChar === '\\t') delimiter = '\t';
-                else if (delimChar === '|') delimiter = '|';
-
+                const delimiter = resolveDelimiter(delimChar);
                 const items = splitByDelimiter(content, delimiter);
                 const validItems = items.filter(i => i.trim() !== '');
 
                 if (validItems.length !== size) {
-                    return { isValid: false, error: `L${lineNumber}: Array size mismatch. Declared ${size}, found ${validItems.length} inline items.` };
+                    if (fail(TOON_ERROR_CODES.ARRAY_SIZE_MISMATCH, `L${lineNumber}: Array size mismatch. Declared ${size}, found ${validItems.length} inline items.`, lineNumber, bracketColumn(lineNumber))) return finish();
+                }
+
+                if (items.length > 1 && items[items.length - 1].trim() === '') {
+                    warn(TOON_WARNING_CODES.TRAILING_DELIMITER, `L${lineNumber}: Inline array ends with a trailing delimiter.`, lineNumber, line.length);
                 }
             } else {
                 // Block Array start. 
@@ -104,38 +203,57 @@ export function validateToonStringSync(toonString) {
                     contextStack[0].type = 'array';
                     contextStack[0].expected = size;
                     contextStack[0].count = 0;
+                    contextStack[0].line = lineNumber;
                 }
             }
         }
 
         // --- State Management (Tabular) ---
-        if (isInsideTabularArray) {
-            // For tabular arrays, accept any indent >= root indent after the header
-            const rootContext = contextStack[0];
-            if (currentIndent >= rootContext.indent || (rootContext.indent === 0 && currentIndent > 0)) {
-                if (trimmedLine.includes(':') && !trimmedLine.startsWith('"')) {
-                    return { isValid: false, error: `L${lineNumber}: Tabular rows cannot contain a colon.` };
+        if (tabular) {
+            // Every line indented deeper than the header is a row
+            if (currentIndent > tabular.indent) {
+                if (tabular.rows === 0) {
+                    checkIndentStep(currentIndent - tabular.indent, currentIndent);
                 }
-                // Count tabular row as item
-                if (rootContext.type === 'array') {
-                    rootContext.count++;
+                tabular.rows++;
+
+                // Colons are only allowed inside quoted values
+                const unquoted = maskQuoted(rawLine);
+                if (unquoted.includes(':')) {
+                    if (fail(TOON_ERROR_CODES.TABULAR_ROW_COLON, `L${lineNumber}: Tabular rows cannot contain a colon.`, lineNumber, unquoted.indexOf(':') + 1)) return finish();
                 }
-                // Update root indent if this is first data row
-                if (rootContext.indent === 0) {
-                    rootContext.indent = currentIndent;
+
+                // Tab-delimited rows keep trailing tabs, they may be (empty) cells
+                let rowText = rawLine.slice(currentIndent).replace(/\r$/, '');
+                if (tabular.delimiter !== '\t') rowText = rowText.trimEnd();
+                const cells = splitByDelimiter(rowText, tabular.delimiter);
+                if (cells.length > tabular.fields) {
+                    if (cells.length === tabular.fields + 1 && cells[cells.length - 1].trim() === '') {
+                        warn(TOON_WARNING_CODES.TRAILING_DELIMITER, `L${lineNumber}: Tabular row ends with a trailing delimiter.`, lineNumber, currentIndent + rowText.length);
+                    } else {
+                        warn(TOON_WARNING_CODES.ROW_WIDTH_MISMATCH, `L${lineNumber}: Row has ${cells.length} cells but the header declares ${tabular.fields} fields.`, lineNumber, currentIndent + 1);
+                    }
                 }
+
+                tabular.context.count++;
                 continue;
-            } else {
-                isInsideTabularArray = false;
             }
+
+            // Root array counts are checked once the document ends
+            if (!tabular.isRoot && tabular.context.count !== tabular.context.expected) {
+                if (fail(TOON_ERROR_CODES.ARRAY_SIZE_MISMATCH, `Array size mismatch. Declared ${tabular.context.expected}, found ${tabular.context.count} items (ending around L${lineNumber}).`, tabular.line, bracketColumn(tabular.line))) return finish();
+            }
+            tabular = null;
         }
 
         // --- Indentation Check ---
         if (currentIndent > requiredIndent) {
             // New Block
-            const prevLineTrimmed = lines[lineNumber - 2] ? lines[lineNumber - 2].trim() : '';
+            const prevLineTrimmed = maskQuoted(prevLineRaw.trim());
             if (!opensNewBlock(prevLineTrimmed)) {
-                return { isValid: false, error: `L${lineNumber}: Indentation error.` };
+                if (fail(TOON_ERROR_CODES.BAD_INDENT, `L${lineNumber}: Indentation error.`, lineNumber, currentIndent + 1)) return finish();
+            } else {
+                checkIndentStep(currentIndent - requiredIndent, currentIndent);
             }
 
             // Determine context type
@@ -153,7 +271,7 @@ export function validateToonStringSync(toonString) {
                 if (!isRootArrayAlreadySet) {
                     // Create new array context for non-root arrays
                     const size = parseInt(prevArrayMatch[1], 10);
-                    newContext = { indent: currentIndent, type: 'array', expected: size, count: 0, isTabular: isTabular };
+                    newContext = { indent: currentIndent, type: 'array', expected: size, count: 0, isTabular: isTabular, line: prevLineNumber };
                     contextStack.push(newContext);
                 } else {
                     // For root arrays, update the existing context
@@ -190,7 +308,7 @@ export function validateToonStringSync(toonString) {
                 // Validate Array Size on Close
                 if (popped.type === 'array') {
                     if (popped.count !== popped.expected) {
-                        return { isValid: false, error: `Array size mismatch. Declared ${popped.expected}, found ${popped.count} items (ending around L${lineNumber}).` };
+                        if (fail(TOON_ERROR_CODES.ARRAY_SIZE_MISMATCH, `Array size mismatch. Declared ${popped.expected}, found ${popped.count} items (ending around L${lineNumber}).`, popped.line, bracketColumn(popped.line))) return finish();
                     }
                 }
 
@@ -201,7 +319,9 @@ export function validateToonStringSync(toonString) {
             }
 
             if (!foundMatch && currentIndent !== 0) {
-                return { isValid: false, error: `L${lineNumber}: Invalid un-indentation.` };
+                if (fail(TOON_ERROR_CODES.BAD_INDENT, `L${lineNumber}: Invalid un-indentation.`, lineNumber, currentIndent + 1)) return finish();
+                // Recover by treating the line as the start of a block at its own level
+                contextStack.push({ indent: currentIndent, type: 'object' });
             }
 
             // After popping, count items in parent context if it's an array
@@ -231,31 +351,46 @@ export function validateToonStringSync(toonString) {
 
         // --- Syntax Check ---
         if (trimmedLine.match(REGEX.arrayKey) || trimmedLine.match(REGEX.rootArray)) {
-            if (startsTabular(trimmedLine)) isInsideTabularArray = true;
+            if (startsTabular(trimmedLine)) {
+                const isRoot = !!trimmedLine.match(REGEX.rootArray) && contextStack.length === 1;
+                tabular = {
+                    indent: currentIndent,
+                    isRoot,
+                    line: lineNumber,
+                    context: isRoot ? contextStack[0] : { expected: parseInt(arrayMatch[1], 10), count: 0 },
+                    delimiter: resolveDelimiter(arrayMatch[2]),
+                    fields: trimmedLine.match(/\{([^}]*)\}/)[1].split(',').length,
+                    rows: 0
+                };
+            }
         }
         else if (trimmedLine.match(REGEX.mapKey)) { }
         else if (trimmedLine.match(REGEX.listItem)) {
             if (currentContext.type !== 'array') {
-                return { isValid: false, error: `L${lineNumber}: List item found in non-array context.` };
+                if (fail(TOON_ERROR_CODES.LIST_ITEM_OUTSIDE_ARRAY, `L${lineNumber}: List item found in non-array context.`, lineNumber, currentIndent + 1)) return finish();
             }
         }
         else if (trimmedLine.includes(':')) {
             if (!trimmedLine.match(REGEX.keyValue)) {
-                return { isValid: false, error: `L${lineNumber}: Invalid Key-Value assignment.` };
+                if (fail(TOON_ERROR_CODES.INVALID_KEY_VALUE, `L${lineNumber}: Invalid Key-Value assignment.`, lineNumber, currentIndent + 1)) return finish();
             }
         }
         else if (trimmedLine.startsWith('"') && trimmedLine.endsWith('"')) { }
         else {
-            return { isValid: false, error: `L${lineNumber}: Unrecognized TOON syntax.` };
+            if (fail(TOON_ERROR_CODES.UNRECOGNIZED_SYNTAX, `L${lineNumber}: Unrecognized TOON syntax.`, lineNumber, currentIndent + 1)) return finish();
         }
     }
 
     // Final check
+    if (tabular && !tabular.isRoot && tabular.context.count !== tabular.context.expected) {
+        if (fail(TOON_ERROR_CODES.ARRAY_SIZE_MISMATCH, `Array size mismatch. Declared ${tabular.context.expected}, found ${tabular.context.count} items.`, tabular.line, bracketColumn(tabular.line))) return finish();
+    }
+
     while (contextStack.length > 1) {
         const popped = contextStack.pop();
         if (popped.type === 'array') {
             if (popped.count !== popped.expected) {
-                return { isValid: false, error: `Array size mismatch. Declared ${popped.expected}, found ${popped.count} items.` };
+                if (fail(TOON_ERROR_CODES.ARRAY_SIZE_MISMATCH, `Array size mismatch. Declared ${popped.expected}, found ${popped.count} items.`, popped.line, bracketColumn(popped.line))) return finish();
             }
         }
     }
@@ -263,18 +398,19 @@ export function validateToonStringSync(toonString) {
     // Check root array if applicable
     if (contextStack[0].type === 'array') {
         if (contextStack[0].count !== contextStack[0].expected) {
-            return { isValid: false, error: `Root Array size mismatch. Declared ${contextStack[0].expected}, found ${contextStack[0].count} items.` };
+            fail(TOON_ERROR_CODES.ARRAY_SIZE_MISMATCH, `Root Array size mismatch. Declared ${contextStack[0].expected}, found ${contextStack[0].count} items.`, contextStack[0].line, bracketColumn(contextStack[0].line));
         }
     }
 
-    return { isValid: true, error: null };
+    return finish();
 }
 
 /**
  * Validates a TOON string for syntax and structural correctness (Async)
  * @param {string} toonString - TOON string to validate
- * @returns {{isValid: boolean, error: string|null}} Validation result
+ * @param {Object} [options={}] - Validation options (see validateToonStringSync)
+ * @returns {Promise<{isValid: boolean, error: string|null, syntaxError?: ToonSyntaxError, diagnostics?: ToonDiagnostic[]}>} Validation result
  */
-export async function validateToonString(toonString) {
-    return validateToonStringSync(toonString);
+export async function validateToonString(toonString, options = {}) {
+    return validateToonStringSync(toonString, options);
 }
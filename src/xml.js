@@ -4,7 +4,7 @@
  */
 
 import { jsonToToonSync, toonToJsonSync } from './json.js';
-import { encodeXmlReservedChars, extractXmlFromString, buildTag } from './utils.js';
+import { encodeXmlReservedChars, extractXmlFromString, buildTag, replaceValues, reviveValues } from './utils.js';
 
 /**
  * Converts XML DOM to JSON object
@@ -64,9 +64,10 @@ function xmlToJsonObject(xml) {
 /**
  * Internal core function to convert pure XML string to TOON (Sync)
  * @param {string} xmlString 
+ * @param {Object} [options={}] - See xmlToToonSync
  * @returns {string}
  */
-function parseXmlToToonSync(xmlString) {
+function parseXmlToToonSync(xmlString, options = {}) {
     let Parser;
 
     if (typeof DOMParser !== 'undefined') {
@@ -92,16 +93,17 @@ function parseXmlToToonSync(xmlString) {
     const jsonObject = {};
     jsonObject[rootElement.nodeName] = xmlToJsonObject(rootElement);
 
-    return jsonToToonSync(jsonObject);
+    return jsonToToonSync(reviveValues(jsonObject, options.reviver), options);
 }
 
 /**
  * Converts XML (or mixed text with XML) to TOON format (Synchronous)
  * @param {string} xmlString - XML formatted string or mixed text
+ * @param {Object} [options={}] - TOON encoder options, plus `reviver(key, value, path)` applied to the parsed XML data
  * @returns {string} TOON formatted string
  * @throws {Error} If XML is invalid or DOMParser is not available
  */
-export function xmlToToonSync(xmlString) {
+export function xmlToToonSync(xmlString, options = {}) {
     if (!xmlString || typeof xmlString !== 'string') {
         throw new Error('Input must be a non-empty string');
     }
@@ -115,7 +117,7 @@ export function xmlToToonSync(xmlString) {
         if (!xmlBlock) break;
 
         try {
-            const toonString = parseXmlToToonSync(xmlBlock);
+            const toonString = parseXmlToToonSync(xmlBlock, options);
             const toonOutput = toonString.trim();
             convertedText = convertedText.replace(xmlBlock, toonOutput);
             iterationCount++;
@@ -130,30 +132,32 @@ export function xmlToToonSync(xmlString) {
 /**
  * Converts XML (or mixed text with XML) to TOON format (Async)
  * @param {string} xmlString - XML formatted string or mixed text
+ * @param {Object} [options={}] - See xmlToToonSync
  * @returns {Promise<string>} TOON formatted string
  */
-export async function xmlToToon(xmlString) {
+export async function xmlToToon(xmlString, options = {}) {
     if (typeof DOMParser === 'undefined') {
         try {
             const { DOMParser: NodeDOMParser } = await import('xmldom');
             global.DOMParser = NodeDOMParser;
         } catch (e) { }
     }
-    return xmlToToonSync(xmlString);
+    return xmlToToonSync(xmlString, options);
 }
 
 /**
  * Converts TOON to XML format (Synchronous)
  * @param {string} toonString - TOON formatted string
+ * @param {Object} [options={}] - TOON decoder options (including `reviver`; `returnJson` is ignored), plus `replacer(key, value, path)` applied before writing XML
  * @returns {string} XML formatted string
  * @throws {Error} If TOON is invalid
  */
-export function toonToXmlSync(toonString) {
+export function toonToXmlSync(toonString, options = {}) {
     if (!toonString || typeof toonString !== 'string') {
         throw new Error('Input must be a non-empty string');
     }
 
-    const jsonObject = toonToJsonSync(toonString);
+    const jsonObject = replaceValues(toonToJsonSync(toonString, { ...options, returnJson: false }), options.replacer);
     let xml = "";
     for (const k in jsonObject) {
         xml += buildTag(k, jsonObject[k]);
@@ -164,8 +168,9 @@ export function toonToXmlSync(toonString) {
 /**
  * Converts TOON to XML format (Async)
  * @param {string} toonString - TOON formatted string
+ * @param {Object} [options={}] - See toonToXmlSync
  * @returns {Promise<string>} XML formatted string
  */
-export async function toonToXml(toonString) {
-    return toonToXmlSync(toonString);
+export async function toonToXml(toonString, options = {}) {
+    return toonToXmlSync(toonString, options);
 }
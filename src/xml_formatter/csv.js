@@ -10,9 +10,10 @@ import { jsonToXmlSync, xmlToJsonSync } from '../json_formatter/xml.js';
  * Convert CSV string to XML string (Sync)
  * Supports mixed text CSV.
  * @param {string} csvString 
+ * @param {Object} [options={}] - `reviver(key, value, path)` applied to the parsed data and `replacer(key, value, path)` applied before writing the output
  * @returns {string} XML string
  */
-export function csvToXmlSync(csvString) {
+export function csvToXmlSync(csvString, options = {}) {
     if (!csvString || typeof csvString !== 'string') {
         throw new Error('Input must be a non-empty string');
     }
@@ -25,8 +26,8 @@ export function csvToXmlSync(csvString) {
     // Check pure CSV
     const firstExtract = extractCsvFromString(csvString);
     if (firstExtract === csvString.trim()) {
-        const json = csvToJsonSync(csvString);
-        return jsonToXmlSync(json);
+        const json = csvToJsonSync(csvString, options);
+        return jsonToXmlSync(json, options);
     }
 
     // Mixed Loop
@@ -35,8 +36,8 @@ export function csvToXmlSync(csvString) {
         if (!csvBlock) break;
 
         try {
-            const jsonObject = csvToJsonSync(csvBlock);
-            const xmlOutput = jsonToXmlSync(jsonObject);
+            const jsonObject = csvToJsonSync(csvBlock, options);
+            const xmlOutput = jsonToXmlSync(jsonObject, options);
             convertedText = convertedText.replace(csvBlock, xmlOutput);
             wasModified = true;
             iterationCount++;
@@ -48,8 +49,8 @@ export function csvToXmlSync(csvString) {
     if (wasModified) return convertedText;
 
     try {
-        const json = csvToJsonSync(csvString);
-        return jsonToXmlSync(json);
+        const json = csvToJsonSync(csvString, options);
+        return jsonToXmlSync(json, options);
     } catch (e) {
         return csvString;
     }
@@ -58,19 +59,21 @@ export function csvToXmlSync(csvString) {
 /**
  * Convert CSV string to XML string (Async)
  * @param {string} csvString 
+ * @param {Object} [options={}] - See csvToXmlSync
  * @returns {Promise<string>} XML string
  */
-export async function csvToXml(csvString) {
-    return csvToXmlSync(csvString);
+export async function csvToXml(csvString, options = {}) {
+    return csvToXmlSync(csvString, options);
 }
 
 /**
  * Convert XML string to CSV string (Sync)
  * Supports mixed text XML.
  * @param {string} xmlString 
+ * @param {Object} [options={}] - `reviver(key, value, path)` applied to the parsed data and `replacer(key, value, path)` applied before writing the output
  * @returns {string} CSV string
  */
-export function xmlToCsvSync(xmlString) {
+export function xmlToCsvSync(xmlString, options = {}) {
     if (!xmlString || typeof xmlString !== 'string') {
         throw new Error('Input must be a non-empty string');
     }
@@ -83,8 +86,8 @@ export function xmlToCsvSync(xmlString) {
     // Check pure XML
     const firstExtract = extractXmlFromString(xmlString);
     if (firstExtract === xmlString.trim()) {
-        const json = xmlToJsonSync(xmlString);
-        return jsonToCsvSync(json);
+        const json = xmlToJsonSync(xmlString, options);
+        return jsonToCsvSync(json, options);
     }
 
     while (iterationCount < maxIterations) {
@@ -92,8 +95,8 @@ export function xmlToCsvSync(xmlString) {
         if (!xmlBlock) break;
 
         try {
-            const jsonObject = xmlToJsonSync(xmlBlock);
-            const csvOutput = jsonToCsvSync(jsonObject);
+            const jsonObject = xmlToJsonSync(xmlBlock, options);
+            const csvOutput = jsonToCsvSync(jsonObject, options);
             convertedText = convertedText.replace(xmlBlock, csvOutput);
             wasModified = true;
             iterationCount++;
@@ -105,8 +108,8 @@ export function xmlToCsvSync(xmlString) {
     if (wasModified) return convertedText;
 
     try {
-        const json = xmlToJsonSync(xmlString);
-        return jsonToCsvSync(json);
+        const json = xmlToJsonSync(xmlString, options);
+        return jsonToCsvSync(json, options);
     } catch (e) {
         return xmlString;
     }
@@ -115,8 +118,9 @@ export function xmlToCsvSync(xmlString) {
 /**
  * Convert XML string to CSV string (Async)
  * @param {string} xmlString 
+ * @param {Object} [options={}] - See xmlToCsvSync
  * @returns {Promise<string>} CSV string
  */
-export async function xmlToCsv(xmlString) {
-    return xmlToCsvSync(xmlString);
+export async function xmlToCsv(xmlString, options = {}) {
+    return xmlToCsvSync(xmlString, options);
 }
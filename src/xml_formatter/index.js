@@ -12,7 +12,7 @@ import { dataManager, dataManagerAsync, extractJsonFromString, extractXmlFromStr
 export class XmlConverter {
     /**
      * Creates an XmlConverter instance
-     * @param {Object} [encryptor=null] - Optional Encryptor instance for encryption support
+     * @param {Encryptor|KeyRing|null} [encryptor=null] - Optional Encryptor (or KeyRing) for encryption support
      */
     constructor(encryptor = null) {
         this.encryptor = encryptor;
@@ -28,43 +28,43 @@ export class XmlConverter {
      * @param {string} mode - Conversion mode: 'no_encryption', 'middleware', 'ingestion', 'export'
      * @returns {*} Converted (and possibly encrypted) data
      */
-    _convertWithEncryption(fn, data, mode) {
+    _convertWithEncryption(fn, data, mode, cryptoOptions = {}) {
         if (!this.encryptor || mode === 'no_encryption') {
             return fn(data);
         }
 
         switch (mode) {
             case 'middleware':
-                const decrypted = this.encryptor.decrypt(data);
+                const decrypted = this.encryptor.decrypt(data, cryptoOptions);
                 const result = fn(decrypted);
-                return this.encryptor.encrypt(result);
+                return this.encryptor.encrypt(result, cryptoOptions);
             case 'ingestion':
-                const dec = this.encryptor.decrypt(data);
+                const dec = this.encryptor.decrypt(data, cryptoOptions);
                 return fn(dec);
             case 'export':
                 const res = fn(data);
-                return this.encryptor.encrypt(res);
+                return this.encryptor.encrypt(res, cryptoOptions);
             default:
                 return fn(data);
         }
     }
 
-    async _convertWithEncryptionAsync(fn, data, mode) {
+    async _convertWithEncryptionAsync(fn, data, mode, cryptoOptions = {}) {
         if (!this.encryptor || mode === 'no_encryption') {
             return await fn(data);
         }
 
         switch (mode) {
             case 'middleware':
-                const decrypted = this.encryptor.decrypt(data);
+                const decrypted = this.encryptor.decrypt(data, cryptoOptions);
                 const result = await fn(decrypted);
-                return this.encryptor.encrypt(result);
+                return this.encryptor.encrypt(result, cryptoOptions);
             case 'ingestion':
-                const dec = this.encryptor.decrypt(data);
+                const dec = this.encryptor.decrypt(data, cryptoOptions);
                 return await fn(dec);
             case 'export':
                 const res = await fn(data);
-                return this.encryptor.encrypt(res);
+                return this.encryptor.encrypt(res, cryptoOptions);
             default:
                 return await fn(data);
         }
@@ -77,14 +77,18 @@ export class XmlConverter {
      * @param {string} toonString - TOON formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {string} XML formatted string
      */
     fromToon(toonString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         return this._convertWithEncryption(
-            (data) => toonToXmlSync(data),
+            (data) => toonToXmlSync(data, conversionOptions),
             toonString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -93,14 +97,18 @@ export class XmlConverter {
      * @param {string} toonString - TOON formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {Promise<string>} XML formatted string
      */
     async fromToonAsync(toonString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         return this._convertWithEncryptionAsync(
-            async (data) => toonToXml(data),
+            async (data) => toonToXml(data, conversionOptions),
             toonString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -109,15 +117,19 @@ export class XmlConverter {
      * @param {string} xmlString - XML formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {string} TOON formatted string
      */
     toToon(xmlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(xmlToToonSync, extractXmlFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             xmlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -126,15 +138,19 @@ export class XmlConverter {
      * @param {string} xmlString - XML formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {Promise<string>} TOON formatted string
      */
     async toToonAsync(xmlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(xmlToToon, extractXmlFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             xmlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -145,15 +161,18 @@ export class XmlConverter {
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {string} XML formatted string
      */
     fromJson(jsonData, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(jsonToXmlSync, extractJsonFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             jsonData,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -162,15 +181,18 @@ export class XmlConverter {
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {Promise<string>} XML formatted string
      */
     async fromJsonAsync(jsonData, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(jsonToXml, extractJsonFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             jsonData,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -179,15 +201,18 @@ export class XmlConverter {
      * @param {string} xmlString - XML formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
      * @returns {Object|string} JSON result
      */
     toJson(xmlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(xmlToJsonSync, extractXmlFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             xmlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -196,15 +221,18 @@ export class XmlConverter {
      * @param {string} xmlString - XML formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
      * @returns {Promise<Object|string>} JSON result
      */
     async toJsonAsync(xmlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(xmlToJson, extractXmlFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             xmlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -215,23 +243,28 @@ export class XmlConverter {
      * @param {string} yamlString - YAML formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {string} XML formatted string
      */
     fromYaml(yamlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         return this._convertWithEncryption(
-            (data) => yamlToXmlSync(data),
+            (data) => yamlToXmlSync(data, conversionOptions),
             yamlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
     async fromYamlAsync(yamlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         return this._convertWithEncryptionAsync(
-            async (data) => yamlToXml(data),
+            async (data) => yamlToXml(data, conversionOptions),
             yamlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -240,25 +273,30 @@ export class XmlConverter {
      * @param {string} xmlString - XML formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {string} YAML formatted string
      */
     toYaml(xmlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(xmlToYamlSync, extractXmlFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             xmlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
     async toYamlAsync(xmlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(xmlToYaml, extractXmlFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             xmlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -269,25 +307,30 @@ export class XmlConverter {
      * @param {string} csvString - CSV formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {string} XML formatted string
      */
     fromCsv(csvString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(csvToXmlSync, extractCsvFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             csvString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
     async fromCsvAsync(csvString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(csvToXml, extractCsvFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             csvString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -296,25 +339,30 @@ export class XmlConverter {
      * @param {string} xmlString - XML formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {string} CSV formatted string
      */
     toCsv(xmlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(xmlToCsvSync, extractXmlFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             xmlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
     async toCsvAsync(xmlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(xmlToCsv, extractXmlFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             xmlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -340,157 +388,201 @@ export class XmlConverter {
     /**
      * Convert TOON string to XML (Sync)
      * @param {string} toonString - TOON formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {string} XML formatted string
      */
-    static fromToon(toonString) {
-        return toonToXmlSync(toonString);
+    static fromToon(toonString, options = {}) {
+        return toonToXmlSync(toonString, options);
     }
 
     /**
      * Convert TOON string to XML (Async)
      * @param {string} toonString - TOON formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {Promise<string>} XML formatted string
      */
-    static async fromToonAsync(toonString) {
-        return toonToXml(toonString);
+    static async fromToonAsync(toonString, options = {}) {
+        return toonToXml(toonString, options);
     }
 
     /**
      * Convert XML to TOON string (Sync)
      * @param {string} xmlString - XML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {string} TOON formatted string
      */
-    static toToon(xmlString) {
+    static toToon(xmlString, options = {}) {
         const optimizedConverterFn = dataManager(xmlToToonSync, extractXmlFromString);
-        return optimizedConverterFn(xmlString);
+        return optimizedConverterFn(xmlString, options);
     }
 
     /**
      * Convert XML to TOON string (Async)
      * @param {string} xmlString - XML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
      * @returns {Promise<string>} TOON formatted string
      */
-    static async toToonAsync(xmlString) {
+    static async toToonAsync(xmlString, options = {}) {
         const optimizedConverterFn = dataManagerAsync(xmlToToon, extractXmlFromString);
-        return optimizedConverterFn(xmlString);
+        return optimizedConverterFn(xmlString, options);
     }
 
     /**
      * Convert JSON to XML string (Sync)
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {string} XML formatted string
      */
-    static fromJson(jsonData) {
+    static fromJson(jsonData, options = {}) {
         const optimizedConverterFn = dataManager(jsonToXmlSync, extractJsonFromString);
-        return optimizedConverterFn(jsonData);
+        return optimizedConverterFn(jsonData, options);
     }
 
     /**
      * Convert JSON to XML string (Async)
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {Promise<string>} XML formatted string
      */
-    static async fromJsonAsync(jsonData) {
+    static async fromJsonAsync(jsonData, options = {}) {
         const optimizedConverterFn = dataManagerAsync(jsonToXml, extractJsonFromString);
-        return optimizedConverterFn(jsonData);
+        return optimizedConverterFn(jsonData, options);
     }
 
     /**
      * Convert XML to JSON (Sync)
      * @param {string} xmlString - XML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
      * @returns {Object|string} JSON result
      */
-    static toJson(xmlString) {
+    static toJson(xmlString, options = {}) {
         const optimizedConverterFn = dataManager(xmlToJsonSync, extractXmlFromString);
-        return optimizedConverterFn(xmlString);
+        return optimizedConverterFn(xmlString, options);
     }
 
     /**
      * Convert XML to JSON (Async)
      * @param {string} xmlString - XML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
      * @returns {Promise<Object|string>} JSON result
      */
-    static async toJsonAsync(xmlString) {
+    static async toJsonAsync(xmlString, options = {}) {
         const optimizedConverterFn = dataManagerAsync(xmlToJson, extractXmlFromString);
-        return optimizedConverterFn(xmlString);
+        return optimizedConverterFn(xmlString, options);
     }
 
     /**
      * Convert YAML to XML string (Sync)
      * @param {string} yamlString - YAML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {string} XML formatted string
      */
-    static fromYaml(yamlString) {
-        return yamlToXmlSync(yamlString);
+    static fromYaml(yamlString, options = {}) {
+        return yamlToXmlSync(yamlString, options);
     }
 
     /**
      * Convert YAML to XML string (Async)
      * @param {string} yamlString - YAML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {Promise<string>} XML formatted string
      */
-    static async fromYamlAsync(yamlString) {
-        return yamlToXml(yamlString);
+    static async fromYamlAsync(yamlString, options = {}) {
+        return yamlToXml(yamlString, options);
     }
 
     /**
      * Convert XML to YAML string (Sync)
      * @param {string} xmlString - XML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {string} YAML formatted string
      */
-    static toYaml(xmlString) {
+    static toYaml(xmlString, options = {}) {
         const optimizedConverterFn = dataManager(xmlToYamlSync, extractXmlFromString);
-        return optimizedConverterFn(xmlString);
+        return optimizedConverterFn(xmlString, options);
     }
 
     /**
      * Convert XML to YAML string (Async)
      * @param {string} xmlString - XML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {Promise<string>} YAML formatted string
      */
-    static async toYamlAsync(xmlString) {
+    static async toYamlAsync(xmlString, options = {}) {
         const optimizedConverterFn = dataManagerAsync(xmlToYaml, extractXmlFromString);
-        return optimizedConverterFn(xmlString);
+        return optimizedConverterFn(xmlString, options);
     }
 
     /**
      * Convert CSV to XML string (Sync)
      * @param {string} csvString - CSV formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {string} XML formatted string
      */
-    static fromCsv(csvString) {
+    static fromCsv(csvString, options = {}) {
         const optimizedConverterFn = dataManager(csvToXmlSync, extractCsvFromString);
-        return optimizedConverterFn(csvString);
+        return optimizedConverterFn(csvString, options);
     }
 
     /**
      * Convert CSV to XML string (Async)
      * @param {string} csvString - CSV formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {Promise<string>} XML formatted string
      */
-    static async fromCsvAsync(csvString) {
+    static async fromCsvAsync(csvString, options = {}) {
         const optimizedConverterFn = dataManagerAsync(csvToXml, extractCsvFromString);
-        return optimizedConverterFn(csvString);
+        return optimizedConverterFn(csvString, options);
     }
 
     /**
      * Convert XML to CSV string (Sync)
      * @param {string} xmlString - XML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {string} CSV formatted string
      */
-    static toCsv(xmlString) {
+    static toCsv(xmlString, options = {}) {
         const optimizedConverterFn = dataManager(xmlToCsvSync, extractXmlFromString);
-        return optimizedConverterFn(xmlString);
+        return optimizedConverterFn(xmlString, options);
     }
 
     /**
      * Convert XML to CSV string (Async)
      * @param {string} xmlString - XML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {Promise<string>} CSV formatted string
      */
-    static async toCsvAsync(xmlString) {
+    static async toCsvAsync(xmlString, options = {}) {
         const optimizedConverterFn = dataManagerAsync(xmlToCsv, extractXmlFromString);
-        return optimizedConverterFn(xmlString);
+        return optimizedConverterFn(xmlString, options);
     }
 
     /**
@@ -4,15 +4,131 @@
 
 import yaml from 'js-yaml';
 import { jsonToToonSync, toonToJsonSync } from './json.js';
+import { replaceValues, reviveValues } from './utils.js';
+
+// Block mapping entry: quoted or plain key, then the rest of the line
+const YAML_KEY = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"\-?:][^#]*?|-[^\s#][^#]*?)[ \t]*:(?:[ \t]+|$)(.*)$/;
+
+/**
+ * Splits a trailing `# comment` off a YAML value
+ * @param {string} text
+ * @returns {{value: string, comment: string|null}}
+ */
+function splitYamlComment(text) {
+    const masked = text.replace(/"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'/g, (m) => '_'.repeat(m.length));
+    const match = masked.match(/(?:^|[ \t])#/);
+    if (!match) return { value: text, comment: null };
+    return { value: text.slice(0, match.index).trim(), comment: text.slice(match.index).trim().slice(1).trim() };
+}
+
+/**
+ * Reads a YAML mapping key as written (quoted or plain)
+ * @param {string} raw
+ * @returns {string}
+ */
+function parseYamlKey(raw) {
+    if (raw.startsWith('"')) return JSON.parse(raw);
+    if (raw.startsWith("'")) return raw.slice(1, -1).replace(/''/g, "'");
+    return raw;
+}
+
+/**
+ * Collects the comments of a YAML document by the path of the entry they
+ * describe: comment lines apply to the entry that follows them, trailing
+ * comments to the entry on their line. Only block mappings and sequences
+ * are followed; comments elsewhere are dropped.
+ * @param {string} yamlString
+ * @returns {Object<string, string>} Comments keyed by path (`'user.email'`, `'items.0'`)
+ */
+function extractYamlComments(yamlString) {
+    const comments = {};
+    // Open block collections, innermost last: { indent, path, kind: 'map'|'seq', count }
+    const frames = [];
+    // Entry whose value starts on the next line
+    let open = { path: [] };
+    let pending = [];
+    // Indentation of the key that opened a block scalar (`|`, `>`), while inside it
+    let scalarIndent = null;
+
+    const attach = (path, trailing = null) => {
+        const text = trailing === null ? pending : [...pending, trailing];
+        pending = [];
+        if (text.length > 0) comments[path.join('.')] = text.join('\n');
+    };
+    const top = () => frames[frames.length - 1];
+
+    for (const rawLine of yamlString.split('\n')) {
+        const line = rawLine.replace(/\r$/, '');
+        const content = line.trim();
+        let column = line.search(/\S|$/);
+
+        if (scalarIndent !== null) {
+            if (content === '' || column > scalarIndent) continue;
+            scalarIndent = null;
+        }
+        if (content === '' || content === '---' || content === '...') continue;
+        if (content.startsWith('#')) {
+            pending.push(content.slice(1).trim());
+            continue;
+        }
+
+        while (frames.length > 0 && top().indent > column) frames.pop();
+        let rest = content;
+
+        if (/^-(?:[ \t]|$)/.test(rest)) {
+            if (!top() || top().indent < column || top().kind !== 'seq') {
+                frames.push({ indent: column, path: open.path, kind: 'seq', count: 0 });
+            }
+            const itemPath = [...top().path, top().count++];
+            const item = rest.slice(1).trim();
+            const { value, comment } = splitYamlComment(item);
+
+            if (!YAML_KEY.test(item)) {
+                attach(itemPath, comment);
+                if (value === '') open = { path: itemPath };
+                continue;
+            }
+            // `- key: value` starts a mapping at the column of its key
+            attach(itemPath);
+            column += line.slice(column).indexOf(item);
+            frames.push({ indent: column, path: itemPath, kind: 'map' });
+            rest = item;
+        }
+
+        const match = rest.match(YAML_KEY);
+        if (!match) {
+            pending = [];
+            continue;
+        }
+        if (top() && top().indent === column && top().kind === 'seq') frames.pop();
+        if (!top() || top().indent < column) {
+            frames.push({ indent: column, path: open.path, kind: 'map' });
+        }
+
+        const path = [...top().path, parseYamlKey(match[1])];
+        const { value, comment } = splitYamlComment(match[2]);
+        attach(path, comment);
+        if (value === '') {
+            open = { path };
+        } else if (/^[|>]/.test(value)) {
+            scalarIndent = column;
+        }
+    }
+
+    return comments;
+}
 
 
 /**
  * Converts YAML (or mixed text with YAML) to TOON format (Synchronous)
  * @param {string} yamlString - YAML formatted string or mixed text
+ * @param {Object} [options={}] - TOON encoder options, plus `reviver(key, value, path)` applied to the parsed YAML data
+ * @param {boolean} [options.keepComments=false] - Carry the YAML comments of block mappings and
+ * sequences over as TOON comments (merged with the `comments` option, which wins)
  * @returns {string} TOON formatted string
  * @throws {Error} If YAML is invalid
  */
-export function yamlToToonSync(yamlString) {
+export function yamlToToonSync(yamlString, options = {}) {
     if (!yamlString || typeof yamlString !== 'string') {
         throw new Error('Input must be a non-empty string');
     }
@@ -23,38 +139,46 @@ export function yamlToToonSync(yamlString) {
         throw new Error("YAML parsing failed — cannot convert.");
     }
 
-    return jsonToToonSync(jsonObject);
+    const { keepComments = false, ...encodeOptions } = options;
+    if (keepComments) {
+        encodeOptions.comments = { ...extractYamlComments(yamlString), ...options.comments };
+    }
+
+    return jsonToToonSync(reviveValues(jsonObject, options.reviver), encodeOptions);
 }
 
 /**
  * Converts YAML (or mixed text with YAML) to TOON format (Async)
  * @param {string} yamlString - YAML formatted string or mixed text
+ * @param {Object} [options={}] - See yamlToToonSync
  * @returns {Promise<string>} TOON formatted string
  */
-export async function yamlToToon(yamlString) {
-    return yamlToToonSync(yamlString);
+export async function yamlToToon(yamlString, options = {}) {
+    return yamlToToonSync(yamlString, options);
 }
 
 /**
  * Converts TOON to YAML format (Synchronous)
  * @param {string} toonString - TOON formatted string
+ * @param {Object} [options={}] - TOON decoder options (including `reviver`; `returnJson` is ignored), plus `replacer(key, value, path)` applied before writing YAML
  * @returns {string} YAML formatted string
  * @throws {Error} If TOON is invalid
  */
-export function toonToYamlSync(toonString) {
+export function toonToYamlSync(toonString, options = {}) {
     if (!toonString || typeof toonString !== 'string') {
         throw new Error('Input must be a non-empty string');
     }
 
-    const jsonObject = toonToJsonSync(toonString);
-    return yaml.dump(jsonObject);
+    const jsonObject = toonToJsonSync(toonString, { ...options, returnJson: false });
+    return yaml.dump(replaceValues(jsonObject, options.replacer));
 }
 
 /**
  * Converts TOON to YAML format (Async)
  * @param {string} toonString - TOON formatted string
+ * @param {Object} [options={}] - See toonToYamlSync
  * @returns {Promise<string>} YAML formatted string
  */
-export async function toonToYaml(toonString) {
-    return toonToYamlSync(toonString);
+export async function toonToYaml(toonString, options = {}) {
+    return toonToYamlSync(toonString, options);
 }
@@ -3,7 +3,7 @@
  */
 
 import yaml from 'js-yaml';
-import { extractCsvFromString } from '../utils.js';
+import { extractCsvFromString, replaceValues } from '../utils.js';
 import { csvToJsonSync, jsonToCsvSync } from '../json_formatter/csv.js';
 import { jsonToYamlSync, yamlToJsonSync } from '../json_formatter/yaml.js';
 
@@ -11,9 +11,10 @@ import { jsonToYamlSync, yamlToJsonSync } from '../json_formatter/yaml.js';
  * Convert CSV string to YAML string (Sync)
  * Supports mixed text CSV.
  * @param {string} csvString 
+ * @param {Object} [options={}] - `reviver(key, value, path)` applied to the parsed data and `replacer(key, value, path)` applied before writing the output
  * @returns {string} YAML string
  */
-export function csvToYamlSync(csvString) {
+export function csvToYamlSync(csvString, options = {}) {
     if (!csvString || typeof csvString !== 'string') {
         throw new Error('Input must be a non-empty string');
     }
@@ -27,8 +28,8 @@ export function csvToYamlSync(csvString) {
     const firstExtract = extractCsvFromString(csvString);
     if (firstExtract === csvString.trim()) {
         try {
-            const json = csvToJsonSync(csvString);
-            return yaml.dump(json);
+            const json = csvToJsonSync(csvString, options);
+            return yaml.dump(replaceValues(json, options.replacer));
         } catch (e) {
             return csvString;
         }
@@ -40,8 +41,8 @@ export function csvToYamlSync(csvString) {
         if (!csvBlock) break;
 
         try {
-            const jsonObject = csvToJsonSync(csvBlock);
-            const yamlOutput = yaml.dump(jsonObject).trim();
+            const jsonObject = csvToJsonSync(csvBlock, options);
+            const yamlOutput = yaml.dump(replaceValues(jsonObject, options.replacer)).trim();
             convertedText = convertedText.replace(csvBlock, yamlOutput);
             wasModified = true;
             iterationCount++;
@@ -53,8 +54,8 @@ export function csvToYamlSync(csvString) {
     if (wasModified) return convertedText;
 
     try {
-        const json = csvToJsonSync(csvString);
-        return yaml.dump(json);
+        const json = csvToJsonSync(csvString, options);
+        return yaml.dump(replaceValues(json, options.replacer));
     } catch (e) {
         return csvString;
     }
@@ -63,10 +64,11 @@ export function csvToYamlSync(csvString) {
 /**
  * Convert CSV string to YAML string (Async)
  * @param {string} csvString 
+ * @param {Object} [options={}] - See csvToYamlSync
  * @returns {Promise<string>} YAML string
  */
-export async function csvToYaml(csvString) {
-    return csvToYamlSync(csvString);
+export async function csvToYaml(csvString, options = {}) {
+    return csvToYamlSync(csvString, options);
 }
 
 
@@ -74,18 +76,19 @@ export async function csvToYaml(csvString) {
  * Convert YAML string to CSV string (Sync)
  * Note: Does not support mixed text YAML extraction.
  * @param {string} yamlString 
+ * @param {Object} [options={}] - `reviver(key, value, path)` applied to the parsed data and `replacer(key, value, path)` applied before writing the output
  * @returns {string} CSV string
  */
-export function yamlToCsvSync(yamlString) {
+export function yamlToCsvSync(yamlString, options = {}) {
     if (!yamlString || typeof yamlString !== 'string') {
         throw new Error('Input must be a non-empty string');
     }
 
     try {
         // YAML -> JSON
-        const json = yamlToJsonSync(yamlString);
+        const json = yamlToJsonSync(yamlString, options);
         // JSON -> CSV
-        return jsonToCsvSync(json);
+        return jsonToCsvSync(json, options);
     } catch (e) {
         throw new Error(`YAML to CSV conversion failed: ${e.message}`);
     }
@@ -94,8 +97,9 @@ export function yamlToCsvSync(yamlString) {
 /**
  * Convert YAML string to CSV string (Async)
  * @param {string} yamlString 
+ * @param {Object} [options={}] - See yamlToCsvSync
  * @returns {Promise<string>} CSV string
  */
-export async function yamlToCsv(yamlString) {
-    return yamlToCsvSync(yamlString);
+export async function yamlToCsv(yamlString, options = {}) {
+    return yamlToCsvSync(yamlString, options);
 }
@@ -12,7 +12,7 @@ import { dataManager, dataManagerAsync, extractJsonFromString, extractXmlFromStr
 export class YamlConverter {
     /**
      * Creates a YamlConverter instance
-     * @param {Object} [encryptor=null] - Optional Encryptor instance for encryption support
+     * @param {Encryptor|KeyRing|null} [encryptor=null] - Optional Encryptor (or KeyRing) for encryption support
      */
     constructor(encryptor = null) {
         this.encryptor = encryptor;
@@ -28,22 +28,22 @@ export class YamlConverter {
      * @param {string} mode - Conversion mode: 'no_encryption', 'middleware', 'ingestion', 'export'
      * @returns {*} Converted (and possibly encrypted) data
      */
-    _convertWithEncryption(fn, data, mode) {
+    _convertWithEncryption(fn, data, mode, cryptoOptions = {}) {
         if (!this.encryptor || mode === 'no_encryption') {
             return fn(data);
         }
 
         switch (mode) {
             case 'middleware': // Decrypt -> Convert -> Encrypt
-                const decrypted = this.encryptor.decrypt(data);
+                const decrypted = this.encryptor.decrypt(data, cryptoOptions);
                 const result = fn(decrypted);
-                return this.encryptor.encrypt(result);
+                return this.encryptor.encrypt(result, cryptoOptions);
             case 'ingestion': // Decrypt -> Convert
-                const dec = this.encryptor.decrypt(data);
+                const dec = this.encryptor.decrypt(data, cryptoOptions);
                 return fn(dec);
             case 'export': // Convert -> Encrypt
                 const res = fn(data);
-                return this.encryptor.encrypt(res);
+                return this.encryptor.encrypt(res, cryptoOptions);
             default:
                 return fn(data);
         }
@@ -57,22 +57,22 @@ export class YamlConverter {
      * @param {string} mode - Conversion mode: 'no_encryption', 'middleware', 'ingestion', 'export'
      * @returns {Promise<*>} Converted (and possibly encrypted) data
      */
-    async _convertWithEncryptionAsync(fn, data, mode) {
+    async _convertWithEncryptionAsync(fn, data, mode, cryptoOptions = {}) {
         if (!this.encryptor || mode === 'no_encryption') {
             return await fn(data);
         }
 
         switch (mode) {
             case 'middleware':
-                const decrypted = this.encryptor.decrypt(data);
+                const decrypted = this.encryptor.decrypt(data, cryptoOptions);
                 const result = await fn(decrypted);
-                return this.encryptor.encrypt(result);
+                return this.encryptor.encrypt(result, cryptoOptions);
             case 'ingestion':
-                const dec = this.encryptor.decrypt(data);
+                const dec = this.encryptor.decrypt(data, cryptoOptions);
                 return await fn(dec);
             case 'export':
                 const res = await fn(data);
-                return this.encryptor.encrypt(res);
+                return this.encryptor.encrypt(res, cryptoOptions);
             default:
                 return await fn(data);
         }
@@ -85,14 +85,18 @@ export class YamlConverter {
      * @param {string} toonString - TOON formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {string} YAML formatted string
      */
     fromToon(toonString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         return this._convertWithEncryption(
-            (data) => toonToYamlSync(data),
+            (data) => toonToYamlSync(data, conversionOptions),
             toonString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -101,14 +105,18 @@ export class YamlConverter {
      * @param {string} toonString - TOON formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {Promise<string>} YAML formatted string
      */
     async fromToonAsync(toonString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         return this._convertWithEncryptionAsync(
-            async (data) => toonToYaml(data),
+            async (data) => toonToYaml(data, conversionOptions),
             toonString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -117,14 +125,19 @@ export class YamlConverter {
      * @param {string} yamlString - YAML formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
+     * @param {boolean} [options.keepComments=false] - Carry YAML comments over as TOON comments
      * @returns {string} TOON formatted string
      */
     toToon(yamlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         return this._convertWithEncryption(
-            (data) => yamlToToonSync(data),
+            (data) => yamlToToonSync(data, conversionOptions),
             yamlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -133,14 +146,19 @@ export class YamlConverter {
      * @param {string} yamlString - YAML formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
+     * @param {boolean} [options.keepComments=false] - Carry YAML comments over as TOON comments
      * @returns {Promise<string>} TOON formatted string
      */
     async toToonAsync(yamlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         return this._convertWithEncryptionAsync(
-            async (data) => yamlToToon(data),
+            async (data) => yamlToToon(data, conversionOptions),
             yamlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -151,15 +169,18 @@ export class YamlConverter {
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {string} YAML formatted string
      */
     fromJson(jsonData, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(jsonToYamlSync, extractJsonFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             jsonData,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -168,15 +189,18 @@ export class YamlConverter {
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {Promise<string>} YAML formatted string
      */
     async fromJsonAsync(jsonData, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(jsonToYaml, extractJsonFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             jsonData,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -185,18 +209,21 @@ export class YamlConverter {
      * @param {string} yamlString - YAML formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
      * @param {boolean} [options.returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
      * @returns {Object|string} JSON result
      */
     toJson(yamlString, options = {}) {
-        const { conversionMode = 'no_encryption', returnJson = false } = options;
+        const { conversionMode = 'no_encryption', aad, returnJson = false, ...conversionOptions } = options;
         return this._convertWithEncryption(
             (data) => {
-                const res = yamlToJsonSync(data);
+                const res = yamlToJsonSync(data, conversionOptions);
                 return returnJson ? JSON.stringify(res) : res;
             },
             yamlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -205,18 +232,21 @@ export class YamlConverter {
      * @param {string} yamlString - YAML formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
      * @param {boolean} [options.returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
      * @returns {Promise<Object|string>} JSON result
      */
     async toJsonAsync(yamlString, options = {}) {
-        const { conversionMode = 'no_encryption', returnJson = false } = options;
+        const { conversionMode = 'no_encryption', aad, returnJson = false, ...conversionOptions } = options;
         return this._convertWithEncryptionAsync(
             async (data) => {
-                const res = await yamlToJson(data);
+                const res = await yamlToJson(data, conversionOptions);
                 return returnJson ? JSON.stringify(res) : res;
             },
             yamlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -227,15 +257,19 @@ export class YamlConverter {
      * @param {string} xmlString - XML formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {string} YAML formatted string
      */
     fromXml(xmlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(xmlToYamlSync, extractXmlFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             xmlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -244,15 +278,19 @@ export class YamlConverter {
      * @param {string} xmlString - XML formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {Promise<string>} YAML formatted string
      */
     async fromXmlAsync(xmlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(xmlToYaml, extractXmlFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             xmlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -261,14 +299,18 @@ export class YamlConverter {
      * @param {string} yamlString - YAML formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {string} XML formatted string
      */
     toXml(yamlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         return this._convertWithEncryption(
-            (data) => yamlToXmlSync(data),
+            (data) => yamlToXmlSync(data, conversionOptions),
             yamlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -277,14 +319,18 @@ export class YamlConverter {
      * @param {string} yamlString - YAML formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {Promise<string>} XML formatted string
      */
     async toXmlAsync(yamlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         return this._convertWithEncryptionAsync(
-            async (data) => yamlToXml(data),
+            async (data) => yamlToXml(data, conversionOptions),
             yamlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -295,15 +341,19 @@ export class YamlConverter {
      * @param {string} csvString - CSV formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {string} YAML formatted string
      */
     fromCsv(csvString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManager(csvToYamlSync, extractCsvFromString);
         return this._convertWithEncryption(
-            (data) => optimizedConverterFn(data),
+            (data) => optimizedConverterFn(data, conversionOptions),
             csvString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -312,15 +362,19 @@ export class YamlConverter {
      * @param {string} csvString - CSV formatted string (supports mixed text)
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {Promise<string>} YAML formatted string
      */
     async fromCsvAsync(csvString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         const optimizedConverterFn = dataManagerAsync(csvToYaml, extractCsvFromString);
         return this._convertWithEncryptionAsync(
-            async (data) => optimizedConverterFn(data),
+            async (data) => optimizedConverterFn(data, conversionOptions),
             csvString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -329,14 +383,18 @@ export class YamlConverter {
      * @param {string} yamlString - YAML formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {string} CSV formatted string
      */
     toCsv(yamlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         return this._convertWithEncryption(
-            (data) => yamlToCsvSync(data),
+            (data) => yamlToCsvSync(data, conversionOptions),
             yamlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -345,14 +403,18 @@ export class YamlConverter {
      * @param {string} yamlString - YAML formatted string
      * @param {Object} [options={}] - Conversion options
      * @param {string} [options.conversionMode='no_encryption'] - Encryption mode
+     * @param {string|Buffer} [options.aad] - Additional authenticated data the ciphertext is bound to (authenticated algorithms)
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {Promise<string>} CSV formatted string
      */
     async toCsvAsync(yamlString, options = {}) {
-        const { conversionMode = 'no_encryption' } = options;
+        const { conversionMode = 'no_encryption', aad, ...conversionOptions } = options;
         return this._convertWithEncryptionAsync(
-            async (data) => yamlToCsv(data),
+            async (data) => yamlToCsv(data, conversionOptions),
             yamlString,
-            conversionMode
+            conversionMode,
+            { aad }
         );
     }
 
@@ -383,155 +445,203 @@ export class YamlConverter {
     /**
      * Convert TOON string to YAML (Sync)
      * @param {string} toonString - TOON formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {string} YAML formatted string
      */
-    static fromToon(toonString) {
-        return toonToYamlSync(toonString);
+    static fromToon(toonString, options = {}) {
+        return toonToYamlSync(toonString, options);
     }
 
     /**
      * Convert TOON string to YAML (Async)
      * @param {string} toonString - TOON formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the decoded TOON data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {Promise<string>} YAML formatted string
      */
-    static async fromToonAsync(toonString) {
-        return toonToYaml(toonString);
+    static async fromToonAsync(toonString, options = {}) {
+        return toonToYaml(toonString, options);
     }
 
     /**
      * Convert YAML to TOON string (Sync)
      * @param {string} yamlString - YAML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
+     * @param {boolean} [options.keepComments=false] - Carry YAML comments over as TOON comments
      * @returns {string} TOON formatted string
      */
-    static toToon(yamlString) {
-        return yamlToToonSync(yamlString);
+    static toToon(yamlString, options = {}) {
+        return yamlToToonSync(yamlString, options);
     }
 
     /**
      * Convert YAML to TOON string (Async)
      * @param {string} yamlString - YAML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing TOON
+     * @param {boolean} [options.keepComments=false] - Carry YAML comments over as TOON comments
      * @returns {Promise<string>} TOON formatted string
      */
-    static async toToonAsync(yamlString) {
-        return yamlToToon(yamlString);
+    static async toToonAsync(yamlString, options = {}) {
+        return yamlToToon(yamlString, options);
     }
 
     /**
      * Convert JSON to YAML string (Sync)
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {string} YAML formatted string
      */
-    static fromJson(jsonData) {
+    static fromJson(jsonData, options = {}) {
         const optimizedConverterFn = dataManager(jsonToYamlSync, extractJsonFromString);
-        return optimizedConverterFn(jsonData);
+        return optimizedConverterFn(jsonData, options);
     }
 
     /**
      * Convert JSON to YAML string (Async)
      * @param {Object|string} jsonData - JSON data or string with embedded JSON
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {Promise<string>} YAML formatted string
      */
-    static async fromJsonAsync(jsonData) {
+    static async fromJsonAsync(jsonData, options = {}) {
         const optimizedConverterFn = dataManagerAsync(jsonToYaml, extractJsonFromString);
-        return optimizedConverterFn(jsonData);
+        return optimizedConverterFn(jsonData, options);
     }
 
     /**
      * Convert YAML to JSON (Sync)
      * @param {string} yamlString - YAML formatted string
-     * @param {boolean} [returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {boolean|Object} [options={}] - Conversion options, or the legacy returnJson flag
+     * @param {boolean} [options.returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
      * @returns {Object|string} JSON result
      */
-    static toJson(yamlString, returnJson = false) {
-        const res = yamlToJsonSync(yamlString);
+    static toJson(yamlString, options = {}) {
+        const { returnJson = false, ...conversionOptions } = typeof options === 'boolean' ? { returnJson: options } : options;
+        const res = yamlToJsonSync(yamlString, conversionOptions);
         return returnJson ? JSON.stringify(res) : res;
     }
 
     /**
      * Convert YAML to JSON (Async)
      * @param {string} yamlString - YAML formatted string
-     * @param {boolean} [returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {boolean|Object} [options={}] - Conversion options, or the legacy returnJson flag
+     * @param {boolean} [options.returnJson=false] - If true, returns JSON string; if false, returns object
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
      * @returns {Promise<Object|string>} JSON result
      */
-    static async toJsonAsync(yamlString, returnJson = false) {
-        const res = await yamlToJson(yamlString);
+    static async toJsonAsync(yamlString, options = {}) {
+        const { returnJson = false, ...conversionOptions } = typeof options === 'boolean' ? { returnJson: options } : options;
+        const res = await yamlToJson(yamlString, conversionOptions);
         return returnJson ? JSON.stringify(res) : res;
     }
 
     /**
      * Convert XML to YAML string (Sync)
      * @param {string} xmlString - XML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {string} YAML formatted string
      */
-    static fromXml(xmlString) {
+    static fromXml(xmlString, options = {}) {
         const optimizedConverterFn = dataManager(xmlToYamlSync, extractXmlFromString);
-        return optimizedConverterFn(xmlString);
+        return optimizedConverterFn(xmlString, options);
     }
 
     /**
      * Convert XML to YAML string (Async)
      * @param {string} xmlString - XML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed XML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {Promise<string>} YAML formatted string
      */
-    static async fromXmlAsync(xmlString) {
+    static async fromXmlAsync(xmlString, options = {}) {
         const optimizedConverterFn = dataManagerAsync(xmlToYaml, extractXmlFromString);
-        return optimizedConverterFn(xmlString);
+        return optimizedConverterFn(xmlString, options);
     }
 
     /**
      * Convert YAML to XML string (Sync)
      * @param {string} yamlString - YAML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {string} XML formatted string
      */
-    static toXml(yamlString) {
-        return yamlToXmlSync(yamlString);
+    static toXml(yamlString, options = {}) {
+        return yamlToXmlSync(yamlString, options);
     }
 
     /**
      * Convert YAML to XML string (Async)
      * @param {string} yamlString - YAML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing XML
      * @returns {Promise<string>} XML formatted string
      */
-    static async toXmlAsync(yamlString) {
-        return yamlToXml(yamlString);
+    static async toXmlAsync(yamlString, options = {}) {
+        return yamlToXml(yamlString, options);
     }
 
     /**
      * Convert CSV to YAML string (Sync)
      * @param {string} csvString - CSV formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {string} YAML formatted string
      */
-    static fromCsv(csvString) {
+    static fromCsv(csvString, options = {}) {
         const optimizedConverterFn = dataManager(csvToYamlSync, extractCsvFromString);
-        return optimizedConverterFn(csvString);
+        return optimizedConverterFn(csvString, options);
     }
 
     /**
      * Convert CSV to YAML string (Async)
      * @param {string} csvString - CSV formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed CSV data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing YAML
      * @returns {Promise<string>} YAML formatted string
      */
-    static async fromCsvAsync(csvString) {
+    static async fromCsvAsync(csvString, options = {}) {
         const optimizedConverterFn = dataManagerAsync(csvToYaml, extractCsvFromString);
-        return optimizedConverterFn(csvString);
+        return optimizedConverterFn(csvString, options);
     }
 
     /**
      * Convert YAML to CSV string (Sync)
      * @param {string} yamlString - YAML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {string} CSV formatted string
      */
-    static toCsv(yamlString) {
-        return yamlToCsvSync(yamlString);
+    static toCsv(yamlString, options = {}) {
+        return yamlToCsvSync(yamlString, options);
     }
 
     /**
      * Convert YAML to CSV string (Async)
      * @param {string} yamlString - YAML formatted string
+     * @param {Object} [options={}] - Conversion options
+     * @param {Function} [options.reviver] - `(key, value, path) => value`, applied to the parsed YAML data
+     * @param {Function} [options.replacer] - `(key, value, path) => value`, applied before writing CSV
      * @returns {Promise<string>} CSV formatted string
      */
-    static async toCsvAsync(yamlString) {
-        return yamlToCsv(yamlString);
+    static async toCsvAsync(yamlString, options = {}) {
+        return yamlToCsv(yamlString, options);
     }
 
     /**
@@ -3,7 +3,7 @@
  */
 
 import yaml from 'js-yaml';
-import { encodeXmlReservedChars, extractXmlFromString, extractJsonFromString } from '../utils.js';
+import { encodeXmlReservedChars, extractXmlFromString, extractJsonFromString, replaceValues } from '../utils.js';
 import { xmlToJsonSync, jsonToXmlSync } from '../json_formatter/xml.js';
 import { jsonToYamlSync, yamlToJsonSync } from '../json_formatter/yaml.js';
 
@@ -15,9 +15,10 @@ import { jsonToYamlSync, yamlToJsonSync } from '../json_formatter/yaml.js';
  * Convert XML string to YAML string (Sync)
  * Supports mixed text XML.
  * @param {string} xmlString 
+ * @param {Object} [options={}] - `reviver(key, value, path)` applied to the parsed data and `replacer(key, value, path)` applied before writing the output
  * @returns {string} YAML string
  */
-export function xmlToYamlSync(xmlString) {
+export function xmlToYamlSync(xmlString, options = {}) {
     if (!xmlString || typeof xmlString !== 'string') {
         throw new Error('Input must be a non-empty string');
     }
@@ -32,8 +33,8 @@ export function xmlToYamlSync(xmlString) {
     if (firstExtract === xmlString) {
         // Pure XML -> JSON -> YAML
         try {
-            const json = xmlToJsonSync(xmlString);
-            return yaml.dump(json);
+            const json = xmlToJsonSync(xmlString, options);
+            return yaml.dump(replaceValues(json, options.replacer));
         } catch (e) {
             return xmlString; // Fallback?
         }
@@ -45,8 +46,8 @@ export function xmlToYamlSync(xmlString) {
         if (!xmlBlock) break;
 
         try {
-            const jsonObject = xmlToJsonSync(xmlBlock); // handles parsing
-            const yamlOutput = yaml.dump(jsonObject).trim();
+            const jsonObject = xmlToJsonSync(xmlBlock, options); // handles parsing
+            const yamlOutput = yaml.dump(replaceValues(jsonObject, options.replacer)).trim();
             convertedText = convertedText.replace(xmlBlock, yamlOutput);
             wasModified = true;
             iterationCount++;
@@ -59,8 +60,8 @@ export function xmlToYamlSync(xmlString) {
 
     // Fallback try strict
     try {
-        const json = xmlToJsonSync(xmlString);
-        return yaml.dump(json);
+        const json = xmlToJsonSync(xmlString, options);
+        return yaml.dump(replaceValues(json, options.replacer));
     } catch (e) {
         return xmlString;
     }
@@ -69,9 +70,10 @@ export function xmlToYamlSync(xmlString) {
 /**
  * Convert XML string to YAML string (Async)
  * @param {string} xmlString 
+ * @param {Object} [options={}] - See xmlToYamlSync
  * @returns {Promise<string>} YAML string
  */
-export async function xmlToYaml(xmlString) {
+export async function xmlToYaml(xmlString, options = {}) {
     // Ensure DOMParser availability via xmlToJson wrapper if needed, 
     // but xmlToJsonSync in json_formatter/xml.js checks for it.
     // However, Node.js polyfill might be needed if not globally set?
@@ -81,7 +83,7 @@ export async function xmlToYaml(xmlString) {
     // Mixed text loop is synchronous.
     // For async mixed text, we'd need async loop?
     // Usually mixed text string manipulation is fast enough to be sync.
-    return xmlToYamlSync(xmlString);
+    return xmlToYamlSync(xmlString, options);
 }
 
 
@@ -89,18 +91,19 @@ export async function xmlToYaml(xmlString) {
  * Convert YAML string to XML string (Sync)
  * Note: Does not support mixed text YAML extraction (no extractYaml).
  * @param {string} yamlString 
+ * @param {Object} [options={}] - `reviver(key, value, path)` applied to the parsed data and `replacer(key, value, path)` applied before writing the output
  * @returns {string} XML string
  */
-export function yamlToXmlSync(yamlString) {
+export function yamlToXmlSync(yamlString, options = {}) {
     if (!yamlString || typeof yamlString !== 'string') {
         throw new Error('Input must be a non-empty string');
     }
 
     try {
         // YAML -> JSON
-        const json = yamlToJsonSync(yamlString); // from json_formatter/yaml.js
+        const json = yamlToJsonSync(yamlString, options); // from json_formatter/yaml.js
         // JSON -> XML
-        return jsonToXmlSync(json); // from json_formatter/xml.js
+        return jsonToXmlSync(json, options); // from json_formatter/xml.js
     } catch (e) {
         throw new Error(`YAML to XML conversion failed: ${e.message}`);
     }
@@ -109,8 +112,9 @@ export function yamlToXmlSync(yamlString) {
 /**
  * Convert YAML string to XML string (Async)
  * @param {string} yamlString 
+ * @param {Object} [options={}] - See yamlToXmlSync
  * @returns {Promise<string>} XML string
  */
-export async function yamlToXml(yamlString) {
-    return yamlToXmlSync(yamlString);
+export async function yamlToXml(yamlString, options = {}) {
+    return yamlToXmlSync(yamlString, options);
 }
@@ -0,0 +1,92 @@
+/**
+ * Tests for sorted keys and canonical output
+ * Run with: node --test test/canonical.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    ToonConverter,
+    jsonToToonSync,
+    toonToJsonSync,
+    canonicalizeToonSync,
+    canonicalizeToon
+} from '../src/index.js';
+
+describe('Canonical Output', () => {
+
+    it('should sort object keys and tabular columns with sortKeys', () => {
+        const data = { b: 1, a: { '10': 'x', z: [{ y: 2, x: 1 }, { w: 3 }], '9': 'y' } };
+        assert.strictEqual(
+            jsonToToonSync(data, { sortKeys: true }),
+            'a:\n  9: "y"\n  10: "x"\n  z[2]{w,x,y}:\n    ,1,2\n    3,,\nb: 1'
+        );
+        assert.strictEqual(
+            jsonToToonSync({ items: [{ a: 1, b: 2 }] }, { sortKeys: (x, y) => y.localeCompare(x) }),
+            'items[1]{b,a}:\n  2,1'
+        );
+        assert.throws(() => jsonToToonSync({}, { sortKeys: 'asc' }), /Invalid sortKeys/);
+    });
+
+    it('should write the same bytes for the same data in canonical mode', () => {
+        const first = { service: 'api', latency: { p99: 120, p50: 30 }, ids: [3, 1] };
+        const second = { ids: [3, 1], latency: { p50: 30, p99: 120 }, service: 'api' };
+        const toon = jsonToToonSync(first, { canonical: true });
+        assert.strictEqual(toon, jsonToToonSync(second, { canonical: true }));
+        assert.strictEqual(toon, 'ids[2]: 3, 1\nlatency:\n  p50: 30\n  p99: 120\nservice: "api"');
+
+        // BigInts a Number holds exactly are written like that Number; others in full
+        assert.strictEqual(jsonToToonSync({ n: 10n ** 21n }, { canonical: true }), jsonToToonSync({ n: 1e21 }, { canonical: true }));
+        assert.strictEqual(jsonToToonSync({ id: 9007199254740993n }, { canonical: true }), 'id: 9007199254740993');
+
+        assert.throws(() => jsonToToonSync({}, { canonical: true, quoting: 'minimal' }), /quoting option cannot be changed in canonical mode/);
+        assert.throws(() => jsonToToonSync({}, { canonical: true, sortKeys: false }), /always sorted in canonical mode/);
+        assert.strictEqual(jsonToToonSync({ a: 1 }, { canonical: true, indent: 2, delimiter: ',' }), 'a: 1');
+    });
+
+    it('should canonicalize TOON written in different styles', async () => {
+        const loose = [
+            'n: 1E21',
+            'm: 1000000000000000000000',
+            'id: 9007199254740993',
+            'items[2|]{b,a}:',
+            '  x|1.50',
+            '  "y"|2'
+        ].join('\n');
+        const other = [
+            'items[2]:',
+            '    -',
+            '        a: 1.5',
+            '        b: "x"',
+            '    -',
+            '        b: y',
+            '        a: 2',
+            'id: 9007199254740993',
+            'm: 1e+21',
+            'n: 1000000000000000000000'
+        ].join('\n');
+
+        const canonical = canonicalizeToonSync(loose);
+        assert.strictEqual(canonical, [
+            'id: 9007199254740993',
+            'items[2]{a,b}:',
+            '  1.5,"x"',
+            '  2,"y"',
+            'm: 1e+21',
+            'n: 1e+21'
+        ].join('\n'));
+        assert.strictEqual(canonicalizeToonSync(other), canonical);
+        assert.strictEqual(ToonConverter.canonicalize(canonical), canonical);
+        assert.strictEqual(await canonicalizeToon(other), canonical);
+        assert.strictEqual(await new ToonConverter().canonicalizeAsync(loose), canonical);
+        assert.deepStrictEqual(toonToJsonSync(canonical, { largeIntegers: 'bigint' }).id, 9007199254740993n);
+    });
+
+    it('should keep typed literals and reject invalid TOON', () => {
+        assert.strictEqual(
+            canonicalizeToonSync('b: date("2024-01-01T00:00:00.000Z")\na: 5n', { typed: true }),
+            'a: 5n\nb: date("2024-01-01T00:00:00.000Z")'
+        );
+        assert.throws(() => canonicalizeToonSync('items[3]: 1, 2'), { name: 'ToonSyntaxError' });
+    });
+});
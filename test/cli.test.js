@@ -35,6 +35,15 @@ describe('CLI - Basic Conversions', () => {
         assert.ok(output.includes('"root"'));
         assert.ok(output.includes('"user": "Alice"'));
     });
+
+    test('TOON to YAML and XML write the data, not a JSON string', () => {
+        const input = 'rows[2]{a,b}:\\n  1,"x"\\n  2,"y"';
+        const yamlOutput = execSync(`printf '${input}' | ${cli} --from toon --to yaml`).toString();
+        assert.strictEqual(yamlOutput.trim(), "rows:\n  - a: 1\n    b: x\n  - a: 2\n    b: 'y'");
+
+        const xmlOutput = execSync(`printf '${input}' | ${cli} --from toon --to xml`).toString();
+        assert.strictEqual(xmlOutput.trim(), '<rows><a>1</a><b>x</b></rows><rows><a>2</a><b>y</b></rows>');
+    });
 });
 
 describe('CLI - File I/O', () => {
@@ -87,6 +96,69 @@ describe('CLI - Encryption', () => {
         const decrypted = execSync(`echo '${encrypted}' | ${cli} --from toon --to json --mode ingestion --key ${key} --algo xor`).toString();
         assert.ok(decrypted.includes('"secret": "data"'));
     });
+
+    test('Passphrase Export and Ingestion round-trip', () => {
+        const plain = JSON.stringify({ secret: "data" });
+
+        const encrypted = execSync(`echo '${plain}' | ${cli} --from json --to toon --mode export --passphrase "ops vault phrase" --kdf pbkdf2`).toString().trim();
+        assert.ok(encrypted.startsWith('$pbkdf2$'));
+
+        const decrypted = execSync(`echo '${encrypted}' | ${cli} --from toon --to json --mode ingestion --passphrase "ops vault phrase"`).toString();
+        assert.ok(decrypted.includes('"secret": "data"'));
+    });
+
+    test('Envelope Export with key id', () => {
+        const plain = JSON.stringify({ secret: "data" });
+
+        const encrypted = execSync(`echo '${plain}' | ${cli} --from json --to toon --mode export --key mysecret --algo xor --envelope --key-id ops-1`).toString().trim();
+        assert.ok(encrypted.startsWith('toon-enc:v1:xor:ops-1::'));
+
+        const decrypted = execSync(`echo '${encrypted}' | ${cli} --from toon --to json --mode ingestion --key mysecret --algo xor`).toString();
+        assert.ok(decrypted.includes('"secret": "data"'));
+    });
+
+    test('AAD Export and Ingestion round-trip', () => {
+        const key = 'k'.repeat(32);
+        const plain = JSON.stringify({ secret: "data" });
+
+        const encrypted = execSync(`echo '${plain}' | ${cli} --from json --to toon --mode export --key ${key} --aad tenant-1`).toString().trim();
+
+        const decrypted = execSync(`echo '${encrypted}' | ${cli} --from toon --to json --mode ingestion --key ${key} --aad tenant-1`).toString();
+        assert.ok(decrypted.includes('"secret": "data"'));
+
+        assert.throws(() => execSync(`echo '${encrypted}' | ${cli} --from toon --to json --mode ingestion --key ${key} --aad tenant-2`, { stdio: 'pipe' }));
+    });
+
+    test('AES-256-CBC-HMAC-SHA256 Export and Ingestion round-trip', () => {
+        const key = 'c'.repeat(64);
+        const plain = JSON.stringify({ secret: "data" });
+
+        const encrypted = execSync(`echo '${plain}' | ${cli} --from json --to toon --mode export --key ${key} --algo aes-256-cbc-hmac-sha256`).toString().trim();
+        assert.match(encrypted, /^[0-9a-f]{32}:[0-9a-f]{64}:[0-9a-f]+$/);
+
+        const decrypted = execSync(`echo '${encrypted}' | ${cli} --from toon --to json --mode ingestion --key ${key} --algo aes-256-cbc-hmac-sha256`).toString();
+        assert.ok(decrypted.includes('"secret": "data"'));
+    });
+
+    test('Key ring Export and Ingestion after rotation', () => {
+        const ringPath = 'test_keyring.json';
+        const plain = JSON.stringify({ secret: "data" });
+        const oldKey = { keyId: 'old', key: 'a'.repeat(32) };
+        const newKey = { keyId: 'new', key: 'b'.repeat(32) };
+
+        try {
+            fs.writeFileSync(ringPath, JSON.stringify({ keys: [oldKey] }));
+            const encrypted = execSync(`echo '${plain}' | ${cli} --from json --to toon --mode export --keyring ${ringPath}`).toString().trim();
+            assert.ok(encrypted.startsWith('toon-enc:v1:aes-256-gcm:old::'));
+
+            // After rotation, data written with the old key is still readable
+            fs.writeFileSync(ringPath, JSON.stringify({ active: 'new', keys: [oldKey, newKey] }));
+            const decrypted = execSync(`echo '${encrypted}' | ${cli} --from toon --to json --mode ingestion --keyring ${ringPath}`).toString();
+            assert.ok(decrypted.includes('"secret": "data"'));
+        } finally {
+            if (fs.existsSync(ringPath)) fs.unlinkSync(ringPath);
+        }
+    });
 });
 
 describe('CLI - Async and Options', () => {
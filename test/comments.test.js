@@ -0,0 +1,159 @@
+/**
+ * Tests for TOON comments
+ * Run with: node --test test/comments.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    ToonConverter,
+    YamlConverter,
+    jsonToToonSync,
+    jsonToToonStream,
+    toonToJsonSync,
+    validateToonStringSync,
+    parsePartialToonSync,
+    repairToonSync
+} from '../src/index.js';
+
+const commented = [
+    '# Orders export',
+    'order:   # the order',
+    '  id: 7',
+    '  note: "call #2"',
+    '  # items follow',
+    '  items[2]{qty,sku}:',
+    '    # most popular first',
+    '    2,"A-1"  # two of them',
+    '    1,"B-7"',
+    '  tags[2]: "a", "b" # inline',
+    '  list[2]:',
+    '    # first',
+    '    - x: 1',
+    '    - "y" # second'
+].join('\n');
+
+const expected = {
+    order: {
+        id: 7,
+        note: 'call #2',
+        items: [{ qty: 2, sku: 'A-1' }, { qty: 1, sku: 'B-7' }],
+        tags: ['a', 'b'],
+        list: [{ x: 1 }, 'y']
+    }
+};
+
+describe('Comments', () => {
+
+    it('should ignore full-line and trailing comments when parsing', () => {
+        assert.strictEqual(validateToonStringSync(commented).isValid, true);
+        assert.deepStrictEqual(toonToJsonSync(commented), expected);
+        assert.deepStrictEqual(repairToonSync(commented), { data: expected, toon: commented, fixes: [] });
+        assert.deepStrictEqual(parsePartialToonSync('a: "1" # one\nb: "x # y').data, { a: '1' });
+        assert.deepStrictEqual(toonToJsonSync('a: x#y\nb: "#c"'), { a: 'x#y', b: '#c' });
+    });
+
+    it('should treat every line starting with # as a comment', () => {
+        for (const toon of ['#comment\na: 1', '  #TODO: check\na: 1', '#\na: 1']) {
+            assert.strictEqual(validateToonStringSync(toon).isValid, true);
+            assert.deepStrictEqual(toonToJsonSync(toon), { a: 1 });
+        }
+    });
+
+    it('should keep # inside unquoted values', () => {
+        const toon = 'color: #fff\ntitle: Issue #42\nnote: a # b\ntags[2]: x #1, y';
+        const data = { color: '#fff', title: 'Issue #42', note: 'a # b', tags: ['x #1', 'y'] };
+
+        assert.strictEqual(validateToonStringSync(toon).isValid, true);
+        assert.deepStrictEqual(toonToJsonSync(toon), data);
+        assert.deepStrictEqual(repairToonSync(toon).data, data);
+        assert.deepStrictEqual(parsePartialToonSync(toon + '\n').data, data);
+    });
+
+    it('should quote keys and strings that would read as comments', () => {
+        const data = { '#': 1, '# note': 2, '#text': 'Issue #4', 'a #b': '#c', plain: 'x#y' };
+        const toon = jsonToToonSync(data, { quoting: 'minimal' });
+        assert.strictEqual(toon, '"#": 1\n"# note": 2\n"#text": "Issue #4"\na #b: "#c"\nplain: x#y');
+        assert.deepStrictEqual(toonToJsonSync(toon), data);
+    });
+
+    it('should read #text keys written by earlier releases', () => {
+        // As written by 2.3.1 for <item id="1">Content</item>
+        const legacy = 'item:\n  @attributes:\n    id: "1"\n  #text: "Content"';
+        const data = { item: { '@attributes': { id: '1' }, '#text': 'Content' } };
+
+        assert.deepStrictEqual(toonToJsonSync(legacy), data);
+        assert.strictEqual(validateToonStringSync(legacy).isValid, true);
+        assert.deepStrictEqual(repairToonSync(legacy).fixes, []);
+        assert.deepStrictEqual(parsePartialToonSync(legacy).data, data);
+        assert.strictEqual(ToonConverter.toXml(legacy), '<item id="1">Content</item>');
+    });
+
+    it('should write comments from a side map', async () => {
+        const data = { user: { email: 'a@b.c', profile: { age: 30 } }, rows: [{ id: 1 }, { id: 2 }] };
+        const comments = {
+            '': 'Export\nversion 2',
+            'user.email': 'Login address',
+            'user.profile.age': 'In years',
+            'rows.1': 'Second row'
+        };
+
+        const toon = ToonConverter.fromJson(data, { comments, keyFolding: true });
+        assert.strictEqual(toon, [
+            '# Export',
+            '# version 2',
+            'user:',
+            '  # Login address',
+            '  email: "a@b.c"',
+            '  profile:',
+            '    # In years',
+            '    age: 30',
+            'rows[2]{id}:',
+            '  1',
+            '  # Second row',
+            '  2'
+        ].join('\n'));
+        assert.deepStrictEqual(toonToJsonSync(toon), data);
+
+        let streamed = '';
+        for await (const chunk of jsonToToonStream(data.rows, { comments: { '': 'Rows', '1': 'Second row' } })) {
+            streamed += chunk;
+        }
+        assert.strictEqual(streamed, jsonToToonSync(data.rows, { comments: { '': 'Rows', '1': 'Second row' } }));
+
+        assert.throws(() => jsonToToonSync(data, { comments: 'x' }), /Invalid comments/);
+    });
+
+    it('should carry YAML comments over to TOON', () => {
+        const yaml = [
+            '# Service',
+            'name: web  # service name',
+            'script: |',
+            '  # not a comment',
+            '  echo hi',
+            'env:',
+            '  # first variable',
+            '  - name: PORT',
+            '    value: "80"',
+            'nested:',
+            '  deep:',
+            '    # leaf',
+            '    x: 1'
+        ].join('\n');
+
+        assert.strictEqual(YamlConverter.toToon(yaml, { keepComments: true }), [
+            '# Service',
+            '# service name',
+            'name: "web"',
+            'script: "# not a comment\\necho hi\\n"',
+            'env[1]{name,value}:',
+            '  # first variable',
+            '  "PORT","80"',
+            'nested:',
+            '  deep:',
+            '    # leaf',
+            '    x: 1'
+        ].join('\n'));
+        assert.ok(!YamlConverter.toToon(yaml).includes('# leaf'));
+    });
+});
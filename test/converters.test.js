@@ -8,6 +8,7 @@ import assert from 'node:assert';
 import { yamlToToonSync, toonToYamlSync } from '../src/yaml.js';
 import { xmlToToon, toonToXmlSync } from '../src/xml.js';
 import { csvToToon, csvToToonSync, toonToCsvSync } from '../src/csv.js';
+import { ToonConverter, YamlConverter, XmlConverter, toonToJsonSync } from '../src/index.js';
 
 // --- YAML Tests ---
 
@@ -72,7 +73,8 @@ test('XML to TOON - Attributes', async () => {
     assert.ok(toon.includes('@attributes:'));
     assert.ok(toon.includes('id: "123"'));
     assert.ok(toon.includes('type: "widget"'));
-    assert.ok(toon.includes('#text: "Content"'));
+    assert.ok(toon.includes('"#text": "Content"'));
+    assert.deepStrictEqual(toonToJsonSync(toon).item['#text'], 'Content');
 });
 
 // --- CSV Tests ---
@@ -133,3 +135,19 @@ Bob,95`;
     assert.ok(finalCsv.includes('Alice'));
     assert.ok(finalCsv.includes('100'));
 });
+
+test('TOON to YAML, XML and CSV - returnJson does not leak into the output', async () => {
+    const toon = 'rows[2]{a,b}:\n  1,"x"\n  2,"y"';
+    const options = { returnJson: true };
+    const yamlText = 'rows:\n  - a: 1\n    b: x\n  - a: 2\n    b: \'y\'\n';
+    const xml = '<rows><a>1</a><b>x</b></rows><rows><a>2</a><b>y</b></rows>';
+
+    assert.strictEqual(toonToYamlSync(toon, options), yamlText);
+    assert.strictEqual(toonToXmlSync(toon, options), xml);
+    assert.strictEqual(toonToCsvSync(toon, options), toonToCsvSync(toon));
+    assert.strictEqual(ToonConverter.toYaml(toon, options), yamlText);
+    assert.strictEqual(await new ToonConverter().toYamlAsync(toon, options), yamlText);
+    assert.strictEqual(new ToonConverter().toXml(toon, options), xml);
+    assert.strictEqual(YamlConverter.fromToon(toon, options), yamlText);
+    assert.strictEqual(XmlConverter.fromToon(toon, options), xml);
+});
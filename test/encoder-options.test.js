@@ -0,0 +1,88 @@
+/**
+ * Tests for configurable TOON encoder options
+ * Run with: node --test test/encoder-options.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { jsonToToonSync, toonToJsonSync } from '../src/json.js';
+import { validateToonStringSync } from '../src/validator.js';
+import { formatValue, isSafeUnquoted } from '../src/utils.js';
+import { ToonConverter } from '../src/index.js';
+
+const sample = {
+    title: "Report 2024",
+    tags: ["a b", "c", "true", "-x"],
+    users: [
+        { id: 1, name: "Alice", note: "x:y" },
+        { id: 2, name: "Bob Smith", note: "" }
+    ],
+    nested: { key: "value" }
+};
+
+describe('Encoder Options', () => {
+
+    it('should keep the default output unchanged', () => {
+        const result = jsonToToonSync({ users: [{ id: 1, name: "Alice" }], tags: ["a", "b"] });
+        assert.strictEqual(result, 'users[1]{id,name}:\n  1,"Alice"\ntags[2]: "a", "b"');
+    });
+
+    it('should honour a custom indent width', () => {
+        const result = jsonToToonSync({ nested: { key: "value" } }, { indent: 4 });
+        assert.strictEqual(result, 'nested:\n    key: "value"');
+    });
+
+    it('should declare tab and pipe delimiters in array headers', () => {
+        const tab = jsonToToonSync({ ids: [1, 2], rows: [{ a: 1, b: 2 }] }, { delimiter: '\t' });
+        assert.ok(tab.includes('ids[2\t]: 1\t2'));
+        assert.ok(tab.includes('rows[1\t]{a,b}:\n  1\t2'));
+
+        const pipe = jsonToToonSync({ ids: [1, 2] }, { delimiter: '|' });
+        assert.strictEqual(pipe, 'ids[2|]: 1|2');
+    });
+
+    it('should only quote ambiguous strings with minimal quoting', () => {
+        const result = jsonToToonSync(sample, { quoting: 'minimal' });
+
+        assert.ok(result.includes('title: Report 2024'));
+        assert.ok(result.includes('tags[4]: a b, c, "true", "-x"'));
+        assert.ok(result.includes('1,Alice,"x:y"'));
+        assert.ok(result.includes('2,Bob Smith,""'));
+    });
+
+    it('should round-trip with every delimiter and quoting policy', () => {
+        for (const delimiter of [',', '\t', '|']) {
+            for (const quoting of ['always', 'minimal']) {
+                const toon = jsonToToonSync(sample, { delimiter, quoting, indent: 3 });
+                assert.strictEqual(validateToonStringSync(toon).isValid, true);
+                assert.deepStrictEqual(toonToJsonSync(toon), sample);
+            }
+        }
+    });
+
+    it('should reject unsupported option values', () => {
+        assert.throws(() => jsonToToonSync({}, { delimiter: ';' }), /Unsupported delimiter/);
+        assert.throws(() => jsonToToonSync({}, { quoting: 'never' }), /Unsupported quoting policy/);
+        assert.throws(() => jsonToToonSync({}, { indent: 0 }), /Invalid indent/);
+    });
+
+    it('should accept options through ToonConverter', () => {
+        const data = { ids: [1, 2] };
+        assert.strictEqual(ToonConverter.fromJson(data, { delimiter: '|' }), 'ids[2|]: 1|2');
+
+        const converter = new ToonConverter();
+        assert.strictEqual(converter.fromJson(data, { delimiter: '|' }), 'ids[2|]: 1|2');
+    });
+
+    it('should detect strings that are unsafe to leave unquoted', () => {
+        assert.strictEqual(isSafeUnquoted('hello world'), true);
+        assert.strictEqual(isSafeUnquoted(''), false);
+        assert.strictEqual(isSafeUnquoted(' padded'), false);
+        assert.strictEqual(isSafeUnquoted('42'), false);
+        assert.strictEqual(isSafeUnquoted('null'), false);
+        assert.strictEqual(isSafeUnquoted('a,b'), false);
+        assert.strictEqual(isSafeUnquoted('a,b', '|'), true);
+        assert.strictEqual(isSafeUnquoted('a|b', '|'), false);
+        assert.strictEqual(formatValue('42', { quoting: 'minimal' }), '"42"');
+    });
+});
@@ -512,7 +512,53 @@ describe('Encryption Integration Tests', () => {
     });
 
     // ========================================
-    // 9. Validation with Encryption
+    // 9. Additional Authenticated Data
+    // ========================================
+
+    describe('Additional Authenticated Data', () => {
+        it('should bind exported data to the AAD in every mode', async () => {
+            const encrypted = aesConverter.fromJson(sampleData, { conversionMode: 'export', aad: 'tenant:1' });
+            assert.strictEqual(aesEncryptor.decrypt(encrypted, { aad: 'tenant:1' }), sampleToon);
+
+            const reencrypted = await aesConverter.toJsonAsync(encrypted, { conversionMode: 'middleware', aad: 'tenant:1', returnJson: true });
+            assert.deepStrictEqual(JSON.parse(aesEncryptor.decrypt(reencrypted, { aad: 'tenant:1' })), sampleData);
+
+            assert.deepStrictEqual(aesConverter.toJson(encrypted, { conversionMode: 'ingestion', aad: 'tenant:1' }), sampleData);
+        });
+
+        it('should refuse data replayed into another context', () => {
+            const encrypted = aesConverter.fromJson(sampleData, { conversionMode: 'export', aad: 'tenant:1' });
+
+            assert.throws(() => aesConverter.toJson(encrypted, { conversionMode: 'ingestion', aad: 'tenant:2' }), /decryption failed/);
+            assert.throws(() => aesConverter.toJson(encrypted, { conversionMode: 'ingestion' }), /decryption failed/);
+        });
+    });
+
+    // ========================================
+    // 10. Other Authenticated Algorithms
+    // ========================================
+
+    describe('Other Authenticated Algorithms', () => {
+        for (const algorithm of ['chacha20-poly1305', 'aes-256-cbc-hmac-sha256']) {
+            it(`should support every conversion mode with ${algorithm}`, async () => {
+                const encryptor = new Encryptor(Encryptor.generateKey(algorithm), algorithm, { format: 'envelope' });
+                const converter = new ToonConverter(encryptor);
+
+                const exported = converter.fromJson(sampleData, { conversionMode: 'export', aad: 'r1' });
+                assert.ok(exported.startsWith(`toon-enc:v1:${algorithm}:`));
+                assert.strictEqual(encryptor.decrypt(exported, { aad: 'r1' }), sampleToon);
+
+                const middleware = await converter.toJsonAsync(exported, { conversionMode: 'middleware', aad: 'r1', returnJson: true });
+                assert.deepStrictEqual(JSON.parse(encryptor.decrypt(middleware, { aad: 'r1' })), sampleData);
+
+                assert.deepStrictEqual(converter.toJson(exported, { conversionMode: 'ingestion', aad: 'r1' }), sampleData);
+                assert.throws(() => converter.toJson(exported, { conversionMode: 'ingestion', aad: 'r2' }), /decryption failed/);
+            });
+        }
+    });
+
+    // ========================================
+    // 11. Validation with Encryption
     // ========================================
 
     describe('Validation', () => {
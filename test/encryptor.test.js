@@ -9,6 +9,7 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert';
+import crypto from 'crypto';
 import { Encryptor } from '../src/encryptor.js';
 
 describe('Encryptor', () => {
@@ -297,6 +298,80 @@ describe('Encryptor', () => {
         });
     });
 
+    // ========================================
+    // ChaCha20-Poly1305 Algorithm Tests
+    // ========================================
+
+    describe('ChaCha20-Poly1305 Algorithm', () => {
+
+        it('should encrypt and decrypt correctly', () => {
+            const encryptor = new Encryptor(Encryptor.generateKey('chacha20-poly1305'), 'chacha20-poly1305');
+
+            const plaintext = '🚀 Hello! 你好 مرحبا';
+            const encrypted = encryptor.encrypt(plaintext);
+
+            assert.match(encrypted, /^[0-9a-f]{24}:[0-9a-f]{32}:[0-9a-f]+$/);
+            assert.strictEqual(encryptor.decrypt(encrypted), plaintext);
+        });
+
+        it('should detect tampering, wrong keys and wrong AAD', () => {
+            const key = Encryptor.generateKey('chacha20-poly1305');
+            const encryptor = new Encryptor(key, 'chacha20-poly1305');
+            const encrypted = encryptor.encrypt('Sensitive data', { aad: 'tenant:1' });
+            const tampered = encrypted.slice(0, -1) + (encrypted.endsWith('0') ? '1' : '0');
+
+            assert.throws(() => encryptor.decrypt(tampered, { aad: 'tenant:1' }), /ChaCha20-Poly1305 decryption failed/);
+            assert.throws(() => encryptor.decrypt(encrypted, { aad: 'tenant:2' }), /ChaCha20-Poly1305 decryption failed/);
+            assert.throws(() => new Encryptor(Encryptor.generateKey(), 'chacha20-poly1305').decrypt(encrypted, { aad: 'tenant:1' }));
+            assert.throws(() => new Encryptor(key.subarray(0, 16), 'chacha20-poly1305'), /ChaCha20-Poly1305 requires a 32-byte/);
+        });
+    });
+
+    // ========================================
+    // AES-256-CBC-HMAC-SHA256 Algorithm Tests
+    // ========================================
+
+    describe('AES-256-CBC-HMAC-SHA256 Algorithm', () => {
+
+        it('should encrypt and decrypt correctly with a 64-byte key', () => {
+            const key = Encryptor.generateKey('aes-256-cbc-hmac-sha256');
+            const encryptor = new Encryptor(key, 'aes-256-cbc-hmac-sha256');
+
+            const plaintext = '🚀 Hello! 你好 مرحبا';
+            const encrypted = encryptor.encrypt(plaintext);
+
+            assert.strictEqual(key.length, 64);
+            assert.match(encrypted, /^[0-9a-f]{32}:[0-9a-f]{64}:[0-9a-f]+$/);
+            assert.strictEqual(encryptor.decrypt(encrypted), plaintext);
+            assert.throws(() => new Encryptor(Encryptor.generateKey(), 'aes-256-cbc-hmac-sha256'), /requires a 64-byte/);
+        });
+
+        it('should use standard AES-CBC and an HMAC over iv, ciphertext and AAD', () => {
+            const key = Encryptor.generateKey('aes-256-cbc-hmac-sha256');
+            const encrypted = new Encryptor(key, 'aes-256-cbc-hmac-sha256').encrypt('interop', { aad: 'orders' });
+            const [iv, mac, data] = encrypted.split(':').map(part => Buffer.from(part, 'hex'));
+
+            // As another implementation (e.g. javax.crypto) would compute it
+            const aadBits = Buffer.alloc(8);
+            aadBits.writeBigUInt64BE(BigInt('orders'.length * 8));
+            const expected = crypto.createHmac('sha256', key.subarray(32))
+                .update('orders').update(iv).update(data).update(aadBits).digest();
+            const decipher = crypto.createDecipheriv('aes-256-cbc', key.subarray(0, 32), iv);
+
+            assert.ok(expected.equals(mac));
+            assert.strictEqual(Buffer.concat([decipher.update(data), decipher.final()]).toString(), 'interop');
+        });
+
+        it('should reject altered data before decrypting it', () => {
+            const encryptor = new Encryptor(Encryptor.generateKey('aes-256-cbc-hmac-sha256'), 'aes-256-cbc-hmac-sha256');
+            const encrypted = encryptor.encrypt('Sensitive data');
+            const tampered = encrypted.slice(0, -1) + (encrypted.endsWith('0') ? '1' : '0');
+
+            assert.throws(() => encryptor.decrypt(tampered), /AES-256-CBC-HMAC-SHA256 decryption failed: unable to authenticate data/);
+            assert.throws(() => encryptor.decrypt(encrypted, { aad: 'other' }), /unable to authenticate data/);
+        });
+    });
+
     // ========================================
     // Key Generation Tests
     // ========================================
@@ -331,6 +406,195 @@ describe('Encryptor', () => {
         });
     });
 
+    // ========================================
+    // Passphrase Key Derivation Tests
+    // ========================================
+
+    describe('Passphrase Keys', () => {
+
+        // Cheap parameters keep the tests fast; the defaults are much stronger
+        const fast = { scrypt: { N: 1024 }, pbkdf2: { iterations: 10000 } };
+
+        it('should derive the same key from the same passphrase and salt', () => {
+            const salt = 'a-fixed-salt-of-16+';
+            const a = Encryptor.fromPassphrase('correct horse', { salt, params: fast.scrypt });
+            const b = Encryptor.fromPassphrase('correct horse', { salt, params: fast.scrypt });
+
+            assert.strictEqual(a.algorithm, 'aes-256-gcm');
+            assert.strictEqual(a.key.length, 32);
+            assert.ok(a.key.equals(b.key));
+            assert.ok(!a.key.equals(Encryptor.fromPassphrase('correct horse', { params: fast.scrypt }).key));
+        });
+
+        it('should embed the KDF parameters and salt in the ciphertext', () => {
+            const encryptor = Encryptor.fromPassphrase('correct horse', { kdf: 'pbkdf2', params: fast.pbkdf2 });
+            const encrypted = encryptor.encrypt('Secret');
+
+            assert.match(encrypted, /^\$pbkdf2\$iterations=10000,digest=sha256\$[0-9a-f]{32}\$[0-9a-f]{24}:[0-9a-f]{32}:[0-9a-f]+$/);
+            assert.strictEqual(encryptor.decrypt(encrypted), 'Secret');
+        });
+
+        it('should re-derive the key for data encrypted with another salt or KDF', () => {
+            const writer = Encryptor.fromPassphrase('vault passphrase', { params: fast.scrypt });
+            const other = Encryptor.fromPassphrase('vault passphrase', { kdf: 'pbkdf2', params: { iterations: 20000, digest: 'sha512' } });
+            const reader = Encryptor.fromPassphrase('vault passphrase', { params: fast.scrypt });
+
+            assert.strictEqual(reader.decrypt(writer.encrypt('one')), 'one');
+            assert.strictEqual(reader.decrypt(other.encrypt('two')), 'two');
+            assert.strictEqual(other.decrypt(reader.encrypt('three')), 'three');
+        });
+
+        it('should reject wrong passphrases and key-based decryption', () => {
+            const encrypted = Encryptor.fromPassphrase('right', { params: fast.scrypt }).encrypt('data');
+
+            assert.throws(() => Encryptor.fromPassphrase('wrong', { params: fast.scrypt }).decrypt(encrypted), /decryption failed/);
+            assert.throws(() => new Encryptor(Encryptor.generateKey()).decrypt(encrypted), /Use Encryptor.fromPassphrase/);
+        });
+
+        it('should validate the passphrase, salt and KDF parameters', () => {
+            assert.throws(() => Encryptor.fromPassphrase(''), /Passphrase must be a non-empty/);
+            assert.throws(() => Encryptor.fromPassphrase('x', { kdf: 'md5' }), /Unsupported KDF: md5/);
+            assert.throws(() => Encryptor.fromPassphrase('x', { salt: 'short' }), /at least 16 bytes/);
+            assert.throws(() => Encryptor.fromPassphrase('x', { params: { N: 1000 } }), /Invalid scrypt parameter N/);
+            assert.throws(() => Encryptor.fromPassphrase('x', { params: { cost: 1 } }), /Unknown scrypt parameter: cost/);
+            assert.throws(() => Encryptor.fromPassphrase('x', { kdf: 'pbkdf2', params: { digest: 'md5' } }), /Unsupported pbkdf2 digest/);
+        });
+
+        it('should refuse expensive parameters from a ciphertext header', () => {
+            const encryptor = Encryptor.fromPassphrase('x', { params: fast.scrypt });
+            const encrypted = encryptor.encrypt('data').replace('N=1024', 'N=1048576');
+
+            assert.throws(() => encryptor.decrypt(encrypted), /more than 256 MiB/);
+        });
+
+        it('should refuse header parameters above maxKdfParams before deriving a key', (t) => {
+            const reader = Encryptor.fromPassphrase('x', { kdf: 'pbkdf2', params: fast.pbkdf2 });
+            const stronger = Encryptor.fromPassphrase('x', { kdf: 'pbkdf2', params: { iterations: 20000 } }).encrypt('data');
+            const crafted = stronger.replace('iterations=20000', 'iterations=10000000');
+            const pbkdf2 = t.mock.method(crypto, 'pbkdf2Sync');
+
+            assert.throws(() => reader.decrypt(stronger), /asks for pbkdf2 iterations=20000, above the allowed 10000/);
+            assert.throws(() => reader.decrypt(crafted), /asks for pbkdf2 iterations=10000000/);
+            assert.throws(() => Encryptor.fromPassphrase('x', { params: fast.scrypt }).decrypt(crafted), /above the allowed 600000/);
+            assert.strictEqual(pbkdf2.mock.callCount(), 0);
+
+            const trusting = Encryptor.fromPassphrase('x', { kdf: 'pbkdf2', params: fast.pbkdf2, maxKdfParams: { iterations: 20000 } });
+            pbkdf2.mock.resetCalls();
+            assert.strictEqual(trusting.decrypt(stronger), 'data');
+            assert.strictEqual(pbkdf2.mock.callCount(), 1);
+
+            assert.throws(() => Encryptor.fromPassphrase('x', { maxKdfParams: { digest: 1 } }), /Unknown maxKdfParams parameter: digest/);
+            assert.throws(() => Encryptor.fromPassphrase('x', { maxKdfParams: { N: 0 } }), /Invalid maxKdfParams parameter N/);
+        });
+    });
+
+    // ========================================
+    // Ciphertext Envelope Tests
+    // ========================================
+
+    describe('Ciphertext Envelope', () => {
+
+        it('should write self-describing envelopes for every algorithm', () => {
+            const key = Encryptor.generateKey();
+            const cases = [[key, 'aes-256-gcm'], ['secret', 'xor'], [null, 'base64']];
+
+            for (const [algoKey, algorithm] of cases) {
+                const encryptor = new Encryptor(algoKey, algorithm, { format: 'envelope', keyId: 'k-2026.1' });
+                const encrypted = encryptor.encrypt('Hello, Wörld!');
+
+                assert.match(encrypted, new RegExp(`^toon-enc:v1:${algorithm}:k-2026\\.1::[A-Za-z0-9_-]+$`));
+                assert.strictEqual(encryptor.decrypt(encrypted), 'Hello, Wörld!');
+            }
+        });
+
+        it('should decrypt envelopes and legacy data with the same Encryptor', () => {
+            const key = Encryptor.generateKey();
+            const legacy = new Encryptor(key);
+            const enveloped = new Encryptor(key, 'aes-256-gcm', { format: 'envelope' });
+
+            assert.strictEqual(legacy.decrypt(enveloped.encrypt('new')), 'new');
+            assert.strictEqual(enveloped.decrypt(legacy.encrypt('old')), 'old');
+
+            // Passphrase keys carry their salt and KDF parameters in the envelope
+            const writer = Encryptor.fromPassphrase('phrase', { params: { N: 1024 }, format: 'envelope' });
+            const encrypted = writer.encrypt('derived');
+            assert.match(encrypted, /^toon-enc:v1:aes-256-gcm::scrypt\$N=1024,r=8,p=1\$[0-9a-f]{32}:/);
+            assert.strictEqual(Encryptor.fromPassphrase('phrase', { params: { N: 1024 } }).decrypt(encrypted), 'derived');
+        });
+
+        it('should expose envelope fields for key lookup', () => {
+            const encrypted = new Encryptor('secret', 'xor', { format: 'envelope', keyId: 'tenant-a' }).encrypt('data');
+            const envelope = Encryptor.parseEnvelope(encrypted);
+
+            assert.strictEqual(envelope.version, 'v1');
+            assert.strictEqual(envelope.algorithm, 'xor');
+            assert.strictEqual(envelope.keyId, 'tenant-a');
+            assert.strictEqual(envelope.kdf, null);
+            assert.ok(Buffer.isBuffer(envelope.payload));
+            assert.strictEqual(Encryptor.parseEnvelope(new Encryptor('secret', 'xor').encrypt('data')), null);
+        });
+
+        it('should reject envelopes for another algorithm, key id or version', () => {
+            const key = Encryptor.generateKey();
+            const xorEnvelope = new Encryptor('secret', 'xor', { format: 'envelope' }).encrypt('data');
+            const keyA = new Encryptor(key, 'aes-256-gcm', { format: 'envelope', keyId: 'a' }).encrypt('data');
+
+            assert.throws(() => new Encryptor(key).decrypt(xorEnvelope), /encrypted with xor, but this Encryptor uses aes-256-gcm/);
+            assert.throws(() => new Encryptor(key, 'aes-256-gcm', { keyId: 'b' }).decrypt(keyA), /encrypted with key "a"/);
+            assert.throws(() => new Encryptor(key).decrypt('toon-enc:v9:aes-256-gcm:::AAAA'), /Unsupported envelope version: v9/);
+            assert.throws(() => new Encryptor(key).decrypt('toon-enc:v1:aes-256-gcm::AAAA'), /Invalid envelope format/);
+            assert.throws(() => new Encryptor(key, 'aes-256-gcm', { format: 'hex' }), /Unsupported format: hex/);
+            assert.throws(() => new Encryptor(key, 'aes-256-gcm', { keyId: 'a:b' }), /Invalid key id/);
+        });
+
+        it('should detect tampering with an AES envelope', () => {
+            const encryptor = new Encryptor(Encryptor.generateKey(), 'aes-256-gcm', { format: 'envelope' });
+            const encrypted = encryptor.encrypt('Sensitive data');
+            // Change a character inside the payload (the last one may only hold padding bits)
+            const i = encrypted.length - 5;
+            const tampered = encrypted.slice(0, i) + (encrypted[i] === 'A' ? 'B' : 'A') + encrypted.slice(i + 1);
+
+            assert.throws(() => encryptor.decrypt(tampered), /decryption failed/);
+        });
+    });
+
+    // ========================================
+    // Additional Authenticated Data Tests
+    // ========================================
+
+    describe('Additional Authenticated Data', () => {
+
+        it('should only decrypt with the AAD the data was encrypted with', () => {
+            const encryptor = new Encryptor(Encryptor.generateKey(), 'aes-256-gcm');
+            const encrypted = encryptor.encrypt('Tenant data', { aad: 'tenant:42' });
+
+            assert.strictEqual(encryptor.decrypt(encrypted, { aad: 'tenant:42' }), 'Tenant data');
+            assert.strictEqual(encryptor.decrypt(encrypted, { aad: Buffer.from('tenant:42') }), 'Tenant data');
+            assert.throws(() => encryptor.decrypt(encrypted, { aad: 'tenant:43' }), /decryption failed/);
+            assert.throws(() => encryptor.decrypt(encrypted), /decryption failed/);
+
+            // Data encrypted without AAD does not decrypt with one
+            assert.throws(() => encryptor.decrypt(encryptor.encrypt('plain'), { aad: 'tenant:42' }), /decryption failed/);
+        });
+
+        it('should bind envelopes and passphrase keys to the AAD', () => {
+            const enveloped = new Encryptor(Encryptor.generateKey(), 'aes-256-gcm', { format: 'envelope', keyId: 'k1' });
+            const encrypted = enveloped.encrypt('record', { aad: 'orders/17' });
+            assert.ok(!encrypted.includes('orders'));
+            assert.strictEqual(enveloped.decrypt(encrypted, { aad: 'orders/17' }), 'record');
+            assert.throws(() => enveloped.decrypt(encrypted, { aad: 'orders/18' }), /decryption failed/);
+
+            const derived = Encryptor.fromPassphrase('phrase', { params: { N: 1024 } });
+            assert.strictEqual(derived.decrypt(derived.encrypt('data', { aad: 'x' }), { aad: 'x' }), 'data');
+        });
+
+        it('should reject AAD for algorithms that cannot authenticate it', () => {
+            assert.throws(() => new Encryptor('secret', 'xor').encrypt('data', { aad: 'tenant' }), /AAD is not supported by xor/);
+            assert.throws(() => new Encryptor(null, 'base64').decrypt('ZGF0YQ==', { aad: 'tenant' }), /AAD is not supported by base64/);
+            assert.throws(() => new Encryptor(Encryptor.generateKey()).encrypt('data', { aad: 42 }), /AAD must be a string or Buffer/);
+        });
+    });
+
     // ========================================
     // General Error Handling Tests
     // ========================================
@@ -0,0 +1,100 @@
+/**
+ * Tests for structured TOON syntax errors
+ * Run with: node --test test/errors.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { toonToJsonSync } from '../src/json.js';
+import { validateToonStringSync } from '../src/validator.js';
+import { ToonSyntaxError, TOON_ERROR_CODES } from '../src/errors.js';
+import { YamlConverter, XmlConverter, CsvConverter, JsonConverter, ToonConverter } from '../src/index.js';
+
+describe('ToonSyntaxError', () => {
+
+    it('should be thrown by the parser with location fields', () => {
+        assert.throws(() => toonToJsonSync('name: "Alice"\nitems[3]: 1, 2'), (err) => {
+            assert.ok(err instanceof ToonSyntaxError);
+            assert.ok(err instanceof Error);
+            assert.strictEqual(err.code, TOON_ERROR_CODES.ARRAY_SIZE_MISMATCH);
+            assert.strictEqual(err.line, 2);
+            assert.strictEqual(err.column, 6);
+            assert.strictEqual(err.sourceLine, 'items[3]: 1, 2');
+            assert.strictEqual(err.snippet, '2 | items[3]: 1, 2\n  |      ^');
+            return true;
+        });
+    });
+
+    it('should keep the legacy message format', () => {
+        assert.throws(() => toonToJsonSync('items[3]: 1, 2'), /^ToonSyntaxError: Invalid TOON: L1: Array size mismatch/);
+    });
+
+    it('should report the header line for block arrays with missing rows', () => {
+        try {
+            toonToJsonSync('users[2]{id,name}:\n  1,"Alice"\ncount: 1');
+            assert.fail('Expected a ToonSyntaxError');
+        } catch (err) {
+            assert.strictEqual(err.code, TOON_ERROR_CODES.ARRAY_SIZE_MISMATCH);
+            assert.strictEqual(err.line, 1);
+        }
+    });
+
+    it('should classify indentation errors', () => {
+        const result = validateToonStringSync('a:\n  b: 1\n    c: 2');
+
+        assert.strictEqual(result.isValid, false);
+        assert.strictEqual(result.error, 'L3: Indentation error.');
+        assert.strictEqual(result.syntaxError.code, TOON_ERROR_CODES.BAD_INDENT);
+        assert.strictEqual(result.syntaxError.line, 3);
+        assert.strictEqual(result.syntaxError.column, 5);
+    });
+
+    it('should point at the colon inside a tabular row', () => {
+        const { syntaxError } = validateToonStringSync('rows[1]{a,b}:\n  "x:y",z:w');
+
+        assert.strictEqual(syntaxError.code, TOON_ERROR_CODES.TABULAR_ROW_COLON);
+        assert.strictEqual(syntaxError.column, 10);
+    });
+
+    it('should classify non-string input', () => {
+        const { syntaxError } = validateToonStringSync(null);
+
+        assert.strictEqual(syntaxError.code, TOON_ERROR_CODES.INVALID_INPUT);
+        assert.strictEqual(syntaxError.line, null);
+        assert.strictEqual(syntaxError.snippet, null);
+    });
+
+    it('should report path expansion conflicts', () => {
+        assert.throws(() => toonToJsonSync('a: 1\na.b: 2', { expandPaths: true }), (err) => {
+            assert.strictEqual(err.code, TOON_ERROR_CODES.PATH_EXPANSION_CONFLICT);
+            assert.strictEqual(err.line, 2);
+            return true;
+        });
+    });
+
+    it('should serialize to JSON with all fields', () => {
+        const { syntaxError } = validateToonStringSync('items[2]: 1');
+        const json = JSON.parse(JSON.stringify(syntaxError));
+
+        assert.strictEqual(json.name, 'ToonSyntaxError');
+        assert.strictEqual(json.code, 'ARRAY_SIZE_MISMATCH');
+        assert.strictEqual(json.line, 1);
+        assert.ok(json.snippet.includes('^'));
+    });
+
+    it('should propagate from every converter that reads TOON', () => {
+        const invalid = 'items[3]: 1, 2';
+        const readers = [
+            () => ToonConverter.toJson(invalid),
+            () => JsonConverter.fromToon(invalid),
+            () => YamlConverter.fromToon(invalid),
+            () => XmlConverter.fromToon(invalid),
+            () => CsvConverter.fromToon(invalid),
+            () => new YamlConverter().fromToon(invalid)
+        ];
+
+        for (const read of readers) {
+            assert.throws(read, ToonSyntaxError);
+        }
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Tests for string escaping in quoted TOON values
+ * Run with: node --test test/escaping.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { jsonToToonSync, toonToJsonSync } from '../src/json.js';
+import { validateToonStringSync } from '../src/validator.js';
+import { escapeString, unescapeString, formatValue, parseValue, splitByDelimiter } from '../src/utils.js';
+
+const product = {
+    name: "Desk \"Pro\"",
+    description: "Solid oak.\nShips in 2 boxes.\r\n\tAssembly required.",
+    path: "C:\\desks\\pro",
+    tags: ["line\nbreak", "back\\", "comma, \"quoted\""],
+    variants: [
+        { sku: "D-1", note: "first\nsecond" },
+        { sku: "D-2", note: "ends with \\" }
+    ]
+};
+
+describe('String Escaping', () => {
+
+    it('should escape every special character', () => {
+        assert.strictEqual(escapeString('a"b\\c\nd\re\tf'), 'a\\"b\\\\c\\nd\\re\\tf');
+        assert.strictEqual(escapeString('\u0001\u001f'), '\\u0001\\u001f');
+        assert.strictEqual(formatValue('two\nlines'), '"two\\nlines"');
+    });
+
+    it('should unescape every escape sequence', () => {
+        assert.strictEqual(unescapeString('a\\"b\\\\c\\nd\\re\\tf'), 'a"b\\c\nd\re\tf');
+        assert.strictEqual(unescapeString('\\u00e9\\u0041'), 'éA');
+        assert.strictEqual(unescapeString('\\\\n'), '\\n');
+        assert.strictEqual(parseValue('"tab\\there"'), 'tab\there');
+    });
+
+    it('should keep multi-line strings on one line', () => {
+        const toon = jsonToToonSync(product);
+
+        assert.ok(toon.includes('description: "Solid oak.\\nShips in 2 boxes.\\r\\n\\tAssembly required."'));
+        assert.ok(toon.includes('  "D-1","first\\nsecond"'));
+        assert.strictEqual(validateToonStringSync(toon).isValid, true);
+    });
+
+    it('should round-trip with every delimiter and quoting policy', () => {
+        for (const delimiter of [',', '\t', '|']) {
+            for (const quoting of ['always', 'minimal']) {
+                const toon = jsonToToonSync(product, { delimiter, quoting });
+                assert.deepStrictEqual(toonToJsonSync(toon), product);
+            }
+        }
+    });
+
+    it('should split rows after an escaped backslash before a closing quote', () => {
+        assert.deepStrictEqual(splitByDelimiter('"a\\\\",b', ','), ['"a\\\\"', 'b']);
+        assert.deepStrictEqual(splitByDelimiter('"x\\",y",z', ','), ['"x\\",y"', 'z']);
+    });
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests for replacer/reviver hooks across converters
+ * Run with: node --test test/hooks.test.js
+ */
+
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert';
+import {
+    ToonConverter,
+    JsonConverter,
+    YamlConverter,
+    XmlConverter,
+    CsvConverter,
+    Encryptor
+} from '../src/index.js';
+import { replaceValues, reviveValues } from '../src/utils.js';
+
+before(async () => {
+    if (typeof DOMParser === 'undefined') {
+        const { DOMParser: NodeDOMParser } = await import('xmldom');
+        global.DOMParser = NodeDOMParser;
+    }
+});
+
+// Masks every `secret` field, wherever it is
+const redact = (key, value) => key === 'secret' ? '***' : value;
+// Drops every `secret` field
+const drop = (key, value) => key === 'secret' ? undefined : value;
+
+const account = { name: "Alice", secret: "hunter2", profile: { secret: "x", age: 30 } };
+
+describe('Replacer and Reviver Hooks', () => {
+
+    it('should report the path of every value', () => {
+        const seen = [];
+        replaceValues({ users: [{ id: 1 }] }, (key, value, path) => {
+            seen.push(path.join('/'));
+            return value;
+        });
+        assert.deepStrictEqual(seen, ['', 'users', 'users/0', 'users/0/id']);
+
+        const revived = [];
+        reviveValues({ users: [{ id: 1 }] }, (key, value, path) => {
+            revived.push(path);
+            return value;
+        });
+        assert.deepStrictEqual(revived, [['users', 0, 'id'], ['users', 0], ['users'], []]);
+    });
+
+    it('should apply hooks in ToonConverter conversions', () => {
+        const toon = ToonConverter.fromJson(account);
+
+        assert.ok(!ToonConverter.toYaml(toon, { replacer: redact }).includes('hunter2'));
+        assert.ok(!ToonConverter.toXml(toon, { reviver: drop }).includes('secret'));
+        assert.ok(!ToonConverter.toCsv(toon, { replacer: drop }).includes('secret'));
+        assert.ok(!ToonConverter.fromYaml('name: Alice\nsecret: hunter2', { reviver: drop }).includes('secret'));
+        assert.ok(!ToonConverter.fromCsv('name,secret\nAlice,hunter2', { replacer: redact }).includes('hunter2'));
+        assert.ok(!ToonConverter.fromXml('<user><secret>x</secret><name>A</name></user>', { reviver: drop }).includes('secret'));
+    });
+
+    it('should apply hooks in the unified converters', () => {
+        assert.deepStrictEqual(JsonConverter.fromYaml('a: 1\nsecret: 2', { reviver: drop }), { a: 1 });
+        assert.strictEqual(JsonConverter.fromYaml('a: 1', true), '{"a":1}');
+        assert.ok(!JsonConverter.toXml(account, { replacer: redact }).includes('hunter2'));
+        assert.deepStrictEqual(YamlConverter.toJson('secret: 1\nb: 2', { reviver: drop }), { b: 2 });
+        assert.ok(!YamlConverter.fromJson(account, { replacer: drop }).includes('secret'));
+        assert.ok(!XmlConverter.fromCsv('name,secret\nAlice,hunter2', { replacer: redact }).includes('hunter2'));
+        assert.ok(!CsvConverter.fromYaml('- name: Alice\n  secret: hunter2', { reviver: drop }).includes('secret'));
+    });
+
+    it('should apply hooks together with encryption', async () => {
+        const encryptor = new Encryptor(Encryptor.generateKey(), 'aes-256-gcm');
+        const converter = new YamlConverter(encryptor);
+
+        const encrypted = await converter.fromJsonAsync(account, { conversionMode: 'export', replacer: redact });
+        const yaml = encryptor.decrypt(encrypted);
+        assert.ok(yaml.includes("secret: '***'"));
+        assert.ok(!yaml.includes('hunter2'));
+    });
+});
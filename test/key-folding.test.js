@@ -0,0 +1,119 @@
+/**
+ * Tests for key folding (encoder) and path expansion (decoder)
+ * Run with: node --test test/key-folding.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { jsonToToonSync, toonToJsonSync } from '../src/json.js';
+import { validateToonStringSync } from '../src/validator.js';
+import { ToonConverter, parsePartialToonSync, parseToonStream } from '../src/index.js';
+
+const manifest = {
+    apiVersion: "v1",
+    metadata: { labels: { app: "web" } },
+    spec: { template: { spec: { containers: [{ name: "web", image: "nginx" }] } } },
+    resources: { limits: { cpu: 1, memory: "512Mi" } }
+};
+
+describe('Key Folding', () => {
+
+    it('should not fold keys by default', () => {
+        const result = jsonToToonSync({ a: { b: { c: 1 } } });
+        assert.strictEqual(result, 'a:\n  b:\n    c: 1');
+    });
+
+    it('should fold single-key object chains', () => {
+        const result = jsonToToonSync(manifest, { keyFolding: true });
+
+        assert.ok(result.includes('metadata.labels.app: "web"'));
+        assert.ok(result.includes('spec.template.spec.containers[1]{name,image}:'));
+        // Chains stop at objects with more than one key
+        assert.ok(result.includes('resources.limits:\n  cpu: 1\n  memory: "512Mi"'));
+        assert.strictEqual(validateToonStringSync(result).isValid, true);
+    });
+
+    it('should expand dotted keys back into nested objects', () => {
+        const toon = jsonToToonSync(manifest, { keyFolding: true });
+        assert.deepStrictEqual(toonToJsonSync(toon, { expandPaths: true }), manifest);
+    });
+
+    it('should keep dotted keys literal without path expansion', () => {
+        const result = toonToJsonSync('a.b.c: 1');
+        assert.deepStrictEqual(result, { 'a.b.c': 1 });
+    });
+
+    it('should quote literal dotted keys so they survive expansion', () => {
+        const data = { 'version.major': 2, server: { 'host.name': "example.com" } };
+        const toon = jsonToToonSync(data, { keyFolding: true });
+
+        assert.ok(toon.includes('"version.major": 2'));
+        assert.ok(toon.includes('server:\n  "host.name": "example.com"'));
+        assert.deepStrictEqual(toonToJsonSync(toon, { expandPaths: true }), data);
+    });
+
+    it('should merge expanded paths that share a prefix', () => {
+        const result = toonToJsonSync('a.b: 1\na.c: 2', { expandPaths: true });
+        assert.deepStrictEqual(result, { a: { b: 1, c: 2 } });
+    });
+
+    it('should only merge objects along expanded paths', () => {
+        const duplicate = 'a:\n  x: 1\na:\n  y: 2';
+        // A repeated key replaces its value, as in JSON.parse
+        assert.deepStrictEqual(toonToJsonSync(duplicate), { a: { y: 2 } });
+        assert.deepStrictEqual(toonToJsonSync(duplicate, { expandPaths: true }), { a: { y: 2 } });
+
+        assert.deepStrictEqual(toonToJsonSync('a.x: 1\na:\n  y: 2', { expandPaths: true }), { a: { x: 1, y: 2 } });
+        assert.deepStrictEqual(toonToJsonSync('a:\n  x: 1\na.y: 2', { expandPaths: true }), { a: { x: 1, y: 2 } });
+    });
+
+    it('should throw when a path collides with a primitive value', () => {
+        assert.throws(
+            () => toonToJsonSync('a: 1\na.b: 2', { expandPaths: true }),
+            /Path expansion conflict/
+        );
+    });
+
+    it('should throw whichever order a path and a plain value come in', () => {
+        assert.throws(
+            () => toonToJsonSync('a.b: 1\na: 2', { expandPaths: true }),
+            /Path expansion conflict at "a": "a" already holds an expanded path/
+        );
+        assert.throws(() => toonToJsonSync('a.b.c: 1\na.b: 2', { expandPaths: true }), /Path expansion conflict/);
+        // Plain duplicate keys keep the last value, and objects still merge
+        assert.deepStrictEqual(toonToJsonSync('a: 1\na: 2', { expandPaths: true }), { a: 2 });
+        assert.deepStrictEqual(toonToJsonSync('a.b: 1\na:\n  c: 2', { expandPaths: true }), { a: { b: 1, c: 2 } });
+    });
+
+    it('should never expand paths into Object.prototype', async () => {
+        const documents = [
+            '__proto__.isAdmin: true',
+            'constructor.prototype.isAdmin: true',
+            'a.__proto__.isAdmin: true',
+            '__proto__:\n  isAdmin: true',
+            'rows[1]{__proto__}:\n  1'
+        ];
+        for (const toon of documents) {
+            const result = ToonConverter.toJson(toon, { expandPaths: true });
+            assert.strictEqual(Object.getPrototypeOf(result), Object.prototype, toon);
+            parsePartialToonSync(toon, { expandPaths: true });
+            for await (const _ of parseToonStream([toon], { expandPaths: true })) { /* drain */ }
+        }
+        assert.strictEqual(({}).isAdmin, undefined);
+        assert.deepStrictEqual(toonToJsonSync('__proto__.isAdmin: true', { expandPaths: true }), { '__proto__.isAdmin': true });
+        assert.strictEqual(toonToJsonSync('__proto__:\n  isAdmin: true', { returnJson: true }), '{"__proto__":{"isAdmin":true}}');
+    });
+
+    it('should accept the legacy returnJson flag and the options object', () => {
+        assert.strictEqual(toonToJsonSync('a.b: 1', true), '{"a.b":1}');
+        assert.strictEqual(toonToJsonSync('a.b: 1', { returnJson: true, expandPaths: true }), '{"a":{"b":1}}');
+    });
+
+    it('should support folding and expansion through ToonConverter', () => {
+        const converter = new ToonConverter();
+        const toon = converter.fromJson(manifest, { keyFolding: true });
+
+        assert.deepStrictEqual(converter.toJson(toon, { expandPaths: true }), manifest);
+        assert.deepStrictEqual(ToonConverter.toJson(toon, { expandPaths: true }), manifest);
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for the KeyRing (key rotation)
+ * Run with: node --test test/keyring.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    KeyRing,
+    Encryptor,
+    ToonConverter,
+    YamlConverter
+} from '../src/index.js';
+
+describe('KeyRing', () => {
+
+    it('should encrypt with the active key and decrypt with the key the data names', () => {
+        const ring = new KeyRing([{ keyId: '2025', key: Encryptor.generateKey() }]);
+        const old = ring.encrypt('old data');
+        assert.strictEqual(ring.activeKeyId, '2025');
+        assert.strictEqual(Encryptor.parseEnvelope(old).keyId, '2025');
+
+        ring.add('2026', Encryptor.generateKey(), { active: true });
+        const current = ring.encrypt('new data');
+        assert.strictEqual(Encryptor.parseEnvelope(current).keyId, '2026');
+        assert.deepStrictEqual(ring.keyIds, ['2025', '2026']);
+
+        assert.strictEqual(ring.decrypt(old), 'old data');
+        assert.strictEqual(ring.decrypt(current), 'new data');
+        assert.throws(() => ring.decrypt(new KeyRing([{ keyId: 'other', key: Encryptor.generateKey() }]).encrypt('x')), /Unknown key id: "other"/);
+    });
+
+    it('should re-encrypt old ciphertexts and retire keys', () => {
+        const oldKey = Encryptor.generateKey();
+        const ring = new KeyRing()
+            .add('old', oldKey)
+            .add('new', Encryptor.generateKey());
+        const legacy = new Encryptor(oldKey).encrypt('legacy');
+        const enveloped = ring.encrypt('enveloped');
+
+        ring.activate('new');
+        const migrated = [legacy, enveloped].map(payload => ring.reencrypt(payload));
+        migrated.forEach(payload => assert.strictEqual(Encryptor.parseEnvelope(payload).keyId, 'new'));
+
+        assert.throws(() => ring.remove('new'), /Cannot remove the active key/);
+        ring.remove('old');
+        assert.ok(!ring.has('old'));
+        assert.deepStrictEqual(migrated.map(payload => ring.decrypt(payload)), ['legacy', 'enveloped']);
+        assert.throws(() => ring.decrypt(legacy), /No key in the key ring could decrypt the data/);
+    });
+
+    it('should migrate data between authenticated algorithms', () => {
+        const gcmKey = Encryptor.generateKey();
+        const cbcKey = Encryptor.generateKey('aes-256-cbc-hmac-sha256');
+        const ring = new KeyRing([
+            { keyId: 'gcm', key: gcmKey },
+            { keyId: 'cbc', key: cbcKey, algorithm: 'aes-256-cbc-hmac-sha256' },
+            { keyId: 'edge', key: Encryptor.generateKey('chacha20-poly1305'), algorithm: 'chacha20-poly1305', active: true }
+        ]);
+
+        // Data naming no key is tried with the keys of every authenticated algorithm
+        const legacy = [new Encryptor(gcmKey).encrypt('gcm'), new Encryptor(cbcKey, 'aes-256-cbc-hmac-sha256').encrypt('cbc')];
+        const migrated = legacy.map(payload => ring.reencrypt(payload));
+
+        migrated.forEach(payload => assert.ok(payload.startsWith('toon-enc:v1:chacha20-poly1305:edge::')));
+        assert.deepStrictEqual(migrated.map(payload => ring.decrypt(payload)), ['gcm', 'cbc']);
+    });
+
+    it('should be accepted by converters in place of an Encryptor', async () => {
+        const ring = new KeyRing([{ keyId: 'a', key: Encryptor.generateKey() }]);
+        const converter = new ToonConverter(ring);
+
+        const encrypted = converter.fromJson({ name: 'Alice' }, { conversionMode: 'export' });
+        assert.ok(encrypted.startsWith('toon-enc:v1:aes-256-gcm:a::'));
+        assert.deepStrictEqual(converter.toJson(encrypted, { conversionMode: 'ingestion' }), { name: 'Alice' });
+
+        ring.add('b', Encryptor.generateKey(), { active: true });
+        const yaml = new YamlConverter(ring);
+        const rotated = await yaml.fromToonAsync(encrypted, { conversionMode: 'middleware' });
+        assert.strictEqual(Encryptor.parseEnvelope(rotated).keyId, 'b');
+        assert.ok(ring.decrypt(rotated).includes('name: Alice'));
+    });
+
+    it('should build key rings from configuration', () => {
+        const key = Encryptor.generateKey();
+        const ring = KeyRing.fromJSON(JSON.stringify({
+            active: 'phrase',
+            keys: [
+                { keyId: 'raw', key: key.toString('base64'), encoding: 'base64' },
+                { keyId: 'phrase', passphrase: 'from the vault', params: { N: 1024 } },
+                { keyId: 'obfuscated', key: 'my-secret-key', algorithm: 'xor' }
+            ]
+        }));
+
+        assert.strictEqual(ring.activeKeyId, 'phrase');
+        assert.strictEqual(ring.decrypt(ring.encrypt('data')), 'data');
+        assert.strictEqual(ring.decrypt(new Encryptor(key, 'aes-256-gcm', { keyId: 'raw', format: 'envelope' }).encrypt('raw')), 'raw');
+
+        assert.throws(() => KeyRing.fromJSON('{'), /Invalid key ring JSON/);
+        assert.throws(() => KeyRing.fromJSON({ keys: [{ keyId: 'a', key: 'x', encoding: 'latin1' }] }), /Unsupported key encoding/);
+        assert.throws(() => new KeyRing().add('a', key).add('a', key), /already in the key ring/);
+        assert.throws(() => new KeyRing().encrypt('x'), /has no keys/);
+    });
+});
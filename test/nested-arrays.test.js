@@ -0,0 +1,94 @@
+/**
+ * Tests for arrays of arrays and array cells
+ * Run with: node --test test/nested-arrays.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    jsonToToonSync,
+    jsonToToonStream,
+    toonToJsonSync,
+    validateToonStringSync,
+    repairToonSync,
+    estimateTokens
+} from '../src/index.js';
+
+const route = { route: [[13.4, 52.52], [2.35, 48.86], [-0.13, 51.51]] };
+
+describe('Arrays of Arrays', () => {
+
+    it('should write nested arrays on their list item line', () => {
+        const toon = jsonToToonSync(route);
+        assert.strictEqual(toon, 'route[3]:\n  - [2]: 13.4, 52.52\n  - [2]: 2.35, 48.86\n  - [2]: -0.13, 51.51');
+        assert.deepStrictEqual(toonToJsonSync(toon), route);
+        assert.ok(validateToonStringSync(toon).isValid);
+        assert.deepStrictEqual(repairToonSync(toon).fixes, []);
+        assert.ok(estimateTokens(toon) < estimateTokens(JSON.stringify(route, null, 2)));
+    });
+
+    it('should round-trip matrices, deep nesting and mixed lists', () => {
+        const samples = [
+            [[1, 2], [3, 4]],
+            { deep: [[[1, 2]], [[3], []]] },
+            { mixed: ['text', 2, [1, 'a b'], [], { id: 1 }, [{ id: 2 }, { id: 3 }]] },
+            { list: [{ a: 1 }, null] }
+        ];
+        for (const data of samples) {
+            for (const options of [{}, { delimiter: '|', indent: 4 }, { delimiter: '\t' }]) {
+                const toon = jsonToToonSync(data, options);
+                assert.deepStrictEqual(toonToJsonSync(toon), data, toon);
+                assert.ok(validateToonStringSync(toon).isValid, toon);
+            }
+        }
+
+        assert.strictEqual(
+            jsonToToonSync({ mixed: ['text', [], { id: 1 }] }),
+            'mixed[3]:\n  - "text"\n  - [0]:\n  -\n    id: 1'
+        );
+    });
+
+    it('should stream arrays of arrays like the batch encoder', async () => {
+        let toon = '';
+        for await (const chunk of jsonToToonStream(route.route, { key: 'route' })) {
+            toon += chunk;
+        }
+        assert.strictEqual(toon, jsonToToonSync(route));
+    });
+});
+
+describe('Array Cells', () => {
+
+    const stops = { stops: [{ id: 1, coords: [13.4, 52.52] }, { id: 2, coords: [] }] };
+
+    it('should keep rows with array fields tabular when arrayCells is set', () => {
+        const toon = jsonToToonSync(stops, { arrayCells: true });
+        assert.strictEqual(toon, 'stops[2]{id,coords}:\n  1,[13.4,52.52]\n  2,[]');
+        assert.deepStrictEqual(toonToJsonSync(toon), stops);
+        assert.ok(validateToonStringSync(toon).isValid);
+
+        // Without the option such rows use the list form
+        assert.ok(jsonToToonSync(stops).includes('coords[2]: 13.4, 52.52'));
+    });
+
+    it('should split array cells on the row delimiter and quote brackets', () => {
+        const data = { rows: [{ id: 1, tags: ['a,b', '[x]', null] }] };
+        for (const delimiter of [',', '|', '\t']) {
+            const toon = jsonToToonSync(data, { arrayCells: true, delimiter, quoting: 'minimal' });
+            assert.deepStrictEqual(toonToJsonSync(toon), data, toon);
+        }
+        assert.strictEqual(
+            jsonToToonSync(data, { arrayCells: true, delimiter: '|', quoting: 'minimal' }),
+            'rows[1|]{id,tags}:\n  1|[a,b|"[x]"|null]'
+        );
+    });
+
+    it('should coerce array cell items with a schema', () => {
+        const schema = {
+            type: 'object',
+            properties: { rows: { type: 'array', items: { type: 'object', properties: { zips: { type: 'array', items: { type: 'string' } } } } } }
+        };
+        const data = toonToJsonSync('rows[1]{zips}:\n  [02134,10001]', { schema });
+        assert.deepStrictEqual(data, { rows: [{ zips: ['02134', '10001'] }] });
+    });
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests for best-effort parsing of truncated TOON
+ * Run with: node --test test/partial-parse.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parsePartialToonSync, parsePartialToon, jsonToToonSync, toonToJsonSync } from '../src/json.js';
+
+const data = {
+    title: 'Report',
+    users: [{ id: 1, name: 'Alice' }, { id: 2, name: 'Bob' }, { id: 3, name: 'Carol' }],
+    tags: ['a', 'b', 'c']
+};
+const toon = jsonToToonSync(data);
+
+describe('Partial Parsing', () => {
+
+    it('should report a complete document as complete', async () => {
+        assert.deepStrictEqual(parsePartialToonSync(toon), {
+            data,
+            complete: true,
+            incomplete: [],
+            stoppedAt: { line: 6, column: 23 },
+            pendingLine: null
+        });
+        assert.strictEqual((await parsePartialToon(toon)).complete, true);
+    });
+
+    it('should return the rows received before the cut', () => {
+        const cut = toon.slice(0, toon.indexOf('"Bob"') + 3);
+        const result = parsePartialToonSync(cut);
+
+        assert.deepStrictEqual(result.data, { title: 'Report', users: [{ id: 1, name: 'Alice' }] });
+        assert.strictEqual(result.complete, false);
+        assert.deepStrictEqual(result.incomplete, [{ path: ['users'], declared: 3, received: 1, line: 2 }]);
+        assert.deepStrictEqual(result.stoppedAt, { line: 3, column: 12 });
+        assert.strictEqual(result.pendingLine, '  2,"Bo');
+    });
+
+    it('should drop tabular rows with missing cells', () => {
+        const result = parsePartialToonSync('users[2]{id,name}:\n  1,"Alice"\n  2');
+        assert.deepStrictEqual(result.data, { users: [{ id: 1, name: 'Alice' }] });
+        assert.strictEqual(result.pendingLine, '  2');
+    });
+
+    it('should leave out a last row that ends in a bare delimiter', () => {
+        for (const delimiter of [',', '|', '\t']) {
+            const header = delimiter === ',' ? '' : delimiter;
+            const result = parsePartialToonSync(`u[3${header}]{id,name}:\n  1${delimiter}"A"\n  2${delimiter}`);
+
+            assert.deepStrictEqual(result.data, { u: [{ id: 1, name: 'A' }] });
+            assert.deepStrictEqual(result.incomplete, [{ path: ['u'], declared: 3, received: 1, line: 1 }]);
+            assert.strictEqual(result.pendingLine, `  2${delimiter}`);
+        }
+        // A delimiter inside a quoted last cell is not a cut
+        assert.strictEqual(parsePartialToonSync('u[1]{id,name}:\n  1,"A,"').pendingLine, null);
+    });
+
+    it('should keep whole items of a cut inline array', () => {
+        const result = parsePartialToonSync('tags[3]: "a", "b", "c');
+
+        assert.deepStrictEqual(result.data, { tags: ['a', 'b'] });
+        assert.deepStrictEqual(result.incomplete, [{ path: ['tags'], declared: 3, received: 2, line: 1 }]);
+
+        const afterDelimiter = parsePartialToonSync('tags[3]: "a", "b",');
+        assert.deepStrictEqual(afterDelimiter.data, { tags: ['a', 'b'] });
+        assert.strictEqual(afterDelimiter.pendingLine, 'tags[3]: "a", "b",');
+    });
+
+    it('should report nested arrays that were still open', () => {
+        const result = parsePartialToonSync('orders[2]:\n  -\n    id: 1\n    items[3]: 1, 2, 3\n  -\n    id: 2\n    items[2]:\n      - 4\n');
+
+        assert.deepStrictEqual(result.data, { orders: [{ id: 1, items: [1, 2, 3] }, { id: 2, items: [4] }] });
+        assert.deepStrictEqual(result.incomplete.map(a => [a.path, a.received]), [[['orders', 1, 'items'], 1]]);
+        assert.strictEqual(result.pendingLine, null);
+    });
+
+    it('should treat a trailing newline as a complete last line', () => {
+        const result = parsePartialToonSync('a: 1\nb: "x"\n');
+        assert.strictEqual(result.complete, true);
+        assert.deepStrictEqual(result.stoppedAt, { line: 2, column: 7 });
+    });
+
+    it('should skip the empty item after a trailing delimiter', () => {
+        assert.deepStrictEqual(toonToJsonSync('nums[2]: 1, 2,'), { nums: [1, 2] });
+    });
+});
@@ -0,0 +1,76 @@
+/**
+ * Tests for schema-based prompt templates
+ * Run with: node --test test/prompt.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ToonConverter, ToonSchemaError, schemaToToonTemplate, parseToonReply } from '../src/index.js';
+
+const schema = {
+    type: 'object',
+    required: ['items'],
+    properties: {
+        status: { enum: ['paid', 'pending'] },
+        items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['id', 'name'],
+                properties: { id: { type: 'integer' }, name: { type: 'string' }, price: { type: 'number' } }
+            }
+        },
+        tags: { type: 'array', items: { type: 'string' } },
+        notes: { type: 'array', items: { $ref: '#/$defs/note' } }
+    },
+    $defs: {
+        note: { type: 'object', properties: { text: { type: 'string' }, meta: { type: 'object', properties: { pinned: { type: 'boolean' } } } } }
+    }
+};
+
+describe('Prompt Templates', () => {
+
+    it('should build a template from a schema', () => {
+        const { template } = schemaToToonTemplate(schema);
+        assert.strictEqual(template, [
+            'status: <"paid" | "pending">',
+            'items[N]{id,name,price}:',
+            '  <integer>,"<string>",<number>',
+            'tags[N]: "<string>"',
+            'notes[N]:',
+            '  -',
+            '    text: "<string>"',
+            '    meta:',
+            '      pinned: <boolean>'
+        ].join('\n'));
+
+        const compact = ToonConverter.template(schema, { delimiter: '|', quoting: 'minimal' }).template;
+        assert.ok(compact.includes('items[N|]{id,name,price}:\n  <integer>|<string>|<number>'));
+    });
+
+    it('should describe the format in the instructions', () => {
+        const { template, instructions } = ToonConverter.template(schema, { delimiter: '\t' });
+        assert.ok(instructions.includes(template));
+        assert.ok(instructions.includes('separated by tabs'));
+        assert.ok(instructions.includes('Required fields: items, items[].id, items[].name.'));
+        assert.ok(instructions.includes('starting with `- `'));
+
+        const flat = schemaToToonTemplate({ type: 'object', properties: { a: { type: 'integer' } } }).instructions;
+        assert.ok(!flat.includes('[N]'));
+        assert.ok(!flat.includes('Required fields'));
+    });
+
+    it('should parse and validate a reply against the schema', () => {
+        const reply = 'Here is the invoice:\n```toon\nitems[3]{id,name,price}:\n  1,"Pen",2.50\n  "2",Ink,3\n```';
+        assert.deepStrictEqual(ToonConverter.parseReply(reply, schema), {
+            items: [{ id: 1, name: 'Pen', price: 2.5 }, { id: 2, name: 'Ink', price: 3 }]
+        });
+
+        assert.throws(() => parseToonReply('status: "late"', schema), (err) => {
+            assert.ok(err instanceof ToonSchemaError);
+            assert.deepStrictEqual(err.errors.map(e => e.pointer), ['/items', '/status']);
+            return true;
+        });
+        assert.throws(() => parseToonReply('tags[2]: "a"', schema, { strict: true }), /Invalid TOON/);
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Tests for quoted and special-character keys
+ * Run with: node --test test/quoted-keys.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { jsonToToonSync, toonToJsonSync } from '../src/json.js';
+import { validateToonStringSync } from '../src/validator.js';
+import { formatKey, isSafeKey } from '../src/utils.js';
+
+const analytics = {
+    "utm:source": "newsletter",
+    "a,b": 1,
+    "tags[0]": ["x", "y"],
+    " padded ": true,
+    "-flag": null,
+    "": "blank",
+    "say \"hi\"": { "nested:key": 2 },
+    events: [
+        { "utm:source": "ads", "a,b": 2, "{id}": 7 },
+        { "utm:source": "mail", "a,b": 3, "{id}": 8 }
+    ],
+    plain_key: "value: [1]"
+};
+
+describe('Quoted Keys', () => {
+
+    it('should only quote keys that need it', () => {
+        assert.strictEqual(isSafeKey('name'), true);
+        assert.strictEqual(isSafeKey('first name'), true);
+        assert.strictEqual(isSafeKey('@id'), true);
+        assert.strictEqual(formatKey('utm:source'), '"utm:source"');
+        assert.strictEqual(formatKey('a,b'), '"a,b"');
+        assert.strictEqual(formatKey('-x'), '"-x"');
+        assert.strictEqual(formatKey(''), '""');
+        assert.strictEqual(formatKey('say "hi"'), '"say \\"hi\\""');
+    });
+
+    it('should quote keys in key-value lines, array headers and field lists', () => {
+        const toon = jsonToToonSync(analytics);
+
+        assert.ok(toon.includes('"utm:source": "newsletter"'));
+        assert.ok(toon.includes('"tags[0]"[2]: "x", "y"'));
+        assert.ok(toon.includes('events[2]{"utm:source","a,b","{id}"}:'));
+        assert.ok(toon.includes('plain_key: "value: [1]"'));
+    });
+
+    it('should round-trip special keys with every delimiter', () => {
+        for (const delimiter of [',', '\t', '|']) {
+            const toon = jsonToToonSync(analytics, { delimiter });
+            assert.strictEqual(validateToonStringSync(toon).isValid, true);
+            assert.deepStrictEqual(toonToJsonSync(toon), analytics);
+        }
+    });
+
+    it('should parse hand-written quoted keys', () => {
+        const toon = [
+            '"utm:source": "x"',
+            'rows[1]{id,"a,b"}:',
+            '  1,2',
+            'items[2]:',
+            '  - "k:v"',
+            '  -',
+            '    "x[1]": 1'
+        ].join('\n');
+
+        assert.deepStrictEqual(toonToJsonSync(toon), {
+            "utm:source": "x",
+            rows: [{ id: 1, "a,b": 2 }],
+            items: ["k:v", { "x[1]": 1 }]
+        });
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for lenient parsing and repair of LLM-generated TOON
+ * Run with: node --test test/repair.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { jsonToToonSync, toonToJsonSync, repairToonSync, repairToon } from '../src/json.js';
+import { repairToonText, TOON_FIX_CODES } from '../src/repair.js';
+import { ToonConverter, ToonSyntaxError } from '../src/index.js';
+
+const llmOutput = [
+    'Sure! Here is the data you asked for',
+    '```toon',
+    'users[3]{id,name}:',
+    '  1,"Alice"',
+    '  2,"Bob",',
+    'meta:',
+    '    count: 2',
+    'tags[2]: "a", "b", "c"',
+    '```',
+    'Let me know if you need anything else.'
+].join('\n');
+
+describe('TOON Repair', () => {
+
+    it('should repair LLM output and report the fixes', () => {
+        const { data, toon, fixes } = repairToonSync(llmOutput);
+
+        assert.deepStrictEqual(data, {
+            users: [{ id: 1, name: 'Alice' }, { id: 2, name: 'Bob' }],
+            meta: { count: 2 },
+            tags: ['a', 'b', 'c']
+        });
+        assert.strictEqual(toon, 'users[2]{id,name}:\n  1,"Alice"\n  2,"Bob"\nmeta:\n  count: 2\ntags[3]: "a", "b", "c"');
+        assert.deepStrictEqual(fixes.map(f => [f.code, f.line]), [
+            [TOON_FIX_CODES.EXTRACTED_CODE_BLOCK, 2],
+            [TOON_FIX_CODES.ARRAY_LENGTH, 3],
+            [TOON_FIX_CODES.TRAILING_DELIMITER, 5],
+            [TOON_FIX_CODES.NORMALIZED_INDENT, 7],
+            [TOON_FIX_CODES.ARRAY_LENGTH, 8]
+        ]);
+    });
+
+    it('should parse leniently with strict: false', () => {
+        const toon = 'items[3]: 1, 2\nconfig:\n\tdebug: true\nHope this helps!';
+
+        assert.throws(() => toonToJsonSync(toon), ToonSyntaxError);
+        assert.deepStrictEqual(toonToJsonSync(toon, { strict: false }), { items: [1, 2], config: { debug: true } });
+        assert.strictEqual(ToonConverter.toJson(toon, { strict: false, returnJson: true }), '{"items":[1,2],"config":{"debug":true}}');
+    });
+
+    it('should drop a sentence introducing the data', () => {
+        const reply = 'Here is the data:\nusers[2]{id,name}:\n  1,"Alice"\n  2,"Bob"';
+        const { data, toon, fixes } = repairToonSync(reply);
+
+        assert.deepStrictEqual(data, { users: [{ id: 1, name: 'Alice' }, { id: 2, name: 'Bob' }] });
+        assert.strictEqual(toon, 'users[2]{id,name}:\n  1,"Alice"\n  2,"Bob"');
+        assert.deepStrictEqual(fixes.map(f => [f.code, f.line]), [[TOON_FIX_CODES.REMOVED_COMMENTARY, 1]]);
+
+        // Keys with a block, or without spaces, stay data
+        assert.deepStrictEqual(repairToonSync('my key:\n  a: 1').data, { 'my key': { a: 1 } });
+        assert.deepStrictEqual(repairToonSync('meta:\na: 1').data, { meta: {}, a: 1 });
+    });
+
+    it('should count missing list items and rows', () => {
+        const toon = 'list[3]:\n  - 1\n  - 2\nrows[1]{a}:\n  1\n  2';
+        assert.deepStrictEqual(repairToonSync(toon).data, { list: [1, 2], rows: [{ a: 1 }, { a: 2 }] });
+    });
+
+    it('should normalize dedents that land between levels', () => {
+        const toon = 'a:\n    b:\n        c: 1\n      d: 2\ne: 3';
+        const { data, fixes } = repairToonSync(toon);
+
+        assert.deepStrictEqual(data, { a: { b: { c: 1, d: 2 } }, e: 3 });
+        assert.deepStrictEqual(fixes.map(f => f.line), [4]);
+    });
+
+    it('should split list items with nested fields', () => {
+        const toon = 'items[2]:\n  - id: 1\n    tags[1]: "x"\n  - id: 2';
+        const { data, fixes } = repairToonSync(toon);
+
+        assert.deepStrictEqual(data, { items: [{ id: 1, tags: ['x'] }, { id: 2 }] });
+        assert.strictEqual(fixes[0].code, TOON_FIX_CODES.SPLIT_LIST_ITEM);
+    });
+
+    it('should quote tabular cells containing colons', () => {
+        const { data, fixes } = repairToonSync('slots[1]{id,time}:\n  1,12:30');
+
+        assert.deepStrictEqual(data, { slots: [{ id: 1, time: '12:30' }] });
+        assert.strictEqual(fixes[0].code, TOON_FIX_CODES.QUOTED_CELL);
+    });
+
+    it('should leave valid documents untouched', async () => {
+        const samples = [
+            { users: [{ id: 1, name: 'A' }, { id: 2 }], nested: { deep: { v: 'a:b' } }, empty: [] },
+            { items: [{ a: 1, b: { c: 2 } }, { a: 3, d: [1, 2] }] },
+            [{ a: 1 }, { a: 2 }]
+        ];
+        for (const sample of samples) {
+            for (const delimiter of [',', '\t', '|']) {
+                const toon = jsonToToonSync(sample, { delimiter, indent: 4 });
+                assert.deepStrictEqual(repairToonText(toon), { toon, fixes: [] });
+                assert.deepStrictEqual((await repairToon(toon)).data, sample);
+            }
+        }
+    });
+
+    it('should still throw when the document cannot be repaired', () => {
+        assert.throws(() => repairToonSync('key: "unterminated\n: value'), ToonSyntaxError);
+        assert.throws(() => ToonConverter.repair(''), ToonSyntaxError);
+    });
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests for JSON Schema coercion, validation and column ordering
+ * Run with: node --test test/schema.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    ToonConverter,
+    ToonSchemaError,
+    Encryptor,
+    jsonToToonSync,
+    toonToJsonSync
+} from '../src/index.js';
+
+const schema = {
+    type: 'object',
+    required: ['user'],
+    properties: {
+        user: { $ref: '#/$defs/user' },
+        rows: {
+            type: 'array',
+            items: { type: 'object', properties: { id: { type: 'integer' }, code: { type: 'string' } } }
+        }
+    },
+    $defs: {
+        user: {
+            type: 'object',
+            required: ['id', 'zip'],
+            properties: {
+                id: { type: 'integer' },
+                zip: { type: 'string' },
+                version: { type: 'string' },
+                active: { type: 'boolean' },
+                tags: { type: 'array', items: { type: 'string' } }
+            }
+        }
+    }
+};
+
+describe('JSON Schema', () => {
+
+    it('should read values as their declared types', () => {
+        const toon = [
+            'user:',
+            '  id: "42"',
+            '  zip: 02134',
+            '  version: 1.10',
+            '  active: "true"',
+            '  tags[2]: 1, true',
+            'rows[2]{code,id}:',
+            '  007,"1"',
+            '  "x",2'
+        ].join('\n');
+
+        assert.deepStrictEqual(toonToJsonSync(toon, { schema }), {
+            user: { id: 42, zip: '02134', version: '1.10', active: true, tags: ['1', 'true'] },
+            rows: [{ code: '007', id: 1 }, { code: 'x', id: 2 }]
+        });
+
+        // Without a schema the values are inferred as before
+        assert.strictEqual(toonToJsonSync(toon).user.version, 1.1);
+    });
+
+    it('should report every violation with its path', () => {
+        assert.throws(
+            () => toonToJsonSync('user:\n  id: old\nrows[1]{id}:\n  x', { schema }),
+            (err) => {
+                assert.ok(err instanceof ToonSchemaError);
+                assert.strictEqual(err.message, 'Schema validation failed: /user/zip: required property is missing (and 2 more)');
+                assert.deepStrictEqual(err.errors.map(e => [e.pointer, e.keyword]), [
+                    ['/user/zip', 'required'],
+                    ['/user/id', 'type'],
+                    ['/rows/0/id', 'type']
+                ]);
+                assert.deepStrictEqual(err.errors[2].path, ['rows', 0, 'id']);
+                return true;
+            }
+        );
+        assert.throws(() => toonToJsonSync('rows[0]:', { schema }), /Schema validation failed: \/user: required property is missing/);
+    });
+
+    it('should order keys and tabular columns by the schema', () => {
+        const data = { rows: [{ code: 'a', extra: true, id: 1 }, { id: 2, code: 'b' }], user: { zip: '1', id: 3 } };
+        assert.strictEqual(jsonToToonSync(data, { schema }), [
+            'user:',
+            '  id: 3',
+            '  zip: "1"',
+            'rows[2]{id,code,extra}:',
+            '  1,"a",true',
+            '  2,"b",'
+        ].join('\n'));
+    });
+
+    it('should accept a schema in ToonConverter', async () => {
+        const toon = 'user:\n  id: 7\n  zip: 00501';
+        assert.deepStrictEqual(ToonConverter.toJson(toon, { schema }), { user: { id: 7, zip: '00501' } });
+
+        const converter = new ToonConverter(new Encryptor(Encryptor.generateKey(), 'aes-256-gcm'));
+        const encrypted = converter.fromJson({ user: { zip: '00501', id: 7 } }, { conversionMode: 'export', schema });
+        assert.deepStrictEqual(await converter.toJsonAsync(encrypted, { conversionMode: 'ingestion', schema }), {
+            user: { id: 7, zip: '00501' }
+        });
+
+        assert.throws(() => ToonConverter.toJson('a: 1', { schema: 'nope' }), /Invalid schema/);
+    });
+});
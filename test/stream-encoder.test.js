@@ -0,0 +1,108 @@
+/**
+ * Tests for the streaming TOON encoder
+ * Run with: node --test test/stream-encoder.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { Readable } from 'node:stream';
+import { jsonToToonStream, jsonToToonSync, toonToJsonSync } from '../src/json.js';
+import { jsonToToonStream as exported } from '../src/index.js';
+
+async function* generate(rows) {
+    for (const row of rows) {
+        yield row;
+    }
+}
+
+async function collect(stream) {
+    let output = '';
+    for await (const chunk of stream) {
+        output += chunk;
+    }
+    return output;
+}
+
+const samples = {
+    tabular: [{ id: 1, name: 'Alice' }, { id: 2 }, { id: 3, name: 'Carol' }],
+    primitives: [1, 'two', true, null],
+    nested: [{ id: 1, tags: ['a', 'b'] }, { id: 2, meta: { active: true } }],
+    empty: []
+};
+
+describe('Streaming Encoder', () => {
+
+    it('should match the batch encoder byte for byte', async () => {
+        for (const [name, rows] of Object.entries(samples)) {
+            for (const delimiter of [',', '\t', '|']) {
+                const options = { delimiter, quoting: 'minimal', indent: 3 };
+                const streamed = await collect(jsonToToonStream(generate(rows), { key: name, count: rows.length, ...options }));
+                assert.strictEqual(streamed, jsonToToonSync({ [name]: rows }, options), `${name} with ${JSON.stringify(delimiter)}`);
+            }
+        }
+    });
+
+    it('should encode root arrays', async () => {
+        const rows = samples.tabular;
+        assert.strictEqual(await collect(jsonToToonStream(rows, { count: 3 })), jsonToToonSync(rows));
+    });
+
+    it('should emit the header before reading the rows', async () => {
+        let pulled = 0;
+        async function* rows() {
+            for (let i = 1; i <= 3; i++) {
+                pulled++;
+                yield { id: i };
+            }
+        }
+
+        const stream = jsonToToonStream(rows(), { key: 'ids', count: 3 });
+        assert.strictEqual((await stream.next()).value, 'ids[3]{id}:');
+        assert.strictEqual(pulled, 1);
+        assert.strictEqual((await stream.next()).value, '\n  1');
+    });
+
+    it('should accept a deferred or omitted count', async () => {
+        const rows = samples.tabular;
+        const expected = jsonToToonSync({ users: rows });
+
+        assert.strictEqual(await collect(jsonToToonStream(generate(rows), { key: 'users', count: Promise.resolve(3) })), expected);
+        assert.strictEqual(await collect(jsonToToonStream(generate(rows), { key: 'users', count: async () => 3 })), expected);
+        assert.strictEqual(await collect(jsonToToonStream(generate(rows), { key: 'users' })), expected);
+    });
+
+    it('should use declared tabular fields', async () => {
+        const output = await collect(exported([{ b: 1 }, { a: 2 }], { key: 'rows', count: 2, fields: ['a', 'b'] }));
+        assert.strictEqual(output, 'rows[2]{a,b}:\n  ,1\n  2,');
+        assert.deepStrictEqual(toonToJsonSync(output), { rows: [{ b: 1 }, { a: 2 }] });
+    });
+
+    it('should work as a Node Readable', async () => {
+        const readable = Readable.from(jsonToToonStream(generate(samples.tabular), { key: 'users', count: 3 }));
+        assert.strictEqual(await collect(readable), jsonToToonSync({ users: samples.tabular }));
+    });
+
+    it('should pick the layout from every buffered row', async () => {
+        const mixed = {
+            sparse: [{ a: 1 }, { a: 2, b: 3 }],
+            objectAfterPrimitive: [1, { a: 1 }],
+            arrayAfterPrimitive: ['x', [1]],
+            arrayAfterObject: [{ a: 1 }, [1]]
+        };
+        for (const [name, rows] of Object.entries(mixed)) {
+            const streamed = await collect(jsonToToonStream(generate(rows), { key: name }));
+            assert.strictEqual(streamed, jsonToToonSync({ [name]: rows }), name);
+            assert.deepStrictEqual(toonToJsonSync(streamed), { [name]: rows }, name);
+        }
+    });
+
+    it('should reject rows that break the declared shape', async () => {
+        await assert.rejects(collect(jsonToToonStream([{ a: 1 }, { a: 2, b: 3 }], { count: 2 })), /Row 2 has field "b" missing from the header/);
+        await assert.rejects(collect(jsonToToonStream([{ a: 1 }, { a: { b: 1 } }], { count: 2 })), /Row 2 is not a flat object/);
+        await assert.rejects(collect(jsonToToonStream([1, { a: 1 }], { count: 2 })), /Row 2 is not a primitive/);
+        await assert.rejects(collect(jsonToToonStream(['x', [1]], { count: 2 })), /Row 2 is not a primitive/);
+        await assert.rejects(collect(jsonToToonStream([1, 2], { count: 1 })), /more than the declared 1 rows/);
+        await assert.rejects(collect(jsonToToonStream([1, 2], { count: 3 })), /produced 2 rows but 3 were declared/);
+        await assert.rejects(collect(jsonToToonStream([1], { count: -1 })), /Invalid count/);
+    });
+});
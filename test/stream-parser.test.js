@@ -0,0 +1,112 @@
+/**
+ * Tests for the incremental TOON parser
+ * Run with: node --test test/stream-parser.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { ToonStreamParser, parseToonStream, jsonToToonSync, toonToJsonSync } from '../src/json.js';
+import { ToonSyntaxError, TOON_ERROR_CODES } from '../src/index.js';
+
+const data = {
+    title: 'Report',
+    users: [{ id: 1, name: 'Alice' }, { id: 2, name: 'Bob' }],
+    nested: { tags: ['a', 'b'], list: [{ a: { b: 1 } }, { c: 2 }] }
+};
+const toon = jsonToToonSync(data);
+
+function* chunksOf(text, size) {
+    for (let i = 0; i < text.length; i += size) {
+        yield text.slice(i, i + size);
+    }
+}
+
+describe('Streaming Parser', () => {
+
+    it('should produce the same result as toonToJsonSync for any chunk size', () => {
+        for (const size of [1, 3, 16, toon.length]) {
+            const parser = new ToonStreamParser();
+            for (const chunk of chunksOf(toon, size)) parser.write(chunk);
+            assert.deepStrictEqual(parser.end(), toonToJsonSync(toon));
+        }
+    });
+
+    it('should emit tabular rows as soon as their line is complete', () => {
+        const parser = new ToonStreamParser();
+        const rows = [];
+        parser.on('row', ({ path, index, row }) => rows.push({ path, index, row }));
+
+        parser.write('users[2]{id,name}:\n  1,"Ali');
+        assert.deepStrictEqual(rows, []);
+        parser.write('ce"\n  2,');
+        assert.deepStrictEqual(rows, [{ path: ['users'], index: 0, row: { id: 1, name: 'Alice' } }]);
+        parser.end('"Bob"');
+        assert.strictEqual(rows.length, 2);
+    });
+
+    it('should yield structural events in document order', async () => {
+        const events = [];
+        for await (const event of parseToonStream(chunksOf('a: 1\nb[2]: 1, 2\nc:\n  d: true', 5))) {
+            events.push(event);
+        }
+
+        assert.deepStrictEqual(events.map(e => [e.type, e.path && e.path.join('.')]), [
+            ['objectStart', ''],
+            ['key', ''],
+            ['value', 'a'],
+            ['key', ''],
+            ['arrayStart', 'b'],
+            ['value', 'b.0'],
+            ['value', 'b.1'],
+            ['arrayEnd', 'b'],
+            ['key', ''],
+            ['objectStart', 'c'],
+            ['key', 'c'],
+            ['value', 'c.d'],
+            ['objectEnd', 'c'],
+            ['objectEnd', ''],
+            ['end', undefined]
+        ]);
+        assert.deepStrictEqual(events.at(-1).value, { a: 1, b: [1, 2], c: { d: true } });
+    });
+
+    it('should report declared and received counts on arrayEnd', () => {
+        const parser = new ToonStreamParser();
+        const ends = [];
+        parser.on('arrayEnd', (event) => ends.push(event));
+        parser.end('[2]{x}:\n  1\n  2');
+
+        assert.deepStrictEqual(ends, [{ type: 'arrayEnd', path: [], length: 2, count: 2 }]);
+    });
+
+    it('should throw on count mismatches', async () => {
+        const parser = new ToonStreamParser();
+        parser.write('items[3]:\n  - 1\n  - 2\n');
+
+        assert.throws(() => parser.end('next: 1'), (err) => {
+            assert.ok(err instanceof ToonSyntaxError);
+            assert.strictEqual(err.code, TOON_ERROR_CODES.ARRAY_SIZE_MISMATCH);
+            assert.strictEqual(err.line, 1);
+            return true;
+        });
+
+        await assert.rejects(async () => {
+            for await (const event of parseToonStream(['rows[2]{a}:\n  1\n'])) void event;
+        }, /Declared 2, found 1/);
+    });
+
+    it('should expand dotted keys when asked', () => {
+        const parser = new ToonStreamParser({ expandPaths: true });
+        const values = [];
+        parser.on('value', ({ path }) => values.push(path));
+
+        assert.deepStrictEqual(parser.end('a.b.c: 1'), { a: { b: { c: 1 } } });
+        assert.deepStrictEqual(values, [['a', 'b', 'c']]);
+    });
+
+    it('should not accept writes after end', () => {
+        const parser = new ToonStreamParser();
+        parser.end('a: 1');
+        assert.throws(() => parser.write('b: 2'), /after end/);
+    });
+});
@@ -0,0 +1,65 @@
+/**
+ * Tests for tabular arrays with heterogeneous rows
+ * Run with: node --test test/tabular-arrays.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { jsonToToonSync, toonToJsonSync } from '../src/json.js';
+import { validateToonStringSync } from '../src/validator.js';
+
+const sparse = {
+    users: [
+        { id: 1, name: "Alice" },
+        { id: 2, email: "bob@example.com" },
+        { name: "Carol", id: 3, score: null }
+    ]
+};
+
+describe('Tabular Arrays - Union of Keys', () => {
+
+    it('should build the header from the union of keys in first-seen order', () => {
+        const result = jsonToToonSync(sparse);
+
+        assert.ok(result.startsWith('users[3]{id,name,email,score}:'));
+        assert.ok(result.includes('  1,"Alice",,'));
+        assert.ok(result.includes('  2,,"bob@example.com",'));
+        assert.ok(result.includes('  3,"Carol",,null'));
+    });
+
+    it('should restore missing keys as absent on parse', () => {
+        for (const delimiter of [',', '\t', '|']) {
+            const toon = jsonToToonSync(sparse, { delimiter });
+            assert.strictEqual(validateToonStringSync(toon).isValid, true);
+            assert.deepStrictEqual(toonToJsonSync(toon), sparse);
+        }
+    });
+
+    it('should write explicit nulls when missingCells is null', () => {
+        const toon = jsonToToonSync(sparse, { missingCells: 'null' });
+        const result = toonToJsonSync(toon);
+
+        assert.ok(toon.includes('  2,null,"bob@example.com",null'));
+        assert.deepStrictEqual(result.users[1], { id: 2, name: null, email: "bob@example.com", score: null });
+    });
+
+    it('should fall back to list form when a row has no cells at all', () => {
+        const data = [{ a: 1 }, {}];
+        const toon = jsonToToonSync(data);
+
+        assert.ok(!toon.includes('{a}'));
+        assert.deepStrictEqual(toonToJsonSync(toon), data);
+    });
+
+    it('should validate documents with several tabular arrays', () => {
+        const toon = jsonToToonSync({ a: [{ x: 1 }], b: [{ y: 2 }, { y: 3 }], c: 1 });
+        assert.deepStrictEqual(validateToonStringSync(toon), { isValid: true, error: null });
+    });
+
+    it('should detect row count mismatches in nested tabular arrays', () => {
+        const result = validateToonStringSync('a[2]{x}:\n  1\nb: 2');
+
+        assert.strictEqual(result.isValid, false);
+        assert.ok(result.error.includes('Array size mismatch'));
+    });
+});
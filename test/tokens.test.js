@@ -0,0 +1,133 @@
+/**
+ * Tests for token estimation, format comparison and format optimization
+ * Run with: node --test test/tokens.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { estimateTokens, approximateTokenCount, compareFormats, optimizeFormat } from '../src/tokens.js';
+import { ToonConverter, jsonToToonSync } from '../src/index.js';
+
+const users = {
+    users: Array.from({ length: 20 }, (_, i) => ({ id: i, name: `User ${i}`, active: i % 2 === 0 }))
+};
+
+describe('Token Estimation', () => {
+
+    it('should approximate common BPE counts', () => {
+        assert.strictEqual(estimateTokens(''), 0);
+        assert.strictEqual(estimateTokens('Hello, world! The quick brown fox jumps over the lazy dog.'), 14);
+        assert.strictEqual(approximateTokenCount('12345'), 2);
+        assert.strictEqual(approximateTokenCount('日本語'), 3);
+    });
+
+    it('should count whitespace runs once', () => {
+        assert.strictEqual(estimateTokens('a:\n    b: 1'), estimateTokens('a:\n  b: 1'));
+    });
+
+    it('should accept function and encoder tokenizers', () => {
+        assert.strictEqual(estimateTokens('a b c', { tokenizer: (text) => text.split(' ') }), 3);
+        assert.strictEqual(estimateTokens('a b c', { tokenizer: (text) => text.length }), 5);
+        assert.strictEqual(estimateTokens('abcd', { tokenizer: { encode: (text) => new Uint32Array(text.length) } }), 4);
+    });
+
+    it('should reject invalid input', () => {
+        assert.throws(() => estimateTokens(42), /Text must be a string/);
+        assert.throws(() => estimateTokens('x', { tokenizer: 'cl100k' }), /Unsupported tokenizer/);
+    });
+});
+
+describe('Format Comparison', () => {
+
+    it('should report every format side by side', () => {
+        const report = ToonConverter.compare(users);
+
+        assert.deepStrictEqual(Object.keys(report.formats), ['json', 'jsonPretty', 'yaml', 'xml', 'csv', 'toon']);
+        for (const { tokens, characters } of Object.values(report.formats)) {
+            assert.ok(tokens > 0 && characters > 0);
+        }
+        assert.strictEqual(report.formats.toon.characters, jsonToToonSync(users).length);
+        assert.strictEqual(report.cheapest, 'toon');
+        assert.ok(report.savings.json > 0.3);
+        assert.ok(report.savings.jsonPretty > report.savings.json);
+    });
+
+    it('should use the given tokenizer and encoder options', () => {
+        const report = compareFormats(JSON.stringify(users), { tokenizer: (text) => text.length, delimiter: '|' });
+
+        assert.strictEqual(report.formats.json.tokens, report.formats.json.characters);
+        assert.strictEqual(report.formats.toon.characters, jsonToToonSync(users, { delimiter: '|' }).length);
+        assert.deepStrictEqual(new ToonConverter().compare(users, { tokenizer: (text) => text.length }), compareFormats(users, { tokenizer: (text) => text.length }));
+    });
+
+    it('should only name formats that hold the data as cheapest', () => {
+        // CSV flattens nested data and XML writes nothing for these values
+        assert.notStrictEqual(compareFormats({ a: { b: 1 } }).cheapest, 'csv');
+        for (const data of [5, [], {}]) {
+            assert.strictEqual(compareFormats(data).formats.xml.characters, 0);
+            assert.notStrictEqual(compareFormats(data).cheapest, 'xml');
+        }
+        assert.strictEqual(compareFormats([{ a: 1 }, { a: 2 }], { tokenizer: (text) => text.length }).cheapest, 'csv');
+    });
+});
+
+describe('Format Optimization', () => {
+
+    it('should pick the cheapest format that round-trips', () => {
+        const result = ToonConverter.optimize(users.users);
+
+        assert.strictEqual(result.format, 'toon');
+        assert.strictEqual(result.output, jsonToToonSync(users.users));
+        assert.strictEqual(result.roundTrip, true);
+        assert.strictEqual(result.tokens, result.candidates[0].tokens);
+        assert.deepStrictEqual(result.candidates.map(c => c.format).sort(), ['csv', 'json', 'toon', 'toon-pipe', 'toon-tab', 'yaml']);
+    });
+
+    it('should only try CSV for flat data', () => {
+        const result = optimizeFormat({ a: { b: [1, 2] } });
+        assert.ok(!result.candidates.some(c => c.format === 'csv'));
+    });
+
+    it('should skip candidates that do not round-trip', () => {
+        const length = (text) => text.length;
+        // CSV is shortest but decodes the numeric-looking string as a number
+        const data = [{ code: '007', n: 1 }];
+        const result = optimizeFormat(data, { candidates: ['csv', 'json'], tokenizer: length });
+
+        assert.strictEqual(result.format, 'json');
+        assert.deepStrictEqual(result.candidates.map(c => [c.format, c.roundTrip]), [['csv', false], ['json', true]]);
+
+        const loose = optimizeFormat(data, { candidates: ['csv', 'json'], tokenizer: length, requireRoundTrip: false });
+        assert.strictEqual(loose.format, 'csv');
+        assert.strictEqual(loose.roundTrip, false);
+    });
+
+    it('should decode TOON candidates with the options they were encoded with', () => {
+        const data = { metadata: { labels: { app: 'web' } }, id: 12345678901234567890n };
+        const result = optimizeFormat(data, { keyFolding: true, typed: true });
+        const toon = result.candidates.filter(c => c.format.startsWith('toon'));
+
+        assert.strictEqual(toon.length, 3);
+        assert.ok(toon.every(c => c.roundTrip));
+        assert.ok(result.format.startsWith('toon'));
+        assert.ok(result.output.includes('metadata.labels.app: "web"'));
+    });
+
+    it('should leave out candidates that cannot encode the data', () => {
+        const result = optimizeFormat({ a: 1n });
+        assert.ok(!result.candidates.some(c => c.format === 'json'));
+        assert.strictEqual(result.roundTrip, false);
+
+        assert.strictEqual(optimizeFormat({ a: 1n }, { typed: true }).output, 'a: 1n');
+        assert.throws(() => optimizeFormat({ a: 1n }, { candidates: ['json'] }), /None of the candidate formats/);
+    });
+
+    it('should honour candidates and reject unknown labels', () => {
+        const result = new ToonConverter().optimize(users, { candidates: ['toon-pipe'] });
+        assert.strictEqual(result.format, 'toon-pipe');
+        assert.strictEqual(result.output, jsonToToonSync(users, { delimiter: '|' }));
+
+        assert.throws(() => optimizeFormat(users, { candidates: ['xml'] }), /Unknown format candidate: xml/);
+        assert.throws(() => optimizeFormat({ a: 1 }, { candidates: ['csv'] }), /None of the candidate formats/);
+    });
+});
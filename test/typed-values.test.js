@@ -0,0 +1,93 @@
+/**
+ * Tests for typed values, large integers and replacer/reviver hooks
+ * Run with: node --test test/typed-values.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { jsonToToonSync, toonToJsonSync } from '../src/json.js';
+import { ToonConverter } from '../src/index.js';
+import { validateToonStringSync } from '../src/validator.js';
+import { parseValue } from '../src/utils.js';
+
+const order = {
+    id: 12345678901234567890n,
+    placedAt: new Date('2024-05-01T12:00:00.000Z'),
+    ratio: NaN,
+    limit: Infinity,
+    floor: -Infinity,
+    offset: -0,
+    labels: ["NaN", "42n", "date(\"x\")"],
+    items: [
+        { sku: 9007199254740993n, at: new Date(0) },
+        { sku: 2n, at: new Date(1000) }
+    ]
+};
+
+describe('Typed Values', () => {
+
+    it('should write typed literals', () => {
+        const toon = jsonToToonSync(order, { typed: true });
+
+        assert.ok(toon.includes('id: 12345678901234567890n'));
+        assert.ok(toon.includes('placedAt: date("2024-05-01T12:00:00.000Z")'));
+        assert.ok(toon.includes('ratio: NaN\nlimit: Infinity\nfloor: -Infinity\noffset: -0'));
+        assert.ok(toon.includes('  9007199254740993n,date("1970-01-01T00:00:00.000Z")'));
+        assert.strictEqual(validateToonStringSync(toon).isValid, true);
+    });
+
+    it('should round-trip typed values with either quoting policy', () => {
+        for (const quoting of ['always', 'minimal']) {
+            const decoded = toonToJsonSync(jsonToToonSync(order, { typed: true, quoting }), { typed: true });
+            assert.deepStrictEqual(decoded, order);
+            assert.ok(Object.is(decoded.offset, -0));
+        }
+    });
+
+    it('should follow JSON semantics when not typed', () => {
+        const toon = jsonToToonSync({ at: new Date(0), n: NaN, big: 10n, gone: undefined, list: [undefined] });
+        assert.strictEqual(toon, 'at: "1970-01-01T00:00:00.000Z"\nn: null\nbig: 10\nlist[1]: null');
+        assert.strictEqual(parseValue('NaN'), 'NaN');
+        assert.strictEqual(parseValue('12n'), '12n');
+    });
+
+    it('should keep large integers exact on request', () => {
+        const toon = 'id: 12345678901234567890\nsmall: 42';
+
+        assert.strictEqual(toonToJsonSync(toon).id, 12345678901234567000);
+        assert.deepStrictEqual(toonToJsonSync(toon, { largeIntegers: 'bigint' }), { id: 12345678901234567890n, small: 42 });
+        assert.deepStrictEqual(toonToJsonSync(toon, { largeIntegers: 'string' }), { id: '12345678901234567890', small: 42 });
+        assert.throws(() => toonToJsonSync(toon, { largeIntegers: 'float' }), /Unsupported largeIntegers policy/);
+    });
+
+    it('should write BigInt values as raw digits in returned JSON', () => {
+        const toon = 'id: 12345678901234567890\nsmall: 42\nlist[2]: 1, 98765432109876543210';
+        const expected = '{"id":12345678901234567890,"small":42,"list":[1,98765432109876543210]}';
+
+        assert.strictEqual(toonToJsonSync(toon, { largeIntegers: 'bigint', returnJson: true }), expected);
+        assert.strictEqual(ToonConverter.toJson(toon, { largeIntegers: 'bigint', returnJson: true }), expected);
+        assert.strictEqual(
+            toonToJsonSync('n: 12n\nat: date("1970-01-01T00:00:00.000Z")\nx: NaN', { typed: true, returnJson: true }),
+            '{"n":12,"at":"1970-01-01T00:00:00.000Z","x":null}'
+        );
+        assert.strictEqual(new ToonConverter().toJson('n: -7n', { typed: true, returnJson: true }), '{"n":-7}');
+    });
+
+    it('should call replacer and reviver like JSON.stringify and JSON.parse', () => {
+        const data = { user: { name: "Ann", password: "secret" }, tags: ["a", null] };
+        const toon = jsonToToonSync(data, { replacer: (key, value) => key === 'password' ? undefined : value });
+        assert.strictEqual(toon, 'user:\n  name: "Ann"\ntags[2]: "a", null');
+
+        const seen = [];
+        const decoded = toonToJsonSync(toon, {
+            reviver(key, value) {
+                seen.push(key);
+                return value === null ? undefined : value;
+            }
+        });
+        assert.deepStrictEqual(seen, ['name', 'user', '0', '1', 'tags', '']);
+        // Deleted array items leave holes, as with JSON.parse
+        assert.deepStrictEqual(decoded, JSON.parse('{"user":{"name":"Ann"},"tags":["a",null]}', (k, v) => v === null ? undefined : v));
+        assert.strictEqual(toonToJsonSync(toon, { returnJson: true, reviver: (k, v) => v === null ? undefined : v }), '{"user":{"name":"Ann"},"tags":["a",null]}');
+    });
+});
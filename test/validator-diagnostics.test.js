@@ -0,0 +1,101 @@
+/**
+ * Tests for the collect-all diagnostics mode of the validator
+ * Run with: node --test test/validator-diagnostics.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { execSync } from 'node:child_process';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { validateToonStringSync, validateToonString } from '../src/validator.js';
+import { ToonConverter, TOON_ERROR_CODES, TOON_WARNING_CODES } from '../src/index.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const cli = `node ${path.join(__dirname, '../src/cli.js')}`;
+
+const broken = [
+    'items[3]: 1, 2',
+    'user:',
+    '  name: "A"',
+    '    bad: 1',
+    'tail[2]:',
+    '  - 1'
+].join('\n');
+
+describe('Validator Diagnostics', () => {
+
+    it('should keep the default result shape', () => {
+        assert.deepStrictEqual(validateToonStringSync('a: 1'), { isValid: true, error: null });
+
+        const result = validateToonStringSync(broken);
+        assert.strictEqual(result.isValid, false);
+        assert.strictEqual(result.diagnostics, undefined);
+        assert.strictEqual(result.syntaxError.line, 1);
+    });
+
+    it('should continue after recoverable errors', () => {
+        const result = validateToonStringSync(broken, { collectAll: true });
+
+        assert.strictEqual(result.isValid, false);
+        assert.strictEqual(result.syntaxError.line, 1);
+        assert.deepStrictEqual(
+            result.diagnostics.map(d => [d.severity, d.code, d.line]),
+            [
+                ['error', TOON_ERROR_CODES.ARRAY_SIZE_MISMATCH, 1],
+                ['error', TOON_ERROR_CODES.BAD_INDENT, 4],
+                ['error', TOON_ERROR_CODES.ARRAY_SIZE_MISMATCH, 5]
+            ]
+        );
+        assert.strictEqual(result.diagnostics[1].column, 5);
+        assert.match(result.diagnostics[1].message, /Indentation error/);
+    });
+
+    it('should warn about inconsistent indentation widths', () => {
+        const result = validateToonStringSync('a:\n  b: 1\nc:\n    d: 2', { collectAll: true });
+
+        assert.strictEqual(result.isValid, true);
+        assert.deepStrictEqual(result.diagnostics, [{
+            severity: 'warning',
+            code: TOON_WARNING_CODES.INCONSISTENT_INDENT,
+            line: 4,
+            column: 5,
+            message: 'L4: Indentation step of 4 differs from the 2 used earlier.'
+        }]);
+    });
+
+    it('should warn about trailing delimiters and wide rows', () => {
+        const toon = 'nums[2]: 1, 2,\nrows[2|]{a,b}:\n  1|2|\n  3|4|5';
+        const result = validateToonStringSync(toon, { collectAll: true });
+
+        assert.strictEqual(result.isValid, true);
+        assert.deepStrictEqual(
+            result.diagnostics.map(d => [d.code, d.line]),
+            [
+                [TOON_WARNING_CODES.TRAILING_DELIMITER, 1],
+                [TOON_WARNING_CODES.TRAILING_DELIMITER, 3],
+                [TOON_WARNING_CODES.ROW_WIDTH_MISMATCH, 4]
+            ]
+        );
+    });
+
+    it('should report nothing for clean documents', async () => {
+        const toon = ToonConverter.fromJson({ users: [{ id: 1, name: 'A' }], tags: ['x'] });
+        assert.deepStrictEqual(validateToonStringSync(toon, { collectAll: true }).diagnostics, []);
+        assert.deepStrictEqual((await validateToonString(toon, { collectAll: true })).diagnostics, []);
+        assert.deepStrictEqual(ToonConverter.validate(toon, { collectAll: true }).diagnostics, []);
+    });
+
+    it('should report invalid input as a diagnostic', () => {
+        const result = validateToonStringSync('', { collectAll: true });
+        assert.strictEqual(result.diagnostics[0].code, TOON_ERROR_CODES.INVALID_INPUT);
+    });
+
+    it('should print all diagnostics from the CLI', () => {
+        const output = execSync(`printf 'a[2]: 1\\nb[1]: 1, 2\\n' | ${cli} --validate toon`).toString();
+        const res = JSON.parse(output);
+
+        assert.strictEqual(res.isValid, false);
+        assert.deepStrictEqual(res.diagnostics.map(d => d.line), [1, 2]);
+    });
+});